@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+/**
+ * @notice Gamma Oracle for the local stack. Prices have 8 decimals and
+ * expiry prices are final as soon as they are set, there is no dispute period.
+ */
+contract MockGammaOracle {
+    mapping(address => uint256) private _prices;
+    mapping(address => uint256) public stablePrice;
+    mapping(address => mapping(uint256 => uint256)) private _expiryPrices;
+
+    event ExpiryPriceUpdated(
+        address indexed asset,
+        uint256 indexed expiryTimestamp,
+        uint256 price
+    );
+
+    function setPrice(address _asset, uint256 _price) external {
+        _prices[_asset] = _price;
+    }
+
+    /**
+     * @notice Sets a fixed price, used as the spot and expiry price of the asset
+     */
+    function setStablePrice(address _asset, uint256 _price) external {
+        stablePrice[_asset] = _price;
+    }
+
+    function setExpiryPrice(
+        address _asset,
+        uint256 _expiryTimestamp,
+        uint256 _price
+    ) external {
+        require(
+            block.timestamp >= _expiryTimestamp,
+            "Oracle: price can only be set after expiry"
+        );
+        _expiryPrices[_asset][_expiryTimestamp] = _price;
+
+        emit ExpiryPriceUpdated(_asset, _expiryTimestamp, _price);
+    }
+
+    function getPrice(address _asset) external view returns (uint256) {
+        uint256 price = stablePrice[_asset];
+        if (price == 0) {
+            price = _prices[_asset];
+        }
+        require(price > 0, "Oracle: Pricer for this asset not set");
+        return price;
+    }
+
+    function getExpiryPrice(address _asset, uint256 _expiryTimestamp)
+        public
+        view
+        returns (uint256, bool)
+    {
+        uint256 price = stablePrice[_asset];
+        if (price == 0) {
+            price = _expiryPrices[_asset][_expiryTimestamp];
+        }
+        return (price, price > 0);
+    }
+
+    function isLockingPeriodOver(address, uint256 _expiryTimestamp)
+        external
+        view
+        returns (bool)
+    {
+        return block.timestamp > _expiryTimestamp;
+    }
+
+    function isDisputePeriodOver(address _asset, uint256 _expiryTimestamp)
+        external
+        view
+        returns (bool)
+    {
+        (, bool isFinalized) = getExpiryPrice(_asset, _expiryTimestamp);
+        return isFinalized && block.timestamp > _expiryTimestamp;
+    }
+}
@@ -0,0 +1,342 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+pragma experimental ABIEncoderV2;
+
+import {SafeMath} from "@openzeppelin/contracts/math/SafeMath.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import {
+    GammaTypes,
+    IController,
+    OracleInterface
+} from "../interfaces/GammaInterface.sol";
+import {IERC20Detailed} from "../interfaces/IERC20Detailed.sol";
+import {MockOtoken} from "./MockOtoken.sol";
+
+/**
+ * @notice Gamma Controller for the local stack. Unlike MockGammaController, which only
+ * redeems for the adapter tests, it keeps fully collateralized margin vaults so the theta
+ * vaults can open, close and settle shorts. It is also the margin pool holding the collateral.
+ * Vaults hold a single short oToken and collateral asset.
+ */
+contract MockGammaVaultController {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    // oTokens and oracle prices have 8 decimals
+    uint256 private constant OTOKEN_DECIMALS = 10**8;
+
+    struct MarginVault {
+        address shortOtoken;
+        uint256 shortAmount;
+        address collateralAsset;
+        uint256 collateralAmount;
+    }
+
+    address public immutable oracle;
+
+    mapping(address => uint256) public accountVaultCounter;
+    mapping(address => mapping(uint256 => MarginVault)) private _vaults;
+
+    event VaultOpened(address indexed accountOwner, uint256 vaultId);
+
+    event VaultSettled(
+        address indexed accountOwner,
+        address indexed oTokenAddress,
+        address to,
+        uint256 payout,
+        uint256 vaultId
+    );
+
+    event Redeem(
+        address indexed otoken,
+        address indexed redeemer,
+        address indexed receiver,
+        address collateralAsset,
+        uint256 otokenBurned,
+        uint256 payout
+    );
+
+    constructor(address _oracle) {
+        oracle = _oracle;
+    }
+
+    function operate(IController.ActionArgs[] memory _actions) external {
+        for (uint256 i = 0; i < _actions.length; i++) {
+            IController.ActionArgs memory action = _actions[i];
+            IController.ActionType actionType = action.actionType;
+
+            if (actionType == IController.ActionType.Redeem) {
+                _redeem(action);
+            } else {
+                require(
+                    action.owner == msg.sender,
+                    "Controller: msg.sender is not authorized to run action"
+                );
+                _operateVault(action);
+            }
+        }
+    }
+
+    function getAccountVaultCounter(address _accountOwner)
+        external
+        view
+        returns (uint256)
+    {
+        return accountVaultCounter[_accountOwner];
+    }
+
+    function getVault(address _owner, uint256 _vaultId)
+        external
+        view
+        returns (GammaTypes.Vault memory vault)
+    {
+        MarginVault storage marginVault = _vaults[_owner][_vaultId];
+
+        if (marginVault.shortOtoken != address(0)) {
+            vault.shortOtokens = new address[](1);
+            vault.shortOtokens[0] = marginVault.shortOtoken;
+            vault.shortAmounts = new uint256[](1);
+            vault.shortAmounts[0] = marginVault.shortAmount;
+        }
+        if (marginVault.collateralAsset != address(0)) {
+            vault.collateralAssets = new address[](1);
+            vault.collateralAssets[0] = marginVault.collateralAsset;
+            vault.collateralAmounts = new uint256[](1);
+            vault.collateralAmounts[0] = marginVault.collateralAmount;
+        }
+    }
+
+    function isSettlementAllowed(
+        address _underlying,
+        address _strike,
+        address _collateral,
+        uint256 _expiry
+    ) public view returns (bool) {
+        OracleInterface oracleContract = OracleInterface(oracle);
+        return
+            oracleContract.isDisputePeriodOver(_underlying, _expiry) &&
+            oracleContract.isDisputePeriodOver(_strike, _expiry) &&
+            oracleContract.isDisputePeriodOver(_collateral, _expiry);
+    }
+
+    /**
+     * @notice Returns the collateral paid out for expired oTokens, at the expiry price of the underlying
+     * @param _otoken is the oToken
+     * @param _amount is the amount of oTokens, with 8 decimals
+     */
+    function getPayout(address _otoken, uint256 _amount)
+        public
+        view
+        returns (uint256)
+    {
+        return _getPayout(_otoken, _amount, false);
+    }
+
+    /**
+     * @notice Like Gamma, payouts are rounded down when redeeming and up when settling a short,
+     * so any payout costs the short at least one unit of collateral
+     */
+    function _getPayout(
+        address _otoken,
+        uint256 _amount,
+        bool _roundUp
+    ) private view returns (uint256) {
+        MockOtoken otoken = MockOtoken(_otoken);
+        address underlying = otoken.underlyingAsset();
+        uint256 expiry = otoken.expiryTimestamp();
+        require(
+            isSettlementAllowed(
+                underlying,
+                otoken.strikeAsset(),
+                otoken.collateralAsset(),
+                expiry
+            ),
+            "Controller: can not settle before the dispute period is over"
+        );
+
+        (uint256 expiryPrice, ) =
+            OracleInterface(oracle).getExpiryPrice(underlying, expiry);
+        uint256 strikePrice = otoken.strikePrice();
+        uint256 collateralUnit = _collateralUnit(otoken.collateralAsset());
+
+        uint256 numerator;
+        uint256 denominator;
+        if (otoken.isPut()) {
+            if (expiryPrice >= strikePrice) {
+                return 0;
+            }
+            // Puts pay the difference to the strike, converted from the strike asset
+            // to the collateral at its expiry price
+            (uint256 collateralPrice, ) =
+                OracleInterface(oracle).getExpiryPrice(
+                    otoken.collateralAsset(),
+                    expiry
+                );
+            numerator = _amount.mul(strikePrice.sub(expiryPrice)).mul(
+                collateralUnit
+            );
+            denominator = OTOKEN_DECIMALS.mul(collateralPrice);
+        } else {
+            if (expiryPrice <= strikePrice) {
+                return 0;
+            }
+            // Calls pay the difference to the strike in the underlying
+            numerator = _amount.mul(expiryPrice.sub(strikePrice)).mul(
+                collateralUnit
+            );
+            denominator = expiryPrice.mul(OTOKEN_DECIMALS);
+        }
+
+        if (_roundUp) {
+            return numerator.add(denominator).sub(1).div(denominator);
+        }
+        return numerator.div(denominator);
+    }
+
+    function _operateVault(IController.ActionArgs memory _args) private {
+        IController.ActionType actionType = _args.actionType;
+        if (actionType == IController.ActionType.OpenVault) {
+            uint256 vaultId = accountVaultCounter[_args.owner].add(1);
+            require(
+                _args.vaultId == vaultId,
+                "Controller: can not run actions on inexistent vault"
+            );
+            accountVaultCounter[_args.owner] = vaultId;
+            emit VaultOpened(_args.owner, vaultId);
+            return;
+        }
+
+        require(
+            _args.vaultId > 0 &&
+                _args.vaultId <= accountVaultCounter[_args.owner],
+            "Controller: invalid vault id"
+        );
+        MarginVault storage vault = _vaults[_args.owner][_args.vaultId];
+
+        if (actionType == IController.ActionType.DepositCollateral) {
+            require(
+                vault.collateralAsset == address(0) ||
+                    vault.collateralAsset == _args.asset,
+                "MarginVault: collateral mismatch"
+            );
+            vault.collateralAsset = _args.asset;
+            vault.collateralAmount = vault.collateralAmount.add(_args.amount);
+            IERC20(_args.asset).safeTransferFrom(
+                _args.secondAddress,
+                address(this),
+                _args.amount
+            );
+        } else if (actionType == IController.ActionType.MintShortOption) {
+            require(
+                vault.shortOtoken == address(0) ||
+                    vault.shortOtoken == _args.asset,
+                "MarginVault: short otoken mismatch"
+            );
+            vault.shortOtoken = _args.asset;
+            vault.shortAmount = vault.shortAmount.add(_args.amount);
+            _checkCollateralization(vault);
+            MockOtoken(_args.asset).mintOtoken(
+                _args.secondAddress,
+                _args.amount
+            );
+        } else if (actionType == IController.ActionType.BurnShortOption) {
+            require(
+                vault.shortOtoken == _args.asset,
+                "MarginVault: short otoken mismatch"
+            );
+            vault.shortAmount = vault.shortAmount.sub(_args.amount);
+            MockOtoken(_args.asset).burnOtoken(
+                _args.secondAddress,
+                _args.amount
+            );
+        } else if (actionType == IController.ActionType.WithdrawCollateral) {
+            require(
+                vault.collateralAsset == _args.asset,
+                "MarginVault: collateral mismatch"
+            );
+            vault.collateralAmount = vault.collateralAmount.sub(_args.amount);
+            _checkCollateralization(vault);
+            IERC20(_args.asset).safeTransfer(
+                _args.secondAddress,
+                _args.amount
+            );
+        } else if (actionType == IController.ActionType.SettleVault) {
+            _settleVault(_args, vault);
+        } else {
+            revert("Controller: action not supported by the mock");
+        }
+    }
+
+    function _settleVault(
+        IController.ActionArgs memory _args,
+        MarginVault storage _vault
+    ) private {
+        require(_vault.shortOtoken != address(0), "Controller: no short");
+        uint256 payout =
+            _getPayout(_vault.shortOtoken, _vault.shortAmount, true);
+        uint256 proceeds = _vault.collateralAmount.sub(payout);
+        address collateral = _vault.collateralAsset;
+        address otoken = _vault.shortOtoken;
+
+        delete _vaults[_args.owner][_args.vaultId];
+        IERC20(collateral).safeTransfer(_args.secondAddress, proceeds);
+
+        emit VaultSettled(
+            _args.owner,
+            otoken,
+            _args.secondAddress,
+            proceeds,
+            _args.vaultId
+        );
+    }
+
+    function _redeem(IController.ActionArgs memory _args) private {
+        MockOtoken otoken = MockOtoken(_args.asset);
+        require(
+            block.timestamp > otoken.expiryTimestamp(),
+            "Controller: can not redeem un-expired otoken"
+        );
+        uint256 payout = getPayout(_args.asset, _args.amount);
+        address collateral = otoken.collateralAsset();
+
+        otoken.burnOtoken(msg.sender, _args.amount);
+        IERC20(collateral).safeTransfer(_args.secondAddress, payout);
+
+        emit Redeem(
+            _args.asset,
+            msg.sender,
+            _args.secondAddress,
+            collateral,
+            _args.amount,
+            payout
+        );
+    }
+
+    // Shorts are fully collateralized: one underlying per call, the strike per put
+    function _checkCollateralization(MarginVault storage _vault) private view {
+        if (_vault.shortAmount == 0) {
+            return;
+        }
+        MockOtoken otoken = MockOtoken(_vault.shortOtoken);
+        require(
+            otoken.collateralAsset() == _vault.collateralAsset,
+            "MarginVault: collateral mismatch"
+        );
+        uint256 required =
+            _vault.shortAmount.mul(_collateralUnit(_vault.collateralAsset)).div(
+                OTOKEN_DECIMALS
+            );
+        if (otoken.isPut()) {
+            required = required.mul(otoken.strikePrice()).div(OTOKEN_DECIMALS);
+        }
+        require(
+            _vault.collateralAmount >= required,
+            "Controller: invalid final vault state"
+        );
+    }
+
+    function _collateralUnit(address _asset) private view returns (uint256) {
+        return 10**uint256(IERC20Detailed(_asset).decimals());
+    }
+}
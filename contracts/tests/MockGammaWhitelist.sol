@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+/**
+ * @notice Gamma Whitelist for the local stack. Anyone can whitelist.
+ */
+contract MockGammaWhitelist {
+    mapping(bytes32 => bool) private _products;
+    mapping(address => bool) private _collaterals;
+
+    event ProductWhitelisted(
+        bytes32 productHash,
+        address indexed underlying,
+        address indexed strike,
+        address indexed collateral,
+        bool isPut
+    );
+
+    event CollateralWhitelisted(address indexed collateral);
+
+    function whitelistProduct(
+        address _underlying,
+        address _strike,
+        address _collateral,
+        bool _isPut
+    ) external {
+        bytes32 productHash =
+            keccak256(
+                abi.encodePacked(_underlying, _strike, _collateral, _isPut)
+            );
+        _products[productHash] = true;
+
+        emit ProductWhitelisted(
+            productHash,
+            _underlying,
+            _strike,
+            _collateral,
+            _isPut
+        );
+    }
+
+    function whitelistCollateral(address _collateral) external {
+        _collaterals[_collateral] = true;
+
+        emit CollateralWhitelisted(_collateral);
+    }
+
+    function isWhitelistedProduct(
+        address _underlying,
+        address _strike,
+        address _collateral,
+        bool _isPut
+    ) external view returns (bool) {
+        return
+            _products[
+                keccak256(
+                    abi.encodePacked(_underlying, _strike, _collateral, _isPut)
+                )
+            ];
+    }
+
+    function isWhitelistedCollateral(address _collateral)
+        external
+        view
+        returns (bool)
+    {
+        return _collaterals[_collateral];
+    }
+}
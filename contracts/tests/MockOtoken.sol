@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @notice Gamma oToken created by MockOtokenFactory.
+ * Only the controller mints and burns, like the Gamma Controller.
+ */
+contract MockOtoken is ERC20 {
+    address public immutable addressBook;
+    address public immutable controller;
+    address public immutable underlyingAsset;
+    address public immutable strikeAsset;
+    address public immutable collateralAsset;
+    uint256 public immutable strikePrice;
+    uint256 public immutable expiryTimestamp;
+    bool public immutable isPut;
+
+    constructor(
+        address _controller,
+        address _underlyingAsset,
+        address _strikeAsset,
+        address _collateralAsset,
+        uint256 _strikePrice,
+        uint256 _expiryTimestamp,
+        bool _isPut
+    ) ERC20("Mock oToken", "oTOKEN") {
+        addressBook = msg.sender;
+        controller = _controller;
+        underlyingAsset = _underlyingAsset;
+        strikeAsset = _strikeAsset;
+        collateralAsset = _collateralAsset;
+        strikePrice = _strikePrice;
+        expiryTimestamp = _expiryTimestamp;
+        isPut = _isPut;
+        // oTokens have 8 decimals
+        _setupDecimals(8);
+    }
+
+    modifier onlyController() {
+        require(msg.sender == controller, "Otoken: Only Controller");
+        _;
+    }
+
+    function mintOtoken(address account, uint256 amount)
+        external
+        onlyController
+    {
+        _mint(account, amount);
+    }
+
+    function burnOtoken(address account, uint256 amount)
+        external
+        onlyController
+    {
+        _burn(account, amount);
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+import {SafeMath} from "@openzeppelin/contracts/math/SafeMath.sol";
+import {MockGammaWhitelist} from "./MockGammaWhitelist.sol";
+import {MockOtoken} from "./MockOtoken.sol";
+
+/**
+ * @notice Gamma OtokenFactory for the local stack, with the same checks on
+ * the whitelist and the expiry as the Gamma factory
+ */
+contract MockOtokenFactory {
+    using SafeMath for uint256;
+
+    // Gamma oTokens expire at 8:00 UTC
+    uint256 private constant EXPIRY_OFFSET = 28800;
+    uint256 private constant MAX_EXPIRY = 11865398400;
+
+    address public immutable controller;
+    MockGammaWhitelist public immutable whitelist;
+
+    address[] public oTokens;
+    mapping(bytes32 => address) private _idToAddress;
+
+    event OtokenCreated(
+        address tokenAddress,
+        address creator,
+        address indexed underlying,
+        address indexed strike,
+        address indexed collateral,
+        uint256 strikePrice,
+        uint256 expiry,
+        bool isPut
+    );
+
+    constructor(address _controller, address _whitelist) {
+        controller = _controller;
+        whitelist = MockGammaWhitelist(_whitelist);
+    }
+
+    function createOtoken(
+        address _underlyingAsset,
+        address _strikeAsset,
+        address _collateralAsset,
+        uint256 _strikePrice,
+        uint256 _expiry,
+        bool _isPut
+    ) external returns (address) {
+        require(
+            _expiry > block.timestamp,
+            "OtokenFactory: Can't create expired option"
+        );
+        require(
+            _expiry < MAX_EXPIRY,
+            "OtokenFactory: Can't create option with expiry > 2345/12/31"
+        );
+        require(
+            _expiry.sub(EXPIRY_OFFSET) % (1 days) == 0,
+            "OtokenFactory: Option has to expire 08:00 UTC"
+        );
+        require(
+            whitelist.isWhitelistedProduct(
+                _underlyingAsset,
+                _strikeAsset,
+                _collateralAsset,
+                _isPut
+            ),
+            "OtokenFactory: Unsupported Product"
+        );
+        require(
+            !_isPut || _strikePrice > 0,
+            "OtokenFactory: Can't create a $0 strike put option"
+        );
+
+        bytes32 id =
+            _getOptionId(
+                _underlyingAsset,
+                _strikeAsset,
+                _collateralAsset,
+                _strikePrice,
+                _expiry,
+                _isPut
+            );
+        require(
+            _idToAddress[id] == address(0),
+            "OtokenFactory: Option already created"
+        );
+
+        address otoken =
+            address(
+                new MockOtoken(
+                    controller,
+                    _underlyingAsset,
+                    _strikeAsset,
+                    _collateralAsset,
+                    _strikePrice,
+                    _expiry,
+                    _isPut
+                )
+            );
+        _idToAddress[id] = otoken;
+        oTokens.push(otoken);
+
+        emit OtokenCreated(
+            otoken,
+            msg.sender,
+            _underlyingAsset,
+            _strikeAsset,
+            _collateralAsset,
+            _strikePrice,
+            _expiry,
+            _isPut
+        );
+        return otoken;
+    }
+
+    function getOtokensLength() external view returns (uint256) {
+        return oTokens.length;
+    }
+
+    function getOtoken(
+        address _underlyingAsset,
+        address _strikeAsset,
+        address _collateralAsset,
+        uint256 _strikePrice,
+        uint256 _expiry,
+        bool _isPut
+    ) external view returns (address) {
+        return
+            _idToAddress[
+                _getOptionId(
+                    _underlyingAsset,
+                    _strikeAsset,
+                    _collateralAsset,
+                    _strikePrice,
+                    _expiry,
+                    _isPut
+                )
+            ];
+    }
+
+    function _getOptionId(
+        address _underlyingAsset,
+        address _strikeAsset,
+        address _collateralAsset,
+        uint256 _strikePrice,
+        uint256 _expiry,
+        bool _isPut
+    ) private pure returns (bytes32) {
+        return
+            keccak256(
+                abi.encodePacked(
+                    _underlyingAsset,
+                    _strikeAsset,
+                    _collateralAsset,
+                    _strikePrice,
+                    _expiry,
+                    _isPut
+                )
+            );
+    }
+}
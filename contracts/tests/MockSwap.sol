@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+pragma experimental ABIEncoderV2;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import {Types} from "../interfaces/ISwap.sol";
+
+/**
+ * @notice AirSwap Swap for the local stack and the offline tests. It settles ERC20 orders
+ * sent by their sender wallet or an authorized sender and emits the AirSwap `Swap` event,
+ * without checking the signature.
+ */
+contract MockSwap {
+    using SafeERC20 for IERC20;
+
+    mapping(address => mapping(uint256 => bool)) public signerNonceUsed;
+    mapping(address => mapping(address => bool)) public senderAuthorizations;
+
+    event Swap(
+        uint256 indexed nonce,
+        uint256 timestamp,
+        address indexed signerWallet,
+        uint256 signerAmount,
+        uint256 signerId,
+        address signerToken,
+        address indexed senderWallet,
+        uint256 senderAmount,
+        uint256 senderId,
+        address senderToken,
+        address affiliateWallet,
+        uint256 affiliateAmount,
+        uint256 affiliateId,
+        address affiliateToken
+    );
+
+    function authorizeSender(address authorizedSender) external {
+        senderAuthorizations[msg.sender][authorizedSender] = true;
+    }
+
+    function revokeSender(address authorizedSender) external {
+        delete senderAuthorizations[msg.sender][authorizedSender];
+    }
+
+    function swap(Types.Order calldata order) external {
+        require(order.expiry > block.timestamp, "ORDER_EXPIRED");
+        require(
+            msg.sender == order.sender.wallet ||
+                senderAuthorizations[order.sender.wallet][msg.sender],
+            "SENDER_UNAUTHORIZED"
+        );
+        require(
+            !signerNonceUsed[order.signer.wallet][order.nonce],
+            "ORDER_TAKEN_OR_CANCELLED"
+        );
+        signerNonceUsed[order.signer.wallet][order.nonce] = true;
+
+        IERC20(order.sender.token).safeTransferFrom(
+            order.sender.wallet,
+            order.signer.wallet,
+            order.sender.amount
+        );
+        IERC20(order.signer.token).safeTransferFrom(
+            order.signer.wallet,
+            order.sender.wallet,
+            order.signer.amount
+        );
+
+        emit Swap(
+            order.nonce,
+            block.timestamp,
+            order.signer.wallet,
+            order.signer.amount,
+            order.signer.id,
+            order.signer.token,
+            order.sender.wallet,
+            order.sender.amount,
+            order.sender.id,
+            order.sender.token,
+            order.affiliate.wallet,
+            order.affiliate.amount,
+            order.affiliate.id,
+            order.affiliate.token
+        );
+    }
+}
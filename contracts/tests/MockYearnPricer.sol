@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+import {SafeMath} from "@openzeppelin/contracts/math/SafeMath.sol";
+import {MockGammaOracle} from "./MockGammaOracle.sol";
+import {MockYearnVault} from "./MockYearnVault.sol";
+
+/**
+ * @notice Gamma pricer of a Yearn vault token for the offline tests. Like Opyn's YearnPricer,
+ * it prices the vault token at its price per share times the expiry price of the underlying.
+ */
+contract MockYearnPricer {
+    using SafeMath for uint256;
+
+    MockGammaOracle public immutable oracle;
+
+    MockYearnVault public immutable yToken;
+
+    constructor(address _yToken, address _oracle) {
+        yToken = MockYearnVault(_yToken);
+        oracle = MockGammaOracle(_oracle);
+    }
+
+    function setExpiryPriceInOracle(uint256 _expiryTimestamp) external {
+        (uint256 underlyingPrice, bool isFinalized) =
+            oracle.getExpiryPrice(yToken.token(), _expiryTimestamp);
+        require(isFinalized, "MockYearnPricer: underlying price not set");
+
+        uint256 price =
+            yToken.pricePerShare().mul(underlyingPrice).div(
+                10**uint256(yToken.decimals())
+            );
+        oracle.setExpiryPrice(address(yToken), _expiryTimestamp, price);
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >=0.7.2;
+
+import {SafeMath} from "@openzeppelin/contracts/math/SafeMath.sol";
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
+import {IERC20Detailed} from "../interfaces/IERC20Detailed.sol";
+
+/**
+ * @notice Yearn vault for the offline tests, in place of MockYearnToken which needs a
+ * Vyper compiler. Shares are issued and redeemed at a fixed share price with 18 decimals,
+ * while `pricePerShare` is rounded down to the token decimals like Yearn's, so wrapping
+ * and valuing shares loses the same dust as on mainnet.
+ */
+contract MockYearnVault is ERC20 {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    uint256 private constant SHARE_PRICE_DECIMALS = 10**18;
+
+    address public immutable token;
+
+    uint256 public sharePrice;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _token,
+        uint256 _sharePrice
+    ) ERC20(_name, _symbol) {
+        token = _token;
+        sharePrice = _sharePrice;
+        _setupDecimals(IERC20Detailed(_token).decimals());
+    }
+
+    /**
+     * @notice Sets the value of a share in the token, with 18 decimals
+     */
+    function setSharePrice(uint256 _sharePrice) external {
+        sharePrice = _sharePrice;
+    }
+
+    function pricePerShare() external view returns (uint256) {
+        return _shareValue(10**uint256(decimals()));
+    }
+
+    function deposit(uint256 _amount, address _recipient)
+        external
+        returns (uint256)
+    {
+        uint256 shares = _amount.mul(SHARE_PRICE_DECIMALS).div(sharePrice);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+        _mint(_recipient, shares);
+        return shares;
+    }
+
+    /**
+     * @notice Burns `_maxShares` for their value in the token, there is never a loss
+     */
+    function withdraw(
+        uint256 _maxShares,
+        address _recipient,
+        uint256
+    ) external returns (uint256) {
+        uint256 value = _shareValue(_maxShares);
+        _burn(msg.sender, _maxShares);
+        IERC20(token).safeTransfer(_recipient, value);
+        return value;
+    }
+
+    function _shareValue(uint256 _shares) private view returns (uint256) {
+        return _shares.mul(sharePrice).div(SHARE_PRICE_DECIMALS);
+    }
+}
@@ -10,9 +10,77 @@ require("solidity-coverage");
 
 require("dotenv").config();
 
+const { subtask } = require("hardhat/config");
+const {
+  TASK_TEST_RUN_MOCHA_TESTS,
+} = require("hardhat/builtin-tasks/task-names");
+
+function registerTypescript() {
+  require("ts-node").register({ transpileOnly: true });
+}
+
+// The vault administration tasks reuse the TypeScript helpers of the ribbon CLI, so
+// ts-node and the tasks are only loaded to run a task, e.g. `npx hardhat vault:status`.
+// Set HARDHAT_TASKS=true to load them anyway, e.g. to list them with `npx hardhat help`.
+const TASK_PREFIXES = ["vault:", "otoken:"];
+if (
+  process.env.HARDHAT_TASKS === "true" ||
+  process.argv.some((arg) =>
+    TASK_PREFIXES.some((prefix) => arg.startsWith(prefix))
+  )
+) {
+  registerTypescript();
+  require("./scripts/tasks/vault");
+  require("./scripts/tasks/otoken");
+}
+
+// The suites of the CLI helpers load their TypeScript sources, so ts-node is registered
+// once the tests run rather than when the config loads
+subtask(TASK_TEST_RUN_MOCHA_TESTS).setAction(async (args, hre, runSuper) => {
+  registerTypescript();
+  return runSuper(args);
+});
+
 process.env.TEST_MNEMONIC =
   "test test test test test test test test test test test junk";
 
+const LOCAL_RPC_URL = "http://127.0.0.1:8545";
+
+// Networks of the tasks, named after the networks of the constants files and
+// configured with the same environment variables as the ribbon CLI. The tasks
+// sign with the account at index 1 of the mnemonic, the CLI's default signer.
+const TASK_NETWORKS = {
+  mainnet: {
+    url: process.env.MAINNET_URI,
+    mnemonic: process.env.MNEMONIC,
+  },
+  kovan: {
+    url: process.env.INFURA_KOVAN_URI,
+    mnemonic: process.env.KOVAN_MNEMONIC,
+  },
+  // Hardhat node forking mainnet
+  "mainnet-sim": {
+    url: process.env.MAINNET_SIM_URI || LOCAL_RPC_URL,
+    mnemonic: process.env.MAINNET_SIM_MNEMONIC,
+  },
+  // Hardhat node running the local stack
+  local: {
+    url: process.env.LOCAL_URI || LOCAL_RPC_URL,
+    mnemonic: process.env.LOCAL_MNEMONIC || process.env.TEST_MNEMONIC,
+  },
+};
+
+const taskNetworks = {};
+for (const [name, { url, mnemonic }] of Object.entries(TASK_NETWORKS)) {
+  // Networks without a URL are left out, hardhat rejects them
+  if (url) {
+    taskNetworks[name] = {
+      url,
+      ...(mnemonic ? { accounts: { mnemonic, initialIndex: 1 } } : {}),
+    };
+  }
+}
+
 module.exports = {
   accounts: {
     mnemonic: process.env.TEST_MNEMONIC,
@@ -24,23 +92,28 @@ module.exports = {
         runs: 200,
         enabled: true,
       },
+      // Read by the storage layout diffs of `yarn ribbon storage`
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
     hardhat: {
-      forking: {
-        url: process.env.TEST_URI,
-        gasLimit: 8e6,
-        blockNumber: 11611333,
-      },
+      // Without TEST_URI the network starts empty, see "Local stack" in the README
+      ...(process.env.TEST_URI
+        ? {
+            forking: {
+              url: process.env.TEST_URI,
+              gasLimit: 8e6,
+              blockNumber: 11611333,
+            },
+          }
+        : {}),
     },
-    // kovan: {
-    //   url: process.env.INFURA_KOVAN_URI,
-    //   accounts: {
-    //     mnemonic: process.env.KOVAN_MNEMONIC
-    //   }
-    //   // accounts: [`0x${process.env.KOVAN_KEY}`, `0x${process.env.KOVAN_KEY2}`],
-    // },
+    ...taskNetworks,
   },
   mocha: {
     timeout: 500000,
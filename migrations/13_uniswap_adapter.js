@@ -1,15 +1,21 @@
 const EXTERNAL_ADDRESSES = require("../constants/externalAddresses.json");
 const UniswapAdapter = artifacts.require("UniswapAdapter");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 
 module.exports = async function (deployer, _network) {
   const networkLookup = _network;
 
-  await deployer.deploy(
+  await deployContract(
+    deployer,
+    _network,
+    "UniswapAdapterLogic",
     UniswapAdapter,
-    EXTERNAL_ADDRESSES[networkLookup].sushiswap,
-    EXTERNAL_ADDRESSES[networkLookup].assets.wbtc,
-    EXTERNAL_ADDRESSES[networkLookup].assets.weth,
-    EXTERNAL_ADDRESSES[networkLookup].assets.sushiLp,
-    EXTERNAL_ADDRESSES[networkLookup].assets.digg
+    [
+      EXTERNAL_ADDRESSES[networkLookup].sushiswap,
+      EXTERNAL_ADDRESSES[networkLookup].assets.wbtc,
+      EXTERNAL_ADDRESSES[networkLookup].assets.weth,
+      EXTERNAL_ADDRESSES[networkLookup].assets.sushiLp,
+      EXTERNAL_ADDRESSES[networkLookup].assets.digg,
+    ]
   );
 };
@@ -0,0 +1,21 @@
+const {
+  EXPLORER_API_URLS,
+  verifySources,
+} = require("../scripts/helpers/sourceVerification");
+
+// Verifies the sources of the journaled deployments on the network's block explorer
+module.exports = async function (deployer, network) {
+  const apiUrl = EXPLORER_API_URLS[network];
+  const apiKey = process.env.ETHERSCAN_API_KEY;
+  if (!apiUrl || !apiKey) {
+    console.log(
+      `Skipping the source verification on ${network}, it needs an explorer and ETHERSCAN_API_KEY`
+    );
+    return;
+  }
+
+  const results = await verifySources({ network, apiUrl, apiKey });
+  results.forEach(({ name, address, status, message }) => {
+    console.log(`${name} at ${address}: ${status} (${message})`);
+  });
+};
@@ -1,9 +1,7 @@
 const Factory = artifacts.require("RibbonFactory");
 const AdminUpgradeabilityProxy = artifacts.require("AdminUpgradeabilityProxy");
 const { encodeCall } = require("@openzeppelin/upgrades");
-const {
-  updateDeployedAddresses,
-} = require("../scripts/helpers/updateDeployedAddresses");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 const ACCOUNTS = require("../constants/accounts.json");
 
 let network;
@@ -17,26 +15,24 @@ module.exports = async function (deployer, _network) {
 };
 
 async function deployFactory(deployer, admin, owner) {
-  await deployer.deploy(Factory, { from: admin });
-  await updateDeployedAddresses(network, "RibbonFactoryLogic", Factory.address);
+  await deployContract(deployer, network, "RibbonFactoryLogic", Factory, [], {
+    from: admin,
+  });
 
   const initBytes = encodeCall(
     "initialize",
     ["address", "address"],
     [owner, admin]
   );
-  await deployer.deploy(
+  await deployContract(
+    deployer,
+    network,
+    "RibbonFactory",
     AdminUpgradeabilityProxy,
-    Factory.address,
-    admin,
-    initBytes,
+    [Factory.address, admin, initBytes],
     {
       from: admin,
+      keepExisting: true,
     }
   );
-  await updateDeployedAddresses(
-    network,
-    "RibbonFactory",
-    AdminUpgradeabilityProxy.address
-  );
 }
@@ -1,8 +1,6 @@
 const RibbonVolatility = artifacts.require("RibbonVolatility");
 const ProtocolAdapterLib = artifacts.require("ProtocolAdapter");
-const {
-  updateDeployedAddresses,
-} = require("../scripts/helpers/updateDeployedAddresses");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 
 const ACCOUNTS = require("../constants/accounts.json");
 
@@ -14,21 +12,20 @@ module.exports = async function (_deployer, network) {
   const { admin: _admin } = ACCOUNTS[network.replace("-fork", "")];
   admin = _admin;
 
-  await deployer.deploy(ProtocolAdapterLib);
-
-  await updateDeployedAddresses(
+  await deployContract(
+    deployer,
     network,
     "ProtocolAdapterLib",
-    ProtocolAdapterLib.address
+    ProtocolAdapterLib,
+    []
   );
 
-  await deployer.link(ProtocolAdapterLib, RibbonVolatility);
-
-  await deployer.deploy(RibbonVolatility, { from: admin });
-
-  await updateDeployedAddresses(
+  await deployContract(
+    deployer,
     network,
     "RibbonVolatilityLogic",
-    RibbonVolatility.address
+    RibbonVolatility,
+    [],
+    { from: admin, libraries: { ProtocolAdapter: ProtocolAdapterLib } }
   );
 };
@@ -1,8 +1,6 @@
 const HegicAdapter = artifacts.require("HegicAdapter");
 const { constants } = require("@openzeppelin/test-helpers");
-const {
-  updateDeployedAddresses,
-} = require("../scripts/helpers/updateDeployedAddresses");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 const ACCOUNTS = require("../constants/accounts.json");
 
 const HEGIC_ETH_OPTIONS = "0xEfC0eEAdC1132A12c9487d800112693bf49EcfA2";
@@ -22,18 +20,18 @@ module.exports = async function (_deployer, _network) {
 };
 
 async function deployHegicAdapter(network) {
-  await deployer.deploy(
-    HegicAdapter,
-    HEGIC_ETH_OPTIONS,
-    HEGIC_WBTC_OPTIONS,
-    ETH_ADDRESS,
-    WBTC_ADDRESS,
-    ETH_WBTC_PAIR,
-    { from: owner }
-  );
-  await updateDeployedAddresses(
+  await deployContract(
+    deployer,
     network,
     "HegicAdapterLogic",
-    HegicAdapter.address
+    HegicAdapter,
+    [
+      HEGIC_ETH_OPTIONS,
+      HEGIC_WBTC_OPTIONS,
+      ETH_ADDRESS,
+      WBTC_ADDRESS,
+      ETH_WBTC_PAIR,
+    ],
+    { from: owner }
   );
 }
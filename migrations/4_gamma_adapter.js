@@ -1,7 +1,5 @@
 const GammaAdapter = artifacts.require("GammaAdapter");
-const {
-  updateDeployedAddresses,
-} = require("../scripts/helpers/updateDeployedAddresses");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 const EXTERNAL_ADDRESSES = require("../constants/externalAddresses.json");
 const ACCOUNTS = require("../constants/accounts.json");
 
@@ -19,24 +17,23 @@ module.exports = async function (_deployer, _network) {
 async function deployGammaAdapter() {
   const networkAddressLookup = network.replace("-fork", "");
 
-  await deployer.deploy(
+  await deployContract(
+    deployer,
+    network,
+    "GammaAdapterLogic",
     GammaAdapter,
-    EXTERNAL_ADDRESSES[networkAddressLookup].oTokenFactory,
-    EXTERNAL_ADDRESSES[networkAddressLookup].gammaController,
-    EXTERNAL_ADDRESSES[networkAddressLookup].gammaMarginPool,
-    EXTERNAL_ADDRESSES[networkAddressLookup].feeds["usdc/eth"],
-    EXTERNAL_ADDRESSES[networkAddressLookup].uniswapV2Router,
-    EXTERNAL_ADDRESSES[networkAddressLookup].assets.weth,
-    EXTERNAL_ADDRESSES[networkAddressLookup].assets.usdc,
-    EXTERNAL_ADDRESSES[networkAddressLookup].zeroExExchangeV3,
+    [
+      EXTERNAL_ADDRESSES[networkAddressLookup].oTokenFactory,
+      EXTERNAL_ADDRESSES[networkAddressLookup].gammaController,
+      EXTERNAL_ADDRESSES[networkAddressLookup].gammaMarginPool,
+      EXTERNAL_ADDRESSES[networkAddressLookup].feeds["usdc/eth"],
+      EXTERNAL_ADDRESSES[networkAddressLookup].uniswapV2Router,
+      EXTERNAL_ADDRESSES[networkAddressLookup].assets.weth,
+      EXTERNAL_ADDRESSES[networkAddressLookup].assets.usdc,
+      EXTERNAL_ADDRESSES[networkAddressLookup].zeroExExchangeV3,
+    ],
     {
       from: owner,
     }
   );
-
-  await updateDeployedAddresses(
-    network,
-    "GammaAdapterLogic",
-    GammaAdapter.address
-  );
 }
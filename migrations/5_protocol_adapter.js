@@ -1,16 +1,14 @@
 const ProtocolAdapterLib = artifacts.require("ProtocolAdapter");
 
-const {
-  updateDeployedAddresses,
-} = require("../scripts/helpers/updateDeployedAddresses");
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
 
 module.exports = async function (deployer, network) {
   // Deploying the ProtocolAdapter
-  await deployer.deploy(ProtocolAdapterLib);
-
-  await updateDeployedAddresses(
+  await deployContract(
+    deployer,
     network,
     "ProtocolAdapterLib",
-    ProtocolAdapterLib.address
+    ProtocolAdapterLib,
+    []
   );
 };
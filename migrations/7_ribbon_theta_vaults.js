@@ -0,0 +1,58 @@
+const AdminUpgradeabilityProxy = artifacts.require("AdminUpgradeabilityProxy");
+const ProtocolAdapterLib = artifacts.require("ProtocolAdapter");
+
+const { deployContract } = require("../scripts/helpers/deploymentJournal");
+const {
+  getVaultDeployment,
+  getVaultManifest,
+} = require("../scripts/helpers/vaultManifest");
+const ACCOUNTS = require("../constants/accounts.json");
+const DEPLOYMENTS = require("../constants/deployments.json");
+const EXTERNAL_ADDRESSES = require("../constants/externalAddresses.json");
+
+let network;
+
+// Deploys the vaults of constants/vaults.json launched on the network and missing from
+// deployments.json, so launching a vault only takes a new manifest entry
+module.exports = async function (deployer, _network) {
+  network = _network;
+  const networkLookup = network.replace("-fork", "");
+
+  await ProtocolAdapterLib.deployed();
+
+  for (const vault of getVaultManifest(networkLookup)) {
+    const address = DEPLOYMENTS[networkLookup][vault.name];
+    if (address) {
+      console.log(`${vault.name} is already deployed at ${address}`);
+    } else {
+      await deployVault(deployer, networkLookup, vault);
+    }
+  }
+};
+
+async function deployVault(deployer, networkLookup, vault) {
+  const { admin } = ACCOUNTS[networkLookup];
+  const { contract, logicName, proxyName, constructorArgs, initializeData } =
+    getVaultDeployment(vault, {
+      externalAddresses: EXTERNAL_ADDRESSES[networkLookup],
+      deployments: DEPLOYMENTS[networkLookup],
+      accounts: ACCOUNTS[networkLookup],
+    });
+  const Vault = artifacts.require(contract);
+
+  // Deploying the logic contract
+  await deployContract(deployer, network, logicName, Vault, constructorArgs, {
+    from: admin,
+    libraries: { ProtocolAdapter: ProtocolAdapterLib },
+  });
+
+  // Deploying the proxy contract
+  await deployContract(
+    deployer,
+    network,
+    proxyName,
+    AdminUpgradeabilityProxy,
+    [Vault.address, admin, initializeData],
+    { from: admin, keepExisting: true }
+  );
+}
@@ -0,0 +1,78 @@
+import fs from "fs";
+import hre from "hardhat";
+import path from "path";
+import commander from "commander";
+import { getGlobalOptions, log, printResult } from "../helpers/cli";
+
+const constantFiles = [
+  "accounts.json",
+  "deployments.json",
+  "externalAddresses.json",
+];
+const contractNames = ["IERC20", "RibbonThetaVault"];
+
+export function registerAbiCommands(program: commander.Command) {
+  const abi = program.command("abi").description("Manage contract ABIs");
+
+  abi
+    .command("export")
+    .description("Copy the ABIs and constants to the webapp")
+    .option(
+      "-d, --destination <dir>",
+      "Destination directory",
+      process.env.RIBBON_WEBAPP_CONSTANTS
+    )
+    .action(exportABIs);
+}
+
+async function exportABIs(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const { destination } = command.opts();
+  const destinations = [destination].filter(Boolean) as string[];
+
+  const files = [...(await copyABIs(destinations)), ...copyFiles(destinations)];
+
+  printResult(options, files, () => files.join("\n"));
+}
+
+function copyFiles(destinations: string[]) {
+  const copied: string[] = [];
+
+  for (let i = 0; i < destinations.length; i++) {
+    const dst = destinations[i];
+    for (let j = 0; j < constantFiles.length; j++) {
+      const filename = constantFiles[j];
+      const srcPath = path.normalize(
+        path.join(__dirname, "..", "..", "constants", filename)
+      );
+      const dstFilePath = path.join(dst, filename);
+      fs.copyFileSync(srcPath, dstFilePath);
+      log(`Copied ${srcPath} to ${dstFilePath}`);
+      copied.push(dstFilePath);
+    }
+  }
+  return copied;
+}
+
+async function copyABIs(destinations: string[]) {
+  const promises = contractNames.map((name) =>
+    hre.artifacts.readArtifact(name)
+  );
+  const responses = await Promise.all(promises);
+  const abis = responses.map((r) => r.abi);
+  const created: string[] = [];
+
+  for (let i = 0; i < destinations.length; i++) {
+    const dst = destinations[i];
+
+    for (let j = 0; j < abis.length; j++) {
+      const abi = abis[j];
+      const contractName = contractNames[j];
+      const dstFilename = path.join(dst, "abis", `${contractName}.json`);
+      fs.writeFileSync(dstFilename, JSON.stringify(abi));
+      log(`Created ${contractName} in ${dstFilename}`);
+      created.push(dstFilename);
+    }
+  }
+  return created;
+}
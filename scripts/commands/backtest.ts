@@ -0,0 +1,144 @@
+import commander from "commander";
+import fs from "fs";
+import moment from "moment";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  log,
+  printResult,
+} from "../helpers/cli";
+import {
+  BacktestResult,
+  StrategyConfig,
+  parsePriceHistory,
+  runBacktest,
+  validateStrategyConfig,
+} from "../helpers/backtest";
+import { toCSV } from "../helpers/csv";
+
+export function registerBacktestCommands(program: commander.Command) {
+  const backtest = program
+    .command("backtest")
+    .description("Simulate vault strategies on historical prices");
+
+  backtest
+    .command("run")
+    .description(
+      "Replay a price history through the vault lifecycle for each strategy"
+    )
+    .requiredOption(
+      "-p, --prices <file>",
+      "CSV of the spot prices with timestamp, price and optional iv columns"
+    )
+    .requiredOption(
+      "-c, --config <file>",
+      "JSON strategy configuration, or an array of them"
+    )
+    .option("--csv", "Print the equity curves as CSV", false)
+    .option("-o, --out <file>", "Write the results to a file")
+    .action(runBacktests);
+}
+
+async function runBacktests(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  let results: BacktestResult[];
+  try {
+    const prices = parsePriceHistory(fs.readFileSync(opts.prices).toString());
+    const configs = readStrategies(opts.config);
+    results = configs.map((config) => runBacktest(prices, config));
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+
+  if (opts.csv) {
+    const curves = toCSV(
+      results.reduce(
+        (rows: Record<string, unknown>[], result) =>
+          rows.concat(
+            result.rounds.map((round) => ({
+              strategy: result.config.name,
+              ...round,
+            }))
+          ),
+        []
+      )
+    );
+    if (opts.out) {
+      fs.writeFileSync(opts.out, curves);
+      log(`Wrote the equity curves to ${opts.out}`);
+    } else {
+      process.stdout.write(curves);
+    }
+    return;
+  }
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(results, null, 2) + "\n");
+    log(`Wrote ${results.length} backtests to ${opts.out}`);
+    return;
+  }
+  printResult(options, results, () => renderBacktests(results));
+}
+
+function readStrategies(file: string): StrategyConfig[] {
+  const json = JSON.parse(fs.readFileSync(file).toString());
+  const configs: StrategyConfig[] = Array.isArray(json) ? json : [json];
+
+  configs.forEach(validateStrategyConfig);
+  const names = configs.map((config) => config.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Strategy ${duplicate} is configured twice`);
+  }
+  return configs;
+}
+
+function renderBacktests(results: BacktestResult[]) {
+  const percent = (value: number | null) =>
+    value === null ? "-" : `${(value * 100).toFixed(2)}%`;
+  const date = (timestamp: number) =>
+    moment.unix(timestamp).utc().format("YYYY-MM-DD");
+
+  return results
+    .map(({ config, summary, rounds }) => {
+      const curve = rounds.map(
+        (round) =>
+          `  ${date(round.expiry)} ${round.itm ? "ITM" : "OTM"} strike ${
+            round.strike
+          } expiry ${round.expiryPrice.toFixed(
+            2
+          )} premium ${round.premium.toFixed(4)} loss ${round.loss.toFixed(
+            4
+          )} price per share ${round.pricePerShare.toFixed(4)} (${percent(
+            round.roundYield
+          )}, drawdown ${percent(round.drawdown)})`
+      );
+      return `${summary.name}: ${summary.optionType} ${
+        typeof config.delta === "number"
+          ? `${config.delta} delta`
+          : `${config.otmPercentage}% OTM`
+      }, ${config.roundDays || 7} day rounds
+  ${date(summary.start)} to ${date(summary.end)}, ${summary.rounds} rounds, ${
+        summary.itmRounds
+      } in the money
+  Premium ${summary.totalPremium.toFixed(
+    4
+  )}, losses ${summary.totalLoss.toFixed(
+        4
+      )}, withdrawal fees ${summary.totalFees.toFixed(4)}
+  Return ${percent(summary.totalReturn)}, APY ${percent(
+        summary.apy
+      )}, average round yield ${percent(summary.averageRoundYield)}
+  Max drawdown ${percent(summary.maxDrawdown)}, in USD ${percent(
+        summary.maxUsdDrawdown
+      )}
+  Balance ${summary.totalBalance.toFixed(
+    4
+  )}, ${summary.totalBalanceAfterFee.toFixed(4)} after the withdrawal fee
+${curve.join("\n")}`;
+    })
+    .join("\n\n");
+}
@@ -0,0 +1,315 @@
+import commander from "commander";
+import colors from "colors";
+import { ethers } from "ethers";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  getProvider,
+  getSigner,
+  log,
+  printResult,
+} from "../helpers/cli";
+import { DeploymentCheck, checkDeployments } from "../helpers/deploymentChecks";
+import { getDefaultSigner } from "../helpers/getDefaultEthersProvider";
+import {
+  LOCAL_NETWORK,
+  LocalStack,
+  deployLocalStack,
+  getLocalStackMismatches,
+  writeLocalDeployments,
+} from "../helpers/localStack";
+import { getDeployments } from "../helpers/networks";
+
+const { getLatestDeployments } = require("../helpers/deploymentJournal");
+const {
+  EXPLORER_API_URLS,
+  verifySources,
+} = require("../helpers/sourceVerification");
+
+interface JournalEntry {
+  name: string;
+  contract: string;
+  address: string;
+  blockNumber: number;
+  codeHash: string;
+}
+
+interface DeploymentStatus {
+  name: string;
+  contract: string;
+  address: string;
+  blockNumber: number;
+  // `missing` when the address has no code, `drifted` when it has other code
+  code: "ok" | "missing" | "drifted";
+  // Address of the name in deployments.json, when it is not the journaled one
+  recordedAddress?: string;
+}
+
+interface SourceVerification {
+  name: string;
+  address: string;
+  status: "verified" | "failed";
+  message: string;
+}
+
+// Deploys the contracts and administers the proxies. The node sends calls without a
+// sender from its first account, which the proxies would reject if it were their admin.
+const LOCAL_ADMIN_PATH = "m/44'/60'/0'/0/2";
+
+export function registerDeployCommands(program: commander.Command) {
+  const deploy = program.command("deploy").description("Deploy the contracts");
+
+  deploy
+    .command("local")
+    .description(
+      "Deploy mock tokens, Gamma and AirSwap, the factory, the registry and the vaults on a fresh hardhat node"
+    )
+    .option(
+      "--no-write",
+      "Do not write the addresses to the local entry of deployments.json"
+    )
+    .action(deployLocal);
+
+  deploy
+    .command("status")
+    .description(
+      "Check the code of the network's journaled deployments on chain and their addresses in deployments.json"
+    )
+    .action(checkJournal);
+
+  deploy
+    .command("verify")
+    .description(
+      "Check the owners, admins, adapters, proxies and vault settings of the network against the constants files"
+    )
+    .action(verifyDeployments);
+
+  deploy
+    .command("verify-sources")
+    .description(
+      "Submit the sources of the network's journaled deployments which are not verified to its block explorer"
+    )
+    .option(
+      "--api-url <url>",
+      "Etherscan compatible verification API, defaults to the network's explorer"
+    )
+    .option(
+      "--api-key <key>",
+      "Explorer API key, defaults to the ETHERSCAN_API_KEY environment variable"
+    )
+    .action(verifyDeploymentSources);
+}
+
+async function deployLocal(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  if (options.network !== LOCAL_NETWORK) {
+    throw new CommandError(
+      `The local stack only deploys with --network ${LOCAL_NETWORK}`,
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const provider = getProvider(options);
+  const owner = getSigner(options);
+  const admin = getDefaultSigner(LOCAL_ADMIN_PATH, options.network).connect(
+    provider
+  );
+
+  let stack: LocalStack;
+  try {
+    stack = await deployLocalStack({
+      admin,
+      owner,
+      manager: await owner.getAddress(),
+    });
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.Failure);
+  }
+
+  // The external addresses and accounts of the local network are committed, a stack
+  // deployed from other accounts or in another order would not match them
+  const mismatches = getLocalStackMismatches(stack);
+  if (mismatches.length) {
+    throw new CommandError(
+      `The stack does not match the local constants:\n${mismatches.join("\n")}`,
+      ExitCode.CheckFailed
+    );
+  }
+
+  if (opts.write) {
+    writeLocalDeployments(stack.deployments);
+    log(`Wrote ${Object.keys(stack.deployments).length} deployments`);
+  }
+
+  printResult(options, stack, () =>
+    Object.entries({ ...stack.deployments, ...stack.accounts })
+      .map(([name, address]) => `${name.padEnd(24)} ${address}`)
+      .join("\n")
+  );
+}
+
+async function checkJournal(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const provider = getProvider(options);
+  const deployments = getDeployments(options.network);
+  const entries: JournalEntry[] = Object.values(
+    getLatestDeployments(options.network)
+  );
+
+  if (!entries.length) {
+    throw new CommandError(
+      `No journaled deployments on ${options.network}`,
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const statuses: DeploymentStatus[] = [];
+  for (const entry of entries) {
+    const code = await provider.getCode(entry.address);
+    const recordedAddress = deployments[entry.name];
+    let codeStatus: DeploymentStatus["code"] = "ok";
+    if (code === "0x") {
+      codeStatus = "missing";
+    } else if (ethers.utils.keccak256(code) !== entry.codeHash) {
+      codeStatus = "drifted";
+    }
+
+    statuses.push({
+      name: entry.name,
+      contract: entry.contract,
+      address: entry.address,
+      blockNumber: entry.blockNumber,
+      code: codeStatus,
+      ...(recordedAddress &&
+      recordedAddress.toLowerCase() !== entry.address.toLowerCase()
+        ? { recordedAddress }
+        : {}),
+    });
+  }
+
+  printResult(options, statuses, () =>
+    statuses
+      .map((status) => {
+        const color = status.code === "ok" ? colors.green : colors.red;
+        return [
+          `${status.name.padEnd(32)} ${status.address} ${color(status.code)}`,
+          ...(status.recordedAddress
+            ? [colors.red(`  deployments.json has ${status.recordedAddress}`)]
+            : []),
+        ].join("\n");
+      })
+      .join("\n")
+  );
+
+  const failures = statuses.filter(
+    (status) => status.code !== "ok" || status.recordedAddress
+  );
+  if (failures.length) {
+    throw new CommandError(
+      `${failures.length} deployments do not match the journal`,
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+async function verifyDeployments(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const checks = await checkDeployments(options.network, getProvider(options));
+
+  printResult(options, checks, () => renderDeploymentChecks(checks));
+
+  const failures = checks.filter((check) => !check.valid);
+  if (failures.length) {
+    throw new CommandError(
+      `${failures.length} of ${checks.length} deployment checks failed`,
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+async function verifyDeploymentSources(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const apiUrl: string | undefined =
+    opts.apiUrl || EXPLORER_API_URLS[options.network];
+  const apiKey: string | undefined =
+    opts.apiKey || process.env.ETHERSCAN_API_KEY;
+
+  if (!apiUrl) {
+    throw new CommandError(
+      `${options.network} has no explorer, pass --api-url`,
+      ExitCode.InvalidUsage
+    );
+  }
+  if (!apiKey) {
+    throw new CommandError(
+      "Pass --api-key or set ETHERSCAN_API_KEY",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  let results: SourceVerification[];
+  try {
+    results = await verifySources({
+      network: options.network,
+      apiUrl,
+      apiKey,
+    });
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.Failure);
+  }
+  if (!results.length) {
+    log(`Every journaled deployment on ${options.network} is verified`);
+  }
+
+  printResult(options, results, () =>
+    results
+      .map((result) => {
+        const color = result.status === "verified" ? colors.green : colors.red;
+        return `${result.name.padEnd(32)} ${result.address} ${color(
+          result.status
+        )} ${result.message}`;
+      })
+      .join("\n")
+  );
+
+  const failures = results.filter((result) => result.status !== "verified");
+  if (failures.length) {
+    throw new CommandError(
+      `${failures.length} of ${results.length} verifications failed`,
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+function renderDeploymentChecks(checks: DeploymentCheck[]) {
+  const lines: string[] = [];
+  checks.forEach((check, i) => {
+    if (i === 0 || checks[i - 1].subject !== check.subject) {
+      lines.push((i === 0 ? "" : "\n") + colors.bold(check.subject));
+    }
+    let status = colors.green("PASS");
+    if (check.expected === null) {
+      status = colors.cyan("INFO");
+    } else if (!check.valid) {
+      status = colors.red("FAIL");
+    }
+    lines.push(
+      `  ${status} ${check.check.padEnd(36)} ${check.actual}${
+        check.valid ? "" : ` (expected ${check.expected})`
+      }`
+    );
+  });
+
+  const failures = checks.filter((check) => !check.valid).length;
+  lines.push("");
+  lines.push(
+    failures
+      ? colors.red(`${failures} of ${checks.length} checks failed`)
+      : colors.green(`All ${checks.length} checks passed`)
+  );
+  return lines.join("\n");
+}
@@ -0,0 +1,145 @@
+import commander from "commander";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  getProvider,
+  printResult,
+} from "../helpers/cli";
+import {
+  IndexCursor,
+  IndexResult,
+  getCursors,
+  getEventDatabasePath,
+  indexVaultEvents,
+  openEventDatabase,
+} from "../helpers/events";
+import { Networks, getExternalAddresses } from "../helpers/networks";
+import { findVaults } from "../helpers/vaults";
+
+export function registerEventCommands(program: commander.Command) {
+  const events = program
+    .command("events")
+    .description("Index the vault events into a SQLite database");
+
+  events
+    .command("index")
+    .description(
+      "Scan the vault logs from the last indexed block, in resumable chunks"
+    )
+    .option("-v, --vault <vault>", "Vault deployment name or address")
+    .option(
+      "--from-block <block>",
+      "First block of vaults never indexed, defaults to their deployment block"
+    )
+    .option("--to-block <block>", "Last block to index")
+    .option(
+      "--confirmations <count>",
+      "Blocks left out behind the latest one",
+      "12"
+    )
+    .option("--chunk-size <blocks>", "Blocks per eth_getLogs request", "5000")
+    .option("--db-dir <dir>", "Directory of the event databases", ".events")
+    .action(indexEvents);
+
+  events
+    .command("status")
+    .description("Print the last indexed block and event count of each vault")
+    .option("--db-dir <dir>", "Directory of the event databases", ".events")
+    .action(printIndexStatus);
+}
+
+async function indexEvents(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const provider = getProvider(options);
+  const vaults = findVaults(options.network, opts.vault);
+
+  const chunkSize = parseInt(opts.chunkSize);
+  if (!(chunkSize > 0)) {
+    throw new CommandError(
+      "--chunk-size must be a positive number of blocks",
+      ExitCode.InvalidUsage
+    );
+  }
+  const toBlock = opts.toBlock
+    ? parseInt(opts.toBlock)
+    : (await provider.getBlockNumber()) - parseInt(opts.confirmations);
+
+  const swapContract = getSwapContract(options.network);
+
+  const db = openEventDatabase(
+    getEventDatabasePath(opts.dbDir, options.network)
+  );
+  const results: IndexResult[] = [];
+  try {
+    for (const vault of vaults) {
+      results.push(
+        await indexVaultEvents({
+          db,
+          vault,
+          provider,
+          ...(opts.fromBlock ? { fromBlock: parseInt(opts.fromBlock) } : {}),
+          toBlock,
+          chunkSize,
+          ...(swapContract ? { swapContract } : {}),
+        })
+      );
+    }
+  } finally {
+    db.close();
+  }
+
+  printResult(options, results, () =>
+    results
+      .map(
+        (result) =>
+          `${result.name.padEnd(30)} blocks ${result.fromBlock}-${
+            result.toBlock
+          } ${result.events} new events${
+            result.reorgedFrom === null ? "" : " after a reorg"
+          }`
+      )
+      .join("\n")
+  );
+}
+
+// Local networks have no AirSwap deployment to index the swaps of
+function getSwapContract(network: Networks): string | null {
+  try {
+    return getExternalAddresses(network).airswapSwap || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function printIndexStatus(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const db = openEventDatabase(
+    getEventDatabasePath(command.opts().dbDir, options.network)
+  );
+
+  let status: (IndexCursor & { events: number })[];
+  try {
+    const countEvents = db.prepare(
+      "SELECT COUNT(*) AS count FROM events WHERE vault = ?"
+    );
+    status = getCursors(db).map((cursor) => ({
+      ...cursor,
+      events: countEvents.get(cursor.vault).count,
+    }));
+  } finally {
+    db.close();
+  }
+
+  printResult(options, status, () =>
+    status
+      .map(
+        (cursor) =>
+          `${cursor.name.padEnd(30)} ${cursor.vault} blocks ${
+            cursor.fromBlock
+          }-${cursor.lastBlock} ${cursor.events} events`
+      )
+      .join("\n")
+  );
+}
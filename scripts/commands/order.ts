@@ -0,0 +1,238 @@
+import commander from "commander";
+import colors from "colors";
+import fs from "fs";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  GlobalOptions,
+  getProvider,
+  getSigner,
+  log,
+  printResult,
+} from "../helpers/cli";
+import {
+  AirswapOrder,
+  OrderVerification,
+  buildVaultOrder,
+  encodeSellOptions,
+  fetchOrderJSON,
+  verifyOrder,
+} from "../helpers/orders";
+import {
+  SafeBatch,
+  buildVaultBatch,
+  renderSafeBatch,
+  writeSafeBatch,
+} from "../helpers/safeBatch";
+import { findVaults } from "../helpers/vaults";
+
+export function registerOrderCommands(program: commander.Command) {
+  const order = program.command("order").description("Handle AirSwap orders");
+
+  order
+    .command("encode")
+    .description(
+      "Verify an order stored on IPFS and encode the sellOptions call for it"
+    )
+    .requiredOption("-i, --ipfsHash <ipfsHash>", "IPFS Hash")
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option(
+      "--min-yield <percentage>",
+      "Minimum annualized yield of the premium, in percent",
+      "5"
+    )
+    .option("--force", "Encode the order even if it fails the checks", false)
+    .option(
+      "--safe-batch <file>",
+      "Write a Safe transaction builder batch calling sellOptions"
+    )
+    .action(encodeOrder);
+
+  order
+    .command("build")
+    .description(
+      "Build and sign an order buying a vault's currentOption, as the counterparty signer"
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .requiredOption(
+      "--premium <amount>",
+      "Premium paid in the vault asset, e.g. 1.5"
+    )
+    .option(
+      "--amount <amount>",
+      "Amount of oTokens bought, defaults to the vault's whole balance"
+    )
+    .option(
+      "--expiry <seconds>",
+      "Seconds until the order expires",
+      (24 * 60 * 60).toString()
+    )
+    .option("--nonce <nonce>", "Order nonce, defaults to the current time")
+    .option("-o, --out <file>", "Write the signed order JSON to a file")
+    .option(
+      "--min-yield <percentage>",
+      "Minimum annualized yield of the premium, in percent",
+      "5"
+    )
+    .action(buildOrder);
+
+  order
+    .command("validate")
+    .description("Validate a signed order against a vault's currentOption")
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option("-f, --order <file>", "Signed order JSON file")
+    .option("-i, --ipfsHash <ipfsHash>", "IPFS hash of the signed order")
+    .option(
+      "--min-yield <percentage>",
+      "Minimum annualized yield of the premium, in percent",
+      "5"
+    )
+    .action(validateOrder);
+}
+
+async function encodeOrder(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  const order = await fetchOrderJSON(opts.ipfsHash);
+  const verification = await verifyVaultOrder(options, opts, order);
+
+  if (!verification.valid && !opts.force) {
+    printResult(options, { order, verification }, () =>
+      renderOrderVerification(verification)
+    );
+    throw new CommandError("Order failed verification", ExitCode.CheckFailed);
+  }
+  if (!verification.valid) {
+    log(colors.yellow("Order failed verification, encoding it anyway"));
+  }
+
+  const encoded = await encodeSellOptions(order);
+
+  let batch: SafeBatch | null = null;
+  if (opts.safeBatch) {
+    batch = await buildVaultBatch({
+      network: options.network,
+      vaultAddress: verification.vault,
+      provider: getProvider(options),
+      calls: [{ method: "sellOptions", args: [order] }],
+      name: `${opts.vault} sellOptions`,
+      description: `Sell ${verification.otoken} for ${verification.premium} ${verification.asset}`,
+    });
+    writeSafeBatch(opts.safeBatch, batch);
+    log(`Wrote the Safe batch to ${opts.safeBatch}`);
+  }
+
+  printResult(
+    options,
+    { order, verification, encoded, ...(batch ? { batch } : {}) },
+    () =>
+      `Order JSON: ${JSON.stringify(order, null, 2)}
+${renderOrderVerification(verification)}
+Encoded hex data: ${encoded}${batch ? `\n${renderSafeBatch(batch)}` : ""}`
+  );
+}
+
+async function buildOrder(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const provider = getProvider(options);
+
+  const timestamp = (await provider.getBlock("latest")).timestamp;
+  const order = await buildVaultOrder({
+    network: options.network,
+    vaultAddress: getVaultAddress(options, opts.vault),
+    provider,
+    signer: getSigner(options),
+    premium: opts.premium,
+    ...(opts.amount ? { amount: opts.amount } : {}),
+    expiry: timestamp + parseInt(opts.expiry),
+    ...(opts.nonce ? { nonce: opts.nonce } : {}),
+  });
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(order, null, 2) + "\n");
+    log(`Wrote the signed order to ${opts.out}`);
+  }
+
+  const verification = await verifyVaultOrder(options, opts, order);
+  printResult(
+    options,
+    { order, verification },
+    () =>
+      `Order JSON: ${JSON.stringify(order, null, 2)}
+${renderOrderVerification(verification)}`
+  );
+  if (!verification.valid) {
+    throw new CommandError("Order failed verification", ExitCode.CheckFailed);
+  }
+}
+
+async function validateOrder(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  let order: AirswapOrder;
+  if (opts.order) {
+    order = JSON.parse(fs.readFileSync(opts.order).toString());
+  } else if (opts.ipfsHash) {
+    order = await fetchOrderJSON(opts.ipfsHash);
+  } else {
+    throw new CommandError(
+      "Either --order or --ipfsHash is required",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const verification = await verifyVaultOrder(options, opts, order);
+  printResult(options, verification, () =>
+    renderOrderVerification(verification)
+  );
+  if (!verification.valid) {
+    throw new CommandError("Order failed verification", ExitCode.CheckFailed);
+  }
+}
+
+function getVaultAddress(options: GlobalOptions, vault: string) {
+  const vaults = findVaults(options.network, vault);
+  if (vaults.length !== 1) {
+    throw new CommandError(
+      `Expected a single vault, found ${vaults.length}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  return vaults[0].address;
+}
+
+function verifyVaultOrder(
+  options: GlobalOptions,
+  opts: { [key: string]: string },
+  order: AirswapOrder
+) {
+  return verifyOrder(order, {
+    network: options.network,
+    vaultAddress: getVaultAddress(options, opts.vault),
+    provider: getProvider(options),
+    minYield: parseFloat(opts.minYield) / 100,
+  });
+}
+
+function renderOrderVerification(verification: OrderVerification) {
+  const checks = verification.checks.map(
+    (check) =>
+      `${check.name.padEnd(20)} ${
+        check.valid ? colors.green(check.message) : colors.red(check.message)
+      }`
+  );
+  const annualizedYield =
+    verification.annualizedYield === null
+      ? "n/a"
+      : `${(verification.annualizedYield * 100).toFixed(2)}%`;
+
+  return `Vault: ${verification.vault}
+oToken: ${verification.otoken}
+Premium: ${verification.premium} ${verification.asset}
+Annualized yield: ${annualizedYield}
+${checks.join("\n")}`;
+}
@@ -0,0 +1,247 @@
+import commander from "commander";
+import {
+  encodeCommitAndClose,
+  renderCommitAndClose,
+} from "../helpers/encodeCommitAndClose";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  getProvider,
+  getTransactionManager,
+  log,
+  printResult,
+} from "../helpers/cli";
+import {
+  OtokenInfo,
+  OtokenParams,
+  createOtoken,
+  getOtokenInfo,
+  getOtokenParams,
+} from "../helpers/otokens";
+import {
+  Greeks,
+  OptionPrice,
+  parseOtokenStrike,
+  priceOptionTerms,
+} from "../helpers/pricing";
+import {
+  StrikeSelection,
+  StrikeSelectionParams,
+  selectStrike,
+} from "../helpers/strikeSelection";
+
+export function registerOtokenCommands(program: commander.Command) {
+  const otoken = program.command("otoken").description("Manage Opyn oTokens");
+
+  addStrikeSelectionOptions(
+    otoken
+      .command("deploy")
+      .description(
+        "Deploy an oToken with the oToken factory and encode commitAndClose for it. " +
+          "Pass either the strike price and expiry or the strike selection options."
+      )
+      .option("-u, --underlying <underlying>", "Underlying")
+      .option("-s, --strikeAsset <strikeAsset>", "Strike asset")
+      .option("-c, --collateralAsset <collateralAsset>", "Collateral asset")
+      .option(
+        "-x, --strikePrice <strikePrice>",
+        "Strike price, scaled by 10**8"
+      )
+      .option("-e, --expiry <expiry>", "Expiry")
+      .option("-p, --isPut", "Is put", false)
+  ).action(deployOtoken);
+
+  addStrikeSelectionOptions(
+    otoken
+      .command("select")
+      .description("Select the strike and expiry of next week's oToken")
+      .option("-p, --isPut", "Is put", false)
+  ).action(selectOtoken);
+
+  otoken
+    .command("price")
+    .description("Price an oToken and its greeks with Black-Scholes")
+    .requiredOption("-a, --address <oTokenAddress>", "oToken address")
+    .requiredOption("--spot <price>", "Spot price of the underlying, in USD")
+    .requiredOption(
+      "--iv <iv>",
+      "Annualized implied volatility, e.g. 0.9 for 90%"
+    )
+    .option("--rate <rate>", "Annualized risk-free rate", "0")
+    .option(
+      "--collateralPrice <price>",
+      "USD price of the collateral when it is neither the underlying nor the strike asset"
+    )
+    .action(priceOtoken);
+}
+
+/**
+ * Registers the options to select the strike of the next oToken
+ * @param command is the command selecting a strike
+ */
+export function addStrikeSelectionOptions(command: commander.Command) {
+  return command
+    .option("--spot <price>", "Spot price of the underlying, in USD")
+    .option("--iv <iv>", "Annualized implied volatility, e.g. 0.9 for 90%")
+    .option("--delta <delta>", "Absolute delta target, e.g. 0.1")
+    .option("--otm <percentage>", "Out of the money percentage target, e.g. 10")
+    .option("--strikeStep <step>", "Spacing of the strike grid, in USD");
+}
+
+/**
+ * Parses the strike selection options. Returns null when no spot price is passed.
+ * @param opts is the options of the command selecting a strike
+ */
+export function getStrikeSelectionParams(opts: {
+  [key: string]: string;
+}): Omit<StrikeSelectionParams, "isPut"> | null {
+  if (!opts.spot) {
+    return null;
+  }
+  if (!opts.iv) {
+    throw new CommandError(
+      "--iv is required to select a strike",
+      ExitCode.InvalidUsage
+    );
+  }
+  if (Boolean(opts.delta) === Boolean(opts.otm)) {
+    throw new CommandError(
+      "Either --delta or --otm is required to select a strike",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  return {
+    spot: parseFloat(opts.spot),
+    iv: parseFloat(opts.iv),
+    ...(opts.delta ? { delta: parseFloat(opts.delta) } : {}),
+    ...(opts.otm ? { otmPercentage: parseFloat(opts.otm) } : {}),
+    ...(opts.strikeStep ? { strikeStep: parseFloat(opts.strikeStep) } : {}),
+  };
+}
+
+async function selectOtoken(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  const selectionParams = getStrikeSelectionParams(opts);
+  if (!selectionParams) {
+    throw new CommandError(
+      "--spot is required to select a strike",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const selection = selectStrike({ ...selectionParams, isPut: opts.isPut });
+  printResult(options, selection, () => renderStrikeSelection(selection));
+}
+
+export function renderStrikeSelection(selection: StrikeSelection) {
+  return `Strike: ${selection.strike} (target ${selection.targetStrike.toFixed(
+    2
+  )}, grid ${selection.strikeStep})
+Strike price: ${selection.strikePrice}
+Delta: ${selection.delta.toFixed(4)}
+Expiry: ${selection.expiry} ${new Date(selection.expiry * 1000).toUTCString()}
+Option type: ${selection.isPut ? "PUT" : "CALL"}`;
+}
+
+async function deployOtoken(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const { network } = options;
+
+  const provider = getProvider(options);
+
+  const opts = command.opts();
+  const selectionParams = getStrikeSelectionParams(opts);
+  if (selectionParams) {
+    const selection = selectStrike({ ...selectionParams, isPut: opts.isPut });
+    log(renderStrikeSelection(selection));
+    opts.strikePrice = selection.strikePrice;
+    opts.expiry = selection.expiry.toString();
+  }
+  if (!opts.strikePrice || !opts.expiry) {
+    throw new CommandError(
+      "Either --strikePrice and --expiry or --spot is required",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const params = getOtokenParams(network, opts as OtokenParams);
+
+  log(params);
+
+  const { txHash, otokenAddress } = await createOtoken(
+    network,
+    params,
+    getTransactionManager(options)
+  );
+
+  const result = {
+    txHash,
+    otoken: await getOtokenInfo(otokenAddress, provider),
+    commitAndClose: await encodeCommitAndClose(
+      network,
+      otokenAddress,
+      provider
+    ),
+  };
+
+  printResult(
+    options,
+    result,
+    () => `
+${renderOtokenInfo(result.otoken)}
+${renderCommitAndClose(result.commitAndClose)}`
+  );
+}
+
+async function priceOtoken(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  const { optionTerms } = await encodeCommitAndClose(
+    options.network,
+    opts.address,
+    getProvider(options)
+  );
+  const price = priceOptionTerms(optionTerms, {
+    spot: parseFloat(opts.spot),
+    iv: parseFloat(opts.iv),
+    rate: parseFloat(opts.rate),
+    ...(opts.collateralPrice
+      ? { collateralPrice: parseFloat(opts.collateralPrice) }
+      : {}),
+  });
+
+  printResult(options, price, () => renderOptionPrice(price));
+}
+
+export function renderOptionPrice(price: OptionPrice) {
+  const renderGreeks = (greeks: Greeks) =>
+    `price ${greeks.price.toPrecision(6)}, delta ${greeks.delta.toFixed(
+      4
+    )}, gamma ${greeks.gamma.toPrecision(4)}, theta ${greeks.theta.toPrecision(
+      4
+    )}/day, vega ${greeks.vega.toPrecision(4)}/vol point`;
+
+  return `Strike: ${price.terms.strike} ${price.terms.isPut ? "PUT" : "CALL"}
+Expiry: ${new Date(price.terms.expiry * 1000).toUTCString()}
+Spot: ${price.spot}, IV: ${price.iv}, time to expiry: ${(
+    price.timeToExpiry * 365
+  ).toFixed(2)} days
+USD: ${renderGreeks(price.usd)}
+Collateral: ${renderGreeks(price.collateral)}`;
+}
+
+export function renderOtokenInfo(otoken: OtokenInfo) {
+  return `Otoken: ${otoken.address}
+Symbol: ${otoken.symbol}
+Strike price: ${parseOtokenStrike(otoken.strikePrice)}
+Underlying: ${otoken.underlying}
+Strike: ${otoken.strike}
+Collateral: ${otoken.collateral}
+Expiry: ${new Date(otoken.expiry * 1000).toUTCString()}
+Option type: ${otoken.optionType}`;
+}
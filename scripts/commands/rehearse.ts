@@ -0,0 +1,155 @@
+import commander from "commander";
+import colors from "colors";
+import fs from "fs";
+import {
+  CommandError,
+  ExitCode,
+  GlobalOptions,
+  getGlobalOptions,
+  getProvider,
+  printResult,
+} from "../helpers/cli";
+import { encodeCommitAndClose } from "../helpers/encodeCommitAndClose";
+import { getRpcUrl } from "../helpers/networks";
+import { fetchOrderJSON } from "../helpers/orders";
+import {
+  RehearsalPlan,
+  RehearsalResult,
+  buildRollRehearsal,
+  loadRehearsalPlan,
+  runRehearsal,
+} from "../helpers/rehearsal";
+import { VaultDeployment, findVaults } from "../helpers/vaults";
+
+export function registerRehearseCommands(program: commander.Command) {
+  const rehearse = program
+    .command("rehearse")
+    .description(
+      "Rehearse privileged calls on a fork of the network at its latest block"
+    );
+
+  rehearse
+    .command("plan <file>")
+    .description(
+      "Rehearse a plan file or a Safe batch written by `vault propose` or `upgrade propose`"
+    )
+    .action(rehearsePlan);
+
+  rehearse
+    .command("roll")
+    .description(
+      "Rehearse commitAndClose, rollToNextOption and sellOptions for a deployed oToken"
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .requiredOption("-a, --otoken <address>", "oToken address")
+    .option("-f, --order <file>", "Signed AirSwap order JSON file")
+    .option("-i, --ipfsHash <ipfsHash>", "IPFS hash of the signed order")
+    .action(rehearseRoll);
+}
+
+async function rehearsePlan(file: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  if (!fs.existsSync(file)) {
+    throw new CommandError(`No plan at ${file}`, ExitCode.InvalidUsage);
+  }
+
+  let plan: RehearsalPlan;
+  try {
+    plan = await loadRehearsalPlan(options.network, file);
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+  await rehearse(options, plan);
+}
+
+async function rehearseRoll(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const vault = findVault(options, opts.vault);
+  const provider = getProvider(options);
+
+  let order = null;
+  if (opts.order) {
+    order = JSON.parse(fs.readFileSync(opts.order).toString());
+  } else if (opts.ipfsHash) {
+    order = await fetchOrderJSON(opts.ipfsHash);
+  }
+
+  // The plan is encoded against the live network, before it is forked
+  const { optionTerms } = await encodeCommitAndClose(
+    options.network,
+    opts.otoken,
+    provider
+  );
+  const plan = await buildRollRehearsal({
+    network: options.network,
+    vaultAddress: vault.address,
+    optionTerms,
+    ...(order ? { order } : {}),
+    provider,
+  });
+  await rehearse(options, plan);
+}
+
+async function rehearse(options: GlobalOptions, plan: RehearsalPlan) {
+  const result = await runRehearsal(
+    plan,
+    options.rpcUrl || getRpcUrl(options.network)
+  );
+  printResult(options, result, () => renderRehearsal(result));
+
+  if (!result.success) {
+    throw new CommandError(
+      "The rehearsal reverted, the later steps were skipped",
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+function renderRehearsal(result: RehearsalResult) {
+  const lines = [`Rehearsal on ${result.network} at block ${result.forkBlock}`];
+  const statusColors = {
+    success: colors.green,
+    reverted: colors.red,
+    skipped: colors.yellow,
+    waited: colors.cyan,
+  };
+
+  for (const step of result.steps) {
+    lines.push("");
+    lines.push(`${step.label}: ${statusColors[step.status](step.status)}`);
+    if (step.from) {
+      lines.push(`  From: ${step.from}`);
+    }
+    if (step.revertReason) {
+      lines.push(`  Revert reason: ${step.revertReason}`);
+    }
+    if (step.gasUsed) {
+      lines.push(`  Gas used: ${step.gasUsed}`);
+    }
+    step.events.forEach((event) =>
+      lines.push(
+        `  Event ${event.name} at ${event.address}: ${Object.entries(event.args)
+          .map(([name, value]) => `${name}=${value}`)
+          .join(" ")}`
+      )
+    );
+    step.balanceChanges.forEach((change) =>
+      lines.push(
+        `  Balance ${change.account}: ${change.amount} ${change.symbol}`
+      )
+    );
+  }
+  return lines.join("\n");
+}
+
+function findVault(options: GlobalOptions, vault: string): VaultDeployment {
+  const vaults = findVaults(options.network, vault);
+  if (vaults.length !== 1) {
+    throw new CommandError(
+      `Expected a single vault, found ${vaults.length}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  return vaults[0];
+}
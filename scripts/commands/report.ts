@@ -0,0 +1,217 @@
+import commander from "commander";
+import { ethers } from "ethers";
+import fs from "fs";
+import moment from "moment";
+import {
+  CommandError,
+  ExitCode,
+  GlobalOptions,
+  getGlobalOptions,
+  getProvider,
+  log,
+  printResult,
+} from "../helpers/cli";
+import { toCSV } from "../helpers/csv";
+import { getEventDatabasePath, openEventDatabase } from "../helpers/events";
+import { RoundRecord, getRoundRecords } from "../helpers/performance";
+import { AccountPosition, getAccountPosition } from "../helpers/positions";
+import { VaultDeployment, findVaults } from "../helpers/vaults";
+
+export function registerReportCommands(program: commander.Command) {
+  const report = program
+    .command("report")
+    .description("Report the vault performance from the indexed events");
+
+  report
+    .command("rounds")
+    .description(
+      "Break a vault's history into weekly rounds with their premium, losses and yield"
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option("--csv", "Print the rounds as CSV", false)
+    .option("-o, --out <file>", "Write the report to a file")
+    .option("--db-dir <dir>", "Directory of the event databases", ".events")
+    .action(reportRounds);
+
+  report
+    .command("account <address>")
+    .description(
+      "Reconstruct an account's vault shares and compute its cost basis and PnL"
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option("--csv", "Print the account's share history as CSV", false)
+    .option("-o, --out <file>", "Write the report to a file")
+    .option("--db-dir <dir>", "Directory of the event databases", ".events")
+    .action(reportAccount);
+}
+
+async function reportRounds(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const vault = findVault(options, opts.vault);
+
+  const db = openEventDatabase(
+    getEventDatabasePath(opts.dbDir, options.network)
+  );
+  let records: RoundRecord[];
+  try {
+    assertIndexed(db, vault);
+    records = await getRoundRecords({
+      network: options.network,
+      db,
+      vaultAddress: vault.address,
+      provider: getProvider(options),
+    });
+  } finally {
+    db.close();
+  }
+
+  writeReport(options, opts, records, () => renderRounds(records));
+}
+
+async function reportAccount(address: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const vault = findVault(options, opts.vault);
+  if (!ethers.utils.isAddress(address)) {
+    throw new CommandError(
+      `Invalid account address ${address}`,
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const db = openEventDatabase(
+    getEventDatabasePath(opts.dbDir, options.network)
+  );
+  let position: AccountPosition;
+  try {
+    assertIndexed(db, vault);
+    position = await getAccountPosition({
+      db,
+      vaultAddress: vault.address,
+      account: address,
+      provider: getProvider(options),
+    });
+  } finally {
+    db.close();
+  }
+
+  if (opts.csv) {
+    writeReport(options, opts, position.history, () => "");
+  } else {
+    printPosition(options, opts, position);
+  }
+}
+
+function printPosition(
+  options: GlobalOptions,
+  opts: { [key: string]: string },
+  position: AccountPosition
+) {
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(position, null, 2) + "\n");
+    log(`Wrote the position to ${opts.out}`);
+    return;
+  }
+
+  printResult(options, position, () => {
+    const history = position.history.map(
+      (event) =>
+        `${moment
+          .unix(event.timestamp)
+          .utc()
+          .toISOString()} ${event.type.padEnd(12)} ${event.shares} shares for ${
+          event.amount
+        }${event.fee === "0.0" ? "" : ` (fee ${event.fee})`} PnL ${
+          event.realizedPnl
+        }`
+    );
+    return `Account: ${position.account}
+Vault: ${position.vault}
+${"Shares:".padEnd(20)} ${position.shares}
+${"Cost basis:".padEnd(20)} ${position.costBasis}
+${"Current value:".padEnd(20)} ${position.currentValue} (${
+      position.currentValueAfterFee
+    } after the ${position.withdrawalFee} withdrawal fee)
+${"Realized PnL:".padEnd(20)} ${position.realizedPnl}
+${"Unrealized PnL:".padEnd(20)} ${position.unrealizedPnl}
+${"Withdrawable now:".padEnd(20)} ${position.withdrawable}
+${history.join("\n")}`;
+  });
+}
+
+/**
+ * Prints a report as CSV, JSON or text, or writes it to `--out`
+ */
+function writeReport(
+  options: GlobalOptions,
+  opts: { [key: string]: string },
+  records: Record<string, any>[],
+  render: () => string
+) {
+  if (!opts.out) {
+    if (opts.csv) {
+      process.stdout.write(toCSV(records));
+    } else {
+      printResult(options, records, render);
+    }
+    return;
+  }
+
+  fs.writeFileSync(
+    opts.out,
+    opts.csv ? toCSV(records) : JSON.stringify(records, null, 2) + "\n"
+  );
+  log(`Wrote ${records.length} records to ${opts.out}`);
+}
+
+function findVault(options: GlobalOptions, vault: string): VaultDeployment {
+  const vaults = findVaults(options.network, vault);
+  if (vaults.length !== 1) {
+    throw new CommandError(
+      `Expected a single vault, found ${vaults.length}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  return vaults[0];
+}
+
+function assertIndexed(
+  db: ReturnType<typeof openEventDatabase>,
+  vault: VaultDeployment
+) {
+  const cursor = db
+    .prepare("SELECT last_block FROM cursors WHERE vault = ?")
+    .get(ethers.utils.getAddress(vault.address));
+  if (!cursor) {
+    throw new CommandError(
+      `${vault.name} is not indexed, run \`events index --vault ${vault.name}\` first`,
+      ExitCode.InvalidUsage
+    );
+  }
+}
+
+function renderRounds(records: RoundRecord[]) {
+  const percent = (value: number | null) =>
+    value === null ? "-" : `${(value * 100).toFixed(2)}%`;
+
+  return records
+    .map(
+      (record) =>
+        `Round ${record.round}: ${record.otoken} ${record.optionType} $${
+          record.strikePrice
+        } expiring ${moment.unix(record.expiry).utc().format("YYYY-MM-DD")}
+  Locked ${record.lockedAmount}, premium ${record.premium}, returned ${
+          record.returnedAmount || "-"
+        }, loss ${record.loss || "-"}
+  Expiry price ${record.expiryPrice ? `$${record.expiryPrice}` : "-"}${
+          record.itm ? " (ITM)" : ""
+        }, price per share ${record.pricePerShareBefore || "-"} -> ${
+          record.pricePerShareAfter || "-"
+        }
+  Weekly yield ${percent(record.weeklyYield)}, APY ${percent(
+          record.apy
+        )}, cumulative ${percent(record.cumulativeReturn)}`
+    )
+    .join("\n");
+}
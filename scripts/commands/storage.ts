@@ -0,0 +1,247 @@
+import commander from "commander";
+import colors from "colors";
+import { ethers } from "ethers";
+import fs from "fs";
+import {
+  CommandError,
+  ExitCode,
+  GlobalOptions,
+  getGlobalOptions,
+  log,
+  printResult,
+} from "../helpers/cli";
+import { getDeployments } from "../helpers/networks";
+import {
+  StorageChange,
+  StorageVariable,
+  UpgradeSimulation,
+  simulateUpgrade,
+} from "../helpers/upgrades";
+
+const {
+  diffStorageLayouts,
+  getStorageLayout,
+  getStorageVariables,
+  readStorageLayoutFile,
+} = require("../helpers/storageLayout");
+
+const DEFAULT_CONTRACT = "RibbonThetaVault";
+
+export function registerStorageCommands(program: commander.Command) {
+  const storage = program
+    .command("storage")
+    .description("Check that upgrades keep the storage of the proxies intact");
+
+  storage
+    .command("layout <contract>")
+    .description("Print the storage layout of a compiled contract")
+    .option("-o, --out <file>", "Save the layout to compare it later")
+    .action(printLayout);
+
+  storage
+    .command("diff <old> <new>")
+    .description(
+      "Flag the variables a new layout removes, moves or retypes. A layout is a compiled contract, a file of `storage layout --out` or a build info file."
+    )
+    .option(
+      "-c, --contract <contract>",
+      "Contract read from build info files",
+      DEFAULT_CONTRACT
+    )
+    .action(diffLayouts);
+
+  storage
+    .command("upgrade <proxy>")
+    .description(
+      "Snapshot a proxy's storage before and after upgradeTo on a fork of the network, as its admin"
+    )
+    .option("--implementation <address>", "Deployed implementation")
+    .option(
+      "-c, --contract <contract>",
+      "Deploy the implementation on the fork from a compiled contract"
+    )
+    .option(
+      "--constructor-args <file>",
+      "JSON constructor arguments of --contract"
+    )
+    .option(
+      "--old-layout <layout>",
+      "Layout of the current implementation",
+      DEFAULT_CONTRACT
+    )
+    .option(
+      "--new-layout <layout>",
+      "Layout of the new implementation, defaults to --contract or RibbonThetaVault"
+    )
+    .option(
+      "--accounts <addresses...>",
+      "Keys of the address mappings to snapshot, e.g. depositors"
+    )
+    .action(simulateProxyUpgrade);
+}
+
+async function printLayout(contract: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const layout = await readLayout(contract, contract);
+
+  if (opts.out) {
+    fs.writeFileSync(opts.out, JSON.stringify(layout, null, 2) + "\n");
+    log(`Wrote the storage layout to ${opts.out}`);
+  }
+
+  const variables: StorageVariable[] = getStorageVariables(layout);
+  printResult(options, variables, () =>
+    variables
+      .map(
+        (variable) =>
+          `${variable.slot}:${variable.offset}`.padEnd(8) +
+          `${variable.key} ${colors.gray(variable.type)}`
+      )
+      .join("\n")
+  );
+}
+
+async function diffLayouts(
+  oldLayout: string,
+  newLayout: string,
+  command: commander.Command
+) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  const diff: { compatible: boolean; changes: StorageChange[] } =
+    diffStorageLayouts(
+      await readLayout(oldLayout, opts.contract),
+      await readLayout(newLayout, opts.contract)
+    );
+  printResult(options, diff, () =>
+    [
+      ...diff.changes.map(renderChange),
+      diff.compatible
+        ? colors.green("The new layout keeps the storage intact")
+        : colors.red("The new layout breaks the storage"),
+    ].join("\n")
+  );
+
+  if (!diff.compatible) {
+    throw new CommandError(
+      `${newLayout} is not storage compatible with ${oldLayout}`,
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+async function simulateProxyUpgrade(proxy: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  if (!opts.implementation === !opts.contract) {
+    throw new CommandError(
+      "Pass either --implementation or --contract",
+      ExitCode.InvalidUsage
+    );
+  }
+  if (opts.contract && !opts.constructorArgs) {
+    throw new CommandError(
+      "--contract needs --constructor-args",
+      ExitCode.InvalidUsage
+    );
+  }
+
+  const simulation = await simulateUpgrade({
+    network: options.network,
+    proxyAddress: resolveAddress(options, proxy),
+    rpcUrl: options.rpcUrl,
+    implementation: opts.implementation
+      ? resolveAddress(options, opts.implementation)
+      : {
+          contract: opts.contract,
+          args: JSON.parse(fs.readFileSync(opts.constructorArgs).toString()),
+        },
+    oldLayout: await readLayout(opts.oldLayout, DEFAULT_CONTRACT),
+    newLayout: await readLayout(
+      opts.newLayout || opts.contract || DEFAULT_CONTRACT,
+      opts.contract || DEFAULT_CONTRACT
+    ),
+    accounts: ((opts.accounts || []) as string[]).map((account) =>
+      resolveAddress(options, account)
+    ),
+  });
+  printResult(options, simulation, () => renderUpgradeSimulation(simulation));
+
+  if (!simulation.success) {
+    throw new CommandError(
+      `The upgrade of ${proxy} does not keep its storage intact`,
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+export function renderChange(change: StorageChange) {
+  const position = (variable: StorageVariable) =>
+    `slot ${variable.slot}:${variable.offset} ${variable.type}`;
+  const kindColors = {
+    removed: colors.red,
+    moved: colors.red,
+    retyped: colors.red,
+    renamed: colors.yellow,
+    resized: colors.yellow,
+    added: colors.green,
+  };
+
+  const descriptions = [
+    change.old ? position(change.old) : "",
+    change.new ? position(change.new) : "",
+  ].filter(Boolean);
+  const renamed = change.kind === "renamed" && change.new ? change.new.key : "";
+  return `${kindColors[change.kind](change.kind.padEnd(8))}${change.key}${
+    renamed ? ` -> ${renamed}` : ""
+  }: ${descriptions.join(" -> ")}`;
+}
+
+export function renderUpgradeSimulation(simulation: UpgradeSimulation) {
+  const lines = [
+    `Upgrade of ${simulation.proxy} on ${simulation.network} at block ${simulation.forkBlock}`,
+    `Implementation: ${simulation.oldImplementation} -> ${simulation.newImplementation}`,
+    `upgradeTo: ${simulation.upgrade.status}${
+      simulation.upgrade.revertReason
+        ? ` (${simulation.upgrade.revertReason})`
+        : ""
+    }`,
+    "",
+    ...simulation.after.map((entry) => `${entry.label}: ${entry.value}`),
+  ];
+
+  if (simulation.mismatches.length) {
+    lines.push("");
+    lines.push(colors.red("Variables read differently after the upgrade:"));
+    simulation.mismatches.forEach((mismatch) =>
+      lines.push(`${mismatch.label}: ${mismatch.before} -> ${mismatch.after}`)
+    );
+  }
+  return lines.join("\n");
+}
+
+// A layout is a layout or build info file, or else the name of a compiled contract
+export async function readLayout(layout: string, contract: string) {
+  try {
+    return fs.existsSync(layout)
+      ? readStorageLayoutFile(layout, contract)
+      : await getStorageLayout(layout);
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+}
+
+function resolveAddress(options: GlobalOptions, nameOrAddress: string) {
+  const address =
+    getDeployments(options.network)[nameOrAddress] || nameOrAddress;
+  if (!ethers.utils.isAddress(address)) {
+    throw new CommandError(
+      `No deployment named ${nameOrAddress} on ${options.network}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  return address;
+}
@@ -0,0 +1,108 @@
+import commander from "commander";
+import { BigNumber, ethers } from "ethers";
+import hre from "hardhat";
+import moment from "moment";
+import {
+  GlobalOptions,
+  getGlobalOptions,
+  getProvider,
+  printResult,
+} from "../helpers/cli";
+import { VaultDeployment, findVaults } from "../helpers/vaults";
+
+export function registerTradeCommands(program: commander.Command) {
+  const trade = program
+    .command("trade")
+    .description("Prepare the weekly option sales");
+
+  trade
+    .command("message")
+    .description("Generate the trade message sent to counterparties")
+    .option("-v, --vault <vault>", "Vault deployment name or address")
+    .action(generateTradeMessages);
+}
+
+interface TradeMessage {
+  vault: string;
+  name: string;
+  assetName: string;
+  optionType: "Put" | "Call";
+  otoken: string;
+  strikePrice: string;
+  expiry: number;
+  quantity: string;
+}
+
+async function generateTradeMessages(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const vaults = findVaults(options.network, command.opts().vault);
+
+  const messages: TradeMessage[] = [];
+  for (const vault of vaults) {
+    messages.push(await generateTradeMessage(vault, options));
+  }
+
+  printResult(options, messages, () =>
+    messages.map(renderTradeMessage).join("\n")
+  );
+}
+
+async function generateTradeMessage(
+  { name, address: vaultAddress }: VaultDeployment,
+  options: GlobalOptions
+): Promise<TradeMessage> {
+  const provider = getProvider(options);
+  const vaultArtifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+  const otokenArtifact = await hre.artifacts.readArtifact("OtokenInterface");
+  const erc20Artifact = await hre.artifacts.readArtifact("IERC20Detailed");
+
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+
+  const otokenAddress = await vault.currentOption();
+  const underlying = new ethers.Contract(
+    await vault.underlying(),
+    erc20Artifact.abi,
+    provider
+  );
+  const underlyingSymbol: string = await underlying.symbol();
+
+  const otoken = new ethers.Contract(
+    otokenAddress,
+    otokenArtifact.abi,
+    provider
+  );
+  const otokenERC20 = new ethers.Contract(
+    otokenAddress,
+    erc20Artifact.abi,
+    provider
+  );
+
+  const strikePrice = (await otoken.strikePrice()).div(
+    BigNumber.from("10").pow(BigNumber.from("8"))
+  );
+
+  return {
+    vault: vaultAddress,
+    name,
+    assetName: underlyingSymbol === "WETH" ? "ETH" : underlyingSymbol,
+    optionType: (await otoken.isPut()) ? "Put" : "Call",
+    otoken: otokenAddress,
+    strikePrice: strikePrice.toString(),
+    expiry: (await otoken.expiryTimestamp()).toNumber(),
+    quantity: ethers.utils.formatUnits(
+      await otokenERC20.balanceOf(vaultAddress),
+      8
+    ),
+  };
+}
+
+function renderTradeMessage(message: TradeMessage) {
+  const dt = moment.unix(message.expiry);
+
+  return `oToken ${message.assetName}/USDC ${message.optionType}
+oToken Address: ${message.otoken}
+Counterparty Address: ${message.vault}
+Strike: ${message.strikePrice}
+Expiry: ${dt.utc().format("DDMMMYY").toUpperCase()}
+Quantity (contracts): ${message.quantity}\n`;
+}
@@ -0,0 +1,76 @@
+import commander from "commander";
+import {
+  GlobalOptions,
+  getGlobalOptions,
+  getTransactionManager,
+  printResult,
+} from "../helpers/cli";
+import {
+  JournalEntry,
+  SentTransaction,
+  getJournalPath,
+  readJournal,
+} from "../helpers/transactions";
+
+export function registerTxCommands(program: commander.Command) {
+  const tx = program
+    .command("tx")
+    .description("Manage the transactions sent by the CLI");
+
+  tx.command("speed-up <hash>")
+    .description("Resend a pending transaction with a higher gas price")
+    .action(speedUpTransaction);
+
+  tx.command("cancel <hash>")
+    .description("Replace a pending transaction with an empty transfer to self")
+    .action(cancelTransaction);
+
+  tx.command("journal")
+    .description("Print the journal of the transactions sent on the network")
+    .option("-l, --limit <count>", "Number of latest entries to print", "20")
+    .action(printJournal);
+}
+
+async function speedUpTransaction(hash: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const sent = await getTransactionManager(options).speedUp(hash);
+  printSentTransaction(options, sent);
+}
+
+async function cancelTransaction(hash: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const sent = await getTransactionManager(options).cancel(hash);
+  printSentTransaction(options, sent);
+}
+
+function printJournal(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const limit = parseInt(command.opts().limit);
+
+  const entries = readJournal(
+    getJournalPath(options.journalDir, options.network)
+  ).slice(-limit);
+
+  printResult(options, entries, () =>
+    entries.map(renderJournalEntry).join("\n")
+  );
+}
+
+function printSentTransaction(options: GlobalOptions, sent: SentTransaction) {
+  printResult(
+    options,
+    sent,
+    () => `Mined ${sent.hash} in block ${sent.receipt.blockNumber}`
+  );
+}
+
+function renderJournalEntry(entry: JournalEntry) {
+  const block = entry.receipt ? ` block ${entry.receipt.blockNumber}` : "";
+  const events = (entry.events || []).map((event) => event.name).join(", ");
+
+  return `${new Date(
+    entry.timestamp * 1000
+  ).toISOString()} ${entry.label.padEnd(20)} ${entry.status.padEnd(9)} nonce ${
+    entry.nonce
+  } ${entry.hash}${block}${events ? ` (${events})` : ""}`;
+}
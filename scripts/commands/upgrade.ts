@@ -0,0 +1,214 @@
+import commander from "commander";
+import { ethers } from "ethers";
+import path from "path";
+import hre from "hardhat";
+import moment from "moment";
+import {
+  CommandError,
+  ExitCode,
+  getGlobalOptions,
+  getProvider,
+  getTransactionManager,
+  log,
+  printResult,
+} from "../helpers/cli";
+import { getNetworkConfig } from "../helpers/networks";
+import { renderSafeBatch, writeSafeBatch } from "../helpers/safeBatch";
+import {
+  UpgradeDiff,
+  VaultImplementation,
+  buildUpgradeBatch,
+  deployVaultImplementation,
+  describeUpgrade,
+  getConstructorDiff,
+  getVaultImplementation,
+  readProxySlots,
+} from "../helpers/upgradeProposal";
+import { StorageChange, simulateUpgrade } from "../helpers/upgrades";
+import { readLayout, renderChange, renderUpgradeSimulation } from "./storage";
+
+const { diffStorageLayouts } = require("../helpers/storageLayout");
+
+export function registerUpgradeCommands(program: commander.Command) {
+  const upgrade = program
+    .command("upgrade")
+    .description("Upgrade the vault proxies");
+
+  upgrade
+    .command("propose <vault>")
+    .description(
+      "Deploy a vault's implementation from constants/vaults.json, check the upgrade on a fork of the network and write the admin's Safe batch upgrading the proxy"
+    )
+    .requiredOption(
+      "--old-layout <layout>",
+      "Layout of the current implementation, a file of `storage layout --out` or a build info file"
+    )
+    .option(
+      "--call <method>",
+      "Method of the new implementation the proxy calls with upgradeToAndCall"
+    )
+    .option("--call-args <json>", "JSON arguments of --call", "[]")
+    .option(
+      "--accounts <addresses...>",
+      "Keys of the address mappings to snapshot on the fork, e.g. depositors"
+    )
+    .option("-o, --out <file>", "Batch file, defaults to one in --safe-dir")
+    .option("--safe-dir <dir>", "Directory of the Safe batch files", ".safe")
+    .action(proposeUpgrade);
+}
+
+async function proposeUpgrade(vault: string, command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const provider = getProvider(options);
+
+  let implementation: VaultImplementation;
+  try {
+    implementation = await getVaultImplementation(
+      options.network,
+      vault,
+      provider
+    );
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+  const { contract, logicName, proxy } = implementation;
+  const { admin, implementation: oldImplementation } = await readProxySlots(
+    provider,
+    proxy
+  );
+  if (
+    implementation.address &&
+    implementation.address.toLowerCase() === oldImplementation.toLowerCase()
+  ) {
+    throw new CommandError(
+      `${vault} already runs ${logicName} at ${oldImplementation}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  const accounts: string[] = opts.accounts || [];
+  const invalidAccount = accounts.find(
+    (account) => !ethers.utils.isAddress(account)
+  );
+  if (invalidAccount) {
+    throw new CommandError(
+      `Invalid account address ${invalidAccount}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  const callData = opts.call
+    ? await encodeCall(contract, opts.call, opts.callArgs)
+    : "";
+
+  // The layouts are compared before anything is deployed
+  const oldLayout = await readLayout(opts.oldLayout, contract);
+  const newLayout = await readLayout(contract, contract);
+  const layoutDiff: { compatible: boolean; changes: StorageChange[] } =
+    diffStorageLayouts(oldLayout, newLayout);
+  if (!layoutDiff.compatible) {
+    log(layoutDiff.changes.map(renderChange).join("\n"));
+    throw new CommandError(
+      `${contract} is not storage compatible with ${opts.oldLayout}`,
+      ExitCode.CheckFailed
+    );
+  }
+
+  log(`Checking the upgrade of ${vault} on a fork of ${options.network}`);
+  const simulation = await simulateUpgrade({
+    network: options.network,
+    proxyAddress: proxy,
+    rpcUrl: options.rpcUrl,
+    implementation: implementation.address || {
+      contract,
+      args: implementation.constructorArgs,
+    },
+    ...(callData ? { callData } : {}),
+    oldLayout,
+    newLayout,
+    accounts,
+  });
+  if (!simulation.success) {
+    log(renderUpgradeSimulation(simulation));
+    throw new CommandError(
+      `The upgrade of ${vault} does not keep its storage intact`,
+      ExitCode.CheckFailed
+    );
+  }
+
+  let newImplementation = implementation.address;
+  if (newImplementation) {
+    log(`Reusing ${logicName} at ${newImplementation}`);
+  } else {
+    try {
+      newImplementation = await deployVaultImplementation(
+        options.network,
+        implementation,
+        getTransactionManager(options)
+      );
+    } catch (e) {
+      throw new CommandError(e.message, ExitCode.Failure);
+    }
+    log(`Deployed ${logicName} at ${newImplementation}`);
+  }
+
+  const diff: UpgradeDiff = {
+    network: options.network,
+    vault,
+    proxy,
+    admin,
+    oldImplementation,
+    newImplementation,
+    ...(await getConstructorDiff(
+      options.network,
+      implementation,
+      oldImplementation
+    )),
+    libraries: implementation.libraries,
+    call: callData ? { method: opts.call, data: callData } : null,
+    layoutChanges: layoutDiff.changes,
+    simulation,
+  };
+  const batch = await buildUpgradeBatch({
+    chainId:
+      getNetworkConfig(options.network).chainId ||
+      (
+        await provider.getNetwork()
+      ).chainId,
+    proxy,
+    admin,
+    implementation: newImplementation,
+    ...(callData ? { callData } : {}),
+    name: `${vault} ${simulation.upgrade.label}`,
+    description: describeUpgrade(diff),
+  });
+
+  const out =
+    opts.out ||
+    path.join(
+      opts.safeDir,
+      options.network,
+      `${vault}-${moment.utc().format("YYYY-MM-DD")}-upgrade.json`
+    );
+  writeSafeBatch(out, batch);
+  log(`Wrote the Safe batch to ${out}`);
+
+  printResult(options, { ...diff, batch }, () =>
+    [describeUpgrade(diff), renderSafeBatch(batch)].join("\n\n")
+  );
+}
+
+// Encodes a method call of the new implementation from JSON arguments
+async function encodeCall(contract: string, method: string, args: string) {
+  const artifact = await hre.artifacts.readArtifact(contract);
+  try {
+    return new ethers.utils.Interface(artifact.abi).encodeFunctionData(
+      method,
+      JSON.parse(args)
+    );
+  } catch (e) {
+    throw new CommandError(
+      `Cannot encode ${method} of ${contract}: ${e.message}`,
+      ExitCode.InvalidUsage
+    );
+  }
+}
@@ -0,0 +1,542 @@
+import commander from "commander";
+import colors from "colors";
+import { ethers } from "ethers";
+import fs from "fs";
+import path from "path";
+import hre from "hardhat";
+import moment from "moment";
+import {
+  encodeCommitAndClose,
+  renderCommitAndClose,
+} from "../helpers/encodeCommitAndClose";
+import {
+  CommandError,
+  ExitCode,
+  GlobalOptions,
+  getGasStrategy,
+  getGlobalOptions,
+  getProvider,
+  getSigner,
+  log,
+  printResult,
+} from "../helpers/cli";
+import { AirswapOrder, fetchOrderJSON, verifyOrder } from "../helpers/orders";
+import { OtokenVerification, verifyOtokenForVault } from "../helpers/otokens";
+import { parseOtokenStrike } from "../helpers/pricing";
+import { addStrikeSelectionOptions, getStrikeSelectionParams } from "./otoken";
+import {
+  ROLL_STEPS,
+  RollPreconditionError,
+  RollState,
+  getRollStatePath,
+  isRollComplete,
+  loadCurrentRollState,
+  loadRollState,
+  runRoll,
+} from "../helpers/roll";
+import {
+  VaultBatchParams,
+  buildVaultBatch,
+  renderSafeBatch,
+  validateVaultCalls,
+  writeSafeBatch,
+} from "../helpers/safeBatch";
+import { getJournalPath } from "../helpers/transactions";
+import {
+  VaultDeployment,
+  VaultStatus,
+  findVaults,
+  getVaultStatus,
+  parseCap,
+  parseWithdrawalFee,
+} from "../helpers/vaults";
+
+export function registerVaultCommands(program: commander.Command) {
+  const vault = program.command("vault").description("Operate theta vaults");
+
+  vault
+    .command("commit")
+    .description("Encode the commitAndClose call for an oToken")
+    .requiredOption("-a, --address <oTokenAddress>", "oToken address")
+    .option(
+      "-v, --vault <vault>",
+      "Vault deployment name or address, required by --safe-batch"
+    )
+    .option(
+      "--safe-batch <file>",
+      "Write a Safe transaction builder batch calling commitAndClose"
+    )
+    .action(commitAndClose);
+
+  vault
+    .command("propose")
+    .description(
+      "Write a Safe transaction builder batch of manager or owner calls for a vault"
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option("-a, --otoken <address>", "Call commitAndClose with an oToken")
+    .option("--roll", "Call rollToNextOption", false)
+    .option("-f, --order <file>", "Call sellOptions with a signed order file")
+    .option("-i, --ipfsHash <ipfsHash>", "Call sellOptions with an IPFS order")
+    .option(
+      "--min-yield <percentage>",
+      "Minimum annualized yield of the order's premium, in percent",
+      "5"
+    )
+    .option("--force", "Propose the order even if it fails the checks", false)
+    .option("--cap <amount>", "Call setCap, in asset units e.g. 1000")
+    .option(
+      "--withdrawal-fee <percentage>",
+      "Call setWithdrawalFee, in percent e.g. 0.5"
+    )
+    .option(
+      "--raise-fee",
+      "Confirm a --withdrawal-fee above the vault's current fee",
+      false
+    )
+    .option("--manager <address>", "Call setManager")
+    .option("-o, --out <file>", "Batch file, defaults to one in --safe-dir")
+    .option("--safe-dir <dir>", "Directory of the Safe batch files", ".safe")
+    .action(proposeVaultCalls);
+
+  vault
+    .command("verify")
+    .description(
+      "Verify the oToken each vault is about to short or is shorting"
+    )
+    .option("-v, --vault <vault>", "Vault deployment name or address")
+    .action(verifyVaultOtokens);
+
+  vault
+    .command("status")
+    .description("Print the balances, options and settings of each vault")
+    .option("-v, --vault <vault>", "Vault deployment name or address")
+    .action(printVaultStatus);
+
+  const roll = vault
+    .command("roll")
+    .description(
+      "Run the weekly roll of a vault: deploy the oToken, commitAndClose, rollToNextOption then sellOptions. " +
+        "Progress is saved after each step so the roll resumes where it stopped."
+    )
+    .requiredOption("-v, --vault <vault>", "Vault deployment name or address")
+    .option(
+      "-x, --strikePrice <strikePrice>",
+      "Strike price of the oToken to deploy, scaled by 10**8"
+    )
+    .option("-e, --expiry <expiry>", "Expiry of the oToken to deploy")
+    .option("-a, --otoken <address>", "Use an already deployed oToken")
+    .option("-f, --order <file>", "Signed AirSwap order JSON file")
+    .option("-i, --ipfsHash <ipfsHash>", "IPFS hash of the signed order")
+    .option("--state-dir <dir>", "Directory of the roll state files", ".roll")
+    .option(
+      "--dry-run",
+      "Impersonate the manager on a hardhat fork given by --rpc-url",
+      false
+    )
+    .option("--wait", "Wait for the delay instead of stopping", false)
+    .option(
+      "--min-yield <percentage>",
+      "Minimum annualized yield of the order's premium, in percent",
+      "5"
+    )
+    .option("--reset", "Discard the saved progress of the vault", false);
+  addStrikeSelectionOptions(roll).action(rollVault);
+}
+
+async function commitAndClose(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const provider = getProvider(options);
+  const result = await encodeCommitAndClose(
+    options.network,
+    opts.address,
+    provider
+  );
+
+  if (!opts.safeBatch) {
+    printResult(options, result, () => renderCommitAndClose(result));
+    return;
+  }
+  if (!opts.vault) {
+    throw new CommandError(
+      "--safe-batch requires --vault",
+      ExitCode.InvalidUsage
+    );
+  }
+  const [{ name, address }] = findVault(options, opts.vault);
+  const batch = await buildVaultBatch({
+    network: options.network,
+    vaultAddress: address,
+    provider,
+    calls: [{ method: "commitAndClose", args: [result.optionTerms] }],
+    name: `${name} commitAndClose`,
+    description: `Commit oToken ${result.otokenAddress}`,
+  });
+  writeSafeBatch(opts.safeBatch, batch);
+  log(`Wrote the Safe batch to ${opts.safeBatch}`);
+
+  printResult(options, { ...result, batch }, () =>
+    [renderCommitAndClose(result), renderSafeBatch(batch)].join("\n")
+  );
+}
+
+async function proposeVaultCalls(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+  const provider = getProvider(options);
+  const [{ name, address }] = findVault(options, opts.vault);
+
+  const vaultArtifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(address, vaultArtifact.abi, provider);
+
+  const calls: VaultBatchParams["calls"] = [];
+  if (opts.otoken) {
+    const { optionTerms } = await encodeCommitAndClose(
+      options.network,
+      opts.otoken,
+      provider
+    );
+    calls.push({ method: "commitAndClose", args: [optionTerms] });
+  }
+  if (opts.roll) {
+    calls.push({ method: "rollToNextOption", args: [] });
+  }
+
+  const order = await readOrder(opts);
+  if (order) {
+    if (opts.roll && !opts.force) {
+      throw new CommandError(
+        "The order is checked against the vault's currentOption, propose sellOptions once rollToNextOption has run or pass --force",
+        ExitCode.InvalidUsage
+      );
+    }
+    const verification = await verifyOrder(order, {
+      network: options.network,
+      vaultAddress: address,
+      provider,
+      minYield: parseFloat(opts.minYield) / 100,
+    });
+    if (!verification.valid && !opts.force) {
+      printResult(options, verification, () =>
+        verification.checks
+          .map((check) => `${check.name.padEnd(20)} ${check.message}`)
+          .join("\n")
+      );
+      throw new CommandError("Order failed verification", ExitCode.CheckFailed);
+    }
+    calls.push({ method: "sellOptions", args: [order] });
+  }
+
+  if (opts.cap) {
+    calls.push({ method: "setCap", args: [await parseCap(vault, opts.cap)] });
+  }
+  if (opts.withdrawalFee) {
+    let fee: ethers.BigNumber;
+    try {
+      fee = parseWithdrawalFee(
+        opts.withdrawalFee,
+        await vault.instantWithdrawalFee(),
+        opts.raiseFee
+      );
+    } catch (e) {
+      throw new CommandError(e.message, ExitCode.InvalidUsage);
+    }
+    calls.push({ method: "setWithdrawalFee", args: [fee] });
+  }
+  if (opts.manager) {
+    if (!ethers.utils.isAddress(opts.manager)) {
+      throw new CommandError(
+        `Invalid manager address ${opts.manager}`,
+        ExitCode.InvalidUsage
+      );
+    }
+    calls.push({ method: "setManager", args: [opts.manager] });
+  }
+
+  if (calls.length === 0) {
+    throw new CommandError(
+      "Nothing to propose, pass --otoken, --roll, --order, --ipfsHash, --cap, --withdrawal-fee or --manager",
+      ExitCode.InvalidUsage
+    );
+  }
+  const methods = calls.map((call) => call.method);
+  try {
+    validateVaultCalls(methods);
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+  const batch = await buildVaultBatch({
+    network: options.network,
+    vaultAddress: address,
+    provider,
+    calls,
+    name: `${name} ${methods.join(", ")}`,
+  });
+
+  const out =
+    opts.out ||
+    path.join(
+      opts.safeDir,
+      options.network,
+      `${name}-${moment.utc().format("YYYY-MM-DD")}-${methods.join("-")}.json`
+    );
+  writeSafeBatch(out, batch);
+  log(`Wrote the Safe batch to ${out}`);
+
+  printResult(options, batch, () => renderSafeBatch(batch));
+}
+
+async function readOrder(opts: {
+  [key: string]: string;
+}): Promise<AirswapOrder | null> {
+  if (opts.order) {
+    return JSON.parse(fs.readFileSync(opts.order).toString());
+  }
+  if (opts.ipfsHash) {
+    return fetchOrderJSON(opts.ipfsHash);
+  }
+  return null;
+}
+
+function findVault(options: GlobalOptions, vault: string) {
+  const vaults = findVaults(options.network, vault);
+  if (vaults.length !== 1) {
+    throw new CommandError(
+      `Expected a single vault, found ${vaults.length}`,
+      ExitCode.InvalidUsage
+    );
+  }
+  return vaults;
+}
+
+async function printVaultStatus(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const provider = getProvider(options);
+  const vaults = findVaults(options.network, command.opts().vault);
+
+  const statuses: VaultStatus[] = [];
+  for (const vault of vaults) {
+    statuses.push(await getVaultStatus(vault, provider));
+  }
+
+  printResult(options, statuses, () =>
+    statuses.map(renderVaultStatus).join("\n\n")
+  );
+}
+
+export function renderVaultStatus(status: VaultStatus) {
+  const amount = (value: string | null) =>
+    value === null ? "-" : `${value} ${status.assetSymbol}`;
+  const time = (timestamp: number | null) =>
+    timestamp === null ? "" : moment.unix(timestamp).utc().toISOString();
+
+  const rows: [string, string][] = [
+    ["Total balance", amount(status.totalBalance)],
+    ["Asset balance", amount(status.assetBalance)],
+    ["Locked amount", amount(status.lockedAmount)],
+    ["Cap", amount(status.cap)],
+    ["Price per share", amount(status.pricePerShare)],
+    ["Total shares", status.totalSupply],
+    ["Withdrawable shares", status.maxWithdrawableShares || "-"],
+    [
+      "currentOption",
+      `${status.currentOption || "-"} ${time(status.currentOptionExpiry)}`,
+    ],
+    [
+      "nextOption",
+      `${status.nextOption || "-"} ${
+        status.nextOptionReadyAt === null
+          ? ""
+          : `ready at ${time(status.nextOptionReadyAt)}`
+      }`,
+    ],
+    ["Manager", status.manager],
+    ["Fee recipient", status.feeRecipient],
+    ["Withdrawal fee", `${status.withdrawalFee}%`],
+  ];
+
+  if (status.yearn) {
+    rows.push(
+      [
+        "Yearn token balance",
+        `${status.yearn.yearnTokenBalance} ${status.yearn.collateralSymbol}`,
+      ],
+      ["Yearn price per share", amount(status.yearn.pricePerYearnShare)]
+    );
+  }
+
+  return `${colors.yellow(status.name)} ${status.address}
+${rows.map(([label, value]) => `${label.padEnd(20)} ${value}`).join("\n")}`;
+}
+
+type VaultOtokenVerification = OtokenVerification & {
+  name: string;
+  slot: "currentOption" | "nextOption";
+};
+
+async function verifyVaultOtokens(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const vaults = findVaults(options.network, command.opts().vault);
+
+  const results: VaultOtokenVerification[] = [];
+  for (const vault of vaults) {
+    results.push(await verifyVaultOtoken(vault, options));
+  }
+
+  printResult(options, results, () =>
+    results.map(renderOtokenVerification).join("\n")
+  );
+
+  if (results.some((result) => !result.valid)) {
+    throw new CommandError(
+      "Some vaults failed verification",
+      ExitCode.CheckFailed
+    );
+  }
+}
+
+async function verifyVaultOtoken(
+  { name, address: vaultAddress }: VaultDeployment,
+  options: GlobalOptions
+): Promise<VaultOtokenVerification> {
+  const provider = getProvider(options);
+  const vaultArtifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+
+  const currentOption = await vault.currentOption();
+  const nextOption = await vault.nextOption();
+  const hasRolled = nextOption === ethers.constants.AddressZero;
+  const otokenAddress = hasRolled ? currentOption : nextOption;
+
+  return {
+    name,
+    slot: hasRolled ? "currentOption" : "nextOption",
+    ...(await verifyOtokenForVault(vaultAddress, otokenAddress, provider)),
+  };
+}
+
+function renderOtokenVerification(result: VaultOtokenVerification) {
+  const match = (valid: boolean) =>
+    valid ? colors.green("Match") : colors.red("Mismatch");
+  const validTimestamp = result.expiry.valid
+    ? colors.green("Valid")
+    : colors.red("Invalid");
+
+  return `Vault: ${result.name} ${result.vault}
+${colors.yellow(result.slot)}: https://etherscan.io/address/${result.otoken}
+${"Symbol:".padEnd(20)} ${result.symbol}
+${"Strike Price:".padEnd(20)} $${parseOtokenStrike(
+    result.strikePrice
+  ).toLocaleString()}
+${"Collateral asset:".padEnd(20)} ${match(result.collateralAsset.valid)} ${
+    result.collateralAsset.actual
+  }
+${"Underlying asset:".padEnd(20)} ${match(result.underlyingAsset.valid)} ${
+    result.underlyingAsset.actual
+  }
+${"Strike asset:".padEnd(20)} ${match(result.strikeAsset.valid)} ${
+    result.strikeAsset.actual
+  }
+${"Option type:".padEnd(20)} ${match(result.optionType.valid)} ${
+    result.optionType.actual ? "PUT" : "CALL"
+  }
+${"Expiry:".padEnd(20)} ${validTimestamp} ${moment
+    .unix(result.expiry.timestamp)
+    .utc()
+    .toISOString()}${result.expiry.reason ? ` (${result.expiry.reason})` : ""}
+`;
+}
+
+async function rollVault(command: commander.Command) {
+  const options = getGlobalOptions(command);
+  const opts = command.opts();
+
+  const [{ name, address }] = findVault(options, opts.vault);
+
+  const statePath = getRollStatePath(
+    opts.stateDir,
+    options.network,
+    name,
+    opts.dryRun
+  );
+  if (opts.reset && fs.existsSync(statePath)) {
+    fs.unlinkSync(statePath);
+  }
+  const provider = getProvider(options);
+  const savedState = await loadCurrentRollState(
+    statePath,
+    options.network,
+    address,
+    opts.dryRun,
+    provider
+  );
+  if (isRollComplete(savedState)) {
+    printResult(options, savedState, () => renderRollState(savedState));
+    return;
+  }
+
+  const strikeSelection = getStrikeSelectionParams(opts);
+
+  const order = await readOrder(opts);
+
+  let state: RollState;
+  try {
+    state = await runRoll({
+      network: options.network,
+      vaultAddress: address,
+      provider,
+      ...(opts.dryRun
+        ? {}
+        : {
+            signer: getSigner(options),
+            gasStrategy: getGasStrategy(options, provider),
+          }),
+      journalPath: getJournalPath(
+        options.journalDir,
+        opts.dryRun ? `${options.network}.dry-run` : options.network
+      ),
+      statePath,
+      strikePrice: opts.strikePrice,
+      expiry: opts.expiry,
+      ...(strikeSelection ? { strikeSelection } : {}),
+      otoken: opts.otoken,
+      ...(order ? { order } : {}),
+      minYield: parseFloat(opts.minYield) / 100,
+      dryRun: opts.dryRun,
+      wait: opts.wait,
+    });
+  } catch (e) {
+    if (e instanceof RollPreconditionError) {
+      const pending = loadRollState(
+        statePath,
+        options.network,
+        address,
+        opts.dryRun
+      );
+      printResult(options, pending, () => renderRollState(pending));
+      throw new CommandError(e.message, ExitCode.CheckFailed);
+    }
+    throw e;
+  }
+
+  printResult(options, state, () => renderRollState(state));
+}
+
+export function renderRollState(state: RollState) {
+  const steps = ROLL_STEPS.map((step) => {
+    const record = state.steps[step];
+    if (!record && state.pending && state.pending.step === step) {
+      return `${step.padEnd(20)} ${colors.yellow("sent")} ${
+        state.pending.txHash
+      }`;
+    }
+    const status = record ? colors.green("done") : colors.yellow("pending");
+    return `${step.padEnd(20)} ${status} ${(record && record.txHash) || ""}`;
+  });
+
+  return `Vault: ${state.vault}${state.dryRun ? " (dry run)" : ""}
+oToken: ${state.otoken || "-"}
+${steps.join("\n")}`;
+}
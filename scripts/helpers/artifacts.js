@@ -0,0 +1,33 @@
+const path = require("path");
+const { Artifacts } = require("hardhat/internal/artifacts");
+
+// Output of `npx hardhat compile`, read without the hardhat runtime so the helpers
+// load from the hardhat config's tasks and from the truffle migrations
+const ARTIFACTS_PATH = path.normalize(
+  path.join(__dirname, "..", "..", "artifacts")
+);
+
+const artifacts = new Artifacts(ARTIFACTS_PATH);
+
+module.exports = {
+  readArtifact,
+  getBuildInfo,
+};
+
+/**
+ * Reads the artifact of a compiled contract
+ * @param {string} contractName is the contract name, or its fully qualified name
+ * @returns {Promise<Object>} the hardhat artifact, with the `abi` and the `bytecode`
+ */
+async function readArtifact(contractName) {
+  return artifacts.readArtifact(contractName);
+}
+
+/**
+ * Reads the build info of the compilation which output a contract
+ * @param {string} fullyQualifiedName is the source name and the contract name, e.g. `contracts/Foo.sol:Foo`
+ * @returns {Promise<Object|undefined>} the solc input and output, undefined when the artifacts have no build info
+ */
+async function getBuildInfo(fullyQualifiedName) {
+  return artifacts.getBuildInfo(fullyQualifiedName);
+}
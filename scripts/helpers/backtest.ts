@@ -0,0 +1,512 @@
+import moment from "moment";
+import { SECONDS_PER_YEAR } from "./math";
+import { blackScholes } from "./pricing";
+import {
+  getStrikeForDelta,
+  getStrikeStep,
+  roundToStrikeGrid,
+} from "./strikeSelection";
+import { parseCSV } from "./csv";
+import { getAPY } from "./performance";
+
+// RibbonThetaVault.lockedRatio, the share of the balance locked at each roll
+export const LOCKED_RATIO = 0.9;
+// RibbonThetaVault.delay, the roll follows the commitment by this delay
+export const ROLL_DELAY = 60 * 60;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const UNIX_TIMESTAMP = /^\d+$/;
+
+export interface PricePoint {
+  timestamp: number;
+  // Spot price of the underlying in USD
+  price: number;
+  // Annualized implied volatility, null to use the strategy's
+  iv: number | null;
+}
+
+/**
+ * Deposit or withdrawal made by the depositors. Deposits are in asset units,
+ * withdrawals in a fraction of the share supply.
+ */
+export interface StrategyFlow {
+  // Unix timestamp or date, e.g. "2021-06-04"
+  date: number | string;
+  amount?: number;
+  fraction?: number;
+}
+
+export interface StrategyConfig {
+  name: string;
+  optionType: "CALL" | "PUT";
+  // Absolute delta target, e.g. 0.1 for a 10 delta option
+  delta?: number;
+  // Distance out of the money in percent
+  otmPercentage?: number;
+  // Spacing of the strike grid, defaults to one based on the spot magnitude
+  strikeStep?: number;
+  // Annualized implied volatility used when the prices have no iv column
+  iv?: number;
+  // Days from one expiry to the next, defaults to 7
+  roundDays?: number;
+  // Discount of the premium to its Black-Scholes value in percent, e.g. 10 to sell at 90%
+  premiumDiscount?: number;
+  // Instant withdrawal fee in percent, defaults to the vault's 0.5
+  withdrawalFee?: number;
+  // Deposit made before the first round, in asset units
+  initialDeposit: number;
+  deposits?: StrategyFlow[];
+  withdrawals?: StrategyFlow[];
+  // Dates to simulate, default to the whole price history
+  startDate?: number | string;
+  endDate?: number | string;
+}
+
+/**
+ * Point of the equity curve at the expiry of a round.
+ * Amounts are in asset units: the underlying for call vaults and USD for put vaults.
+ */
+export interface BacktestRound {
+  round: number;
+  openedAt: number;
+  expiry: number;
+  spot: number;
+  iv: number;
+  strike: number;
+  delta: number;
+  lockedAmount: number;
+  // Number of options sold
+  options: number;
+  premium: number;
+  expiryPrice: number;
+  itm: boolean;
+  loss: number;
+  // Flows of the depositors during the round, and the withdrawal fees they paid
+  deposited: number;
+  withdrawn: number;
+  fees: number;
+  totalBalance: number;
+  shares: number;
+  pricePerShare: number;
+  roundYield: number;
+  cumulativeReturn: number;
+  // Fall of the price per share from its highest value
+  drawdown: number;
+  // Value of one share in USD and its fall from its highest value
+  usdPricePerShare: number;
+  usdDrawdown: number;
+}
+
+export interface BacktestSummary {
+  name: string;
+  optionType: "CALL" | "PUT";
+  rounds: number;
+  start: number;
+  end: number;
+  itmRounds: number;
+  totalPremium: number;
+  totalLoss: number;
+  totalFees: number;
+  pricePerShare: number;
+  totalReturn: number;
+  apy: number | null;
+  averageRoundYield: number;
+  maxDrawdown: number;
+  maxUsdDrawdown: number;
+  totalBalance: number;
+  // Balance the depositors receive if they all withdraw at the end
+  totalBalanceAfterFee: number;
+}
+
+export interface BacktestResult {
+  config: StrategyConfig;
+  summary: BacktestSummary;
+  rounds: BacktestRound[];
+}
+
+interface Flow {
+  timestamp: number;
+  amount: number;
+  fraction: number;
+}
+
+interface VaultState {
+  // Balance held by the vault, `assetBalance`, and the collateral of the short
+  assetBalance: number;
+  lockedAmount: number;
+  shares: number;
+}
+
+/**
+ * Parses a price history with `timestamp` and `price` columns and an optional `iv`
+ * column. Timestamps are unix seconds or dates.
+ * @param text is the CSV content
+ */
+export function parsePriceHistory(text: string): PricePoint[] {
+  const prices = parseCSV(text).map((row, i) => {
+    if (!("timestamp" in row) || !("price" in row)) {
+      throw new Error("Prices need timestamp and price columns");
+    }
+    const price = parseFloat(row.price);
+    const iv = row.iv ? parseFloat(row.iv) : null;
+    if (!(price > 0) || (iv !== null && !(iv > 0))) {
+      throw new Error(`Invalid price or iv on row ${i + 2}`);
+    }
+    return { timestamp: parseDate(row.timestamp), price, iv };
+  });
+
+  if (prices.length < 2) {
+    throw new Error("Prices need at least 2 rows");
+  }
+  return prices.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Checks a strategy configuration, throwing on the first invalid setting
+ * @param config is the strategy
+ */
+export function validateStrategyConfig(config: StrategyConfig) {
+  const { name } = config;
+  if (!name) {
+    throw new Error("Strategies need a name");
+  }
+  if (config.optionType !== "CALL" && config.optionType !== "PUT") {
+    throw new Error(`${name}: optionType must be CALL or PUT`);
+  }
+  validateStrikeTarget(config);
+  if (!(config.initialDeposit > 0)) {
+    throw new Error(`${name}: initialDeposit must be positive`);
+  }
+  if (typeof config.iv === "number" && !(config.iv > 0)) {
+    throw new Error(`${name}: iv must be positive`);
+  }
+  if (typeof config.roundDays === "number" && !(config.roundDays > 0)) {
+    throw new Error(`${name}: roundDays must be positive`);
+  }
+  const fee = config.withdrawalFee;
+  if (typeof fee === "number" && !(fee >= 0 && fee < 30)) {
+    throw new Error(`${name}: withdrawalFee must be between 0 and 30%`);
+  }
+  const discount = config.premiumDiscount;
+  if (typeof discount === "number" && !(discount >= 0 && discount <= 100)) {
+    throw new Error(`${name}: premiumDiscount must be between 0 and 100%`);
+  }
+  validateFlows(config);
+}
+
+/**
+ * Replays a price history through the lifecycle of a theta vault. Each round the vault
+ * locks `LOCKED_RATIO` of its balance to short an option expiring `roundDays` later,
+ * sells the options at their Black-Scholes value, and pays the holders the intrinsic
+ * value at expiry. The next round opens `ROLL_DELAY` after the expiry, as the vault
+ * waits for its delay between `commitAndClose` and `rollToNextOption`.
+ * Withdrawals during a round are limited to the unlocked balance like `maxWithdrawableShares`.
+ * @param prices is the price history
+ * @param config is the strategy
+ */
+export function runBacktest(
+  prices: PricePoint[],
+  config: StrategyConfig
+): BacktestResult {
+  validateStrategyConfig(config);
+  const isPut = config.optionType === "PUT";
+  const roundDuration = (config.roundDays || 7) * SECONDS_PER_DAY;
+  const withdrawalFee =
+    (typeof config.withdrawalFee === "number" ? config.withdrawalFee : 0.5) /
+    100;
+  const premiumRatio = 1 - (config.premiumDiscount || 0) / 100;
+
+  const start = config.startDate
+    ? parseDate(config.startDate)
+    : prices[0].timestamp;
+  const end = config.endDate
+    ? parseDate(config.endDate)
+    : prices[prices.length - 1].timestamp;
+  if (
+    start < prices[0].timestamp ||
+    end > prices[prices.length - 1].timestamp
+  ) {
+    throw new Error(`${config.name}: dates are outside of the price history`);
+  }
+
+  const flows: Flow[] = [
+    ...(config.deposits || []).map((flow) => ({
+      timestamp: parseDate(flow.date),
+      amount: flow.amount as number,
+      fraction: 0,
+    })),
+    ...(config.withdrawals || []).map((flow) => ({
+      timestamp: parseDate(flow.date),
+      amount: 0,
+      fraction: flow.fraction as number,
+    })),
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  const state: VaultState = {
+    assetBalance: config.initialDeposit,
+    lockedAmount: 0,
+    shares: config.initialDeposit,
+  };
+  const rounds: BacktestRound[] = [];
+  // Flows before the first round are made with the initial deposit
+  let flowsFrom = 0;
+  let pricePerShare = 1;
+  let peak = 1;
+  let usdPeak = toUSD(1, prices[0].price, isPut);
+
+  for (
+    let openedAt = start, expiry = start + roundDuration;
+    expiry <= end;
+    openedAt = expiry + ROLL_DELAY, expiry += roundDuration
+  ) {
+    const spot = getPriceAt(prices, openedAt);
+    const iv = spot.iv || config.iv;
+    if (!iv) {
+      throw new Error(
+        `${config.name}: no iv at ${formatDate(
+          openedAt
+        )}, set the strategy's iv`
+      );
+    }
+    const beforeRoll = applyFlows(
+      state,
+      flows,
+      flowsFrom,
+      openedAt,
+      withdrawalFee
+    );
+    const strike = getStrike(config, spot.price, iv, expiry - openedAt);
+
+    // rollToNextOption locks a share of the balance, puts are collateralized with the strike
+    const lockedAmount = state.assetBalance * LOCKED_RATIO;
+    state.lockedAmount = lockedAmount;
+    state.assetBalance -= lockedAmount;
+    const options = isPut ? lockedAmount / strike : lockedAmount;
+    const timeToExpiry = (expiry - openedAt) / SECONDS_PER_YEAR;
+    const greeks = blackScholes(spot.price, strike, iv, timeToExpiry, isPut);
+    const premium =
+      (options * greeks.price * premiumRatio) / (isPut ? 1 : spot.price);
+    state.assetBalance += premium;
+
+    const duringRound = applyFlows(
+      state,
+      flows,
+      openedAt,
+      expiry,
+      withdrawalFee
+    );
+    flowsFrom = expiry;
+
+    // Options settle in cash against the expiry price, from the locked collateral
+    const expiryPrice = getPriceAt(prices, expiry).price;
+    const payout = isPut
+      ? Math.max(strike - expiryPrice, 0)
+      : Math.max(expiryPrice - strike, 0) / expiryPrice;
+    const loss = Math.min(options * payout, state.lockedAmount);
+    state.assetBalance += state.lockedAmount - loss;
+    state.lockedAmount = 0;
+
+    const previousPricePerShare = pricePerShare;
+    pricePerShare = state.shares > 0 ? state.assetBalance / state.shares : 1;
+    peak = Math.max(peak, pricePerShare);
+    const usdPricePerShare = toUSD(pricePerShare, expiryPrice, isPut);
+    usdPeak = Math.max(usdPeak, usdPricePerShare);
+    const roundYield = pricePerShare / previousPricePerShare - 1;
+
+    rounds.push({
+      round: rounds.length + 1,
+      openedAt,
+      expiry,
+      spot: spot.price,
+      iv,
+      strike,
+      delta: Math.abs(greeks.delta),
+      lockedAmount,
+      options,
+      premium,
+      expiryPrice,
+      itm: payout > 0,
+      loss,
+      deposited: beforeRoll.deposited + duringRound.deposited,
+      withdrawn: beforeRoll.withdrawn + duringRound.withdrawn,
+      fees: beforeRoll.fees + duringRound.fees,
+      totalBalance: state.assetBalance,
+      shares: state.shares,
+      pricePerShare,
+      roundYield,
+      cumulativeReturn: pricePerShare - 1,
+      drawdown: 1 - pricePerShare / peak,
+      usdPricePerShare,
+      usdDrawdown: 1 - usdPricePerShare / usdPeak,
+    });
+  }
+
+  if (rounds.length === 0) {
+    throw new Error(`${config.name}: the prices do not cover a single round`);
+  }
+  return { config, summary: summarize(config, rounds, withdrawalFee), rounds };
+}
+
+function validateStrikeTarget(config: StrategyConfig) {
+  const { name, delta, otmPercentage } = config;
+  if ((typeof delta === "number") === (typeof otmPercentage === "number")) {
+    throw new Error(`${name}: either a delta or an otmPercentage is required`);
+  }
+  if (typeof delta === "number" && !(delta > 0 && delta < 1)) {
+    throw new Error(`${name}: delta must be between 0 and 1 exclusive`);
+  }
+  if (typeof otmPercentage === "number" && !(otmPercentage >= 0)) {
+    throw new Error(`${name}: otmPercentage must not be negative`);
+  }
+}
+
+function validateFlows(config: StrategyConfig) {
+  const { name } = config;
+  (config.deposits || []).forEach((flow) => {
+    if (!(typeof flow.amount === "number" && flow.amount > 0)) {
+      throw new Error(`${name}: deposits need a positive amount`);
+    }
+    parseDate(flow.date);
+  });
+  (config.withdrawals || []).forEach((flow) => {
+    if (!(typeof flow.fraction === "number" && flow.fraction > 0)) {
+      throw new Error(`${name}: withdrawals need a fraction of the shares`);
+    }
+    if (flow.fraction > 1) {
+      throw new Error(`${name}: withdrawals cannot exceed all the shares`);
+    }
+    parseDate(flow.date);
+  });
+}
+
+function summarize(
+  config: StrategyConfig,
+  rounds: BacktestRound[],
+  withdrawalFee: number
+): BacktestSummary {
+  const sum = (key: keyof BacktestRound) =>
+    rounds.reduce((total, round) => total + Number(round[key]), 0);
+  const last = rounds[rounds.length - 1];
+  const totalReturn = last.pricePerShare - 1;
+
+  return {
+    name: config.name,
+    optionType: config.optionType,
+    rounds: rounds.length,
+    start: rounds[0].openedAt,
+    end: last.expiry,
+    itmRounds: rounds.filter((round) => round.itm).length,
+    totalPremium: sum("premium"),
+    totalLoss: sum("loss"),
+    totalFees: sum("fees"),
+    pricePerShare: last.pricePerShare,
+    totalReturn,
+    apy: getAPY(totalReturn, last.expiry - rounds[0].openedAt),
+    averageRoundYield: sum("roundYield") / rounds.length,
+    maxDrawdown: Math.max(...rounds.map((round) => round.drawdown)),
+    maxUsdDrawdown: Math.max(...rounds.map((round) => round.usdDrawdown)),
+    totalBalance: last.totalBalance,
+    totalBalanceAfterFee: last.totalBalance * (1 - withdrawalFee),
+  };
+}
+
+// Applies the flows in [from, to), withdrawing at most the unlocked balance
+function applyFlows(
+  state: VaultState,
+  flows: Flow[],
+  from: number,
+  to: number,
+  withdrawalFee: number
+) {
+  const result = { deposited: 0, withdrawn: 0, fees: 0 };
+
+  flows
+    .filter((flow) => flow.timestamp >= from && flow.timestamp < to)
+    .forEach((flow) => {
+      const total = state.assetBalance + state.lockedAmount;
+      if (flow.amount > 0) {
+        state.shares +=
+          state.shares > 0 ? (flow.amount * state.shares) / total : flow.amount;
+        state.assetBalance += flow.amount;
+        result.deposited += flow.amount;
+      } else if (state.shares > 0) {
+        const maxShares = (state.assetBalance * state.shares) / total;
+        const shares = Math.min(state.shares * flow.fraction, maxShares);
+        const amount = (shares * total) / state.shares;
+        state.shares -= shares;
+        state.assetBalance -= amount;
+        result.withdrawn += amount * (1 - withdrawalFee);
+        result.fees += amount * withdrawalFee;
+      }
+    });
+  return result;
+}
+
+function getStrike(
+  config: StrategyConfig,
+  spot: number,
+  iv: number,
+  duration: number
+) {
+  const isPut = config.optionType === "PUT";
+  let target;
+  if (typeof config.delta === "number") {
+    target = getStrikeForDelta(
+      spot,
+      config.delta,
+      iv,
+      duration / SECONDS_PER_YEAR,
+      isPut
+    );
+  } else {
+    const distance = (config.otmPercentage as number) / 100;
+    target = spot * (isPut ? 1 - distance : 1 + distance);
+  }
+  const strike = roundToStrikeGrid(
+    target,
+    config.strikeStep || getStrikeStep(spot),
+    isPut
+  );
+  if (strike <= 0) {
+    throw new Error(`${config.name}: strike ${target} rounds to ${strike}`);
+  }
+  return strike;
+}
+
+// Returns the last price at or before a timestamp
+function getPriceAt(prices: PricePoint[], timestamp: number) {
+  let low = 0;
+  let high = prices.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (prices[middle].timestamp <= timestamp) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return prices[low];
+}
+
+// Call vaults hold the underlying, put vaults USD
+function toUSD(amount: number, spot: number, isPut: boolean) {
+  return isPut ? amount : amount * spot;
+}
+
+function parseDate(date: number | string) {
+  if (typeof date === "number") {
+    return date;
+  }
+  if (UNIX_TIMESTAMP.test(date.trim())) {
+    return parseInt(date);
+  }
+  const parsed = moment.utc(date, moment.ISO_8601);
+  if (!parsed.isValid()) {
+    throw new Error(`Invalid date ${date}`);
+  }
+  return parsed.unix();
+}
+
+function formatDate(timestamp: number) {
+  return moment.unix(timestamp).utc().format("YYYY-MM-DD HH:mm");
+}
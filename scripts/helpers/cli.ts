@@ -0,0 +1,246 @@
+import commander from "commander";
+import { ethers } from "ethers";
+import { getDefaultSigner } from "./getDefaultEthersProvider";
+import { getDefaultGasStrategy, parseGwei } from "./gasStrategies";
+import {
+  NetworkProvider,
+  Networks,
+  getNetworkConfig,
+  getNetworkNames,
+  getRpcUrl,
+} from "./networks";
+import { TransactionManager, getJournalPath } from "./transactions";
+
+export const ExitCode = {
+  Success: 0,
+  Failure: 1,
+  InvalidUsage: 2,
+  CheckFailed: 3,
+};
+
+export type OutputFormat = "text" | "json";
+
+export const DEFAULT_SIGNER_PATH = "m/44'/60'/0'/0/1";
+
+const OUTPUT_FORMATS: OutputFormat[] = ["text", "json"];
+
+export interface GlobalOptions {
+  network: Networks;
+  rpcUrl?: string;
+  signerPath: string;
+  output: OutputFormat;
+  // Fixed gas price and gas price ceiling, in gwei
+  gasPrice?: string;
+  maxGasPrice?: string;
+  // Directory of the transaction journals
+  journalDir: string;
+}
+
+/**
+ * Error raised by a command when it wants the CLI to exit with a specific code,
+ * e.g. `ExitCode.CheckFailed` when a verification did not pass.
+ */
+export class CommandError extends Error {
+  exitCode: number;
+
+  constructor(message: string, exitCode: number = ExitCode.Failure) {
+    super(message);
+    this.name = "CommandError";
+    this.exitCode = exitCode;
+    // Restore the prototype chain since we compile down to ES5
+    Object.setPrototypeOf(this, CommandError.prototype);
+  }
+}
+
+/**
+ * Registers the options shared by every subcommand on the root program
+ * @param program is the root `ribbon` command
+ */
+export function addGlobalOptions(program: commander.Command) {
+  return program
+    .option(
+      "-n, --network <network>",
+      `Network (${getNetworkNames().join("|")})`,
+      "mainnet"
+    )
+    .option("--rpc-url <url>", "RPC URL, overrides the network default")
+    .option(
+      "--signer-path <path>",
+      "HD derivation path of the signer",
+      DEFAULT_SIGNER_PATH
+    )
+    .option("--output <format>", "Output format (text|json)", "text")
+    .option("--gas-price <gwei>", "Fixed gas price of the transactions")
+    .option("--max-gas-price <gwei>", "Gas price ceiling of the transactions")
+    .option(
+      "--journal-dir <dir>",
+      "Directory of the transaction journals",
+      ".transactions"
+    );
+}
+
+/**
+ * Reads the global options from the root program of a subcommand
+ * @param command is the subcommand being executed
+ */
+export function getGlobalOptions(command: commander.Command): GlobalOptions {
+  let root = command;
+  while (root.parent) {
+    root = root.parent;
+  }
+  const {
+    network,
+    rpcUrl,
+    signerPath,
+    output,
+    gasPrice,
+    maxGasPrice,
+    journalDir,
+  } = root.opts();
+
+  try {
+    getNetworkConfig(network);
+  } catch (e) {
+    throw new CommandError(e.message, ExitCode.InvalidUsage);
+  }
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new CommandError(
+      `Unknown output format "${output}", expected one of ${OUTPUT_FORMATS.join(
+        ", "
+      )}`,
+      ExitCode.InvalidUsage
+    );
+  }
+
+  [gasPrice, maxGasPrice].filter(Boolean).forEach((gwei) => {
+    if (!(parseFloat(gwei) > 0)) {
+      throw new CommandError(
+        `Invalid gas price "${gwei}" gwei`,
+        ExitCode.InvalidUsage
+      );
+    }
+  });
+
+  return {
+    network,
+    rpcUrl,
+    signerPath,
+    output,
+    gasPrice,
+    maxGasPrice,
+    journalDir,
+  };
+}
+
+/**
+ * Returns the provider of the --rpc-url or the network's RPC URL, which throws when the
+ * node is not on the network's chain
+ * @param options is the global options
+ */
+export function getProvider(options: GlobalOptions) {
+  return new NetworkProvider(
+    options.network,
+    options.rpcUrl || getRpcUrl(options.network)
+  );
+}
+
+/**
+ * Returns the gas strategy of the transactions sent by a command
+ * @param options is the global options
+ * @param provider is the provider sending the transactions
+ */
+export function getGasStrategy(
+  options: GlobalOptions,
+  provider: ethers.providers.JsonRpcProvider = getProvider(options)
+) {
+  return getDefaultGasStrategy(options.network, provider, {
+    ...(options.gasPrice ? { gasPrice: parseGwei(options.gasPrice) } : {}),
+    ...(options.maxGasPrice
+      ? { maxGasPrice: parseGwei(options.maxGasPrice) }
+      : {}),
+  });
+}
+
+/**
+ * Returns the --signer-path account connected to the provider of `getProvider`
+ * @param options is the global options
+ */
+export function getSigner(options: GlobalOptions) {
+  return getDefaultSigner(options.signerPath, options.network).connect(
+    getProvider(options)
+  );
+}
+
+/**
+ * Returns the transaction manager sending a command's transactions
+ * @param options is the global options
+ * @param signer is the account sending the transactions, defaults to the --signer-path account
+ */
+export function getTransactionManager(
+  options: GlobalOptions,
+  signer: ethers.Signer = getSigner(options)
+) {
+  return new TransactionManager({
+    network: options.network,
+    signer,
+    gasStrategy: getGasStrategy(options),
+    journalPath: getJournalPath(options.journalDir, options.network),
+  });
+}
+
+/**
+ * Logs progress messages to stderr so stdout only carries the command's result
+ */
+export function log(...messages: unknown[]) {
+  console.error(...messages);
+}
+
+/**
+ * Prints the result of a command in the requested output format
+ * @param options is the global options
+ * @param data is the JSON-serializable result
+ * @param renderText renders the result for humans
+ */
+export function printResult(
+  options: GlobalOptions,
+  data: unknown,
+  renderText: () => string
+) {
+  if (options.output === "json") {
+    console.log(JSON.stringify(data, null, 2));
+  } else {
+    console.log(renderText());
+  }
+}
+
+/**
+ * Parses the command line and exits the process with the matching exit code
+ * @param program is the root `ribbon` command, whose exit override is set before its
+ * subcommands are added
+ * @param argv is the command line arguments
+ */
+export async function run(
+  program: commander.Command,
+  argv: string[] = process.argv
+) {
+  let exitCode: number = ExitCode.Success;
+  try {
+    await program.parseAsync(argv);
+  } catch (e) {
+    exitCode = getExitCode(e);
+  }
+  process.exit(exitCode);
+}
+
+function getExitCode(error: Error): number {
+  if (error instanceof commander.CommanderError) {
+    // commander has already printed the usage error or the help
+    return error.exitCode === 0 ? ExitCode.Success : ExitCode.InvalidUsage;
+  }
+  if (error instanceof CommandError) {
+    console.error(`Error: ${error.message}`);
+    return error.exitCode;
+  }
+  console.error(error);
+  return ExitCode.Failure;
+}
@@ -0,0 +1,86 @@
+// Cells containing these characters are quoted
+const QUOTED_CHARACTERS = /[",\n]/;
+
+/**
+ * Serializes records to CSV with a header row, in the key order of the first record
+ * @param records is the rows to serialize
+ */
+export function toCSV(records: Record<string, unknown>[]) {
+  if (records.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(records[0]);
+  const rows = records.map((record) =>
+    columns.map((column) => formatCell(record[column])).join(",")
+  );
+  return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+function formatCell(value: unknown) {
+  if (value === null || typeof value === "undefined") {
+    return "";
+  }
+  const text = String(value);
+  return QUOTED_CHARACTERS.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV with a header row into records keyed by column.
+ * Quoted cells may contain commas, newlines and doubled quotes.
+ * @param text is the CSV content
+ */
+export function parseCSV(text: string): Record<string, string>[] {
+  const rows = parseRows(text).filter((row) => row.length > 1 || row[0] !== "");
+  if (rows.length === 0) {
+    return [];
+  }
+  const columns = rows[0].map((column) => column.trim());
+  return rows.slice(1).map((row, i) => {
+    if (row.length !== columns.length) {
+      throw new Error(
+        `Row ${i + 2} has ${row.length} cells, expected ${columns.length}`
+      );
+    }
+    const record: Record<string, string> = {};
+    columns.forEach((column, j) => {
+      record[column] = row[j];
+    });
+    return record;
+  });
+}
+
+function parseRows(text: string) {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n") {
+      row.push(cell.replace(/\r$/, ""));
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.replace(/\r$/, ""));
+  rows.push(row);
+  return rows;
+}
@@ -0,0 +1,204 @@
+import { ethers } from "ethers";
+import hre from "hardhat";
+import {
+  Networks,
+  getAccounts,
+  getDeployments,
+  getExternalAddresses,
+} from "./networks";
+
+const { ADMIN_SLOT, IMPLEMENTATION_SLOT } = require("./storageLayout");
+const { getVaultManifest } = require("./vaultManifest");
+
+const GAMMA_ADAPTER = "OPYN_GAMMA";
+
+export interface DeploymentCheck {
+  // Contract the check reads, e.g. RibbonFactory or a vault
+  subject: string;
+  check: string;
+  // Null for the values which are only reported, e.g. the registry entries
+  expected: string | null;
+  actual: string;
+  valid: boolean;
+}
+
+interface ManifestVault {
+  name: string;
+  contract: string;
+  asset: string;
+  isPut: boolean;
+}
+
+/**
+ * Reads the wiring of a network's deployments and compares it with the constants files:
+ * the owner, admin and adapters of the RibbonFactory, the proxy slots and settings of each
+ * vault of constants/vaults.json launched on the network, and the VaultRegistry.
+ * @param network is the network the contracts are deployed on
+ * @param provider is the provider reading the contracts
+ */
+export async function checkDeployments(
+  network: Networks,
+  provider: ethers.providers.Provider
+): Promise<DeploymentCheck[]> {
+  const deployments = getDeployments(network);
+  const accounts = getAccounts(network);
+  const { assets, thetaRegistry } = getExternalAddresses(network);
+  const registry = deployments.VaultRegistry || thetaRegistry;
+  const checks: DeploymentCheck[] = [];
+  // Fails the checks against a deployment which is not recorded
+  const recorded = (name: string) =>
+    deployments[name] || `no ${name} in deployments.json`;
+
+  const expect = (
+    subject: string,
+    check: string,
+    expected: string | boolean | null,
+    actual: string | boolean
+  ) => {
+    const normalize = (value: string | boolean) =>
+      typeof value === "string" && ethers.utils.isAddress(value)
+        ? ethers.utils.getAddress(value)
+        : value.toString();
+    const expectedValue = expected === null ? null : normalize(expected);
+    checks.push({
+      subject,
+      check,
+      expected: expectedValue,
+      actual: normalize(actual),
+      valid: expectedValue === null || expectedValue === normalize(actual),
+    });
+  };
+  const contract = async (name: string, address: string) =>
+    new ethers.Contract(
+      address,
+      (await hre.artifacts.readArtifact(name)).abi,
+      provider
+    );
+  const expectProxy = async (
+    subject: string,
+    address: string,
+    implementation: string
+  ) => {
+    const readSlot = async (slot: string) =>
+      ethers.utils.getAddress(
+        ethers.utils.hexDataSlice(
+          await provider.getStorageAt(address, slot),
+          12
+        )
+      );
+    expect(
+      subject,
+      "implementation",
+      implementation,
+      await readSlot(IMPLEMENTATION_SLOT)
+    );
+    expect(subject, "proxy admin", accounts.admin, await readSlot(ADMIN_SLOT));
+  };
+
+  if (deployments.RibbonFactory) {
+    const factory = await contract("RibbonFactory", deployments.RibbonFactory);
+    await expectProxy(
+      "RibbonFactory",
+      factory.address,
+      recorded("RibbonFactoryLogic")
+    );
+    expect("RibbonFactory", "owner", accounts.owner, await factory.owner());
+    expect(
+      "RibbonFactory",
+      "instrumentAdmin",
+      accounts.admin,
+      await factory.instrumentAdmin()
+    );
+    expect(
+      "RibbonFactory",
+      `getAdapter("${GAMMA_ADAPTER}")`,
+      recorded("GammaAdapterLogic"),
+      await factory.getAdapter(GAMMA_ADAPTER)
+    );
+    const adapters: string[] = await factory.getAdapters();
+    expect(
+      "RibbonFactory",
+      "getAdapters() has GammaAdapterLogic",
+      true,
+      adapters.some(
+        (adapter) =>
+          adapter.toLowerCase() === recorded("GammaAdapterLogic").toLowerCase()
+      )
+    );
+  } else {
+    expect("RibbonFactory", "deployed", true, false);
+  }
+
+  const checkVault = async (vault: ManifestVault, address: string) => {
+    const instance = await contract(vault.contract, address);
+    await expectProxy(vault.name, address, recorded(`${vault.name}Logic`));
+    expect(vault.name, "owner", accounts.owner, await instance.owner());
+    expect(vault.name, "manager", accounts.manager, await instance.manager());
+    // The migrations initialize the vaults with the owner as the fee recipient
+    expect(
+      vault.name,
+      "feeRecipient",
+      accounts.owner,
+      await instance.feeRecipient()
+    );
+    expect(
+      vault.name,
+      "asset",
+      vault.isPut ? assets.usdc : assets[vault.asset],
+      await instance.asset()
+    );
+    expect(vault.name, "isPut", vault.isPut, await instance.isPut());
+    if (vault.contract === "RibbonThetaVault") {
+      expect(vault.name, "registry", registry, await instance.registry());
+    }
+  };
+
+  const vaults: ManifestVault[] = getVaultManifest(network);
+  const deployedVaults: { name: string; address: string }[] = [];
+  for (const vault of vaults) {
+    const address = deployments[vault.name];
+    if (address) {
+      deployedVaults.push({ name: vault.name, address });
+      await checkVault(vault, address);
+    } else {
+      expect(vault.name, "deployed", true, false);
+    }
+  }
+
+  if (deployments.VaultRegistry) {
+    const vaultRegistry = await contract(
+      "VaultRegistry",
+      deployments.VaultRegistry
+    );
+    expect(
+      "VaultRegistry",
+      "owner",
+      accounts.owner,
+      await vaultRegistry.owner()
+    );
+
+    // The registered pairs are reported, the constants do not list them
+    for (const from of deployedVaults) {
+      for (const to of deployedVaults.filter((vault) => vault !== from)) {
+        if (await vaultRegistry.canWithdrawForFree(from.address, to.address)) {
+          expect(
+            "VaultRegistry",
+            "free withdrawal",
+            null,
+            `${from.name} -> ${to.name}`
+          );
+        }
+        if (await vaultRegistry.canCrossTrade(from.address, to.address)) {
+          expect(
+            "VaultRegistry",
+            "cross trade",
+            null,
+            `${from.name} -> ${to.name}`
+          );
+        }
+      }
+    }
+  }
+
+  return checks;
+}
@@ -0,0 +1,276 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { updateDeployedAddresses } = require("./updateDeployedAddresses");
+
+const { keccak256 } = ethers.utils;
+
+const JOURNAL_DIR = path.normalize(
+  path.join(__dirname, "..", "..", "constants", "journals")
+);
+const DEPLOYMENTS_PATH = path.normalize(
+  path.join(__dirname, "..", "..", "constants", "deployments.json")
+);
+
+module.exports = {
+  getJournalPath,
+  readJournal,
+  getLatestDeployments,
+  describeDeployment,
+  checkDeployment,
+  recordDeployment,
+  updateJournalEntry,
+  deployContract,
+};
+
+/**
+ * Returns the deployment journal of a network. The journals of forks only hold the
+ * contracts deployed on the fork and are not committed.
+ * @param {string} network is the network name, e.g. kovan or mainnet-fork
+ */
+function getJournalPath(network) {
+  return path.join(JOURNAL_DIR, `${network}.json`);
+}
+
+/**
+ * Reads the deployments of a network in the order they were made. A fork starts with
+ * the deployments of the network it forks.
+ * @param {string} network is the network name
+ * @returns {Object[]} the journal entries
+ */
+function readJournal(network) {
+  const read = (name) => {
+    const filePath = getJournalPath(name);
+    return fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath).toString())
+      : [];
+  };
+  return network.includes("-fork")
+    ? read(network.replace("-fork", "")).concat(read(network))
+    : read(network);
+}
+
+/**
+ * Returns the latest journal entry of each deployment name of a network
+ * @param {string} network is the network name
+ * @returns {Object} the entries by deployment name
+ */
+function getLatestDeployments(network) {
+  const latest = {};
+  readJournal(network).forEach((entry) => {
+    latest[entry.name] = entry;
+  });
+  return latest;
+}
+
+/**
+ * Describes what a deployment would deploy, to compare it with the journal
+ * @param {Object} params
+ * @param {string} params.bytecode is the creation bytecode, with its library placeholders
+ * @param {Array} params.args is the constructor arguments
+ * @param {Object} [params.libraries] is the address of each linked library, by name
+ * @returns {Object} the hash of the bytecode, the arguments and the libraries as stored in the journal
+ */
+function describeDeployment({ bytecode, args, libraries = {} }) {
+  const sortedLibraries = {};
+  Object.keys(libraries)
+    .sort()
+    .forEach((name) => {
+      sortedLibraries[name] = ethers.utils.getAddress(libraries[name]);
+    });
+
+  return {
+    // The library placeholders are not hex, the bytecode is hashed as text
+    bytecodeHash: ethers.utils.id(bytecode),
+    constructorArgs: normalizeArgs(args),
+    libraries: sortedLibraries,
+  };
+}
+
+/**
+ * Compares a deployment with the latest journal entry of its name and with the code
+ * deployed at the entry's address
+ * @param {Object} entry is the journal entry, if any
+ * @param {Object} description is the deployment of `describeDeployment`
+ * @param {Function} getCode reads the code at an address
+ * @param {string} [recordedAddress] is the address of the name in deployments.json, if any
+ * @returns {Promise<string>} `new` when nothing was deployed under the name, `untracked`
+ * when deployments.json has an address the journal does not know, `unchanged` when the
+ * entry deployed the same bytecode, arguments and libraries, `changed` when it did not
+ * and `drifted` when the code at its address is not the code it deployed
+ */
+async function checkDeployment(
+  entry,
+  description,
+  getCode,
+  recordedAddress = null
+) {
+  if (!entry) {
+    return recordedAddress ? "untracked" : "new";
+  }
+  if (keccak256(await getCode(entry.address)) !== entry.codeHash) {
+    return "drifted";
+  }
+  return entry.bytecodeHash === description.bytecodeHash &&
+    JSON.stringify(entry.constructorArgs) ===
+      JSON.stringify(description.constructorArgs) &&
+    JSON.stringify(entry.libraries) === JSON.stringify(description.libraries)
+    ? "unchanged"
+    : "changed";
+}
+
+/**
+ * Appends a deployment to the network's journal and records its address in
+ * deployments.json, which forks leave untouched
+ * @param {string} network is the network name
+ * @param {Object} entry is the journal entry
+ * @param {string} entry.name is the deployment name, e.g. RibbonETHCoveredCallLogic
+ * @param {string} entry.contract is the contract name
+ * @param {string} entry.address is the deployed address
+ * @param {string} entry.txHash is the deployment transaction
+ * @param {number} entry.blockNumber is the block of the deployment transaction
+ * @param {string} entry.deployer is the account which sent the deployment
+ * @param {string} entry.codeHash is the hash of the code deployed at the address
+ */
+async function recordDeployment(network, entry) {
+  const filePath = getJournalPath(network);
+  const journal = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath).toString())
+    : [];
+  journal.push(entry);
+
+  fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(journal, null, 2) + "\n");
+  await updateDeployedAddresses(network, entry.name, entry.address);
+}
+
+/**
+ * Adds fields to a deployment of the network's journal, e.g. once its sources are verified
+ * @param {string} network is the network name
+ * @param {string} txHash is the deployment transaction of the entry
+ * @param {Object} fields is the fields to set
+ */
+function updateJournalEntry(network, txHash, fields) {
+  const filePath = getJournalPath(network);
+  const journal = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath).toString())
+    : [];
+  const entry = journal.find((candidate) => candidate.txHash === txHash);
+  if (!entry) {
+    throw new Error(`No deployment in ${txHash} in the ${network} journal`);
+  }
+
+  Object.assign(entry, fields);
+  fs.writeFileSync(filePath, JSON.stringify(journal, null, 2) + "\n");
+}
+
+/**
+ * Deploys a contract from a truffle migration unless the journal holds a deployment of
+ * the same name with the same bytecode, constructor arguments and libraries. A reused
+ * deployment is set as the address of the truffle contract. Contracts deployed before
+ * the journal, which are only in deployments.json, are not redeployed unless their name
+ * is listed in the comma-separated REDEPLOY environment variable.
+ * @param {Object} deployer is the truffle deployer
+ * @param {string} network is the truffle network
+ * @param {string} name is the deployment name in deployments.json
+ * @param {Object} Contract is the truffle contract
+ * @param {Array} args is the constructor arguments
+ * @param {Object} [options]
+ * @param {string} [options.from] is the account deploying the contract
+ * @param {Object} [options.libraries] is the truffle contract of each linked library, by name
+ * @param {boolean} [options.keepExisting] keeps a changed deployment instead of redeploying
+ * it, e.g. a proxy which holds state and is upgraded instead
+ * @returns {Promise<string>} the address of the deployment
+ */
+async function deployContract(
+  deployer,
+  network,
+  name,
+  Contract,
+  args,
+  options = {}
+) {
+  const { from, libraries = {}, keepExisting = false } = options;
+  const { eth } = Contract.web3;
+  const libraryAddresses = {};
+  for (const [libraryName, Library] of Object.entries(libraries)) {
+    await deployer.link(Library, Contract);
+    libraryAddresses[libraryName] = Library.address;
+  }
+
+  const description = describeDeployment({
+    bytecode: Contract.bytecode,
+    args,
+    libraries: libraryAddresses,
+  });
+  const entry = getLatestDeployments(network)[name];
+  const recordedAddress = getRecordedAddress(network, name);
+  const status = await checkDeployment(
+    entry,
+    description,
+    (address) => eth.getCode(address),
+    recordedAddress
+  );
+
+  if (status === "untracked" && !isRedeployed(name)) {
+    throw new Error(
+      `${name} is at ${recordedAddress} in deployments.json but not in the ${network} journal, set REDEPLOY=${name} to deploy it again`
+    );
+  }
+  if (status === "drifted") {
+    throw new Error(
+      `The code at ${entry.address} is not the ${name} of the ${network} journal`
+    );
+  }
+  if (status === "unchanged" || (status === "changed" && keepExisting)) {
+    console.log(`Reusing ${name} at ${entry.address}`);
+    await Contract.detectNetwork();
+    Contract.address = entry.address;
+    await updateDeployedAddresses(network, name, entry.address);
+    return entry.address;
+  }
+
+  const instance = await deployer.deploy(
+    Contract,
+    ...args,
+    from ? { from } : {}
+  );
+  const receipt = await eth.getTransactionReceipt(instance.transactionHash);
+  await recordDeployment(network, {
+    name,
+    contract: Contract.contractName,
+    address: instance.address,
+    txHash: instance.transactionHash,
+    blockNumber: receipt.blockNumber,
+    deployer: ethers.utils.getAddress(receipt.from),
+    ...description,
+    codeHash: keccak256(await eth.getCode(instance.address)),
+  });
+  return instance.address;
+}
+
+// Forks deploy on top of the addresses of the network they fork
+function getRecordedAddress(network, name) {
+  const deployments = JSON.parse(fs.readFileSync(DEPLOYMENTS_PATH).toString());
+  return (deployments[network.replace("-fork", "")] || {})[name] || null;
+}
+
+function isRedeployed(name) {
+  return (process.env.REDEPLOY || "")
+    .split(",")
+    .map((redeployed) => redeployed.trim())
+    .includes(name);
+}
+
+// Stores the arguments as strings, so numbers and big numbers compare alike
+function normalizeArgs(args) {
+  return args.map((arg) => {
+    if (Array.isArray(arg)) {
+      return normalizeArgs(arg);
+    }
+    const value = arg.toString();
+    return ethers.utils.isAddress(value)
+      ? ethers.utils.getAddress(value)
+      : value;
+  });
+}
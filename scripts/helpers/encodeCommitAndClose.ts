@@ -1,15 +1,14 @@
 import { BigNumber, ethers } from "ethers";
-import { Networks, getDefaultProvider } from "./getDefaultEthersProvider";
+import { getDefaultProvider } from "./getDefaultEthersProvider";
+import { Networks, getDeployments } from "./networks";
 import hre from "hardhat";
 
-const deployments = require("../../constants/deployments");
-
 export async function encodeCommitAndClose(
   network: Networks,
-  otokenAddress: string
+  otokenAddress: string,
+  provider: ethers.providers.Provider = getDefaultProvider(network)
 ) {
   otokenAddress = ethers.utils.getAddress(otokenAddress);
-  const provider = getDefaultProvider(network);
 
   const otokenArtifact = await hre.artifacts.readArtifact("OtokenInterface");
   const adapterArtifact = await hre.artifacts.readArtifact("GammaAdapter");
@@ -40,12 +39,9 @@ export async function encodeCommitAndClose(
     optionType,
     paymentToken,
   ];
-  console.log();
-  console.log("Use this as the parameter for commitAndClose:");
-  console.log(JSON.stringify(optionTerms));
 
   const adapter = new ethers.Contract(
-    deployments[network].GammaAdapterLogic,
+    getDeployments(network).GammaAdapterLogic,
     adapterArtifact.abi,
     provider
   );
@@ -55,12 +51,27 @@ export async function encodeCommitAndClose(
     throw new Error(`Found otoken ${otokenAddress} does not match`);
   }
 
-  console.log("\nEncoded commitAndClose hex data");
-  console.log(`Matched with oToken ${otokenAddress}`);
-
   let iface = new ethers.utils.Interface(vaultArtifact.abi);
 
   const encoded = iface.encodeFunctionData("commitAndClose", [optionTerms]);
 
-  console.log(`Encoded hex data: ${encoded}`);
+  return { otokenAddress, optionTerms, encoded };
+}
+
+export function renderCommitAndClose({
+  otokenAddress,
+  optionTerms,
+  encoded,
+}: {
+  otokenAddress: string;
+  optionTerms: (string | number)[];
+  encoded: string;
+}) {
+  return `
+Use this as the parameter for commitAndClose:
+${JSON.stringify(optionTerms)}
+
+Encoded commitAndClose hex data
+Matched with oToken ${otokenAddress}
+Encoded hex data: ${encoded}`;
 }
@@ -0,0 +1,433 @@
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { BigNumber, ethers } from "ethers";
+import { log } from "./cli";
+import { VaultDeployment } from "./vaults";
+
+const { readArtifact } = require("./artifacts");
+
+// Events indexed from the theta vaults
+export const VAULT_EVENTS = [
+  "Deposit",
+  "Withdraw",
+  "OpenShort",
+  "CloseShort",
+  "CapSet",
+  "WithdrawalFeeSet",
+  "Migrate",
+  "WithdrawToV1Vault",
+  "VaultSunset",
+  // Share transfers, including the mints and burns of deposits and withdrawals
+  "Transfer",
+];
+
+// AirSwap event of the `sellOptions` trades, emitted by the swap contract
+export const SWAP_EVENT = "Swap";
+
+export interface IndexedEvent {
+  vault: string;
+  blockNumber: number;
+  blockHash: string;
+  timestamp: number;
+  txHash: string;
+  logIndex: number;
+  event: string;
+  // Event arguments by name, amounts are decimal strings
+  args: Record<string, string>;
+}
+
+export interface IndexCursor {
+  vault: string;
+  name: string;
+  fromBlock: number;
+  lastBlock: number;
+  // Hash of the last block when it was scanned, null for the cursors of older databases
+  lastBlockHash: string | null;
+}
+
+export interface IndexParams {
+  db: Database.Database;
+  vault: VaultDeployment;
+  provider: ethers.providers.Provider;
+  // First block to scan when the vault was never indexed, defaults to its deployment block
+  fromBlock?: number;
+  // Last block to scan, included
+  toBlock: number;
+  // Number of blocks per eth_getLogs request, halved when the node rejects a range
+  chunkSize: number;
+  // AirSwap swap contract, its swaps where the vault is the sender are indexed with the vault events
+  swapContract?: string;
+}
+
+export interface IndexResult {
+  vault: string;
+  name: string;
+  fromBlock: number;
+  toBlock: number;
+  events: number;
+  // First block indexed again because the last indexed block was reorged out
+  reorgedFrom: number | null;
+}
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS events (
+  vault TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  args TEXT NOT NULL,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_vault ON events (vault, event, block_number);
+CREATE TABLE IF NOT EXISTS cursors (
+  vault TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  from_block INTEGER NOT NULL,
+  last_block INTEGER NOT NULL,
+  last_block_hash TEXT
+);
+`;
+const CURSOR_COLUMNS =
+  "vault, name, from_block AS fromBlock, last_block AS lastBlock, last_block_hash AS lastBlockHash";
+
+export function getEventDatabasePath(dir: string, network: string) {
+  return path.join(dir, `${network}.sqlite`);
+}
+
+/**
+ * Opens the event database of a network, creating its tables if needed.
+ * `events` holds a row per vault event with its arguments as JSON and
+ * `cursors` the last block scanned for each vault with its hash.
+ * @param dbPath is the path of the SQLite file
+ */
+export function openEventDatabase(dbPath: string) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.exec(SCHEMA);
+  // Databases created before the cursors stored the hash of their last block
+  const columns: { name: string }[] = db
+    .prepare("PRAGMA table_info(cursors)")
+    .all();
+  if (!columns.some(({ name }) => name === "last_block_hash")) {
+    db.exec("ALTER TABLE cursors ADD COLUMN last_block_hash TEXT");
+  }
+  return db;
+}
+
+export function getCursors(db: Database.Database): IndexCursor[] {
+  return db
+    .prepare(`SELECT ${CURSOR_COLUMNS} FROM cursors ORDER BY name`)
+    .all();
+}
+
+/**
+ * Returns the indexed events of a vault in chain order
+ * @param db is the event database
+ * @param vault is the vault address
+ * @param events is the event names to return, defaults to all of them
+ */
+export function getVaultEvents(
+  db: Database.Database,
+  vault: string,
+  events: string[] = [...VAULT_EVENTS, SWAP_EVENT]
+): IndexedEvent[] {
+  const rows = db
+    .prepare(
+      `SELECT * FROM events WHERE vault = ? AND event IN (${events
+        .map(() => "?")
+        .join(", ")}) ORDER BY block_number, log_index`
+    )
+    .all(ethers.utils.getAddress(vault), ...events);
+
+  return rows.map((row) => ({
+    vault: row.vault,
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    timestamp: row.timestamp,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    event: row.event,
+    args: JSON.parse(row.args),
+  }));
+}
+
+/**
+ * Indexes the events of a vault from the last scanned block up to `toBlock`.
+ * Each chunk is stored with the cursor in a single SQLite transaction,
+ * so an interrupted run resumes after the last stored chunk. When the last scanned
+ * block was reorged out, the events after the fork point are deleted and indexed again.
+ * @param params is the database, the vault and the block range
+ */
+export async function indexVaultEvents(
+  params: IndexParams
+): Promise<IndexResult> {
+  const { db, vault, provider, toBlock } = params;
+  const address = ethers.utils.getAddress(vault.address);
+  const iface = await getVaultEventsInterface();
+
+  const cursor: IndexCursor | undefined = db
+    .prepare(`SELECT ${CURSOR_COLUMNS} FROM cursors WHERE vault = ?`)
+    .get(address);
+  const reorgedFrom = cursor
+    ? await findReorgedBlock(db, provider, cursor)
+    : null;
+  if (cursor && reorgedFrom !== null) {
+    log(
+      `${vault.name}: block ${cursor.lastBlock} was reorged out, indexing again from block ${reorgedFrom}`
+    );
+    db.transaction(() => {
+      db.prepare(
+        "DELETE FROM events WHERE vault = ? AND block_number >= ?"
+      ).run(address, reorgedFrom);
+      db.prepare(
+        "UPDATE cursors SET last_block = ?, last_block_hash = NULL WHERE vault = ?"
+      ).run(reorgedFrom - 1, address);
+    })();
+  }
+
+  let startBlock: number;
+  if (reorgedFrom !== null) {
+    startBlock = reorgedFrom;
+  } else if (cursor) {
+    startBlock = cursor.lastBlock + 1;
+  } else {
+    startBlock =
+      params.fromBlock || (await findDeploymentBlock(provider, address));
+  }
+
+  const insertEvent = db.prepare(
+    `INSERT OR REPLACE INTO events (vault, block_number, block_hash, timestamp, tx_hash, log_index, event, args)
+     VALUES (@vault, @blockNumber, @blockHash, @timestamp, @txHash, @logIndex, @event, @args)`
+  );
+  const saveCursor = db.prepare(
+    `INSERT INTO cursors (vault, name, from_block, last_block, last_block_hash) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(vault) DO UPDATE SET last_block = excluded.last_block, last_block_hash = excluded.last_block_hash`
+  );
+  const storeChunk = db.transaction(
+    (events: IndexedEvent[], lastBlock: ethers.providers.Block) => {
+      for (const event of events) {
+        insertEvent.run({ ...event, args: JSON.stringify(event.args) });
+      }
+      saveCursor.run(
+        address,
+        vault.name,
+        startBlock,
+        lastBlock.number,
+        lastBlock.hash
+      );
+    }
+  );
+
+  const filters: ethers.providers.Filter[] = [
+    {
+      address,
+      topics: [VAULT_EVENTS.map((name) => iface.getEventTopic(name))],
+    },
+    ...(params.swapContract
+      ? [
+          {
+            address: params.swapContract,
+            topics: [
+              iface.getEventTopic(SWAP_EVENT),
+              null,
+              null,
+              ethers.utils.hexZeroPad(address, 32),
+            ],
+          },
+        ]
+      : []),
+  ];
+  let chunkSize = params.chunkSize;
+  let fromBlock = startBlock;
+  let count = 0;
+
+  while (fromBlock <= toBlock) {
+    const chunkEnd = Math.min(fromBlock + chunkSize - 1, toBlock);
+    const logs = await getLogs(provider, filters, fromBlock, chunkEnd);
+
+    if (logs) {
+      const events = await decodeLogs(address, iface, logs, provider);
+      storeChunk(events, await provider.getBlock(chunkEnd));
+      count += events.length;
+      log(
+        `${vault.name}: blocks ${fromBlock}-${chunkEnd}, ${events.length} events`
+      );
+      fromBlock = chunkEnd + 1;
+    } else if (chunkSize > 1) {
+      // Nodes cap the number of logs or the block range of a request
+      chunkSize = Math.ceil(chunkSize / 2);
+      log(`Retrying with ${chunkSize} blocks per request`);
+    } else {
+      throw new Error(`Cannot read the logs of block ${fromBlock}`);
+    }
+  }
+
+  return {
+    vault: address,
+    name: vault.name,
+    fromBlock: startBlock,
+    toBlock,
+    events: count,
+    reorgedFrom,
+  };
+}
+
+/**
+ * Checks the last scanned block of a cursor is still on the chain. When it was reorged
+ * out, returns the block to index again from: the one after the latest block of the
+ * stored events which is still on the chain, or the first indexed block.
+ * @param db is the event database
+ * @param provider reads the blocks of the chain
+ * @param cursor is the cursor of the vault
+ */
+export async function findReorgedBlock(
+  db: Database.Database,
+  provider: ethers.providers.Provider,
+  cursor: IndexCursor
+): Promise<number | null> {
+  const isOnChain = async (blockNumber: number, hash: string) => {
+    const block = await provider.getBlock(blockNumber);
+    return Boolean(block) && block.hash === hash;
+  };
+  if (
+    !cursor.lastBlockHash ||
+    (await isOnChain(cursor.lastBlock, cursor.lastBlockHash))
+  ) {
+    return null;
+  }
+
+  const blocks: { blockNumber: number; blockHash: string }[] = db
+    .prepare(
+      `SELECT DISTINCT block_number AS blockNumber, block_hash AS blockHash FROM events
+       WHERE vault = ? ORDER BY block_number DESC`
+    )
+    .all(cursor.vault);
+  for (const { blockNumber, blockHash } of blocks) {
+    if (await isOnChain(blockNumber, blockHash)) {
+      return blockNumber + 1;
+    }
+  }
+  return cursor.fromBlock;
+}
+
+/**
+ * Finds the block a contract was deployed in by searching the first block it has code at.
+ * Needs a node serving historical state.
+ * @param provider is the provider to search with
+ * @param address is the contract address
+ */
+export async function findDeploymentBlock(
+  provider: ethers.providers.Provider,
+  address: string
+) {
+  let low = 0;
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(address, high)) === "0x") {
+    throw new Error(`No contract at ${address}`);
+  }
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    let code: string;
+    try {
+      code = await provider.getCode(address, middle);
+    } catch (e) {
+      throw new Error(
+        `Cannot read the code of ${address} at block ${middle}, pass the first block to index (${e.message})`
+      );
+    }
+    if (code === "0x") {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Returns the logs of the filters in chain order, null when the node rejects a request
+async function getLogs(
+  provider: ethers.providers.Provider,
+  filters: ethers.providers.Filter[],
+  fromBlock: number,
+  toBlock: number
+) {
+  const logs: ethers.providers.Log[] = [];
+  try {
+    for (const filter of filters) {
+      logs.push(...(await provider.getLogs({ ...filter, fromBlock, toBlock })));
+    }
+  } catch (e) {
+    log(`eth_getLogs failed: ${e.message}`);
+    return null;
+  }
+  return logs.sort((a, b) =>
+    a.blockNumber === b.blockNumber
+      ? a.logIndex - b.logIndex
+      : a.blockNumber - b.blockNumber
+  );
+}
+
+async function getVaultEventsInterface() {
+  const fragments: Record<string, ethers.utils.EventFragment> = {};
+
+  // The Yearn vault declares the same events except WithdrawToV1Vault
+  for (const contract of ["RibbonThetaVault", "RibbonThetaVaultYearn"]) {
+    const artifact = await readArtifact(contract);
+    const iface = new ethers.utils.Interface(artifact.abi);
+    Object.values(iface.events)
+      .filter((fragment) => VAULT_EVENTS.includes(fragment.name))
+      .forEach((fragment) => {
+        fragments[fragment.format()] = fragment;
+      });
+  }
+  const swapArtifact = await readArtifact("ISwap");
+  const swapEvent = new ethers.utils.Interface(swapArtifact.abi).getEvent(
+    SWAP_EVENT
+  );
+  fragments[swapEvent.format()] = swapEvent;
+
+  return new ethers.utils.Interface(Object.values(fragments));
+}
+
+async function decodeLogs(
+  vault: string,
+  iface: ethers.utils.Interface,
+  logs: ethers.providers.Log[],
+  provider: ethers.providers.Provider
+): Promise<IndexedEvent[]> {
+  const timestamps: Record<string, number> = {};
+  const events: IndexedEvent[] = [];
+
+  for (const eventLog of logs) {
+    if (!(eventLog.blockHash in timestamps)) {
+      timestamps[eventLog.blockHash] = (
+        await provider.getBlock(eventLog.blockHash)
+      ).timestamp;
+    }
+    const parsed = iface.parseLog(eventLog);
+    const args: Record<string, string> = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = BigNumber.isBigNumber(value)
+        ? value.toString()
+        : String(value);
+    });
+
+    events.push({
+      vault,
+      blockNumber: eventLog.blockNumber,
+      blockHash: eventLog.blockHash,
+      timestamp: timestamps[eventLog.blockHash],
+      txHash: eventLog.transactionHash,
+      logIndex: eventLog.logIndex,
+      event: parsed.name,
+      args,
+    });
+  }
+  return events;
+}
@@ -0,0 +1,238 @@
+import { BigNumber, ethers } from "ethers";
+import { log } from "./cli";
+import { getGasPrice } from "./getGasPrice";
+import { Networks } from "./networks";
+
+const { parseUnits, formatUnits } = ethers.utils;
+
+export interface GasFees {
+  // Gas price of the legacy transactions, sent on networks without a base fee
+  gasPrice: BigNumber;
+  // EIP-1559 fees, for the strategies reading the fee history
+  maxFeePerGas?: BigNumber;
+  maxPriorityFeePerGas?: BigNumber;
+  // Name of the strategy which priced the fees
+  source: string;
+}
+
+export interface GasStrategy {
+  name: string;
+  getFees: () => Promise<GasFees>;
+  // Ceiling of the fees, which also bounds the replacements of stuck transactions
+  maxGasPrice?: BigNumber;
+}
+
+export interface GasStrategyOptions {
+  // Fixed gas price, skips every other source
+  gasPrice?: BigNumber;
+  // Ceiling of the gas price and of the max fee per gas
+  maxGasPrice?: BigNumber;
+}
+
+// Number of blocks and reward percentile read from the fee history
+const FEE_HISTORY_BLOCKS = 10;
+const FEE_HISTORY_PERCENTILE = 75;
+
+/**
+ * Prices transactions with the node's `eth_gasPrice`
+ */
+export function providerGasPrice(
+  provider: ethers.providers.Provider
+): GasStrategy {
+  return {
+    name: "eth_gasPrice",
+    getFees: async () => ({
+      gasPrice: await provider.getGasPrice(),
+      source: "eth_gasPrice",
+    }),
+  };
+}
+
+/**
+ * Prices transactions with the EIP-1559 fee history: the next block's base fee plus
+ * a priority fee paid by recent blocks. Legacy transactions pay their whole gas price,
+ * so the gas price is what an EIP-1559 transaction with these fees would pay.
+ */
+export function feeHistoryGasPrice(
+  provider: ethers.providers.JsonRpcProvider,
+  blocks = FEE_HISTORY_BLOCKS,
+  percentile = FEE_HISTORY_PERCENTILE
+): GasStrategy {
+  return {
+    name: "eth_feeHistory",
+    getFees: async () => {
+      const history = await provider.send("eth_feeHistory", [
+        ethers.utils.hexValue(blocks),
+        "latest",
+        [percentile],
+      ]);
+      if (!history.baseFeePerGas || !history.reward) {
+        throw new Error("Node returned no fee history");
+      }
+
+      // The last base fee is the one of the next block
+      const baseFee = BigNumber.from(
+        history.baseFeePerGas[history.baseFeePerGas.length - 1]
+      );
+      const rewards: BigNumber[] = history.reward
+        .map((reward: string[]) => BigNumber.from(reward[0]))
+        .sort((a: BigNumber, b: BigNumber) => (a.lt(b) ? -1 : 1));
+      const maxPriorityFeePerGas = rewards[Math.floor(rewards.length / 2)];
+
+      return {
+        gasPrice: baseFee.add(maxPriorityFeePerGas),
+        // Leaves room for the base fee to double before the transaction is mined
+        maxFeePerGas: baseFee.mul(2).add(maxPriorityFeePerGas),
+        maxPriorityFeePerGas,
+        source: "eth_feeHistory",
+      };
+    },
+  };
+}
+
+/**
+ * Prices transactions with the Etherscan gas tracker, which only covers mainnet
+ */
+export function etherscanGasPrice(isFast = true): GasStrategy {
+  return {
+    name: "etherscan",
+    getFees: async () => ({
+      gasPrice: await getGasPrice(isFast),
+      source: "etherscan",
+    }),
+  };
+}
+
+export function fixedGasPrice(gasPrice: BigNumber): GasStrategy {
+  return {
+    name: "fixed",
+    getFees: async () => ({ gasPrice, source: "fixed" }),
+  };
+}
+
+/**
+ * Uses the first strategy which prices the fees, logging the ones which failed
+ * @param strategies is the strategies in order of preference
+ */
+export function withFallbacks(strategies: GasStrategy[]): GasStrategy {
+  return {
+    name: strategies.map((strategy) => strategy.name).join(" > "),
+    getFees: async () => {
+      const errors: string[] = [];
+      for (const strategy of strategies) {
+        try {
+          return await strategy.getFees();
+        } catch (e) {
+          log(`Gas strategy ${strategy.name} failed: ${e.message}`);
+          errors.push(`${strategy.name}: ${e.message}`);
+        }
+      }
+      throw new Error(`Every gas strategy failed (${errors.join(", ")})`);
+    },
+  };
+}
+
+/**
+ * Caps the fees of a strategy
+ * @param strategy is the strategy to cap
+ * @param maxGasPrice is the ceiling of the gas price and of the max fee per gas
+ */
+export function withMaxFee(
+  strategy: GasStrategy,
+  maxGasPrice: BigNumber
+): GasStrategy {
+  const cap = (fee: BigNumber) => (fee.gt(maxGasPrice) ? maxGasPrice : fee);
+
+  return {
+    name: `${strategy.name} (max ${formatUnits(maxGasPrice, "gwei")} gwei)`,
+    maxGasPrice,
+    getFees: async () => {
+      const fees = await strategy.getFees();
+      if (fees.gasPrice.gt(maxGasPrice)) {
+        log(
+          `Capping the gas price of ${formatUnits(
+            fees.gasPrice,
+            "gwei"
+          )} gwei to ${formatUnits(maxGasPrice, "gwei")} gwei`
+        );
+      }
+
+      return {
+        ...fees,
+        gasPrice: cap(fees.gasPrice),
+        ...(fees.maxFeePerGas ? { maxFeePerGas: cap(fees.maxFeePerGas) } : {}),
+        ...(fees.maxPriorityFeePerGas
+          ? { maxPriorityFeePerGas: cap(fees.maxPriorityFeePerGas) }
+          : {}),
+      };
+    },
+  };
+}
+
+/**
+ * Returns the gas strategy used by the scripts sending transactions: a fixed gas price
+ * if one is given, otherwise the fee history, then `eth_gasPrice`, then Etherscan on mainnet
+ * @param network is the network the transactions are sent on
+ * @param provider is the provider sending the transactions
+ * @param options is the fixed gas price and the ceiling
+ */
+export function getDefaultGasStrategy(
+  network: Networks,
+  provider: ethers.providers.JsonRpcProvider,
+  options: GasStrategyOptions = {}
+): GasStrategy {
+  const strategy = options.gasPrice
+    ? fixedGasPrice(options.gasPrice)
+    : withFallbacks([
+        feeHistoryGasPrice(provider),
+        providerGasPrice(provider),
+        ...(network === "mainnet" ? [etherscanGasPrice()] : []),
+      ]);
+
+  return options.maxGasPrice
+    ? withMaxFee(strategy, options.maxGasPrice)
+    : strategy;
+}
+
+export type GasOverrides =
+  | { gasPrice: BigNumber }
+  | { maxFeePerGas: BigNumber; maxPriorityFeePerGas: BigNumber };
+
+/**
+ * Returns the transaction overrides pricing the gas with a strategy: EIP-1559 fees when
+ * the latest block has a base fee, a gas price otherwise. The strategies pricing no
+ * EIP-1559 fees pay their gas price as both fees, what a legacy transaction would pay.
+ * @param strategy is the gas strategy
+ * @param provider reads the latest block
+ */
+export async function getGasOverrides(
+  strategy: GasStrategy,
+  provider: ethers.providers.Provider
+): Promise<GasOverrides> {
+  const [fees, block] = await Promise.all([
+    strategy.getFees(),
+    provider.getBlock("latest"),
+  ]);
+  if (!block.baseFeePerGas) {
+    log(
+      `Gas price: ${formatUnits(fees.gasPrice, "gwei")} gwei (${fees.source})`
+    );
+    return { gasPrice: fees.gasPrice };
+  }
+
+  const maxFeePerGas = fees.maxFeePerGas || fees.gasPrice;
+  const maxPriorityFeePerGas = fees.maxPriorityFeePerGas || fees.gasPrice;
+  log(
+    `Max fee: ${formatUnits(
+      maxFeePerGas,
+      "gwei"
+    )} gwei, priority fee: ${formatUnits(maxPriorityFeePerGas, "gwei")} gwei (${
+      fees.source
+    })`
+  );
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+export function parseGwei(gwei: string) {
+  return parseUnits(gwei, "gwei");
+}
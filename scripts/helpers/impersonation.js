@@ -0,0 +1,44 @@
+const { ethers } = require("ethers");
+const { readArtifact } = require("./artifacts");
+
+module.exports = { impersonate, stopImpersonating, forceSend };
+
+/**
+ * Impersonates an account on a hardhat network, e.g. the owner of a mainnet contract on a fork
+ * @param {Object} provider is the ethers provider of the hardhat network
+ * @param {string} account is the account to impersonate
+ * @returns the signer sending transactions from the account
+ */
+async function impersonate(provider, account) {
+  await provider.send("hardhat_impersonateAccount", [account]);
+  return provider.getSigner(account);
+}
+
+/**
+ * Stops impersonating an account on a hardhat network
+ * @param {Object} provider is the ethers provider of the hardhat network
+ * @param {string} account is the impersonated account
+ */
+async function stopImpersonating(provider, account) {
+  await provider.send("hardhat_stopImpersonatingAccount", [account]);
+}
+
+/**
+ * Sends ether to an account which may not accept it, e.g. a contract without receive(),
+ * by self-destructing a ForceSend contract in its favor
+ * @param {Object} signer is the account paying the ether
+ * @param {string} account is the account receiving the ether
+ * @param {Object} amount is the amount of ether in wei
+ */
+async function forceSend(signer, account, amount) {
+  const artifact = await readArtifact("ForceSend");
+  const factory = new ethers.ContractFactory(
+    artifact.abi,
+    artifact.bytecode,
+    signer
+  );
+  const forceSendContract = await factory.deploy();
+  await forceSendContract.deployed();
+  const tx = await forceSendContract.go(account, { value: amount });
+  await tx.wait();
+}
@@ -0,0 +1,300 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import hre from "hardhat";
+import { Artifact } from "hardhat/types";
+import { log } from "./cli";
+import {
+  Accounts,
+  ExternalAddresses,
+  getAccounts,
+  getExternalAddresses,
+} from "./networks";
+
+const { getVaultDeployment, getVaultManifest } = require("./vaultManifest");
+
+export const LOCAL_NETWORK = "local";
+
+// Stands in for the external contracts the theta vaults never call, e.g. the
+// Uniswap router and the 0x exchange of the adapter purchases
+export const UNUSED_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+// Spot prices set on the mock oracle, in USD with 8 decimals
+export const LOCAL_PRICES = {
+  weth: 2000,
+  wbtc: 40000,
+};
+
+// Entry of constants/vaults.json
+interface ManifestVault {
+  name: string;
+  contract: string;
+  asset: string;
+  isPut: boolean;
+}
+
+export interface LocalStackParams {
+  // Deploys the contracts and administers the proxies
+  admin: ethers.Signer;
+  // Owns the factory, the registry and the vaults
+  owner: ethers.Signer;
+  manager: string;
+}
+
+export interface LocalStack {
+  // Entry of the local network in deployments.json
+  deployments: Record<string, string>;
+  // Mock external contracts, in the layout of externalAddresses.json
+  externalAddresses: ExternalAddresses;
+  accounts: Accounts;
+}
+
+/**
+ * Deploys the whole system on an empty network: mock tokens, a mock Gamma protocol
+ * and AirSwap, the factory, the registry, the Gamma adapter and a proxy per vault of
+ * constants/vaults.json launched on the local network.
+ * The contracts are deployed in a fixed order from fresh accounts, so a fresh hardhat
+ * node always gets the same addresses.
+ * @param params is the accounts deploying and owning the contracts
+ */
+export async function deployLocalStack(
+  params: LocalStackParams
+): Promise<LocalStack> {
+  const { admin, owner, manager } = params;
+  const adminAddress = await admin.getAddress();
+  const ownerAddress = await owner.getAddress();
+
+  for (const signer of [admin, owner]) {
+    if ((await signer.getTransactionCount()) !== 0) {
+      throw new Error(
+        `${await signer.getAddress()} already sent transactions, deploy on a fresh node to get the local addresses`
+      );
+    }
+  }
+
+  const deployments: Record<string, string> = {};
+  const deploy = async (
+    contract: string,
+    args: unknown[],
+    signer: ethers.Signer = admin,
+    libraries: Record<string, string> = {}
+  ) => {
+    const artifact = await hre.artifacts.readArtifact(contract);
+    const factory = new ethers.ContractFactory(
+      artifact.abi,
+      linkLibraries(artifact, libraries),
+      signer
+    );
+    const instance = await factory.deploy(...args);
+    await instance.deployed();
+    return instance;
+  };
+  const send = async (promise: Promise<ethers.ContractTransaction>) =>
+    (await promise).wait();
+
+  log("Deploying the mock tokens");
+  const weth = await deploy("MockWETH", []);
+  const usdc = await deploy("MockERC20", [
+    "USD Coin",
+    "USDC",
+    ethers.utils.parseUnits("1000000000", 6),
+  ]);
+  await send(usdc.setDecimals(6));
+  const wbtc = await deploy("MockERC20", [
+    "Wrapped BTC",
+    "WBTC",
+    ethers.utils.parseUnits("1000000", 8),
+  ]);
+  await send(wbtc.setDecimals(8));
+  const assets: Record<string, string> = {
+    weth: weth.address,
+    usdc: usdc.address,
+    wbtc: wbtc.address,
+  };
+
+  log("Deploying the mock Gamma protocol and AirSwap");
+  const oracle = await deploy("MockGammaOracle", []);
+  const whitelist = await deploy("MockGammaWhitelist", []);
+  const controller = await deploy("MockGammaVaultController", [oracle.address]);
+  const oTokenFactory = await deploy("MockOtokenFactory", [
+    controller.address,
+    whitelist.address,
+  ]);
+  const swap = await deploy("MockSwap", []);
+
+  await send(oracle.setStablePrice(usdc.address, toOraclePrice(1)));
+  await send(oracle.setPrice(weth.address, toOraclePrice(LOCAL_PRICES.weth)));
+  await send(oracle.setPrice(wbtc.address, toOraclePrice(LOCAL_PRICES.wbtc)));
+  const vaults: ManifestVault[] = getVaultManifest(LOCAL_NETWORK);
+  for (const vault of vaults) {
+    const underlying = assets[vault.asset];
+    const collateral = vault.isPut ? usdc.address : underlying;
+    await send(whitelist.whitelistCollateral(collateral));
+    await send(
+      whitelist.whitelistProduct(
+        underlying,
+        usdc.address,
+        collateral,
+        vault.isPut
+      )
+    );
+  }
+
+  log("Deploying the factory, the registry and the adapters");
+  const factoryLogic = await deploy("RibbonFactory", []);
+  const factory = await deploy("AdminUpgradeabilityProxy", [
+    factoryLogic.address,
+    adminAddress,
+    factoryLogic.interface.encodeFunctionData("initialize", [
+      ownerAddress,
+      adminAddress,
+    ]),
+  ]);
+  const registry = await deploy("VaultRegistry", [], owner);
+  const protocolAdapterLib = await deploy("ProtocolAdapter", []);
+  // The margin pool pulling the collateral is the controller itself
+  const gammaAdapter = await deploy("GammaAdapter", [
+    oTokenFactory.address,
+    controller.address,
+    controller.address,
+    UNUSED_ADDRESS,
+    UNUSED_ADDRESS,
+    weth.address,
+    usdc.address,
+    UNUSED_ADDRESS,
+  ]);
+  await send(
+    factoryLogic
+      .attach(factory.address)
+      .connect(owner)
+      .setAdapter("OPYN_GAMMA", gammaAdapter.address)
+  );
+
+  Object.assign(deployments, {
+    RibbonFactoryLogic: factoryLogic.address,
+    RibbonFactory: factory.address,
+    VaultRegistry: registry.address,
+    ProtocolAdapterLib: protocolAdapterLib.address,
+    GammaAdapterLogic: gammaAdapter.address,
+  });
+
+  const externalAddresses: ExternalAddresses = {
+    feeds: {},
+    assets: { eth: ethers.constants.AddressZero, ...assets },
+    airswapSwap: swap.address,
+    oTokenFactory: oTokenFactory.address,
+    gammaController: controller.address,
+    gammaMarginPool: controller.address,
+    gammaOracle: oracle.address,
+    gammaWhitelist: whitelist.address,
+  };
+  const accounts = { admin: adminAddress, owner: ownerAddress, manager };
+
+  for (const vault of vaults) {
+    log(`Deploying ${vault.name}`);
+    const { contract, logicName, proxyName, constructorArgs, initializeData } =
+      getVaultDeployment(vault, { externalAddresses, deployments, accounts });
+    const logic = await deploy(contract, constructorArgs, admin, {
+      ProtocolAdapter: protocolAdapterLib.address,
+    });
+    const proxy = await deploy("AdminUpgradeabilityProxy", [
+      logic.address,
+      adminAddress,
+      initializeData,
+    ]);
+    await send(logic.attach(proxy.address).connect(owner).setManager(manager));
+
+    deployments[logicName] = logic.address;
+    deployments[proxyName] = proxy.address;
+  }
+
+  return { deployments, externalAddresses, accounts };
+}
+
+/**
+ * Compares the mocks and accounts of a deployed stack with the local entries of
+ * externalAddresses.json and accounts.json
+ * @param stack is the deployed stack
+ * @returns a message per address which differs
+ */
+export function getLocalStackMismatches(stack: LocalStack): string[] {
+  const expected: Record<string, unknown> = {
+    ...getExternalAddresses(LOCAL_NETWORK),
+    ...getAccounts(LOCAL_NETWORK),
+  };
+  const actual: Record<string, unknown> = {
+    ...stack.externalAddresses,
+    ...stack.accounts,
+  };
+  const expectedAssets = expected.assets as Record<string, string>;
+
+  return Object.entries(actual)
+    .filter(([name]) => name !== "assets" && name !== "feeds")
+    .map(([name, address]) => [name, address, expected[name]])
+    .concat(
+      Object.entries(stack.externalAddresses.assets).map(([name, address]) => [
+        `assets.${name}`,
+        address,
+        expectedAssets[name],
+      ])
+    )
+    .filter(
+      ([, address, expectedAddress]) =>
+        typeof expectedAddress !== "string" ||
+        (address as string).toLowerCase() !== expectedAddress.toLowerCase()
+    )
+    .map(
+      ([name, address, expectedAddress]) =>
+        `${name} is ${address}, expected ${expectedAddress}`
+    );
+}
+
+/**
+ * Writes the local entry of deployments.json
+ * @param deployments is the addresses of the deployed contracts
+ */
+export function writeLocalDeployments(deployments: Record<string, string>) {
+  const filePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "constants",
+    "deployments.json"
+  );
+  const json = JSON.parse(fs.readFileSync(filePath).toString());
+  json[LOCAL_NETWORK] = deployments;
+  fs.writeFileSync(filePath, JSON.stringify(json, null, 2) + "\n");
+}
+
+/**
+ * Replaces the library placeholders of an artifact's bytecode with their addresses
+ * @param artifact is the contract artifact
+ * @param libraries is the address of each library, by name
+ */
+export function linkLibraries(
+  artifact: Artifact,
+  libraries: Record<string, string>
+) {
+  let bytecode = artifact.bytecode;
+
+  for (const fileReferences of Object.values(artifact.linkReferences)) {
+    for (const [name, references] of Object.entries(fileReferences)) {
+      if (!(name in libraries)) {
+        throw new Error(`${artifact.contractName} needs library ${name}`);
+      }
+      const address = libraries[name].toLowerCase().slice(2);
+      for (const { start, length } of references) {
+        const offset = 2 + start * 2;
+        bytecode =
+          bytecode.slice(0, offset) +
+          address +
+          bytecode.slice(offset + length * 2);
+      }
+    }
+  }
+  return bytecode;
+}
+
+function toOraclePrice(price: number) {
+  return ethers.utils.parseUnits(price.toString(), 8);
+}
@@ -0,0 +1,188 @@
+import { ethers } from "ethers";
+import accounts from "../../constants/accounts.json";
+import deployments from "../../constants/deployments.json";
+import externalAddresses from "../../constants/externalAddresses.json";
+
+/**
+ * Every network named in the constants files
+ */
+export type Networks =
+  | keyof typeof externalAddresses
+  | keyof typeof deployments
+  | keyof typeof accounts;
+
+// The networks list different contracts, so only the shared layout is typed
+export interface ExternalAddresses {
+  assets: Record<string, string>;
+  feeds: Record<string, string>;
+  [contract: string]: any;
+}
+
+export interface Accounts {
+  admin: string;
+  owner: string;
+  manager: string;
+}
+
+export interface NetworkConfig {
+  name: Networks;
+  // Expected chain id, null for forks which keep the id of the node running them
+  chainId: number | null;
+  // Environment variables holding the RPC URL and the mnemonic of the network
+  rpcUrlEnv: string;
+  mnemonicEnv: string;
+  // RPC URL used when the environment variable is not set
+  defaultRpcUrl: string | null;
+  // Mnemonic used when the environment variable is not set, only for local nodes
+  defaultMnemonic: string | null;
+  // Blocks, the transaction's included, before a transaction is final. Local nodes
+  // never reorg, so their transactions are final once mined.
+  confirmations: number;
+}
+
+const LOCAL_RPC_URL = "http://127.0.0.1:8545";
+// Lets the receipt's block get 2 blocks built on top of it before checking it was not reorged
+const DEFAULT_CONFIRMATIONS = 3;
+// Mnemonic of the accounts hardhat node funds by default
+const HARDHAT_MNEMONIC =
+  "test test test test test test test test test test test junk";
+
+// Networks which do not follow the `<NETWORK>_URI` and `<NETWORK>_MNEMONIC` convention
+// or which have a known chain id
+const KNOWN_NETWORKS: Partial<Record<string, Partial<NetworkConfig>>> = {
+  mainnet: { chainId: 1, rpcUrlEnv: "MAINNET_URI", mnemonicEnv: "MNEMONIC" },
+  kovan: {
+    chainId: 42,
+    rpcUrlEnv: "INFURA_KOVAN_URI",
+    mnemonicEnv: "KOVAN_MNEMONIC",
+  },
+  // Hardhat node forking mainnet, see "Weekly roll" in the README
+  "mainnet-sim": {
+    chainId: null,
+    defaultRpcUrl: LOCAL_RPC_URL,
+    confirmations: 1,
+  },
+  // Hardhat node without a fork, see "Local stack" in the README
+  local: {
+    chainId: 31337,
+    defaultRpcUrl: LOCAL_RPC_URL,
+    defaultMnemonic: HARDHAT_MNEMONIC,
+    confirmations: 1,
+  },
+  // Local hardhat node
+  development: {
+    chainId: 31337,
+    defaultRpcUrl: LOCAL_RPC_URL,
+    defaultMnemonic: HARDHAT_MNEMONIC,
+    confirmations: 1,
+  },
+};
+
+/**
+ * Returns the names of every network in the constants files
+ */
+export function getNetworkNames(): Networks[] {
+  const names = [
+    ...Object.keys(externalAddresses),
+    ...Object.keys(deployments),
+    ...Object.keys(accounts),
+  ];
+  return names.filter(
+    (name, index) => names.indexOf(name) === index
+  ) as Networks[];
+}
+
+export function isNetwork(name: string): name is Networks {
+  return getNetworkNames().includes(name as Networks);
+}
+
+/**
+ * Returns the configuration of a network
+ * @param name is the network name, e.g. mainnet
+ */
+export function getNetworkConfig(name: string): NetworkConfig {
+  if (!isNetwork(name)) {
+    throw new Error(
+      `Unknown network "${name}", expected one of ${getNetworkNames().join(
+        ", "
+      )}`
+    );
+  }
+  const envPrefix = name.toUpperCase().replace(/-/g, "_");
+
+  return {
+    name,
+    chainId: null,
+    rpcUrlEnv: `${envPrefix}_URI`,
+    mnemonicEnv: `${envPrefix}_MNEMONIC`,
+    defaultRpcUrl: null,
+    defaultMnemonic: null,
+    confirmations: DEFAULT_CONFIRMATIONS,
+    ...KNOWN_NETWORKS[name],
+  };
+}
+
+export function getRpcUrl(network: Networks) {
+  const config = getNetworkConfig(network);
+  const url = process.env[config.rpcUrlEnv] || config.defaultRpcUrl;
+  if (!url) {
+    throw new Error(`Set ${config.rpcUrlEnv} to connect to ${network}`);
+  }
+  return url;
+}
+
+/**
+ * JSON-RPC provider checking its node runs the chain of a network. ethers detects the
+ * chain before every call, so no call reaches a node of another chain.
+ */
+export class NetworkProvider extends ethers.providers.JsonRpcProvider {
+  readonly config: NetworkConfig;
+
+  constructor(network: Networks, url: string = getRpcUrl(network)) {
+    super(url);
+    this.config = getNetworkConfig(network);
+  }
+
+  async detectNetwork(): Promise<ethers.providers.Network> {
+    const network = await super.detectNetwork();
+    const { name, chainId } = this.config;
+    // Forks keep the chain id of the node running them
+    if (chainId !== null && network.chainId !== chainId) {
+      throw new Error(
+        `The RPC node runs chain ${network.chainId} but ${name} is chain ${chainId}`
+      );
+    }
+    return network;
+  }
+}
+
+export function getMnemonic(network: Networks) {
+  const config = getNetworkConfig(network);
+  const mnemonic = process.env[config.mnemonicEnv] || config.defaultMnemonic;
+  if (!mnemonic) {
+    throw new Error(`Set ${config.mnemonicEnv} to sign on ${network}`);
+  }
+  return mnemonic;
+}
+
+export function getExternalAddresses(network: Networks): ExternalAddresses {
+  const addresses = (
+    externalAddresses as unknown as Record<string, ExternalAddresses>
+  )[network];
+  if (!addresses) {
+    throw new Error(`No external addresses for ${network}`);
+  }
+  return addresses;
+}
+
+export function getDeployments(network: Networks): Record<string, string> {
+  return (deployments as Record<string, Record<string, string>>)[network] || {};
+}
+
+export function getAccounts(network: Networks): Accounts {
+  const networkAccounts = (accounts as Record<string, Accounts>)[network];
+  if (!networkAccounts) {
+    throw new Error(`No accounts for ${network}`);
+  }
+  return networkAccounts;
+}
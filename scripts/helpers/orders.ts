@@ -0,0 +1,315 @@
+import axios from "axios";
+import { getOrderHash } from "@airswap/utils";
+import { BigNumber, ethers } from "ethers";
+import { Networks, getExternalAddresses } from "./networks";
+import { SECONDS_PER_YEAR } from "./math";
+
+const { readArtifact } = require("./artifacts");
+const { signOrderForSwap } = require("./swapOrders");
+
+export interface OrderParty {
+  kind: string;
+  wallet: string;
+  token: string;
+  amount: string;
+  id: string;
+}
+
+/**
+ * AirSwap v2 order as signed by the counterparty. The vault is the sender,
+ * it sends oTokens and receives the premium from the signer.
+ */
+export interface AirswapOrder {
+  nonce: string;
+  expiry: string;
+  signer: OrderParty;
+  sender: OrderParty;
+  affiliate: OrderParty;
+  signature: {
+    version: string;
+    signatory: string;
+    validator: string;
+    v: string;
+    r: string;
+    s: string;
+  };
+}
+
+export interface OrderCheck {
+  name: string;
+  valid: boolean;
+  message: string;
+}
+
+export interface OrderVerification {
+  vault: string;
+  otoken: string;
+  // Premium paid for the oTokens, in asset units
+  premium: string;
+  asset: string;
+  // Premium over the collateral sold, annualized to the option's expiry
+  annualizedYield: number | null;
+  checks: OrderCheck[];
+  valid: boolean;
+}
+
+export interface OrderVerificationParams {
+  network: Networks;
+  vaultAddress: string;
+  provider: ethers.providers.Provider;
+  // Minimum annualized yield, e.g. 0.05 for 5%
+  minYield?: number;
+  // Unix timestamp to check the expiries against, defaults to the latest block
+  now?: number;
+}
+
+export interface VaultOrderParams {
+  network: Networks;
+  vaultAddress: string;
+  provider: ethers.providers.Provider;
+  // Counterparty paying the premium and signing the order
+  signer: ethers.Wallet;
+  // Premium in asset units, e.g. "1.5" for 1.5 WETH
+  premium: string;
+  // Amount of oTokens bought, defaults to the vault's whole currentOption balance
+  amount?: string;
+  // Unix timestamp the order expires at
+  expiry: number;
+  nonce?: string;
+}
+
+// Signature version of personal_sign signatures, the others are EIP-712 typed data
+const ETH_SIGN_VERSION = "0x45";
+
+export async function fetchOrderJSON(ipfsHash: string) {
+  const url = `https://ipfs.io/ipfs/${ipfsHash}`;
+  const response = await axios.get(url);
+  return response.data;
+}
+
+/**
+ * Encodes the calldata for `sellOptions` with an AirSwap order
+ * @param orderJSON is the signed AirSwap order
+ */
+export async function encodeSellOptions(orderJSON: any) {
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const iface = new ethers.utils.Interface(vaultArtifact.abi);
+
+  return iface.encodeFunctionData("sellOptions", [orderJSON]);
+}
+
+/**
+ * Builds and signs an order buying a vault's currentOption, as the counterparty
+ * @param params is the vault, the premium and the counterparty's wallet
+ */
+export async function buildVaultOrder(
+  params: VaultOrderParams
+): Promise<AirswapOrder> {
+  const { network, vaultAddress, provider, signer } = params;
+
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const erc20Artifact = await readArtifact("IERC20Detailed");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+
+  const currentOption: string = await vault.currentOption();
+  if (currentOption === ethers.constants.AddressZero) {
+    throw new Error(`Vault ${vaultAddress} has no currentOption to sell`);
+  }
+  const asset: string = await vault.asset();
+  const assetDecimals: number = await new ethers.Contract(
+    asset,
+    erc20Artifact.abi,
+    provider
+  ).decimals();
+  const amount =
+    params.amount ||
+    (
+      await new ethers.Contract(
+        currentOption,
+        erc20Artifact.abi,
+        provider
+      ).balanceOf(vaultAddress)
+    ).toString();
+
+  return signOrderForSwap({
+    counterpartyAddress: signer.address,
+    vaultAddress,
+    sellToken: currentOption,
+    buyToken: asset,
+    sellAmount: amount,
+    buyAmount: ethers.utils
+      .parseUnits(params.premium, assetDecimals)
+      .toString(),
+    expiry: params.expiry.toString(),
+    nonce: params.nonce,
+    signerPrivateKey: signer.privateKey,
+    swapContract: getExternalAddresses(network).airswapSwap,
+  });
+}
+
+/**
+ * Recovers the address which signed an order for a swap contract
+ * @param order is the signed AirSwap order
+ * @param swapContract is the address of the AirSwap swap contract
+ */
+export function recoverOrderSignatory(
+  order: AirswapOrder,
+  swapContract: string
+) {
+  const { signature } = order;
+  const hash = getOrderHash(order, swapContract);
+  const digest =
+    signature.version === ETH_SIGN_VERSION
+      ? ethers.utils.hashMessage(hash)
+      : ethers.utils.hexlify(hash);
+
+  return ethers.utils.recoverAddress(digest, {
+    v: Number(signature.v),
+    r: signature.r,
+    s: signature.s,
+  });
+}
+
+/**
+ * Checks that `sellOptions` can be called with an order: the vault sells its whole
+ * currentOption balance for its asset, the order has not expired, the signature is valid
+ * and the premium yields at least the minimum annualized yield.
+ * @param order is the signed AirSwap order
+ * @param params is the vault to check the order against
+ */
+export async function verifyOrder(
+  order: AirswapOrder,
+  params: OrderVerificationParams
+): Promise<OrderVerification> {
+  const { network, vaultAddress, provider, minYield = 0 } = params;
+
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const erc20Artifact = await readArtifact("IERC20Detailed");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+
+  const currentOption: string = await vault.currentOption();
+  const asset: string = await vault.asset();
+  const lockedAmount: BigNumber = await vault.lockedAmount();
+  const optionExpiry: number = (await vault.currentOptionExpiry()).toNumber();
+  const now = params.now || (await provider.getBlock("latest")).timestamp;
+
+  const hasOption = currentOption !== ethers.constants.AddressZero;
+  const otokenBalance: BigNumber = hasOption
+    ? await new ethers.Contract(
+        currentOption,
+        erc20Artifact.abi,
+        provider
+      ).balanceOf(vaultAddress)
+    : BigNumber.from(0);
+  const assetDecimals: number = await new ethers.Contract(
+    asset,
+    erc20Artifact.abi,
+    provider
+  ).decimals();
+
+  const swapContract = getExternalAddresses(network).airswapSwap;
+  let signatory = "";
+  try {
+    signatory = recoverOrderSignatory(order, swapContract);
+  } catch (e) {
+    signatory = `invalid signature (${e.message})`;
+  }
+
+  const premium = BigNumber.from(order.signer.amount);
+  const annualizedYield = getAnnualizedYield(
+    premium,
+    // Share of the locked collateral sold with the order
+    otokenBalance.isZero()
+      ? BigNumber.from(0)
+      : lockedAmount.mul(order.sender.amount).div(otokenBalance),
+    optionExpiry - now
+  );
+
+  const checks: OrderCheck[] = [
+    check(
+      "senderWallet",
+      isSameAddress(order.sender.wallet, vaultAddress),
+      `sender wallet is ${order.sender.wallet}, expected the vault ${vaultAddress}`
+    ),
+    check(
+      "senderToken",
+      hasOption && isSameAddress(order.sender.token, currentOption),
+      `order sells ${order.sender.token}, expected the currentOption ${currentOption}`
+    ),
+    check(
+      "senderAmount",
+      otokenBalance.eq(order.sender.amount),
+      `order sells ${
+        order.sender.amount
+      } oTokens, the vault holds ${otokenBalance.toString()}`
+    ),
+    check(
+      "signerToken",
+      isSameAddress(order.signer.token, asset),
+      `premium is paid in ${order.signer.token}, expected the asset ${asset}`
+    ),
+    check(
+      "expiry",
+      Number(order.expiry) > now,
+      `order expired at ${order.expiry}`
+    ),
+    check(
+      "signatureValidator",
+      isSameAddress(order.signature.validator, swapContract),
+      `signature is for ${order.signature.validator}, expected the swap contract ${swapContract}`
+    ),
+    check(
+      "signatory",
+      isSameAddress(signatory, order.signature.signatory),
+      `signature recovers to ${signatory}, expected ${order.signature.signatory}`
+    ),
+    check(
+      "minYield",
+      annualizedYield !== null && annualizedYield >= minYield,
+      `annualized yield ${formatYield(
+        annualizedYield
+      )} is below the minimum ${formatYield(minYield)}`
+    ),
+  ];
+
+  return {
+    vault: vaultAddress,
+    otoken: currentOption,
+    premium: ethers.utils.formatUnits(premium, assetDecimals),
+    asset,
+    annualizedYield,
+    checks,
+    valid: checks.every((orderCheck) => orderCheck.valid),
+  };
+}
+
+function getAnnualizedYield(
+  premium: BigNumber,
+  collateral: BigNumber,
+  timeToExpiry: number
+) {
+  if (collateral.isZero() || timeToExpiry <= 0) {
+    return null;
+  }
+  // Both amounts are in asset units, so the ratio does not depend on the decimals
+  const ratio = parseFloat(
+    ethers.utils.formatEther(
+      premium.mul(ethers.constants.WeiPerEther).div(collateral)
+    )
+  );
+  return (ratio * SECONDS_PER_YEAR) / timeToExpiry;
+}
+
+function check(name: string, valid: boolean, message: string): OrderCheck {
+  return { name, valid, message: valid ? "ok" : message };
+}
+
+function isSameAddress(a: string, b: string) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function formatYield(annualizedYield: number | null) {
+  return annualizedYield === null
+    ? "n/a"
+    : `${(annualizedYield * 100).toFixed(2)}%`;
+}
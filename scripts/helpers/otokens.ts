@@ -0,0 +1,272 @@
+import { ethers } from "ethers";
+import hre from "hardhat";
+import moment from "moment";
+import { Networks, getExternalAddresses } from "./networks";
+import { TransactionManager } from "./transactions";
+import oTokenFactoryABI from "../../constants/abis/OtokenFactory.json";
+
+export interface OtokenParams {
+  underlying: string;
+  strikeAsset: string;
+  collateralAsset: string;
+  // Strike price scaled by 10**8, the precision of oToken strikes
+  strikePrice: string;
+  expiry: string;
+  isPut: boolean;
+}
+
+export interface OtokenInfo {
+  address: string;
+  symbol: string;
+  // Strike price scaled by 10**8, as the oToken stores it
+  strikePrice: string;
+  underlying: string;
+  strike: string;
+  collateral: string;
+  expiry: number;
+  optionType: "PUT" | "CALL";
+}
+
+export interface AssetCheck {
+  expected: string;
+  actual: string;
+  valid: boolean;
+}
+
+export interface OtokenVerification {
+  vault: string;
+  otoken: string;
+  symbol: string;
+  strikePrice: string;
+  collateralAsset: AssetCheck;
+  underlyingAsset: AssetCheck;
+  strikeAsset: AssetCheck;
+  optionType: { expected: boolean; actual: boolean; valid: boolean };
+  // The reason is null for a valid expiry
+  expiry: { timestamp: number; valid: boolean; reason: string | null };
+  valid: boolean;
+}
+
+// Gamma settles the oTokens on Fridays at 08:00 UTC
+const EXPIRY_DAY = 5;
+const EXPIRY_HOUR = 8;
+const WEEK = 7 * 24 * 60 * 60;
+
+/**
+ * Returns the oToken factory parameters defaulting to a WETH call struck in USDC
+ * @param network is the network the oToken is deployed on
+ * @param params is the partial oToken parameters
+ */
+export function getOtokenParams(
+  network: Networks,
+  params: Partial<OtokenParams> & Pick<OtokenParams, "strikePrice" | "expiry">
+): OtokenParams {
+  const { assets } = getExternalAddresses(network);
+  const {
+    underlying = assets.weth,
+    strikeAsset = assets.usdc,
+    collateralAsset = assets.weth,
+    strikePrice,
+    expiry,
+    isPut = false,
+  } = params;
+
+  return {
+    underlying,
+    strikeAsset,
+    collateralAsset,
+    strikePrice,
+    expiry,
+    isPut,
+  };
+}
+
+export function getOtokenFactory(
+  network: Networks,
+  provider: ethers.providers.Provider | ethers.Signer
+) {
+  return new ethers.Contract(
+    getExternalAddresses(network).oTokenFactory,
+    oTokenFactoryABI,
+    provider
+  );
+}
+
+/**
+ * Returns the address of an oToken if the factory has already created it
+ */
+export async function findOtoken(
+  network: Networks,
+  params: OtokenParams,
+  provider: ethers.providers.Provider
+): Promise<string | null> {
+  const factory = getOtokenFactory(network, provider);
+  const address = await factory.getOtoken(
+    params.underlying,
+    params.strikeAsset,
+    params.collateralAsset,
+    params.strikePrice,
+    params.expiry,
+    params.isPut
+  );
+  return address === ethers.constants.AddressZero ? null : address;
+}
+
+/**
+ * Creates an oToken with the Opyn oToken factory
+ * @param network is the network the oToken is deployed on
+ * @param params is the oToken parameters
+ * @param txManager is the transaction manager of the account sending the transaction
+ */
+export async function createOtoken(
+  network: Networks,
+  params: OtokenParams,
+  txManager: TransactionManager
+) {
+  const factory = getOtokenFactory(network, txManager.provider);
+
+  const { hash, events } = await txManager.call(
+    factory,
+    "createOtoken",
+    [
+      params.underlying,
+      params.strikeAsset,
+      params.collateralAsset,
+      params.strikePrice,
+      params.expiry,
+      params.isPut,
+    ],
+    { label: "createOtoken" }
+  );
+
+  const created = events.find((event) => event.name === "OtokenCreated");
+  if (!created) {
+    throw new Error(`No OtokenCreated event in ${hash}`);
+  }
+
+  return {
+    txHash: hash,
+    otokenAddress: ethers.utils.getAddress(created.args.tokenAddress),
+  };
+}
+
+export async function getOtokenInfo(
+  otokenAddress: string,
+  provider: ethers.providers.Provider
+): Promise<OtokenInfo> {
+  const otokenArtifact = await hre.artifacts.readArtifact("OtokenInterface");
+  const erc20Artifact = await hre.artifacts.readArtifact("IERC20Detailed");
+
+  const otoken = new ethers.Contract(
+    otokenAddress,
+    otokenArtifact.abi,
+    provider
+  );
+  const otokenERC20 = new ethers.Contract(
+    otokenAddress,
+    erc20Artifact.abi,
+    provider
+  );
+
+  return {
+    address: otokenAddress,
+    symbol: await otokenERC20.symbol(),
+    strikePrice: (await otoken.strikePrice()).toString(),
+    underlying: await otoken.underlyingAsset(),
+    strike: await otoken.strikeAsset(),
+    collateral: await otoken.collateralAsset(),
+    expiry: (await otoken.expiryTimestamp()).toNumber(),
+    optionType: (await otoken.isPut()) ? "PUT" : "CALL",
+  };
+}
+
+/**
+ * Checks that an oToken can be shorted by a vault: the assets and option type match the vault,
+ * the strike asset is USDC and the expiry is a Friday 08:00 UTC less than a week after the
+ * latest block.
+ * @param vaultAddress is the address of the theta vault
+ * @param otokenAddress is the address of the oToken
+ * @param provider is the provider to read the contracts with
+ */
+export async function verifyOtokenForVault(
+  vaultAddress: string,
+  otokenAddress: string,
+  provider: ethers.providers.Provider
+): Promise<OtokenVerification> {
+  const vaultArtifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  const info = await getOtokenInfo(otokenAddress, provider);
+
+  const expectedAsset = await vault.asset();
+  const expectedUnderlying = await vault.underlying();
+  const expectedStrikeAsset = await vault.USDC();
+  const expectedIsPut = await vault.isPut();
+  const actualIsPut = info.optionType === "PUT";
+  const { timestamp } = await provider.getBlock("latest");
+
+  const collateralAsset = {
+    expected: expectedAsset,
+    actual: info.collateral,
+    valid: info.collateral === expectedAsset,
+  };
+  const underlyingAsset = {
+    expected: expectedUnderlying,
+    actual: info.underlying,
+    valid: info.underlying === expectedUnderlying,
+  };
+  const strikeAsset = {
+    expected: expectedStrikeAsset,
+    actual: info.strike,
+    valid: info.strike === expectedStrikeAsset,
+  };
+  const optionType = {
+    expected: expectedIsPut,
+    actual: actualIsPut,
+    valid: expectedIsPut === actualIsPut,
+  };
+  const reason = getExpiryError(info.expiry, timestamp);
+  const expiry = { timestamp: info.expiry, valid: !reason, reason };
+
+  return {
+    vault: vaultAddress,
+    otoken: otokenAddress,
+    symbol: info.symbol,
+    strikePrice: info.strikePrice,
+    collateralAsset,
+    underlyingAsset,
+    strikeAsset,
+    optionType,
+    expiry,
+    valid:
+      collateralAsset.valid &&
+      underlyingAsset.valid &&
+      strikeAsset.valid &&
+      optionType.valid &&
+      expiry.valid,
+  };
+}
+
+/**
+ * Checks that an oToken expiry is a Friday 08:00 UTC in the week following a timestamp
+ * @param expiry is the expiry timestamp
+ * @param now is the timestamp of the latest block
+ * @returns why the expiry is invalid, or null
+ */
+export function getExpiryError(expiry: number, now: number) {
+  const dt = moment.unix(expiry).utc();
+  if (expiry <= now) {
+    return "expired";
+  }
+  if (expiry - now >= WEEK) {
+    return "more than a week away";
+  }
+  if (
+    dt.day() !== EXPIRY_DAY ||
+    dt.hour() !== EXPIRY_HOUR ||
+    dt.minute() !== 0 ||
+    dt.second() !== 0
+  ) {
+    return "not a Friday 08:00 UTC";
+  }
+  return null;
+}
@@ -0,0 +1,239 @@
+import Database from "better-sqlite3";
+import { BigNumber, ethers } from "ethers";
+import { SECONDS_PER_YEAR } from "./math";
+import { Networks, getExternalAddresses } from "./networks";
+import { getOtokenInfo } from "./otokens";
+import { OTOKEN_STRIKE_DECIMALS } from "./pricing";
+import { getVaultEvents } from "./events";
+
+const { readArtifact } = require("./artifacts");
+
+/**
+ * Weekly round of a vault, from the `OpenShort` of its oToken to the matching `CloseShort`.
+ * Amounts are in asset units, yields are fractions e.g. 0.01 for 1%.
+ */
+export interface RoundRecord {
+  round: number;
+  otoken: string;
+  optionType: "PUT" | "CALL";
+  // Strike price in USD
+  strikePrice: string;
+  expiry: number;
+  openBlock: number;
+  openedAt: number;
+  // Null while the round is open
+  closeBlock: number | null;
+  closedAt: number | null;
+  lockedAmount: string;
+  // Premium received from the sellOptions trades of the oToken
+  premium: string;
+  returnedAmount: string | null;
+  // Collateral paid out to the oToken holders when the option expired in the money
+  loss: string | null;
+  // Settlement price of the underlying in USD, null until the oracle has it
+  expiryPrice: string | null;
+  itm: boolean | null;
+  pricePerShareBefore: string | null;
+  pricePerShareAfter: string | null;
+  weeklyYield: number | null;
+  apy: number | null;
+  // Return compounded over the rounds up to this one
+  cumulativeReturn: number | null;
+}
+
+export interface PerformanceParams {
+  network: Networks;
+  db: Database.Database;
+  vaultAddress: string;
+  // Provider of an archive node, the price per share is read at past blocks
+  provider: ethers.providers.Provider;
+}
+
+const PRICE_DECIMALS = 8;
+
+/**
+ * Breaks the indexed history of a vault into weekly rounds and computes their yield
+ * from the price per share at the opening and closing of the short
+ * @param params is the event database and the vault
+ */
+export async function getRoundRecords(
+  params: PerformanceParams
+): Promise<RoundRecord[]> {
+  const { db, vaultAddress, provider } = params;
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  const decimals: number = await vault.decimals();
+  const format = (amount: BigNumber) =>
+    ethers.utils.formatUnits(amount, decimals);
+
+  const events = getVaultEvents(db, vaultAddress, [
+    "OpenShort",
+    "CloseShort",
+    "Swap",
+  ]);
+  const oracle = await getOracle(params.network, provider);
+
+  const records: RoundRecord[] = [];
+  let cumulative = 1;
+
+  for (const open of events.filter((event) => event.event === "OpenShort")) {
+    const otoken = ethers.utils.getAddress(open.args.options);
+    const close = events.find(
+      (event) =>
+        event.event === "CloseShort" &&
+        event.blockNumber >= open.blockNumber &&
+        isSameAddress(event.args.options, otoken)
+    );
+    const premium = events
+      .filter(
+        (event) =>
+          event.event === "Swap" &&
+          isSameAddress(event.args.senderToken, otoken)
+      )
+      .reduce(
+        (total, event) => total.add(event.args.signerAmount),
+        BigNumber.from(0)
+      );
+
+    const info = await getOtokenInfo(otoken, provider);
+    const expiryPrice = await getExpiryPrice(
+      oracle,
+      info.underlying,
+      info.expiry
+    );
+    // The strike keeps its 8 decimals, like the oracle prices
+    const strike = BigNumber.from(info.strikePrice);
+    const itm = getITM(info.optionType, strike, expiryPrice);
+
+    const locked = BigNumber.from(open.args.depositAmount);
+    const returned = close ? BigNumber.from(close.args.withdrawAmount) : null;
+    const loss = returned && locked.gt(returned) ? locked.sub(returned) : null;
+
+    const ppsBefore = await getPricePerShare(vault, decimals, open.blockNumber);
+    const ppsAfter = close
+      ? await getPricePerShare(vault, decimals, close.blockNumber)
+      : null;
+    const weeklyYield =
+      ppsBefore && ppsAfter
+        ? toNumber(ppsAfter, decimals) / toNumber(ppsBefore, decimals) - 1
+        : null;
+    if (weeklyYield !== null) {
+      cumulative *= 1 + weeklyYield;
+    }
+
+    records.push({
+      round: records.length + 1,
+      otoken,
+      optionType: info.optionType,
+      strikePrice: ethers.utils.formatUnits(
+        info.strikePrice,
+        OTOKEN_STRIKE_DECIMALS
+      ),
+      expiry: info.expiry,
+      openBlock: open.blockNumber,
+      openedAt: open.timestamp,
+      closeBlock: close ? close.blockNumber : null,
+      closedAt: close ? close.timestamp : null,
+      lockedAmount: format(locked),
+      premium: format(premium),
+      returnedAmount: returned ? format(returned) : null,
+      loss: returned ? format(loss || BigNumber.from(0)) : null,
+      expiryPrice: expiryPrice
+        ? ethers.utils.formatUnits(expiryPrice, PRICE_DECIMALS)
+        : null,
+      itm,
+      pricePerShareBefore: ppsBefore ? format(ppsBefore) : null,
+      pricePerShareAfter: ppsAfter ? format(ppsAfter) : null,
+      weeklyYield,
+      apy:
+        weeklyYield !== null && close
+          ? getAPY(weeklyYield, close.timestamp - open.timestamp)
+          : null,
+      cumulativeReturn: weeklyYield === null ? null : cumulative - 1,
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Annualizes the yield of a round by compounding it over a year
+ * @param roundYield is the yield of the round
+ * @param duration is the duration of the round in seconds
+ */
+export function getAPY(roundYield: number, duration: number) {
+  if (duration <= 0) {
+    return null;
+  }
+  return (1 + roundYield) ** (SECONDS_PER_YEAR / duration) - 1;
+}
+
+async function getOracle(
+  network: Networks,
+  provider: ethers.providers.Provider
+) {
+  const controllerArtifact = await readArtifact("IController");
+  const oracleArtifact = await readArtifact("OracleInterface");
+  const controller = new ethers.Contract(
+    getExternalAddresses(network).gammaController,
+    controllerArtifact.abi,
+    provider
+  );
+  return new ethers.Contract(
+    await controller.oracle(),
+    oracleArtifact.abi,
+    provider
+  );
+}
+
+async function getExpiryPrice(
+  oracle: ethers.Contract,
+  underlying: string,
+  expiry: number
+): Promise<BigNumber | null> {
+  const [price]: [BigNumber, boolean] = await oracle.getExpiryPrice(
+    underlying,
+    expiry
+  );
+  return price.isZero() ? null : price;
+}
+
+function getITM(
+  optionType: "PUT" | "CALL",
+  strike: BigNumber,
+  expiryPrice: BigNumber | null
+) {
+  if (!expiryPrice) {
+    return null;
+  }
+  return optionType === "CALL"
+    ? expiryPrice.gt(strike)
+    : expiryPrice.lt(strike);
+}
+
+/**
+ * Returns the total balance per share at the end of a block, null when the vault has no shares
+ * @param vault is the vault contract
+ * @param decimals is the decimals of the vault shares
+ * @param blockTag is the block to read the balances at
+ */
+export async function getPricePerShare(
+  vault: ethers.Contract,
+  decimals: number,
+  blockTag: number
+) {
+  const totalBalance: BigNumber = await vault.totalBalance({ blockTag });
+  const totalSupply: BigNumber = await vault.totalSupply({ blockTag });
+  if (totalSupply.isZero()) {
+    return null;
+  }
+  return totalBalance.mul(BigNumber.from(10).pow(decimals)).div(totalSupply);
+}
+
+function toNumber(amount: BigNumber, decimals: number) {
+  return parseFloat(ethers.utils.formatUnits(amount, decimals));
+}
+
+function isSameAddress(a: string, b: string) {
+  return a.toLowerCase() === b.toLowerCase();
+}
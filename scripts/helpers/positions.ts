@@ -0,0 +1,285 @@
+import Database from "better-sqlite3";
+import { BigNumber, ethers } from "ethers";
+import { IndexedEvent, getVaultEvents } from "./events";
+import { getPricePerShare } from "./performance";
+
+const { readArtifact } = require("./artifacts");
+
+export type PositionEventType =
+  | "Deposit"
+  | "Withdraw"
+  | "Migrate"
+  | "TransferIn"
+  | "TransferOut";
+
+/**
+ * Change of an account's shares. Amounts are in asset units.
+ */
+export interface PositionEvent {
+  type: PositionEventType;
+  blockNumber: number;
+  timestamp: number;
+  txHash: string;
+  shares: string;
+  // Asset amount paid or received, transfers are valued at the price per share of their block
+  amount: string;
+  // Withdrawal fee paid
+  fee: string;
+  // Profit of the shares removed from the position, 0 when shares are added
+  realizedPnl: string;
+}
+
+/**
+ * Shares acquired together, removed first in first out
+ */
+export interface ShareLot {
+  blockNumber: number;
+  timestamp: number;
+  shares: string;
+  cost: string;
+}
+
+export interface AccountPosition {
+  account: string;
+  vault: string;
+  shares: string;
+  // Cost of the shares still held
+  costBasis: string;
+  // Value of the shares, before and after the withdrawal fee
+  currentValue: string;
+  withdrawalFee: string;
+  currentValueAfterFee: string;
+  realizedPnl: string;
+  unrealizedPnl: string;
+  // Amount withdrawable now given the vault's free balance, before the fee
+  withdrawable: string;
+  lots: ShareLot[];
+  history: PositionEvent[];
+}
+
+export interface PositionParams {
+  db: Database.Database;
+  vaultAddress: string;
+  account: string;
+  // Provider of an archive node, transfers are valued at past blocks
+  provider: ethers.providers.Provider;
+}
+
+interface Lot {
+  blockNumber: number;
+  timestamp: number;
+  shares: BigNumber;
+  cost: BigNumber;
+}
+
+/**
+ * Reconstructs an account's shares of a vault from the indexed events and values them.
+ * Shares leave the position first in first out, so each removal realizes the profit
+ * over the cost of the oldest lots.
+ * @param params is the event database, the vault and the account
+ */
+export async function getAccountPosition(
+  params: PositionParams
+): Promise<AccountPosition> {
+  const { db, vaultAddress, provider } = params;
+  const account = ethers.utils.getAddress(params.account);
+
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  const decimals: number = await vault.decimals();
+  const unit = BigNumber.from(10).pow(decimals);
+  const format = (amount: BigNumber) =>
+    ethers.utils.formatUnits(amount, decimals);
+
+  const lots: Lot[] = [];
+  const history: PositionEvent[] = [];
+  let realizedPnl = BigNumber.from(0);
+
+  for (const event of getVaultEvents(db, vaultAddress, [
+    "Deposit",
+    "Withdraw",
+    "Migrate",
+    "Transfer",
+  ])) {
+    const change = await getShareChange(event, account, unit, async () => {
+      const pricePerShare = await getPricePerShare(
+        vault,
+        decimals,
+        event.blockNumber
+      );
+      return pricePerShare || unit;
+    });
+    if (change) {
+      let pnl = BigNumber.from(0);
+      if (change.added) {
+        lots.push({
+          blockNumber: event.blockNumber,
+          timestamp: event.timestamp,
+          shares: change.shares,
+          cost: change.amount,
+        });
+      } else {
+        pnl = change.amount.sub(removeShares(lots, change.shares));
+        realizedPnl = realizedPnl.add(pnl);
+      }
+
+      history.push({
+        type: change.type,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        txHash: event.txHash,
+        shares: format(change.shares),
+        amount: format(change.amount),
+        fee: format(change.fee),
+        realizedPnl: format(pnl),
+      });
+    }
+  }
+
+  const shares = lots.reduce(
+    (total, lot) => total.add(lot.shares),
+    BigNumber.from(0)
+  );
+  const costBasis = lots.reduce(
+    (total, lot) => total.add(lot.cost),
+    BigNumber.from(0)
+  );
+  const balance: BigNumber = await vault.balanceOf(account);
+  if (!balance.eq(shares)) {
+    throw new Error(
+      `Indexed shares ${format(shares)} do not match the balance ${format(
+        balance
+      )}, index the vault events up to the latest block`
+    );
+  }
+
+  const currentValue: BigNumber = await vault.accountVaultBalance(account);
+  const withdrawalFee = currentValue
+    .mul(await vault.instantWithdrawalFee())
+    .div(ethers.constants.WeiPerEther);
+  const currentValueAfterFee = currentValue.sub(withdrawalFee);
+
+  return {
+    account,
+    vault: ethers.utils.getAddress(vaultAddress),
+    shares: format(shares),
+    costBasis: format(costBasis),
+    currentValue: format(currentValue),
+    withdrawalFee: format(withdrawalFee),
+    currentValueAfterFee: format(currentValueAfterFee),
+    realizedPnl: format(realizedPnl),
+    unrealizedPnl: format(currentValueAfterFee.sub(costBasis)),
+    withdrawable: format(await vault.maxWithdrawAmount(account)),
+    lots: lots.map((lot) => ({
+      blockNumber: lot.blockNumber,
+      timestamp: lot.timestamp,
+      shares: format(lot.shares),
+      cost: format(lot.cost),
+    })),
+    history,
+  };
+}
+
+interface ShareChange {
+  type: PositionEventType;
+  added: boolean;
+  shares: BigNumber;
+  amount: BigNumber;
+  fee: BigNumber;
+}
+
+/**
+ * Returns how an event changes the account's shares, null if it does not.
+ * Mints and burns are skipped since the Deposit, Withdraw and Migrate events carry their amounts.
+ */
+async function getShareChange(
+  event: IndexedEvent,
+  account: string,
+  // One share, the price per share has the decimals of the shares
+  unit: BigNumber,
+  getPricePerShareAtEvent: () => Promise<BigNumber>
+): Promise<ShareChange | null> {
+  const { args } = event;
+  const zero = BigNumber.from(0);
+
+  switch (event.event) {
+    case "Deposit":
+      return isSameAddress(args.account, account)
+        ? {
+            type: "Deposit",
+            added: true,
+            shares: BigNumber.from(args.share),
+            amount: BigNumber.from(args.amount),
+            fee: zero,
+          }
+        : null;
+    case "Withdraw":
+      return isSameAddress(args.account, account)
+        ? {
+            type: "Withdraw",
+            added: false,
+            shares: BigNumber.from(args.share),
+            amount: BigNumber.from(args.amount),
+            fee: BigNumber.from(args.fee),
+          }
+        : null;
+    case "Migrate":
+      return isSameAddress(args.account, account)
+        ? {
+            type: "Migrate",
+            added: false,
+            shares: BigNumber.from(args.shares),
+            amount: BigNumber.from(args.amount),
+            fee: zero,
+          }
+        : null;
+    case "Transfer": {
+      const isMintOrBurn =
+        args.from === ethers.constants.AddressZero ||
+        args.to === ethers.constants.AddressZero;
+      const isIn = isSameAddress(args.to, account);
+      const isOut = isSameAddress(args.from, account);
+      if (isMintOrBurn || isIn === isOut) {
+        return null;
+      }
+
+      const shares = BigNumber.from(args.value);
+      const pricePerShare = await getPricePerShareAtEvent();
+      return {
+        type: isIn ? "TransferIn" : "TransferOut",
+        added: isIn,
+        shares,
+        amount: shares.mul(pricePerShare).div(unit),
+        fee: zero,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Removes shares from the oldest lots and returns their cost
+function removeShares(lots: Lot[], shares: BigNumber) {
+  let remaining = shares;
+  let cost = BigNumber.from(0);
+
+  while (remaining.gt(0) && lots.length > 0) {
+    const lot = lots[0];
+    if (lot.shares.lte(remaining)) {
+      cost = cost.add(lot.cost);
+      remaining = remaining.sub(lot.shares);
+      lots.shift();
+    } else {
+      const lotCost = lot.cost.mul(remaining).div(lot.shares);
+      cost = cost.add(lotCost);
+      lot.cost = lot.cost.sub(lotCost);
+      lot.shares = lot.shares.sub(remaining);
+      remaining = BigNumber.from(0);
+    }
+  }
+  return cost;
+}
+
+function isSameAddress(a: string, b: string) {
+  return a.toLowerCase() === b.toLowerCase();
+}
@@ -0,0 +1,215 @@
+import { BigNumberish, ethers } from "ethers";
+import { SECONDS_PER_YEAR, normalCDF, normalPDF } from "./math";
+
+// oTokens store strikes with 8 decimals, the adapters' optionTerms with 18 decimals
+export const OTOKEN_STRIKE_DECIMALS = 8;
+export const OPTION_TERMS_STRIKE_DECIMALS = 18;
+
+// ProtocolAdapterTypes.OptionType
+export const OptionType = {
+  Invalid: 0,
+  Put: 1,
+  Call: 2,
+};
+
+export interface Greeks {
+  price: number;
+  delta: number;
+  gamma: number;
+  // Value lost per day
+  theta: number;
+  // Value gained per volatility point, e.g. from 90% to 91%
+  vega: number;
+}
+
+export interface OptionTermsInfo {
+  underlying: string;
+  strikeAsset: string;
+  collateralAsset: string;
+  expiry: number;
+  strike: number;
+  isPut: boolean;
+}
+
+export interface PricingParams {
+  // Spot price of the underlying, in USD
+  spot: number;
+  // Annualized implied volatility, e.g. 0.9 for 90%
+  iv: number;
+  // Annualized risk-free rate, defaults to 0
+  rate?: number;
+  // Price of one collateral unit in USD. Defaults to the spot for collateral in the
+  // underlying and to 1 for collateral in the strike asset.
+  collateralPrice?: number;
+  // Unix timestamp to price at, defaults to now
+  now?: number;
+}
+
+export interface OptionPrice {
+  terms: OptionTermsInfo;
+  spot: number;
+  iv: number;
+  rate: number;
+  timeToExpiry: number;
+  collateralPrice: number;
+  // Value and greeks of one oToken, in USD and in collateral units.
+  // Delta and gamma count underlying units, so they are the same in both.
+  usd: Greeks;
+  collateral: Greeks;
+}
+
+/**
+ * Parses the strike of an oToken, which has 8 decimals
+ * @param strikePrice is the raw oToken strike price
+ */
+export function parseOtokenStrike(strikePrice: BigNumberish) {
+  return parseFloat(
+    ethers.utils.formatUnits(strikePrice, OTOKEN_STRIKE_DECIMALS)
+  );
+}
+
+/**
+ * Parses the optionTerms tuple built by `encodeCommitAndClose`
+ * @param optionTerms is [underlying, strikeAsset, collateralAsset, expiry, strikePrice, optionType, paymentToken]
+ */
+export function parseOptionTerms(
+  optionTerms: (string | number)[]
+): OptionTermsInfo {
+  const [underlying, strikeAsset, collateralAsset, expiry, strikePrice] =
+    optionTerms.map((term) => term.toString());
+  const optionType = Number(optionTerms[5]);
+
+  if (optionType !== OptionType.Put && optionType !== OptionType.Call) {
+    throw new Error(`Invalid option type ${optionTerms[5]}`);
+  }
+
+  return {
+    underlying,
+    strikeAsset,
+    collateralAsset,
+    expiry: Number(expiry),
+    strike: parseFloat(
+      ethers.utils.formatUnits(strikePrice, OPTION_TERMS_STRIKE_DECIMALS)
+    ),
+    isPut: optionType === OptionType.Put,
+  };
+}
+
+/**
+ * Returns the Black-Scholes value and greeks of a European option, in the spot's currency
+ * @param spot is the spot price of the underlying
+ * @param strike is the strike price
+ * @param iv is the annualized implied volatility
+ * @param timeToExpiry is the time to expiry in years
+ * @param isPut is whether the option is a put
+ * @param rate is the annualized risk-free rate
+ */
+export function blackScholes(
+  spot: number,
+  strike: number,
+  iv: number,
+  timeToExpiry: number,
+  isPut: boolean,
+  rate = 0
+): Greeks {
+  if (timeToExpiry <= 0) {
+    const intrinsic = isPut
+      ? Math.max(strike - spot, 0)
+      : Math.max(spot - strike, 0);
+    const itmDelta = isPut ? -1 : 1;
+    return {
+      price: intrinsic,
+      delta: intrinsic > 0 ? itmDelta : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+    };
+  }
+
+  const volTime = iv * Math.sqrt(timeToExpiry);
+  const d1 =
+    (Math.log(spot / strike) + (rate + (iv * iv) / 2) * timeToExpiry) / volTime;
+  const d2 = d1 - volTime;
+  const discountedStrike = strike * Math.exp(-rate * timeToExpiry);
+  const decay = (-spot * normalPDF(d1) * iv) / (2 * Math.sqrt(timeToExpiry));
+
+  const price = isPut
+    ? discountedStrike * normalCDF(-d2) - spot * normalCDF(-d1)
+    : spot * normalCDF(d1) - discountedStrike * normalCDF(d2);
+  const yearlyTheta = isPut
+    ? decay + rate * discountedStrike * normalCDF(-d2)
+    : decay - rate * discountedStrike * normalCDF(d2);
+
+  return {
+    price,
+    delta: isPut ? normalCDF(d1) - 1 : normalCDF(d1),
+    gamma: normalPDF(d1) / (spot * volTime),
+    theta: yearlyTheta / 365,
+    vega: (spot * normalPDF(d1) * Math.sqrt(timeToExpiry)) / 100,
+  };
+}
+
+/**
+ * Prices one oToken from the optionTerms of `commitAndClose`
+ * @param optionTerms is the optionTerms tuple built by `encodeCommitAndClose`
+ * @param params is the market data
+ */
+export function priceOptionTerms(
+  optionTerms: (string | number)[],
+  params: PricingParams
+): OptionPrice {
+  const terms = parseOptionTerms(optionTerms);
+  const { spot, iv, rate = 0 } = params;
+  const now = params.now || Math.floor(Date.now() / 1000);
+
+  if (!(spot > 0)) {
+    throw new Error(`Spot price ${spot} must be positive`);
+  }
+  if (!(iv > 0)) {
+    throw new Error(`Implied volatility ${iv} must be positive`);
+  }
+
+  const collateralPrice = getCollateralPrice(terms, params);
+  const timeToExpiry = Math.max(terms.expiry - now, 0) / SECONDS_PER_YEAR;
+  const usd = blackScholes(
+    spot,
+    terms.strike,
+    iv,
+    timeToExpiry,
+    terms.isPut,
+    rate
+  );
+
+  return {
+    terms,
+    spot,
+    iv,
+    rate,
+    timeToExpiry,
+    collateralPrice,
+    usd,
+    collateral: {
+      price: usd.price / collateralPrice,
+      delta: usd.delta,
+      gamma: usd.gamma,
+      theta: usd.theta / collateralPrice,
+      vega: usd.vega / collateralPrice,
+    },
+  };
+}
+
+function getCollateralPrice(terms: OptionTermsInfo, params: PricingParams) {
+  if (params.collateralPrice) {
+    return params.collateralPrice;
+  }
+  const collateral = terms.collateralAsset.toLowerCase();
+  if (collateral === terms.underlying.toLowerCase()) {
+    return params.spot;
+  }
+  if (collateral === terms.strikeAsset.toLowerCase()) {
+    return 1;
+  }
+  throw new Error(
+    `A collateral price is required for collateral ${terms.collateralAsset}`
+  );
+}
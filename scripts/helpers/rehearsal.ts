@@ -0,0 +1,486 @@
+import fs from "fs";
+import { BigNumber, ethers } from "ethers";
+import { log } from "./cli";
+import {
+  Accounts,
+  Networks,
+  getAccounts,
+  getDeployments,
+  getRpcUrl,
+} from "./networks";
+import {
+  PROXY_SAFE_METHODS,
+  ProxySafeMethod,
+  SafeBatch,
+  VAULT_SAFE_METHODS,
+  VaultSafeMethod,
+} from "./safeBatch";
+import { DecodedEvent, decodeEvents } from "./transactions";
+import oTokenFactoryABI from "../../constants/abis/OtokenFactory.json";
+
+const { readArtifact } = require("./artifacts");
+const {
+  forceSend,
+  impersonate,
+  stopImpersonating,
+} = require("./impersonation");
+
+// Ether sent to the impersonated accounts to pay for the gas
+const IMPERSONATED_BALANCE = ethers.utils.parseEther("10");
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+
+// Prefixes of the revert reasons in the hardhat network errors, newer versions first
+const REVERT_REASON_PREFIXES = ["reverted with reason string '", "revert "];
+
+export type AccountRole = keyof Accounts;
+
+/**
+ * Transaction of a rehearsal, sent by the admin, owner or manager of accounts.json
+ */
+export interface RehearsalCall {
+  label: string;
+  role: AccountRole;
+  to: string;
+  data: string;
+  // Ether sent with the transaction, in wei
+  value?: string;
+}
+
+/**
+ * Moves the fork's clock forward, e.g. past the vault delay before rollToNextOption
+ */
+export interface RehearsalWait {
+  label: string;
+  increaseTime: number;
+}
+
+export type RehearsalStep = RehearsalCall | RehearsalWait;
+
+export interface RehearsalPlan {
+  network: Networks;
+  steps: RehearsalStep[];
+}
+
+/**
+ * Step of a plan file. A call is either a method of a contract, encoded with the
+ * ABI of `artifact`, or raw calldata.
+ */
+interface PlanFileStep {
+  label?: string;
+  // Deployment name or address
+  contract?: string;
+  // Artifact of the contract, defaults to RibbonThetaVault
+  artifact?: string;
+  method?: string;
+  args?: unknown[];
+  to?: string;
+  data?: string;
+  value?: string;
+  // Defaults to the role calling the vault method
+  role?: AccountRole;
+  increaseTime?: number;
+}
+
+export interface BalanceChange {
+  token: string;
+  symbol: string;
+  account: string;
+  // Signed amount in token units
+  amount: string;
+}
+
+export interface StepResult {
+  label: string;
+  status: "success" | "reverted" | "skipped" | "waited";
+  from?: string;
+  txHash?: string;
+  gasUsed?: string;
+  revertReason?: string;
+  events: DecodedEvent[];
+  balanceChanges: BalanceChange[];
+}
+
+export interface RehearsalResult {
+  network: Networks;
+  forkBlock: number;
+  success: boolean;
+  steps: StepResult[];
+}
+
+/**
+ * Reads a rehearsal plan, either a plan file listing the steps or a Safe
+ * transaction builder batch written by `vault propose` or `upgrade propose`
+ * @param network is the network whose deployments the plan refers to
+ * @param filePath is the plan or batch file
+ */
+export async function loadRehearsalPlan(
+  network: Networks,
+  filePath: string
+): Promise<RehearsalPlan> {
+  const json = JSON.parse(fs.readFileSync(filePath).toString());
+
+  if (json.meta && Array.isArray(json.transactions)) {
+    return { network, steps: getSafeBatchSteps(json as SafeBatch) };
+  }
+  if (!Array.isArray(json.steps)) {
+    throw new Error(`${filePath} is neither a rehearsal plan nor a Safe batch`);
+  }
+
+  const steps: RehearsalStep[] = [];
+  for (const step of json.steps as PlanFileStep[]) {
+    steps.push(await getPlanFileStep(network, step));
+  }
+  return { network, steps };
+}
+
+/**
+ * Builds the plan of a vault's roll once the oToken is deployed: commitAndClose,
+ * the vault delay, rollToNextOption and sellOptions when an order is given
+ * @param params is the vault, its oToken and the signed order
+ */
+export async function buildRollRehearsal(params: {
+  network: Networks;
+  vaultAddress: string;
+  optionTerms: unknown[];
+  order?: unknown;
+  provider: ethers.providers.Provider;
+}): Promise<RehearsalPlan> {
+  const { network, vaultAddress, optionTerms, order, provider } = params;
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+
+  const call = (method: VaultSafeMethod, args: unknown[]): RehearsalCall => ({
+    label: method,
+    role: VAULT_SAFE_METHODS[method],
+    to: vaultAddress,
+    data: vault.interface.encodeFunctionData(method, args),
+  });
+
+  return {
+    network,
+    steps: [
+      call("commitAndClose", [optionTerms]),
+      { label: "delay", increaseTime: (await vault.delay()).toNumber() },
+      call("rollToNextOption", []),
+      ...(order ? [call("sellOptions", [order])] : []),
+    ],
+  };
+}
+
+/**
+ * Forks the plan's network at its latest block on the in-process hardhat network and
+ * executes the steps, impersonating the accounts of accounts.json. The steps following
+ * a revert are skipped.
+ * @param plan is the steps to rehearse
+ * @param rpcUrl is the node to fork, defaults to the network's
+ */
+export async function runRehearsal(
+  plan: RehearsalPlan,
+  rpcUrl: string = getRpcUrl(plan.network)
+): Promise<RehearsalResult> {
+  const forkBlock = await forkNetwork(plan.network, rpcUrl);
+  const steps = await executeRehearsal(plan);
+
+  return {
+    network: plan.network,
+    forkBlock,
+    success: steps.every((result) => result.status !== "reverted"),
+    steps,
+  };
+}
+
+/**
+ * Resets the in-process hardhat network onto a fork of a network at its latest block
+ * @param network is the forked network
+ * @param rpcUrl is the node to fork, defaults to the network's
+ * @returns the block number of the fork
+ */
+export async function forkNetwork(
+  network: Networks,
+  rpcUrl: string = getRpcUrl(network)
+) {
+  const hardhatNetwork = await getHardhatNetwork();
+  if (hardhatNetwork.name !== "hardhat") {
+    throw new Error(
+      `Rehearsals fork on the in-process hardhat network, not ${hardhatNetwork.name}`
+    );
+  }
+
+  // Hardhat forks the chains it does not know a few blocks behind their head,
+  // so the latest block is pinned
+  const forkBlock = await new ethers.providers.JsonRpcProvider(
+    rpcUrl
+  ).getBlockNumber();
+  log(`Forking ${network} at block ${forkBlock}`);
+  await hardhatNetwork.provider.request({
+    method: "hardhat_reset",
+    params: [{ forking: { jsonRpcUrl: rpcUrl, blockNumber: forkBlock } }],
+  });
+  return forkBlock;
+}
+
+/**
+ * Executes the steps of a plan on the fork of `forkNetwork`
+ * @param plan is the steps to rehearse
+ */
+export async function executeRehearsal(
+  plan: RehearsalPlan
+): Promise<StepResult[]> {
+  const hardhatProvider = (await getHardhatNetwork()).provider;
+  const provider = new ethers.providers.Web3Provider((method, params) =>
+    hardhatProvider.request({ method, params })
+  );
+  const accounts = getAccounts(plan.network);
+  const interfaces = await getRehearsalInterfaces();
+  const impersonated: Record<string, ethers.Signer> = {};
+
+  const results: StepResult[] = [];
+  for (const step of plan.steps) {
+    if (results.some((result) => result.status === "reverted")) {
+      results.push({
+        label: step.label,
+        status: "skipped",
+        events: [],
+        balanceChanges: [],
+      });
+    } else if ("increaseTime" in step) {
+      log(`${step.label}: increasing the time by ${step.increaseTime}s`);
+      await provider.send("evm_increaseTime", [step.increaseTime]);
+      await provider.send("evm_mine", []);
+      results.push({
+        label: step.label,
+        status: "waited",
+        events: [],
+        balanceChanges: [],
+      });
+    } else {
+      const from = accounts[step.role];
+      if (!impersonated[from]) {
+        impersonated[from] = await impersonate(provider, from);
+        await forceSend(provider.getSigner(0), from, IMPERSONATED_BALANCE);
+      }
+      log(`${step.label}: sending from the ${step.role} ${from}`);
+      results.push(
+        await runCall(step, impersonated[from], provider, interfaces)
+      );
+    }
+  }
+
+  for (const account of Object.keys(impersonated)) {
+    await stopImpersonating(provider, account);
+  }
+  return results;
+}
+
+async function runCall(
+  step: RehearsalCall,
+  signer: ethers.Signer,
+  provider: ethers.providers.Provider,
+  interfaces: ethers.utils.Interface[]
+): Promise<StepResult> {
+  const from = await signer.getAddress();
+  const request = {
+    from,
+    to: step.to,
+    data: step.data,
+    value: BigNumber.from(step.value || 0),
+  };
+
+  let gasLimit: BigNumber;
+  try {
+    gasLimit = await provider.estimateGas(request);
+  } catch (e) {
+    const revertReason = getRevertReason(e);
+    // Node errors, e.g. of the forked RPC, are not the plan's fault
+    if (revertReason === null) {
+      throw e;
+    }
+    return {
+      label: step.label,
+      status: "reverted",
+      from,
+      revertReason,
+      events: [],
+      balanceChanges: [],
+    };
+  }
+
+  const tx = await signer.sendTransaction({ ...request, gasLimit });
+  const receipt = await tx.wait();
+
+  return {
+    label: step.label,
+    status: "success",
+    from,
+    txHash: tx.hash,
+    gasUsed: receipt.gasUsed.toString(),
+    events: decodeEvents(receipt, interfaces),
+    balanceChanges: await getBalanceChanges(receipt, provider),
+  };
+}
+
+// Nets the ERC20 transfers of a transaction per token and account
+async function getBalanceChanges(
+  receipt: ethers.providers.TransactionReceipt,
+  provider: ethers.providers.Provider
+): Promise<BalanceChange[]> {
+  const changes: Record<string, Record<string, BigNumber>> = {};
+  const add = (token: string, account: string, amount: BigNumber) => {
+    // Mints and burns only change the balance of the other side
+    if (account === ethers.constants.AddressZero) {
+      return;
+    }
+    changes[token] = changes[token] || {};
+    changes[token][account] = (
+      changes[token][account] || BigNumber.from(0)
+    ).add(amount);
+  };
+
+  receipt.logs
+    // ERC721 transfers index the token id as a fourth topic
+    .filter((eventLog) => eventLog.topics[0] === TRANSFER_TOPIC)
+    .filter((eventLog) => eventLog.topics.length === 3)
+    .forEach((eventLog) => {
+      const [from, to] = eventLog.topics
+        .slice(1)
+        .map((topic) =>
+          ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12))
+        );
+      const amount = BigNumber.from(eventLog.data);
+      add(eventLog.address, from, amount.mul(-1));
+      add(eventLog.address, to, amount);
+    });
+
+  const erc20Artifact = await readArtifact("IERC20Detailed");
+  const balanceChanges: BalanceChange[] = [];
+  for (const [token, accounts] of Object.entries(changes)) {
+    const erc20 = new ethers.Contract(token, erc20Artifact.abi, provider);
+    const symbol: string = await erc20.symbol();
+    const decimals: number = await erc20.decimals();
+
+    Object.entries(accounts)
+      .filter(([, amount]) => !amount.isZero())
+      .forEach(([account, amount]) =>
+        balanceChanges.push({
+          token,
+          symbol,
+          account,
+          amount: ethers.utils.formatUnits(amount, decimals),
+        })
+      );
+  }
+  return balanceChanges;
+}
+
+function getRevertReason(error: Error & { reason?: string }): string | null {
+  const message = [error.reason, error.message].filter(Boolean).join(" ");
+  for (const prefix of REVERT_REASON_PREFIXES) {
+    const start = message.indexOf(prefix);
+    if (start >= 0) {
+      return message.slice(start + prefix.length).split(/['"]/)[0];
+    }
+  }
+  return message.toLowerCase().includes("revert") ? message : null;
+}
+
+/**
+ * Returns the in-process hardhat network, loaded once a rehearsal runs so that the
+ * plans are built without the hardhat runtime
+ */
+async function getHardhatNetwork() {
+  const { default: hre } = await import("hardhat");
+  return hre.network;
+}
+
+async function getRehearsalInterfaces() {
+  const interfaces = [];
+  for (const contract of [
+    "RibbonThetaVault",
+    "AdminUpgradeabilityProxy",
+    "RibbonFactory",
+    "ISwap",
+    "IERC20Detailed",
+  ]) {
+    const artifact = await readArtifact(contract);
+    interfaces.push(new ethers.utils.Interface(artifact.abi));
+  }
+  interfaces.push(new ethers.utils.Interface(oTokenFactoryABI));
+  return interfaces;
+}
+
+function getSafeBatchSteps(batch: SafeBatch): RehearsalStep[] {
+  return batch.transactions.map((transaction) => {
+    const method = transaction.contractMethod.name;
+    const roles = { ...VAULT_SAFE_METHODS, ...PROXY_SAFE_METHODS };
+    if (!(method in roles)) {
+      throw new Error(
+        `The batch calls ${method}, which is neither a vault nor a proxy method`
+      );
+    }
+    return {
+      label: method,
+      role: roles[method as VaultSafeMethod | ProxySafeMethod],
+      to: transaction.to,
+      data: transaction.data,
+      value: transaction.value,
+    };
+  });
+}
+
+async function getPlanFileStep(
+  network: Networks,
+  step: PlanFileStep
+): Promise<RehearsalStep> {
+  if (step.increaseTime) {
+    return {
+      label: step.label || "increaseTime",
+      increaseTime: step.increaseTime,
+    };
+  }
+
+  if (step.to && step.data) {
+    if (!step.role) {
+      throw new Error(`Step ${step.label || step.to} needs a role`);
+    }
+    return {
+      label: step.label || step.to,
+      role: step.role,
+      to: step.to,
+      data: step.data,
+      value: step.value,
+    };
+  }
+
+  if (!step.contract || !step.method) {
+    throw new Error(
+      "A step is a contract and a method, calldata sent to an address, or an increaseTime"
+    );
+  }
+  const artifactName = step.artifact || "RibbonThetaVault";
+  const role =
+    step.role ||
+    (artifactName === "RibbonThetaVault"
+      ? VAULT_SAFE_METHODS[step.method as VaultSafeMethod]
+      : null);
+  if (!role) {
+    throw new Error(`Step ${step.method} needs a role`);
+  }
+
+  const to = getDeployments(network)[step.contract] || step.contract;
+  if (!ethers.utils.isAddress(to)) {
+    throw new Error(`No deployment named ${step.contract} on ${network}`);
+  }
+  const artifact = await readArtifact(artifactName);
+
+  return {
+    label: step.label || step.method,
+    role,
+    to,
+    data: new ethers.utils.Interface(artifact.abi).encodeFunctionData(
+      step.method,
+      step.args || []
+    ),
+    value: step.value,
+  };
+}
@@ -0,0 +1,516 @@
+import fs from "fs";
+import path from "path";
+import { BigNumber, ethers } from "ethers";
+import { log } from "./cli";
+import { encodeCommitAndClose } from "./encodeCommitAndClose";
+import { Networks } from "./networks";
+import { GasStrategy } from "./gasStrategies";
+import { AirswapOrder, verifyOrder } from "./orders";
+import {
+  OtokenParams,
+  createOtoken,
+  findOtoken,
+  verifyOtokenForVault,
+} from "./otokens";
+import { StrikeSelectionParams, selectStrike } from "./strikeSelection";
+import { TransactionManager } from "./transactions";
+
+const { readArtifact } = require("./artifacts");
+
+export const ROLL_STEPS = [
+  "deployOtoken",
+  "commitAndClose",
+  "rollToNextOption",
+  "sellOptions",
+] as const;
+
+export type RollStep = (typeof ROLL_STEPS)[number];
+
+export interface StepRecord {
+  txHash?: string;
+  completedAt: number;
+}
+
+export interface RollState {
+  network: string;
+  vault: string;
+  dryRun: boolean;
+  otoken?: string;
+  steps: Partial<Record<RollStep, StepRecord>>;
+  // Transaction of a step, saved when it is broadcast
+  pending?: { step: RollStep; txHash: string };
+  updatedAt: number;
+}
+
+export interface RollParams {
+  network: Networks;
+  vaultAddress: string;
+  provider: ethers.providers.JsonRpcProvider;
+  // Manager of the vault. Ignored in dry-run mode, where the manager is impersonated.
+  signer?: ethers.Signer;
+  statePath: string;
+  // Strike price and expiry of the oToken to deploy
+  strikePrice?: string;
+  expiry?: string;
+  // Market data to select the strike and expiry when they are not given
+  strikeSelection?: Omit<StrikeSelectionParams, "isPut">;
+  // Already deployed oToken to use instead of deploying one
+  otoken?: string;
+  // Signed AirSwap order, required to complete the `sellOptions` step
+  order?: AirswapOrder;
+  // Minimum annualized yield of the order's premium, e.g. 0.05 for 5%
+  minYield?: number;
+  // Prices the roll transactions, the fork prices them in dry-run mode
+  gasStrategy?: GasStrategy;
+  // Journal of the roll transactions
+  journalPath: string;
+  dryRun: boolean;
+  wait: boolean;
+}
+
+/**
+ * Raised when a step cannot run yet, e.g. the delay has not elapsed.
+ * The roll can be resumed once the precondition holds.
+ */
+export class RollPreconditionError extends Error {
+  step: RollStep;
+
+  constructor(step: RollStep, message: string) {
+    super(`${step}: ${message}`);
+    this.name = "RollPreconditionError";
+    this.step = step;
+    // Restore the prototype chain since we compile down to ES5
+    Object.setPrototypeOf(this, RollPreconditionError.prototype);
+  }
+}
+
+export function getRollStatePath(
+  stateDir: string,
+  network: string,
+  vaultName: string,
+  dryRun: boolean
+) {
+  return path.join(
+    stateDir,
+    network,
+    `${vaultName}${dryRun ? ".dry-run" : ""}.json`
+  );
+}
+
+export function loadRollState(
+  statePath: string,
+  network: string,
+  vault: string,
+  dryRun: boolean
+): RollState {
+  if (!fs.existsSync(statePath)) {
+    return { network, vault, dryRun, steps: {}, updatedAt: now() };
+  }
+  const state: RollState = JSON.parse(fs.readFileSync(statePath).toString());
+  if (state.vault.toLowerCase() !== vault.toLowerCase()) {
+    throw new Error(`State file ${statePath} belongs to vault ${state.vault}`);
+  }
+  return state;
+}
+
+export function saveRollState(statePath: string, state: RollState) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(
+    statePath,
+    JSON.stringify({ ...state, updatedAt: now() }, null, 2) + "\n"
+  );
+}
+
+export function isRollComplete(state: RollState) {
+  return ROLL_STEPS.every((step) => state.steps[step]);
+}
+
+/**
+ * Loads the saved roll of a vault, or starts a new one when the saved roll is complete
+ * and its round is over: the vault's current option expired or is no longer the oToken
+ * of the saved roll. So each week's roll gets its own state.
+ * @param statePath is the state file of the vault's roll
+ * @param network is the network of the vault
+ * @param vaultAddress is the address of the vault
+ * @param dryRun is whether the roll is a dry run
+ * @param provider reads the vault and the latest block
+ */
+export async function loadCurrentRollState(
+  statePath: string,
+  network: string,
+  vaultAddress: string,
+  dryRun: boolean,
+  provider: ethers.providers.Provider
+): Promise<RollState> {
+  const state = loadRollState(statePath, network, vaultAddress, dryRun);
+  if (!isRollComplete(state) || !state.otoken) {
+    return state;
+  }
+
+  const vault = new ethers.Contract(
+    vaultAddress,
+    ["function currentOption() view returns (address)"],
+    provider
+  );
+  const currentOption: string = await vault.currentOption();
+  if (currentOption.toLowerCase() === state.otoken.toLowerCase()) {
+    const otoken = new ethers.Contract(
+      currentOption,
+      ["function expiryTimestamp() view returns (uint256)"],
+      provider
+    );
+    const [expiry, block] = await Promise.all([
+      otoken.expiryTimestamp(),
+      provider.getBlock("latest"),
+    ]);
+    if (expiry.gt(block.timestamp)) {
+      return state;
+    }
+  }
+
+  log(`The roll into ${state.otoken} is over, starting the next roll`);
+  fs.unlinkSync(statePath);
+  return loadRollState(statePath, network, vaultAddress, dryRun);
+}
+
+/**
+ * Runs the remaining steps of a vault's weekly roll, saving the progress after each step.
+ * The steps already done are read from the vault first, so a roll interrupted after a
+ * broadcast does not send its step again. Throws a RollPreconditionError at the first
+ * step that cannot run yet.
+ * @param params is the roll parameters
+ */
+export async function runRoll(params: RollParams): Promise<RollState> {
+  const { network, vaultAddress, provider, statePath, dryRun } = params;
+
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  const txManager = new TransactionManager({
+    network,
+    signer: await getManagerSigner(vault, params),
+    ...(params.gasStrategy && !dryRun
+      ? { gasStrategy: params.gasStrategy }
+      : {}),
+    journalPath: params.journalPath,
+  });
+
+  const state = loadRollState(statePath, network, vaultAddress, dryRun);
+  if (params.otoken && !state.otoken) {
+    state.otoken = ethers.utils.getAddress(params.otoken);
+  }
+  await syncRollState(vault, state, provider);
+  saveRollState(statePath, state);
+
+  const steps: Record<RollStep, () => Promise<StepRecord>> = {
+    deployOtoken: () => deployOtokenStep(vault, state, txManager, params),
+    commitAndClose: () => commitAndCloseStep(vault, state, txManager, params),
+    rollToNextOption: () =>
+      rollToNextOptionStep(vault, state, txManager, params),
+    sellOptions: () => sellOptionsStep(vault, state, txManager, params),
+  };
+
+  const pendingSteps = ROLL_STEPS.filter((step) => !state.steps[step]);
+  for (const step of pendingSteps) {
+    log(`Running ${step}`);
+    state.steps[step] = await steps[step]();
+    saveRollState(statePath, state);
+    log(`Completed ${step}`);
+  }
+
+  return state;
+}
+
+async function getManagerSigner(vault: ethers.Contract, params: RollParams) {
+  const manager: string = await vault.manager();
+
+  if (params.dryRun) {
+    try {
+      await params.provider.send("hardhat_impersonateAccount", [manager]);
+    } catch (e) {
+      throw new Error(
+        `Dry runs need a hardhat fork to impersonate the manager: ${e.message}`
+      );
+    }
+    return params.provider.getSigner(manager);
+  }
+
+  if (!params.signer) {
+    throw new Error("No signer to send the roll transactions");
+  }
+  const signerAddress = await params.signer.getAddress();
+  if (signerAddress.toLowerCase() !== manager.toLowerCase()) {
+    throw new Error(`Signer ${signerAddress} is not the manager ${manager}`);
+  }
+  return params.signer;
+}
+
+async function deployOtokenStep(
+  vault: ethers.Contract,
+  state: RollState,
+  txManager: TransactionManager,
+  params: RollParams
+): Promise<StepRecord> {
+  if (state.otoken) {
+    log(`Using oToken ${state.otoken}`);
+    return { completedAt: now() };
+  }
+  const isPut: boolean = await vault.isPut();
+  let { strikePrice, expiry } = params;
+
+  if ((!strikePrice || !expiry) && params.strikeSelection) {
+    const selection = selectStrike({
+      ...params.strikeSelection,
+      isPut,
+      now: await getBlockTimestamp(params.provider),
+    });
+    log(
+      `Selected strike ${selection.strike} (delta ${selection.delta.toFixed(
+        4
+      )}) expiring at ${selection.expiry}`
+    );
+    strikePrice = selection.strikePrice;
+    expiry = selection.expiry.toString();
+  }
+  if (!strikePrice || !expiry) {
+    throw new RollPreconditionError(
+      "deployOtoken",
+      "strike price and expiry or the spot price and implied volatility are required to deploy the oToken"
+    );
+  }
+
+  const otokenParams: OtokenParams = {
+    underlying: await vault.underlying(),
+    strikeAsset: await vault.USDC(),
+    collateralAsset: await vault.asset(),
+    strikePrice,
+    expiry,
+    isPut,
+  };
+
+  const existing = await findOtoken(
+    params.network,
+    otokenParams,
+    params.provider
+  );
+  if (existing) {
+    log(`oToken ${existing} is already deployed`);
+    state.otoken = existing;
+    return { completedAt: now() };
+  }
+
+  const { txHash, otokenAddress } = await createOtoken(
+    params.network,
+    otokenParams,
+    txManager
+  );
+  state.otoken = otokenAddress;
+  return { txHash, completedAt: now() };
+}
+
+async function commitAndCloseStep(
+  vault: ethers.Contract,
+  state: RollState,
+  txManager: TransactionManager,
+  params: RollParams
+): Promise<StepRecord> {
+  const otoken = state.otoken as string;
+
+  const verification = await verifyOtokenForVault(
+    vault.address,
+    otoken,
+    params.provider
+  );
+  if (!verification.valid) {
+    throw new RollPreconditionError(
+      "commitAndClose",
+      `oToken ${otoken} failed verification ${JSON.stringify(verification)}`
+    );
+  }
+
+  const currentOptionExpiry: BigNumber = await vault.currentOptionExpiry();
+  const timestamp = await getBlockTimestamp(params.provider);
+  if (!currentOptionExpiry.isZero() && currentOptionExpiry.gte(timestamp)) {
+    throw new RollPreconditionError(
+      "commitAndClose",
+      `current option expires at ${currentOptionExpiry.toString()}`
+    );
+  }
+
+  const { optionTerms } = await encodeCommitAndClose(
+    params.network,
+    otoken,
+    params.provider
+  );
+  return sendStep(
+    "commitAndClose",
+    [optionTerms],
+    vault,
+    state,
+    txManager,
+    params
+  );
+}
+
+async function rollToNextOptionStep(
+  vault: ethers.Contract,
+  state: RollState,
+  txManager: TransactionManager,
+  params: RollParams
+): Promise<StepRecord> {
+  const nextOption: string = await vault.nextOption();
+  if (nextOption.toLowerCase() !== (state.otoken as string).toLowerCase()) {
+    throw new RollPreconditionError(
+      "rollToNextOption",
+      `nextOption is ${nextOption}, expected ${state.otoken}`
+    );
+  }
+
+  const readyAt: number = (await vault.nextOptionReadyAt()).toNumber();
+  const timestamp = await getBlockTimestamp(params.provider);
+
+  if (timestamp < readyAt) {
+    if (params.dryRun) {
+      log(`Fast-forwarding ${readyAt - timestamp}s to the end of the delay`);
+      await params.provider.send("evm_increaseTime", [readyAt - timestamp]);
+      await params.provider.send("evm_mine", []);
+    } else if (params.wait) {
+      log(`Waiting ${readyAt - timestamp}s for the delay to elapse`);
+      await sleep((readyAt - timestamp) * 1000);
+    } else {
+      throw new RollPreconditionError(
+        "rollToNextOption",
+        `delay has not elapsed, ready at ${new Date(
+          readyAt * 1000
+        ).toUTCString()}`
+      );
+    }
+  }
+
+  return sendStep("rollToNextOption", [], vault, state, txManager, params);
+}
+
+async function sellOptionsStep(
+  vault: ethers.Contract,
+  state: RollState,
+  txManager: TransactionManager,
+  params: RollParams
+): Promise<StepRecord> {
+  const { order } = params;
+  if (!order) {
+    throw new RollPreconditionError(
+      "sellOptions",
+      "a signed AirSwap order is required"
+    );
+  }
+
+  const verification = await verifyOrder(order, {
+    network: params.network,
+    vaultAddress: vault.address,
+    provider: params.provider,
+    ...(params.minYield ? { minYield: params.minYield } : {}),
+  });
+
+  const failures = verification.checks
+    .filter((check) => !check.valid)
+    .map((check) => check.message);
+  if (
+    verification.otoken.toLowerCase() !== (state.otoken as string).toLowerCase()
+  ) {
+    failures.unshift(
+      `currentOption is ${verification.otoken}, expected ${state.otoken}`
+    );
+  }
+
+  if (failures.length > 0) {
+    throw new RollPreconditionError("sellOptions", failures.join(", "));
+  }
+
+  return sendStep("sellOptions", [order], vault, state, txManager, params);
+}
+
+/**
+ * Reads the steps which are done from the vault rather than from the state file: the
+ * pending transaction of an interrupted step, then the vault's nextOption, currentOption
+ * and its balance of the oToken, which the vault sells whole
+ */
+async function syncRollState(
+  vault: ethers.Contract,
+  state: RollState,
+  provider: ethers.providers.Provider
+) {
+  if (state.pending) {
+    const { step, txHash } = state.pending;
+    let receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt && (await provider.getTransaction(txHash))) {
+      log(`Waiting for the ${step} transaction ${txHash}`);
+      receipt = await provider.waitForTransaction(txHash);
+    }
+    if (receipt && receipt.status === 1) {
+      state.steps[step] = { txHash, completedAt: now() };
+    }
+    delete state.pending;
+  }
+  if (!state.otoken) {
+    return;
+  }
+
+  const otoken = state.otoken.toLowerCase();
+  const nextOption: string = await vault.nextOption();
+  const currentOption: string = await vault.currentOption();
+  const rolled = currentOption.toLowerCase() === otoken;
+  const committed = rolled || nextOption.toLowerCase() === otoken;
+  let sold = false;
+  if (rolled) {
+    const token = new ethers.Contract(
+      state.otoken,
+      ["function balanceOf(address) view returns (uint256)"],
+      provider
+    );
+    sold = (await token.balanceOf(vault.address)).isZero();
+  }
+
+  const setDone = (step: RollStep, done: boolean) => {
+    if (!done) {
+      delete state.steps[step];
+    } else if (!state.steps[step]) {
+      log(`${step} is already done on chain`);
+      state.steps[step] = { completedAt: now() };
+    }
+  };
+  setDone("commitAndClose", committed);
+  setDone("rollToNextOption", rolled);
+  setDone("sellOptions", sold);
+}
+
+async function sendStep(
+  step: Exclude<RollStep, "deployOtoken">,
+  args: unknown[],
+  vault: ethers.Contract,
+  state: RollState,
+  txManager: TransactionManager,
+  params: RollParams
+): Promise<StepRecord> {
+  const { hash } = await txManager.call(vault, step, args, {
+    label: step,
+    onSent: (tx: ethers.providers.TransactionResponse) => {
+      state.pending = { step, txHash: tx.hash };
+      saveRollState(params.statePath, state);
+    },
+  });
+  delete state.pending;
+  return { txHash: hash, completedAt: now() };
+}
+
+async function getBlockTimestamp(provider: ethers.providers.Provider) {
+  return (await provider.getBlock("latest")).timestamp;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function sleep(ms: number) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
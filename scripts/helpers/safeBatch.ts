@@ -0,0 +1,274 @@
+import fs from "fs";
+import path from "path";
+import { BigNumber, ethers } from "ethers";
+import { Networks, getNetworkConfig } from "./networks";
+
+const { readArtifact } = require("./artifacts");
+
+// Version of the Safe transaction builder batch format
+const BATCH_VERSION = "1.0";
+
+export interface AbiInput {
+  internalType?: string;
+  name: string;
+  type: string;
+  components?: AbiInput[];
+}
+
+/**
+ * Transaction of a Safe transaction builder batch. The calldata is included
+ * next to the decoded arguments so signers can compare both.
+ */
+export interface SafeBatchTransaction {
+  to: string;
+  value: string;
+  data: string;
+  contractMethod: {
+    name: string;
+    inputs: AbiInput[];
+    payable: boolean;
+  };
+  // Arguments by input name, tuples are JSON arrays as the transaction builder expects
+  contractInputsValues: Record<string, string>;
+}
+
+export interface SafeBatch {
+  version: string;
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    createdFromSafeAddress: string;
+    createdFromOwnerAddress: string;
+    checksum?: string;
+  };
+  transactions: SafeBatchTransaction[];
+}
+
+export interface SafeCall {
+  to: string;
+  abi: any[];
+  method: string;
+  args: unknown[];
+}
+
+// Vault methods proposed to the Safe and the role calling them
+export const VAULT_SAFE_METHODS = {
+  commitAndClose: "manager",
+  rollToNextOption: "manager",
+  sellOptions: "manager",
+  setCap: "manager",
+  setWithdrawalFee: "manager",
+  setManager: "owner",
+} as const;
+
+export type VaultSafeMethod = keyof typeof VAULT_SAFE_METHODS;
+
+// Proxy methods proposed to the Safe administering the proxies
+export const PROXY_SAFE_METHODS = {
+  upgradeTo: "admin",
+  upgradeToAndCall: "admin",
+} as const;
+
+export type ProxySafeMethod = keyof typeof PROXY_SAFE_METHODS;
+
+export interface VaultBatchParams {
+  network: Networks;
+  vaultAddress: string;
+  provider: ethers.providers.Provider;
+  calls: { method: VaultSafeMethod; args: unknown[] }[];
+  name: string;
+  description?: string;
+}
+
+/**
+ * Encodes a contract call as a Safe transaction builder transaction
+ * @param call is the contract, the method and its arguments
+ */
+export function buildSafeTransaction(call: SafeCall): SafeBatchTransaction {
+  const fragment = call.abi.find(
+    (entry) => entry.type === "function" && entry.name === call.method
+  );
+  if (!fragment) {
+    throw new Error(`ABI has no function ${call.method}`);
+  }
+
+  const iface = new ethers.utils.Interface(call.abi);
+  const data = iface.encodeFunctionData(call.method, call.args);
+  // Decodes the calldata so the reviewed values are the ones which are sent
+  const decoded = iface.decodeFunctionData(call.method, data);
+
+  const contractInputsValues: Record<string, string> = {};
+  fragment.inputs.forEach((input: AbiInput, i: number) => {
+    const value = formatInputValue(decoded[i]);
+    contractInputsValues[input.name] =
+      typeof value === "string" ? value : JSON.stringify(value);
+  });
+
+  return {
+    to: ethers.utils.getAddress(call.to),
+    value: "0",
+    data,
+    contractMethod: {
+      name: fragment.name,
+      inputs: fragment.inputs,
+      payable: fragment.stateMutability === "payable",
+    },
+    contractInputsValues,
+  };
+}
+
+/**
+ * Builds a Safe transaction builder batch, which signers import as a single transaction
+ * @param params is the Safe executing the batch and its transactions
+ */
+export function buildSafeBatch(params: {
+  chainId: number;
+  safeAddress: string;
+  name: string;
+  description?: string;
+  transactions: SafeBatchTransaction[];
+  createdAt?: number;
+}): SafeBatch {
+  const batch: SafeBatch = {
+    version: BATCH_VERSION,
+    chainId: params.chainId.toString(),
+    createdAt: params.createdAt || Date.now(),
+    meta: {
+      name: params.name,
+      description: params.description || "",
+      createdFromSafeAddress: ethers.utils.getAddress(params.safeAddress),
+      createdFromOwnerAddress: "",
+    },
+    transactions: params.transactions,
+  };
+
+  return {
+    ...batch,
+    meta: { ...batch.meta, checksum: calculateChecksum(batch) },
+  };
+}
+
+/**
+ * Builds the batch of a Safe calling vault methods. The Safe is the vault's manager
+ * or owner, depending on the methods.
+ * @param params is the vault and the calls
+ */
+export async function buildVaultBatch(
+  params: VaultBatchParams
+): Promise<SafeBatch> {
+  const { network, vaultAddress, provider, calls } = params;
+
+  const role = validateVaultCalls(calls.map((call) => call.method));
+
+  const vaultArtifact = await readArtifact("RibbonThetaVault");
+  const vault = new ethers.Contract(vaultAddress, vaultArtifact.abi, provider);
+  const safeAddress: string =
+    role === "owner" ? await vault.owner() : await vault.manager();
+
+  return buildSafeBatch({
+    chainId:
+      getNetworkConfig(network).chainId ||
+      (await provider.getNetwork()).chainId,
+    safeAddress,
+    name: params.name,
+    description: params.description,
+    transactions: calls.map((call) =>
+      buildSafeTransaction({
+        to: vaultAddress,
+        abi: vaultArtifact.abi,
+        method: call.method,
+        args: call.args,
+      })
+    ),
+  });
+}
+
+/**
+ * Checks that vault methods can be executed in a single Safe transaction
+ * and returns the role executing them
+ * @param methods is the vault methods in call order
+ */
+export function validateVaultCalls(methods: VaultSafeMethod[]) {
+  if (methods.length === 0) {
+    throw new Error("No vault calls to propose");
+  }
+  const roles = methods
+    .map((method) => VAULT_SAFE_METHODS[method])
+    .filter((role, i, all) => all.indexOf(role) === i);
+  if (roles.length > 1) {
+    throw new Error(
+      `${methods
+        .map((method) => `${method} (${VAULT_SAFE_METHODS[method]})`)
+        .join(", ")} are called by different roles, propose them separately`
+    );
+  }
+  if (
+    methods.includes("commitAndClose") &&
+    methods.includes("rollToNextOption")
+  ) {
+    throw new Error(
+      "rollToNextOption reverts in the same transaction as commitAndClose, the vault waits for a delay between them"
+    );
+  }
+  return roles[0];
+}
+
+/**
+ * Computes the checksum the Safe transaction builder checks on import: the keccak256
+ * of the batch serialized with sorted keys, without the batch name
+ * @param batch is the batch, its checksum is ignored
+ */
+export function calculateChecksum(batch: SafeBatch) {
+  const meta: Partial<SafeBatch["meta"]> = { ...batch.meta };
+  delete meta.checksum;
+  const serialized = serializeJSON({ ...batch, meta: { ...meta, name: null } });
+  return ethers.utils.solidityKeccak256(["string"], [serialized]);
+}
+
+export function writeSafeBatch(filePath: string, batch: SafeBatch) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(batch, null, 2) + "\n");
+}
+
+export function renderSafeBatch(batch: SafeBatch) {
+  const transactions = batch.transactions.map((tx, i) => {
+    const args = Object.entries(tx.contractInputsValues).map(
+      ([name, value]) => `    ${name}: ${value}`
+    );
+    return `${i + 1}. ${tx.contractMethod.name} on ${tx.to}
+${args.join("\n")}
+    data: ${tx.data}`;
+  });
+
+  return `Safe batch: ${batch.meta.name}
+Safe: ${batch.meta.createdFromSafeAddress} (chain ${batch.chainId})
+Checksum: ${batch.meta.checksum}
+${transactions.join("\n")}`;
+}
+
+function formatInputValue(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(formatInputValue);
+  }
+  if (BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  return String(value);
+}
+
+// Serializes objects with sorted keys, as the transaction builder does
+function serializeJSON(json: unknown): string {
+  if (Array.isArray(json)) {
+    return `[${json.map(serializeJSON).join(",")}]`;
+  }
+  if (typeof json === "object" && json !== null) {
+    const record = json as Record<string, unknown>;
+    const keys = Object.keys(record).sort();
+    return `{${JSON.stringify(keys)}${keys
+      .map((key) => `${serializeJSON(record[key])},`)
+      .join("")}}`;
+  }
+  return JSON.stringify(typeof json === "undefined" ? null : json);
+}
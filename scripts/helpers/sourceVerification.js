@@ -0,0 +1,183 @@
+const path = require("path");
+const querystring = require("querystring");
+const axios = require("axios");
+const { ethers } = require("ethers");
+const {
+  TASK_FLATTEN_GET_FLATTENED_SOURCE,
+} = require("hardhat/builtin-tasks/task-names");
+const { getBuildInfo, readArtifact } = require("./artifacts");
+const { readJournal, updateJournalEntry } = require("./deploymentJournal");
+
+// Etherscan compatible verification APIs of the networks
+const EXPLORER_API_URLS = {
+  mainnet: "https://api.etherscan.io/api",
+  kovan: "https://api-kovan.etherscan.io/api",
+  rinkeby: "https://api-rinkeby.etherscan.io/api",
+};
+
+// License of the contracts, in the numbering of the Etherscan API
+const MIT_LICENSE_TYPE = 3;
+const DEFAULT_POLL_INTERVAL = 5000;
+const MAX_POLLS = 60;
+
+module.exports = {
+  EXPLORER_API_URLS,
+  buildVerificationRequest,
+  verifySource,
+  verifySources,
+};
+
+/**
+ * Builds the explorer verification of a journaled deployment: the flattened sources
+ * of the contract, the compiler settings of hardhat.config.js and the constructor
+ * arguments and libraries of the journal entry
+ * @param {Object} entry is the journal entry of the deployment
+ * @returns {Promise<Object>} the form fields of the Etherscan `verifysourcecode` action, without the API key
+ */
+async function buildVerificationRequest(entry) {
+  const artifact = await readArtifact(entry.contract);
+  const buildInfo = await getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  if (!buildInfo) {
+    throw new Error(`No build info for ${entry.contract}, compile it first`);
+  }
+
+  // Hardhat is loaded to flatten the sources rather than when the migrations load
+  // this module
+  const hre = require("hardhat");
+  const { version, settings } = hre.config.solidity.compilers[0];
+  if (buildInfo.solcVersion !== version) {
+    throw new Error(
+      `${entry.contract} was compiled with ${buildInfo.solcVersion} instead of ${version}`
+    );
+  }
+  const sourceCode = await hre.run(TASK_FLATTEN_GET_FLATTENED_SOURCE, {
+    files: [path.join(hre.config.paths.root, artifact.sourceName)],
+  });
+  const constructor = new ethers.utils.Interface(artifact.abi).deploy;
+
+  const request = {
+    module: "contract",
+    action: "verifysourcecode",
+    contractaddress: entry.address,
+    sourceCode,
+    codeformat: "solidity-single-file",
+    contractname: artifact.contractName,
+    compilerversion: `v${buildInfo.solcLongVersion}`,
+    optimizationUsed: settings.optimizer.enabled ? 1 : 0,
+    runs: settings.optimizer.runs,
+    // The spelling of the Etherscan API
+    constructorArguements: ethers.utils.defaultAbiCoder
+      .encode(
+        constructor.inputs,
+        parseJournalArgs(constructor.inputs, entry.constructorArgs)
+      )
+      .slice(2),
+    licenseType: MIT_LICENSE_TYPE,
+  };
+  Object.entries(entry.libraries || {}).forEach(([name, address], i) => {
+    request[`libraryname${i + 1}`] = name;
+    request[`libraryaddress${i + 1}`] = address;
+  });
+  return request;
+}
+
+/**
+ * Submits the sources of a journaled deployment to an explorer and waits for the result
+ * @param {Object} entry is the journal entry of the deployment
+ * @param {Object} params
+ * @param {string} params.apiUrl is the Etherscan compatible API of the explorer
+ * @param {string} params.apiKey is the API key
+ * @param {number} [params.pollInterval] is the time between the status checks, in milliseconds
+ * @returns {Promise<Object>} the status of the verification, `verified` or `failed`, and the explorer's message
+ */
+async function verifySource(entry, { apiUrl, apiKey, pollInterval }) {
+  const request = await buildVerificationRequest(entry);
+  const { data: submission } = await axios.post(
+    apiUrl,
+    querystring.stringify({ apikey: apiKey, ...request })
+  );
+
+  if (submission.status !== "1") {
+    return isAlreadyVerified(submission.result)
+      ? { status: "verified", message: submission.result }
+      : { status: "failed", message: submission.result };
+  }
+
+  for (let polls = 0; polls < MAX_POLLS; polls++) {
+    await sleep(pollInterval || DEFAULT_POLL_INTERVAL);
+    const { data: check } = await axios.get(apiUrl, {
+      params: {
+        apikey: apiKey,
+        module: "contract",
+        action: "checkverifystatus",
+        guid: submission.result,
+      },
+    });
+
+    if (check.result !== "Pending in queue") {
+      return {
+        status:
+          check.status === "1" || isAlreadyVerified(check.result)
+            ? "verified"
+            : "failed",
+        message: check.result,
+      };
+    }
+  }
+  return {
+    status: "failed",
+    message: `Still pending after ${MAX_POLLS} checks of ${submission.result}`,
+  };
+}
+
+/**
+ * Verifies the sources of every deployment of a network's journal which is not
+ * verified yet, and marks the verified ones in the journal
+ * @param {Object} params
+ * @param {string} params.network is the network of the journal
+ * @param {string} params.apiUrl is the Etherscan compatible API of the explorer
+ * @param {string} params.apiKey is the API key
+ * @param {number} [params.pollInterval] is the time between the status checks, in milliseconds
+ * @returns {Promise<Object[]>} the name, address, status and message of each verification
+ */
+async function verifySources({ network, apiUrl, apiKey, pollInterval }) {
+  if (network.includes("-fork")) {
+    throw new Error(`${network} has no explorer`);
+  }
+  const entries = readJournal(network).filter((entry) => !entry.verified);
+
+  const results = [];
+  for (const entry of entries) {
+    const result = await verifySource(entry, { apiUrl, apiKey, pollInterval });
+    if (result.status === "verified") {
+      updateJournalEntry(network, entry.txHash, { verified: true });
+    }
+    results.push({ name: entry.name, address: entry.address, ...result });
+  }
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+function isAlreadyVerified(message) {
+  return message.toLowerCase().includes("already verified");
+}
+
+// The journal stores the constructor arguments as strings
+function parseJournalArgs(inputs, args) {
+  return inputs.map((input, i) => {
+    if (input.baseType === "array") {
+      return parseJournalArgs(
+        args[i].map(() => input.arrayChildren),
+        args[i]
+      );
+    }
+    return input.type === "bool" ? args[i] === "true" : args[i];
+  });
+}
@@ -0,0 +1,377 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { getBuildInfo, readArtifact } = require("./artifacts");
+
+const { BigNumber } = ethers;
+const { hexDataSlice, hexZeroPad, keccak256 } = ethers.utils;
+
+// EIP-1967 slots of AdminUpgradeabilityProxy
+const ADMIN_SLOT =
+  "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Changes which make the new layout read the proxy's storage differently
+const BREAKING_CHANGES = ["removed", "moved", "retyped"];
+
+module.exports = {
+  ADMIN_SLOT,
+  IMPLEMENTATION_SLOT,
+  getStorageLayout,
+  readStorageLayoutFile,
+  getStorageVariables,
+  diffStorageLayouts,
+  getMappingSlot,
+  snapshotStorage,
+  compareSnapshots,
+};
+
+/**
+ * Reads the storage layout of a compiled contract from its build info. The contracts
+ * must be compiled with the `storageLayout` output selection of hardhat.config.js.
+ * @param {string} contractName is the contract name
+ * @returns {Promise<Object>} the contract name, its `storage` variables and their `types`
+ */
+async function getStorageLayout(contractName) {
+  const artifact = await readArtifact(contractName);
+  const buildInfo = await getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const output =
+    buildInfo &&
+    buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+
+  if (!output || !output.storageLayout) {
+    throw new Error(
+      `No storage layout for ${contractName}, compile with the storageLayout output selection`
+    );
+  }
+  return { contract: contractName, ...output.storageLayout };
+}
+
+/**
+ * Reads a storage layout saved by `storage layout --out`, or a contract's layout from
+ * a hardhat build info file of an earlier compilation
+ * @param {string} filePath is the layout or build info file
+ * @param {string} contractName is the contract to read from a build info file
+ */
+function readStorageLayoutFile(filePath, contractName) {
+  const json = JSON.parse(fs.readFileSync(filePath).toString());
+  if (Array.isArray(json.storage)) {
+    return json;
+  }
+  if (!json.output || !json.output.contracts) {
+    throw new Error(`${filePath} is neither a storage layout nor a build info`);
+  }
+
+  const outputs = Object.values(json.output.contracts)
+    .map((contracts) => contracts[contractName])
+    .filter((output) => output && output.storageLayout);
+  if (outputs.length !== 1) {
+    throw new Error(
+      `Expected a storage layout of ${contractName} in ${filePath}, found ${outputs.length}`
+    );
+  }
+  return { contract: contractName, ...outputs[0].storageLayout };
+}
+
+/**
+ * Lists the variables of a storage layout with their position and a description of
+ * their type which does not depend on the compilation. Variables are keyed by name,
+ * repeated names like the `__gap` of each base contract are numbered in slot order.
+ * @param {Object} layout is a layout of `getStorageLayout`
+ */
+function getStorageVariables(layout) {
+  const types = layout.types || {};
+  const occurrences = {};
+  return layout.storage.map((entry) => {
+    const numberOfBytes = parseInt(types[entry.type].numberOfBytes);
+    const slot = parseInt(entry.slot);
+    const repeated =
+      layout.storage.filter(({ label }) => label === entry.label).length > 1;
+    occurrences[entry.label] = (occurrences[entry.label] || 0) + 1;
+    return {
+      key: repeated
+        ? `${entry.label}#${occurrences[entry.label]}`
+        : entry.label,
+      label: entry.label,
+      slot,
+      offset: entry.offset,
+      numberOfBytes,
+      // First slot after the variable
+      endSlot: slot + Math.ceil((entry.offset + numberOfBytes) / 32),
+      type: describeType(types, entry.type),
+    };
+  });
+}
+
+/**
+ * Compares the layout of a proxy's current implementation with the layout of the
+ * implementation it is upgraded to. Variables are matched by name.
+ * @param {Object} oldLayout is the layout of the current implementation
+ * @param {Object} newLayout is the layout of the new implementation
+ * @returns {Object} the changes and whether the new layout keeps the storage intact
+ */
+function diffStorageLayouts(oldLayout, newLayout) {
+  const oldVariables = getStorageVariables(oldLayout);
+  const newVariables = getStorageVariables(newLayout);
+  const changes = [];
+  const matched = new Set();
+
+  for (const oldVariable of oldVariables) {
+    const newVariable = newVariables.find(({ key }) => key === oldVariable.key);
+
+    if (newVariable) {
+      matched.add(newVariable.key);
+      const kind = getChangeKind(oldVariable, newVariable);
+      if (kind) {
+        changes.push({
+          kind,
+          key: oldVariable.key,
+          old: oldVariable,
+          new: newVariable,
+        });
+      }
+    } else {
+      // A variable in the same position with the same type is only renamed
+      const renamed = newVariables.find(
+        (variable) =>
+          !oldVariables.some(({ key }) => key === variable.key) &&
+          isSamePosition(variable, oldVariable) &&
+          variable.type === oldVariable.type
+      );
+      if (renamed) {
+        matched.add(renamed.key);
+      }
+      changes.push({
+        kind: renamed ? "renamed" : "removed",
+        key: oldVariable.key,
+        old: oldVariable,
+        ...(renamed ? { new: renamed } : {}),
+      });
+    }
+  }
+
+  newVariables
+    .filter(({ key }) => !matched.has(key))
+    .forEach((variable) =>
+      changes.push({ kind: "added", key: variable.key, new: variable })
+    );
+
+  return {
+    compatible: changes.every(({ kind }) => !BREAKING_CHANGES.includes(kind)),
+    changes,
+  };
+}
+
+/**
+ * Computes the slot of a mapping value, e.g. of `_allowances[owner][spender]`
+ * @param {string|number} slot is the slot of the mapping variable
+ * @param {...string} keys are the address keys, outermost first
+ */
+function getMappingSlot(slot, ...keys) {
+  return keys.reduce(
+    (mappingSlot, key) =>
+      keccak256(hexZeroPad(key, 32) + hexZeroPad(mappingSlot, 32).slice(2)),
+    BigNumber.from(slot).toHexString()
+  );
+}
+
+/**
+ * Reads the variables of a storage layout from a contract's storage, with the EIP-1967
+ * admin and implementation slots of its proxy. Mappings keyed by addresses are read for
+ * each of `accounts`, other mappings, the contents of dynamic arrays and the `__gap`
+ * placeholders are left out.
+ * @param {Object} provider is the provider reading the storage
+ * @param {string} address is the contract, usually a proxy
+ * @param {Object} layout is the layout the storage is read with
+ * @param {string[]} [accounts] are the keys of the address mappings
+ * @returns {Promise<Object[]>} the label, slot and value of each variable
+ */
+async function snapshotStorage(provider, address, layout, accounts = []) {
+  const types = layout.types || {};
+  const entries = [];
+
+  const readWord = async (slot) =>
+    hexZeroPad(
+      await provider.getStorageAt(address, BigNumber.from(slot).toHexString()),
+      32
+    );
+
+  const read = async (label, typeId, slot, offset) => {
+    const type = types[typeId];
+    const numberOfBytes = parseInt(type.numberOfBytes);
+    const slotHex = hexZeroPad(BigNumber.from(slot).toHexString(), 32);
+
+    if (type.encoding === "mapping") {
+      if (!types[type.key].label.startsWith("address")) {
+        return;
+      }
+      for (const account of accounts) {
+        await read(
+          `${label}[${account}]`,
+          type.value,
+          getMappingSlot(slot, account),
+          0
+        );
+      }
+    } else if (type.encoding === "bytes") {
+      entries.push({
+        label,
+        slot: slotHex,
+        value: await readBytes(readWord, slot),
+      });
+    } else if (type.encoding === "dynamic_array") {
+      entries.push({
+        label: `${label}.length`,
+        slot: slotHex,
+        value: await readWord(slot),
+      });
+    } else if (type.members) {
+      for (const member of type.members) {
+        await read(
+          `${label}.${member.label}`,
+          member.type,
+          BigNumber.from(slot).add(member.slot),
+          member.offset
+        );
+      }
+    } else if (numberOfBytes <= 32) {
+      const word = await readWord(slot);
+      entries.push({
+        label,
+        slot: slotHex,
+        value: hexDataSlice(word, 32 - offset - numberOfBytes, 32 - offset),
+      });
+    } else {
+      // Static arrays are read word by word
+      for (let i = 0; i < Math.ceil(numberOfBytes / 32); i++) {
+        const wordSlot = BigNumber.from(slot).add(i);
+        entries.push({
+          label: `${label}[word ${i}]`,
+          slot: hexZeroPad(wordSlot.toHexString(), 32),
+          value: await readWord(wordSlot),
+        });
+      }
+    }
+  };
+
+  for (const entry of layout.storage) {
+    if (!entry.label.startsWith("__")) {
+      await read(entry.label, entry.type, entry.slot, entry.offset);
+    }
+  }
+
+  entries.push({
+    label: "EIP1967.admin",
+    slot: ADMIN_SLOT,
+    value: await readWord(ADMIN_SLOT),
+  });
+  entries.push({
+    label: "EIP1967.implementation",
+    slot: IMPLEMENTATION_SLOT,
+    value: await readWord(IMPLEMENTATION_SLOT),
+  });
+  return entries;
+}
+
+/**
+ * Compares two snapshots of `snapshotStorage` by variable label
+ * @param {Object[]} before is the snapshot taken first
+ * @param {Object[]} after is the snapshot taken last
+ * @returns {Object[]} the label and both values of each variable which differs,
+ * a variable missing from a snapshot has a null value
+ */
+function compareSnapshots(before, after) {
+  const labels = before
+    .map(({ label }) => label)
+    .concat(
+      after
+        .map(({ label }) => label)
+        .filter((label) => !before.some((entry) => entry.label === label))
+    );
+  const find = (snapshot, label) => {
+    const entry = snapshot.find((candidate) => candidate.label === label);
+    return entry ? entry.value : null;
+  };
+
+  return labels
+    .map((label) => ({
+      label,
+      before: find(before, label),
+      after: find(after, label),
+    }))
+    .filter((difference) => difference.before !== difference.after);
+}
+
+function getChangeKind(oldVariable, newVariable) {
+  // Gaps shrink when variables are added before them, the slots after them stay put
+  if (
+    oldVariable.label.startsWith("__") &&
+    oldVariable.endSlot === newVariable.endSlot
+  ) {
+    return oldVariable.type === newVariable.type ? null : "resized";
+  }
+  if (!isSamePosition(oldVariable, newVariable)) {
+    return "moved";
+  }
+  if (
+    oldVariable.type !== newVariable.type ||
+    oldVariable.numberOfBytes !== newVariable.numberOfBytes
+  ) {
+    return "retyped";
+  }
+  return null;
+}
+
+function isSamePosition(variable, other) {
+  return variable.slot === other.slot && variable.offset === other.offset;
+}
+
+// Describes a type by its layout, without the AST ids of the compilation
+function describeType(types, typeId) {
+  const type = types[typeId];
+  if (!type) {
+    return typeId;
+  }
+  if (type.encoding === "mapping") {
+    return `mapping(${describeType(types, type.key)} => ${describeType(
+      types,
+      type.value
+    )})`;
+  }
+  if (type.members) {
+    return `${type.label} { ${type.members
+      .map((member) => `${describeType(types, member.type)} ${member.label}`)
+      .join("; ")} }`;
+  }
+  if (type.base) {
+    return type.label.replace(
+      types[type.base].label,
+      describeType(types, type.base)
+    );
+  }
+  // Contracts are stored as addresses
+  return type.label.startsWith("contract ") || type.label === "address payable"
+    ? "address"
+    : type.label;
+}
+
+// Reads a string or bytes variable, which is stored in its slot when shorter than 32 bytes
+async function readBytes(readWord, slot) {
+  const word = await readWord(slot);
+  const lastByte = parseInt(word.slice(-2), 16);
+  if (lastByte % 2 === 0) {
+    return hexDataSlice(word, 0, lastByte / 2);
+  }
+
+  const length = BigNumber.from(word).sub(1).div(2).toNumber();
+  const start = BigNumber.from(
+    keccak256(hexZeroPad(BigNumber.from(slot).toHexString(), 32))
+  );
+  let data = "0x";
+  for (let i = 0; i < Math.ceil(length / 32); i++) {
+    data += (await readWord(start.add(i))).slice(2);
+  }
+  return hexDataSlice(data, 0, length);
+}
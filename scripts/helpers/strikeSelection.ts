@@ -0,0 +1,167 @@
+import { ethers } from "ethers";
+import moment from "moment";
+import { SECONDS_PER_YEAR, inverseNormalCDF } from "./math";
+import { blackScholes } from "./pricing";
+
+export interface StrikeSelectionParams {
+  // Spot price of the underlying, in USD
+  spot: number;
+  // Annualized implied volatility, e.g. 0.9 for 90%
+  iv: number;
+  isPut: boolean;
+  // Absolute delta target, e.g. 0.1 for a 10 delta option
+  delta?: number;
+  // Distance out of the money in percent, e.g. 10 for a strike 10% away from spot
+  otmPercentage?: number;
+  // Spacing of the strike grid, defaults to one based on the spot magnitude
+  strikeStep?: number;
+  // Unix timestamp the selection is made at, defaults to now
+  now?: number;
+}
+
+export interface StrikeSelection {
+  spot: number;
+  iv: number;
+  isPut: boolean;
+  expiry: number;
+  timeToExpiry: number;
+  targetStrike: number;
+  strikeStep: number;
+  strike: number;
+  // Strike scaled by 10**8, as expected by the oToken factory
+  strikePrice: string;
+  // Absolute delta of the selected strike
+  delta: number;
+}
+
+// Opyn oTokens expire at 8:00 UTC
+const EXPIRY_HOUR = 8;
+const FRIDAY = 5;
+// The vault delay, commitAndClose rejects options expiring sooner
+const MIN_TIME_TO_EXPIRY = 60 * 60;
+
+/**
+ * Returns the next Friday 8:00 UTC that leaves time for the vault delay
+ * @param now is the unix timestamp to start from
+ */
+export function getNextFriday(now: number) {
+  const expiry = moment
+    .unix(now)
+    .utc()
+    .startOf("day")
+    .add((FRIDAY - moment.unix(now).utc().day() + 7) % 7, "days")
+    .add(EXPIRY_HOUR, "hours");
+
+  if (expiry.unix() - now < MIN_TIME_TO_EXPIRY) {
+    expiry.add(7, "days");
+  }
+  return expiry.unix();
+}
+
+/**
+ * Returns the spacing of the strike grid for a spot price, which is half of the
+ * second most significant digit, e.g. 50 for a $2,500 spot and 500 for a $55,000 spot
+ * @param spot is the spot price
+ */
+export function getStrikeStep(spot: number) {
+  const magnitude = Math.floor(Math.log10(spot));
+  return 10 ** (magnitude - 1) * 0.5;
+}
+
+/**
+ * Rounds a strike away from the spot onto the strike grid,
+ * up for calls and down for puts, so the option is never closer to the money than targeted
+ */
+export function roundToStrikeGrid(
+  strike: number,
+  strikeStep: number,
+  isPut: boolean
+) {
+  const steps = strike / strikeStep;
+  // Avoid rounding a strike already on the grid because of floating point errors
+  const rounded = Math.abs(steps - Math.round(steps)) < 1e-9;
+  const gridSteps = isPut ? Math.floor(steps) : Math.ceil(steps);
+  return Number(
+    ((rounded ? Math.round(steps) : gridSteps) * strikeStep).toFixed(8)
+  );
+}
+
+/**
+ * Returns the absolute Black-Scholes delta of an option, assuming a zero interest rate
+ */
+export function getDelta(
+  spot: number,
+  strike: number,
+  iv: number,
+  timeToExpiry: number,
+  isPut: boolean
+) {
+  return Math.abs(blackScholes(spot, strike, iv, timeToExpiry, isPut).delta);
+}
+
+/**
+ * Returns the strike with the given absolute delta, assuming a zero interest rate
+ */
+export function getStrikeForDelta(
+  spot: number,
+  delta: number,
+  iv: number,
+  timeToExpiry: number,
+  isPut: boolean
+) {
+  if (delta <= 0 || delta >= 1) {
+    throw new Error(`Delta ${delta} must be between 0 and 1 exclusive`);
+  }
+  const d1 = inverseNormalCDF(isPut ? 1 - delta : delta);
+  const volTime = iv * Math.sqrt(timeToExpiry);
+  return spot * Math.exp(-d1 * volTime + (volTime * volTime) / 2);
+}
+
+/**
+ * Selects next week's oToken strike and expiry from a delta or an OTM percentage target
+ * @param params is the market data and the target
+ */
+export function selectStrike(params: StrikeSelectionParams): StrikeSelection {
+  const { spot, iv, isPut, delta, otmPercentage } = params;
+  const now = params.now || Math.floor(Date.now() / 1000);
+
+  if (!(spot > 0)) {
+    throw new Error(`Spot price ${spot} must be positive`);
+  }
+  if (!(iv > 0)) {
+    throw new Error(`Implied volatility ${iv} must be positive`);
+  }
+  if ((typeof delta === "number") === (typeof otmPercentage === "number")) {
+    throw new Error("Either a delta or an OTM percentage target is required");
+  }
+
+  const expiry = getNextFriday(now);
+  const timeToExpiry = (expiry - now) / SECONDS_PER_YEAR;
+
+  let targetStrike;
+  if (typeof delta === "number") {
+    targetStrike = getStrikeForDelta(spot, delta, iv, timeToExpiry, isPut);
+  } else {
+    const distance = (otmPercentage as number) / 100;
+    targetStrike = spot * (isPut ? 1 - distance : 1 + distance);
+  }
+
+  const strikeStep = params.strikeStep || getStrikeStep(spot);
+  const strike = roundToStrikeGrid(targetStrike, strikeStep, isPut);
+  if (strike <= 0) {
+    throw new Error(`Strike ${targetStrike} rounds to ${strike}`);
+  }
+
+  return {
+    spot,
+    iv,
+    isPut,
+    expiry,
+    timeToExpiry,
+    targetStrike,
+    strikeStep,
+    strike,
+    strikePrice: ethers.utils.parseUnits(strike.toFixed(8), 8).toString(),
+    delta: getDelta(spot, strike, iv, timeToExpiry, isPut),
+  };
+}
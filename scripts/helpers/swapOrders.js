@@ -0,0 +1,68 @@
+const { createOrder, signTypedDataOrder } = require("@airswap/utils");
+const externalAddresses = require("../../constants/externalAddresses.json");
+
+const TRADER_AFFILIATE = "0xFf98F0052BdA391F8FaD266685609ffb192Bef25";
+
+module.exports = { TRADER_AFFILIATE, buildOrderForSwap, signOrderForSwap };
+
+/**
+ * Builds an unsigned AirSwap order where the vault sells oTokens to a counterparty
+ * @param {Object} params
+ * @param {string} params.counterpartyAddress is the wallet paying the premium and signing the order
+ * @param {string} params.vaultAddress is the vault selling the oTokens
+ * @param {string} params.sellToken is the oToken sold by the vault
+ * @param {string} params.buyToken is the asset the premium is paid in
+ * @param {string} params.sellAmount is the amount of oTokens sold
+ * @param {string} params.buyAmount is the premium
+ * @param {string} [params.expiry] is the unix timestamp the order expires at, defaults to a day from now
+ * @param {string} [params.nonce] is the order nonce, defaults to the current time in milliseconds
+ */
+function buildOrderForSwap({
+  counterpartyAddress,
+  vaultAddress,
+  sellToken,
+  buyToken,
+  sellAmount,
+  buyAmount,
+  expiry,
+  nonce,
+}) {
+  return createOrder({
+    ...(expiry ? { expiry } : {}),
+    ...(nonce ? { nonce } : {}),
+    signer: {
+      wallet: counterpartyAddress,
+      token: buyToken,
+      amount: buyAmount,
+    },
+    sender: {
+      wallet: vaultAddress,
+      token: sellToken,
+      amount: sellAmount,
+    },
+    affiliate: {
+      wallet: TRADER_AFFILIATE,
+    },
+  });
+}
+
+/**
+ * Builds and signs an AirSwap order for `sellOptions` with EIP-712 typed data
+ * @param {Object} params is the order parameters of `buildOrderForSwap` and the key to sign with
+ * @param {string} params.signerPrivateKey is the private key of the counterparty
+ * @param {string} [params.swapContract] is the AirSwap swap contract, defaults to mainnet's
+ */
+async function signOrderForSwap({
+  signerPrivateKey,
+  swapContract = externalAddresses.mainnet.airswapSwap,
+  ...orderParams
+}) {
+  const order = buildOrderForSwap(orderParams);
+
+  const signedOrder = await signTypedDataOrder(
+    order,
+    signerPrivateKey,
+    swapContract
+  );
+  return signedOrder;
+}
@@ -0,0 +1,249 @@
+import "@nomiclabs/hardhat-ethers";
+import { ethers } from "ethers";
+import { HardhatPluginError } from "hardhat/plugins";
+import type {
+  ConfigurableTaskDefinition,
+  HardhatNetworkConfig,
+  HardhatRuntimeEnvironment,
+} from "hardhat/types";
+import { getDefaultGasStrategy } from "./gasStrategies";
+import { Networks, getNetworkNames, isNetwork } from "./networks";
+import {
+  SentTransaction,
+  TransactionManager,
+  getJournalPath,
+} from "./transactions";
+
+// The tasks are registered while hardhat loads its config, before the helpers which
+// import hardhat can be loaded, so those are imported when a task runs.
+
+// Hardhat prints the errors of a plugin without their stack trace
+const PLUGIN_NAME = "ribbon";
+
+// Directory of the transaction journals, shared with the ribbon CLI
+const JOURNAL_DIR = ".transactions";
+
+// Hardhat networks running on the state of a network of the constants files
+const FORKED_NETWORKS: Record<string, Networks> = {
+  "mainnet-sim": "mainnet",
+};
+
+export type VaultRole = "manager" | "owner";
+
+export interface TaskVault {
+  name: string;
+  address: string;
+  contract: ethers.Contract;
+}
+
+/**
+ * Returns the error a task throws when its arguments or the chain state do not
+ * allow it to run. Hardhat's error classes cannot be extended once compiled to ES5.
+ * @param message is the error message
+ */
+export function taskError(message: string) {
+  return new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+/**
+ * Adds the parameters of the tasks sending a vault transaction
+ * @param definition is the task
+ */
+export function addVaultCallParams(definition: ConfigurableTaskDefinition) {
+  return definition
+    .addParam("vault", "Vault deployment name or address")
+    .addFlag(
+      "impersonate",
+      "Impersonate the vault's manager or owner, only on a hardhat fork"
+    );
+}
+
+/**
+ * Returns the network of the constants files holding the addresses of the
+ * network selected with --network
+ * @param hre is the hardhat runtime environment
+ */
+export function getTaskNetwork(hre: HardhatRuntimeEnvironment): Networks {
+  const { name, config } = hre.network;
+
+  if (name === "hardhat") {
+    // The in-process network forks mainnet when TEST_URI is set
+    const { forking } = config as HardhatNetworkConfig;
+    return forking && forking.enabled ? "mainnet" : "local";
+  }
+
+  const network = FORKED_NETWORKS[name] || name;
+  if (!isNetwork(network)) {
+    throw taskError(
+      `No addresses for network ${name}, expected one of ${getNetworkNames().join(
+        ", "
+      )}`
+    );
+  }
+  return network;
+}
+
+/**
+ * Returns a provider talking to the node of the selected network directly, so the
+ * configured accounts do not reject transactions sent by impersonated accounts
+ * @param hre is the hardhat runtime environment
+ */
+export function getTaskProvider(
+  hre: HardhatRuntimeEnvironment
+): ethers.providers.JsonRpcProvider {
+  const { config } = hre.network;
+  return "url" in config
+    ? new ethers.providers.JsonRpcProvider(config.url)
+    : hre.ethers.provider;
+}
+
+/**
+ * Finds vaults by their deployment name or address on the selected network,
+ * all of them when no filter is passed
+ * @param hre is the hardhat runtime environment
+ * @param nameOrAddress is the deployment name, e.g. RibbonETHCoveredCall, or the vault address
+ */
+export async function getTaskVaults(
+  hre: HardhatRuntimeEnvironment,
+  nameOrAddress?: string
+) {
+  const { findVaults } = await import("./vaults");
+  const network = getTaskNetwork(hre);
+  try {
+    return findVaults(network, nameOrAddress);
+  } catch (e) {
+    throw taskError(e.message);
+  }
+}
+
+/**
+ * Finds a single vault on the selected network and connects to it
+ * @param hre is the hardhat runtime environment
+ * @param nameOrAddress is the deployment name or the vault address
+ */
+export async function getTaskVault(
+  hre: HardhatRuntimeEnvironment,
+  nameOrAddress: string
+): Promise<TaskVault> {
+  const vaults = await getTaskVaults(hre, nameOrAddress);
+  if (vaults.length !== 1) {
+    throw taskError(`Expected a single vault, found ${vaults.length}`);
+  }
+  const [{ name, address, contract }] = vaults;
+  const artifact = await hre.artifacts.readArtifact(contract);
+
+  return {
+    name,
+    address,
+    contract: new ethers.Contract(address, artifact.abi, getTaskProvider(hre)),
+  };
+}
+
+/**
+ * Returns the transaction manager sending a task's transactions from the first
+ * account of the selected network, or from an account impersonated on a hardhat fork
+ * @param hre is the hardhat runtime environment
+ * @param impersonated is the account to impersonate
+ */
+export async function getTaskTransactionManager(
+  hre: HardhatRuntimeEnvironment,
+  impersonated?: string
+) {
+  const provider = getTaskProvider(hre);
+
+  let signer: ethers.Signer;
+  if (impersonated) {
+    try {
+      await provider.send("hardhat_impersonateAccount", [impersonated]);
+    } catch (e) {
+      throw taskError(
+        `Impersonating ${impersonated} needs a hardhat fork: ${e.message}`
+      );
+    }
+    signer = provider.getSigner(impersonated);
+  } else {
+    signer = await getTaskSigner(hre);
+  }
+
+  return new TransactionManager({
+    network: hre.network.name,
+    signer,
+    // The fork prices the transactions of impersonated accounts
+    ...(impersonated
+      ? {}
+      : { gasStrategy: getDefaultGasStrategy(getTaskNetwork(hre), provider) }),
+    journalPath: getTaskJournalPath(hre),
+  });
+}
+
+/**
+ * Returns the transaction manager sending a task's transactions as a vault's
+ * manager or owner, checking the signer holds the role
+ * @param hre is the hardhat runtime environment
+ * @param vault is the vault called by the transactions
+ * @param role is the role the vault requires from the sender
+ * @param impersonate is whether to impersonate the role on a hardhat fork
+ */
+export async function getVaultTransactionManager(
+  hre: HardhatRuntimeEnvironment,
+  vault: TaskVault,
+  role: VaultRole,
+  impersonate: boolean
+) {
+  const account: string = await vault.contract[role]();
+  if (impersonate) {
+    return getTaskTransactionManager(hre, account);
+  }
+
+  const txManager = await getTaskTransactionManager(hre);
+  const signerAddress = await txManager.options.signer.getAddress();
+  if (signerAddress.toLowerCase() !== account.toLowerCase()) {
+    throw taskError(
+      `Signer ${signerAddress} is not the ${role} ${account} of ${vault.name}`
+    );
+  }
+  return txManager;
+}
+
+/**
+ * Returns the first account of the selected network, which signs the task transactions
+ * @param hre is the hardhat runtime environment
+ */
+export async function getTaskSigner(
+  hre: HardhatRuntimeEnvironment
+): Promise<ethers.Signer> {
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw taskError(`No account to sign with on ${hre.network.name}`);
+  }
+  return signer;
+}
+
+/**
+ * Returns the journal of the transactions sent on the selected network
+ * @param hre is the hardhat runtime environment
+ * @param dryRun is whether the transactions are a dry run on a fork
+ */
+export function getTaskJournalPath(
+  hre: HardhatRuntimeEnvironment,
+  dryRun = false
+) {
+  return getJournalPath(
+    JOURNAL_DIR,
+    dryRun ? `${hre.network.name}.dry-run` : hre.network.name
+  );
+}
+
+export function renderSentTransaction(sent: SentTransaction) {
+  const events = sent.events.map(
+    (event) =>
+      `  ${event.name}(${Object.entries(event.args)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(", ")})`
+  );
+
+  return [
+    `Mined ${sent.hash} in block ${sent.receipt.blockNumber}`,
+    ...events,
+  ].join("\n");
+}
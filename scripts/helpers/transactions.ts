@@ -0,0 +1,611 @@
+import fs from "fs";
+import path from "path";
+import { BigNumber, ethers } from "ethers";
+import { log } from "./cli";
+import { GasOverrides, GasStrategy, getGasOverrides } from "./gasStrategies";
+import { getNetworkConfig, isNetwork } from "./networks";
+
+const { formatUnits } = ethers.utils;
+
+export type JournalStatus =
+  | "sent"
+  | "replaced"
+  | "mined"
+  | "reverted"
+  | "reorged"
+  | "cancelled";
+
+export interface DecodedEvent {
+  address: string;
+  name: string;
+  args: Record<string, string>;
+}
+
+export interface JournalEntry {
+  timestamp: number;
+  network: string;
+  label: string;
+  status: JournalStatus;
+  hash: string;
+  nonce: number;
+  from: string;
+  to: string | null;
+  data: string;
+  value: string;
+  gasLimit: string;
+  // Gas price, or the max fee per gas of an EIP-1559 transaction
+  gasPrice: string;
+  // Hash of the transaction replacing this one
+  replacedBy?: string;
+  receipt?: {
+    blockNumber: number;
+    blockHash: string;
+    gasUsed: string;
+    status: number;
+  };
+  events?: DecodedEvent[];
+}
+
+export interface TransactionManagerOptions {
+  network: string;
+  signer: ethers.Signer;
+  // Prices the transactions, the node prices them when none is given
+  gasStrategy?: GasStrategy;
+  // JSONL file every transaction is appended to
+  journalPath: string;
+  // Multiplier applied to the gas estimates
+  gasMargin?: number;
+  // Blocks, the transaction's included, before its receipt is final. Defaults to the
+  // network's, or 1 on networks without a config such as the in-process hardhat network.
+  confirmations?: number;
+  // Time after which a pending transaction is sped up, in milliseconds
+  stuckTimeout?: number;
+  // Number of times a stuck transaction is sped up before giving up
+  maxSpeedUps?: number;
+}
+
+export interface SendOptions {
+  // Describes the transaction in the logs and the journal, e.g. "commitAndClose"
+  label: string;
+  // Decode the receipt logs with these interfaces on top of the called contract's
+  interfaces?: ethers.utils.Interface[];
+  overrides?: ethers.Overrides;
+  // Called with the TransactionResponse of each broadcast transaction before it is
+  // mined, e.g. to save its hash
+  onSent?: ethers.providers.Listener;
+}
+
+export interface SentTransaction {
+  hash: string;
+  receipt: ethers.providers.TransactionReceipt;
+  events: DecodedEvent[];
+}
+
+const DEFAULT_GAS_MARGIN = 1.2;
+const DEFAULT_STUCK_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_MAX_SPEED_UPS = 3;
+// Nodes only accept a replacement whose fees are at least 10% above the original's
+const REPLACEMENT_BUMP_PERCENT = 110;
+const POLL_INTERVAL = 4000;
+// Errors of the nodes rejecting a transaction whose nonce is already mined
+const NONCE_USED_ERROR = /nonce too low|already mined/i;
+
+/**
+ * Sends the transactions of a script: estimates the gas with a safety margin,
+ * hands out nonces to concurrent sends, speeds up stuck transactions,
+ * checks the receipts survived reorgs and journals every transaction.
+ */
+export class TransactionManager {
+  readonly options: Required<Omit<TransactionManagerOptions, "gasStrategy">> &
+    Pick<TransactionManagerOptions, "gasStrategy">;
+
+  private nextNonce: Promise<number> | null = null;
+
+  constructor(options: TransactionManagerOptions) {
+    this.options = {
+      gasMargin: DEFAULT_GAS_MARGIN,
+      confirmations: isNetwork(options.network)
+        ? getNetworkConfig(options.network).confirmations
+        : 1,
+      stuckTimeout: DEFAULT_STUCK_TIMEOUT,
+      maxSpeedUps: DEFAULT_MAX_SPEED_UPS,
+      ...options,
+    };
+  }
+
+  get provider(): ethers.providers.Provider {
+    const { provider } = this.options.signer;
+    if (!provider) {
+      throw new Error("The transaction signer has no provider");
+    }
+    return provider;
+  }
+
+  /**
+   * Calls a contract method and waits for the receipt
+   * @param contract is the contract to call
+   * @param method is the method name
+   * @param args is the method arguments
+   * @param options is the label of the transaction and the overrides
+   */
+  async call(
+    contract: ethers.Contract,
+    method: string,
+    args: unknown[],
+    options: SendOptions
+  ): Promise<SentTransaction> {
+    const request = await contract.populateTransaction[method](
+      ...args,
+      options.overrides || {}
+    );
+    return this.send(request, {
+      ...options,
+      interfaces: [contract.interface, ...(options.interfaces || [])],
+    });
+  }
+
+  /**
+   * Sends a transaction and waits for the receipt, speeding it up while it is stuck
+   * @param request is the transaction to send
+   * @param options is the label of the transaction and the interfaces decoding its events
+   */
+  async send(
+    request: ethers.providers.TransactionRequest,
+    options: SendOptions
+  ): Promise<SentTransaction> {
+    const populated = await this.populate(request);
+    let tx: ethers.providers.TransactionResponse;
+    try {
+      tx = await this.options.signer.sendTransaction(populated);
+    } catch (e) {
+      // This nonce was not used, the next send reads the pending count from the node
+      this.nextNonce = this.options.signer.getTransactionCount("pending");
+      throw e;
+    }
+    log(`${options.label}: sent ${tx.hash} with nonce ${tx.nonce}`);
+    this.journal("sent", tx, options.label);
+    if (options.onSent) {
+      options.onSent(tx);
+    }
+
+    return this.waitForReceipt([tx], options);
+  }
+
+  /**
+   * Speeds up a pending transaction by resending it with a higher gas price
+   * @param hash is the hash of the pending transaction
+   */
+  async speedUp(hash: string): Promise<SentTransaction> {
+    const tx = await this.getPendingTransaction(hash);
+    const replacement = await this.replace(tx, {});
+    if (!replacement) {
+      return this.confirmUsedNonce([tx], { label: "speedUp" });
+    }
+    this.journal("replaced", tx, "speedUp", { replacedBy: replacement.hash });
+    this.journal("sent", replacement, "speedUp");
+
+    const receipt = await this.waitForAny([tx, replacement], 0);
+    return this.confirm(
+      receipt as ethers.providers.TransactionReceipt,
+      [tx, replacement],
+      {
+        label: "speedUp",
+      }
+    );
+  }
+
+  /**
+   * Cancels a pending transaction by sending nothing to the signer with its nonce
+   * @param hash is the hash of the pending transaction
+   */
+  async cancel(hash: string): Promise<SentTransaction> {
+    const tx = await this.getPendingTransaction(hash);
+    const from = await this.options.signer.getAddress();
+    const replacement = await this.replace(tx, {
+      to: from,
+      data: "0x",
+      value: 0,
+      gasLimit: 21000,
+    });
+    if (!replacement) {
+      return this.confirmUsedNonce([tx], { label: "cancel" });
+    }
+    this.journal("cancelled", tx, "cancel", { replacedBy: replacement.hash });
+    this.journal("sent", replacement, "cancel");
+
+    const receipt = await this.waitForAny([tx, replacement], 0);
+    return this.confirm(
+      receipt as ethers.providers.TransactionReceipt,
+      [tx, replacement],
+      {
+        label: "cancel",
+      }
+    );
+  }
+
+  private async populate(
+    request: ethers.providers.TransactionRequest
+  ): Promise<ethers.providers.TransactionRequest> {
+    const { signer, gasStrategy, gasMargin } = this.options;
+    const populated = {
+      ...request,
+      from: await signer.getAddress(),
+      ...(gasStrategy && !request.gasPrice && !request.maxFeePerGas
+        ? await getGasOverrides(gasStrategy, this.provider)
+        : {}),
+    };
+
+    if (!populated.gasLimit) {
+      const estimate = await signer.estimateGas(populated);
+      populated.gasLimit = estimate.mul(Math.round(gasMargin * 100)).div(100);
+    }
+    populated.nonce = await this.getNonce();
+    return populated;
+  }
+
+  /**
+   * Hands out consecutive nonces, so concurrent sends do not reuse a nonce
+   */
+  private getNonce(): Promise<number> {
+    const nonce =
+      this.nextNonce || this.options.signer.getTransactionCount("pending");
+    this.nextNonce = nonce.then((next) => next + 1);
+    return nonce;
+  }
+
+  /**
+   * Resends a transaction with its nonce and bumped fees.
+   * Returns null if the nonce was used in the meantime, e.g. the transaction was mined.
+   */
+  private async replace(
+    tx: ethers.providers.TransactionResponse,
+    changes: ethers.providers.TransactionRequest
+  ): Promise<ethers.providers.TransactionResponse | null> {
+    const { gasStrategy } = this.options;
+    const current = gasStrategy
+      ? await getGasOverrides(gasStrategy, this.provider)
+      : null;
+
+    try {
+      return await this.options.signer.sendTransaction({
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        ...changes,
+        nonce: tx.nonce,
+        ...getReplacementFees(
+          tx,
+          current,
+          gasStrategy ? gasStrategy.maxGasPrice : null
+        ),
+      });
+    } catch (e) {
+      if (isNonceUsedError(e)) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Confirms the transaction which used the nonce of transactions being replaced
+   */
+  private async confirmUsedNonce(
+    txs: ethers.providers.TransactionResponse[],
+    options: SendOptions
+  ): Promise<SentTransaction> {
+    const { nonce } = txs[0];
+    log(`${options.label}: nonce ${nonce} was used while replacing it`);
+    const receipt = await this.waitForAny(txs);
+    if (!receipt) {
+      throw new Error(
+        `${options.label}: nonce ${nonce} was used by another transaction`
+      );
+    }
+    return this.confirm(receipt, txs, options);
+  }
+
+  /**
+   * Waits for one of the transactions sharing a nonce to be mined and confirmed,
+   * speeding up the last one whenever none is mined before the stuck timeout
+   * @param txs is the transactions sent with the nonce, the last one sent last
+   * @param options is the label of the transactions and the interfaces decoding their events
+   */
+  private async waitForReceipt(
+    txs: ethers.providers.TransactionResponse[],
+    options: SendOptions
+  ): Promise<SentTransaction> {
+    const sent = [...txs];
+    for (let speedUps = 0; ; speedUps++) {
+      const receipt = await this.waitForAny(sent);
+      if (receipt) {
+        return this.confirm(receipt, sent, options);
+      }
+      if (speedUps >= this.options.maxSpeedUps) {
+        throw new Error(
+          `${options.label}: nonce ${sent[0].nonce} is still pending after ${speedUps} speed ups`
+        );
+      }
+
+      const tx = sent[sent.length - 1];
+      const replacement = await this.replace(tx, {});
+      if (!replacement) {
+        return this.confirmUsedNonce(sent, options);
+      }
+      this.journal("replaced", tx, options.label, {
+        replacedBy: replacement.hash,
+      });
+      this.journal("sent", replacement, options.label);
+      log(`${options.label}: sped up ${tx.hash} with ${replacement.hash}`);
+      if (options.onSent) {
+        options.onSent(replacement);
+      }
+      sent.push(replacement);
+    }
+  }
+
+  /**
+   * Waits for the first of the transactions sharing a nonce to be mined.
+   * Returns null if none is mined before the timeout, a zero timeout waits forever.
+   */
+  private async waitForAny(
+    txs: ethers.providers.TransactionResponse[],
+    timeout: number = this.options.stuckTimeout
+  ): Promise<ethers.providers.TransactionReceipt | null> {
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+
+    while (Date.now() < deadline) {
+      const receipts = await Promise.all(
+        txs.map((tx) => this.provider.getTransactionReceipt(tx.hash))
+      );
+      const receipt = receipts.find((mined) => mined && mined.blockNumber);
+      if (receipt) {
+        return receipt;
+      }
+      await sleep(POLL_INTERVAL);
+    }
+    return null;
+  }
+
+  /**
+   * Waits for the confirmations and checks the transaction is still in the same block.
+   * If it was reorged out, the transactions are pending again: they are waited for and
+   * sped up like freshly sent ones.
+   */
+  private async confirm(
+    receipt: ethers.providers.TransactionReceipt,
+    txs: ethers.providers.TransactionResponse[],
+    options: SendOptions
+  ): Promise<SentTransaction> {
+    const tx = txs.find(
+      (sent) => sent.hash === receipt.transactionHash
+    ) as ethers.providers.TransactionResponse;
+
+    const { confirmations } = this.options;
+    const confirmedAt = receipt.blockNumber + confirmations - 1;
+    while ((await this.provider.getBlockNumber()) < confirmedAt) {
+      await sleep(POLL_INTERVAL);
+    }
+
+    // Only a block built on top of the receipt's block can replace it, so a single
+    // confirmation has nothing to check
+    const confirmed =
+      confirmations > 1
+        ? await this.provider.getTransactionReceipt(receipt.transactionHash)
+        : receipt;
+    // The receipt is gone or in another block if the block was reorged out
+    if (!confirmed || confirmed.blockHash !== receipt.blockHash) {
+      log(
+        `${options.label}: ${receipt.transactionHash} was reorged out of block ${receipt.blockNumber}`
+      );
+      this.journal("reorged", tx, options.label, { receipt });
+      return this.waitForReceipt(txs, options);
+    }
+
+    const events = decodeEvents(confirmed, options.interfaces || []);
+    const status = confirmed.status === 1 ? "mined" : "reverted";
+    this.journal(status, tx, options.label, { receipt: confirmed, events });
+
+    if (status === "reverted") {
+      throw new Error(
+        `${options.label}: ${confirmed.transactionHash} reverted`
+      );
+    }
+    log(
+      `${options.label}: mined ${confirmed.transactionHash} in block ${confirmed.blockNumber}`
+    );
+    return { hash: confirmed.transactionHash, receipt: confirmed, events };
+  }
+
+  private async getPendingTransaction(hash: string) {
+    const tx = await this.provider.getTransaction(hash);
+    if (!tx) {
+      throw new Error(`Transaction ${hash} not found`);
+    }
+    if (tx.blockNumber) {
+      throw new Error(`Transaction ${hash} is already mined`);
+    }
+    return tx;
+  }
+
+  private journal(
+    status: JournalStatus,
+    tx: ethers.providers.TransactionResponse,
+    label: string,
+    extra: {
+      replacedBy?: string;
+      receipt?: ethers.providers.TransactionReceipt;
+      events?: DecodedEvent[];
+    } = {}
+  ) {
+    const entry: JournalEntry = {
+      timestamp: Math.floor(Date.now() / 1000),
+      network: this.options.network,
+      label,
+      status,
+      hash: tx.hash,
+      nonce: tx.nonce,
+      from: tx.from,
+      to: tx.to || null,
+      data: tx.data,
+      value: tx.value.toString(),
+      gasLimit: tx.gasLimit.toString(),
+      gasPrice: getTransactionGasPrice(tx).toString(),
+      ...(extra.replacedBy ? { replacedBy: extra.replacedBy } : {}),
+      ...(extra.receipt
+        ? {
+            receipt: {
+              blockNumber: extra.receipt.blockNumber,
+              blockHash: extra.receipt.blockHash,
+              gasUsed: extra.receipt.gasUsed.toString(),
+              status: extra.receipt.status as number,
+            },
+          }
+        : {}),
+      ...(extra.events ? { events: extra.events } : {}),
+    };
+    appendJournalEntry(this.options.journalPath, entry);
+  }
+}
+
+export function getJournalPath(journalDir: string, network: string) {
+  return path.join(journalDir, `${network}.jsonl`);
+}
+
+export function appendJournalEntry(journalPath: string, entry: JournalEntry) {
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.appendFileSync(journalPath, JSON.stringify(entry) + "\n");
+}
+
+export function readJournal(journalPath: string): JournalEntry[] {
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+  return fs
+    .readFileSync(journalPath)
+    .toString()
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Decodes the logs of a receipt with the first interface knowing each event
+ * @param receipt is the transaction receipt
+ * @param interfaces is the interfaces of the contracts emitting the events
+ */
+export function decodeEvents(
+  receipt: ethers.providers.TransactionReceipt,
+  interfaces: ethers.utils.Interface[]
+): DecodedEvent[] {
+  return receipt.logs
+    .map((eventLog) => {
+      for (const iface of interfaces) {
+        try {
+          const parsed = iface.parseLog(eventLog);
+          return {
+            address: eventLog.address,
+            name: parsed.name,
+            args: formatEventArgs(parsed),
+          };
+        } catch (e) {
+          // Not an event of this interface, try the next one
+        }
+      }
+      return null;
+    })
+    .filter(Boolean) as DecodedEvent[];
+}
+
+function formatEventArgs(parsed: ethers.utils.LogDescription) {
+  return parsed.eventFragment.inputs.reduce(
+    (args, input, index) => ({
+      ...args,
+      [input.name || index.toString()]: parsed.args[index].toString(),
+    }),
+    {} as Record<string, string>
+  );
+}
+
+/**
+ * Returns the fees of a transaction replacing another one: its fees bumped by
+ * REPLACEMENT_BUMP_PERCENT, or the current fees up to the max gas price where they
+ * rose more than that. Throws if the bump alone exceeds the max gas price, since
+ * nodes reject a replacement bumped by less.
+ * @param tx is the transaction to replace
+ * @param current is the current fees of the gas strategy, if any
+ * @param maxGasPrice is the ceiling of the gas price and of the max fee per gas, if any
+ */
+export function getReplacementFees(
+  tx: ethers.providers.TransactionResponse,
+  current: GasOverrides | null,
+  maxGasPrice: BigNumber | null = null
+): GasOverrides {
+  const cap = (fee: BigNumber) =>
+    maxGasPrice && fee.gt(maxGasPrice) ? maxGasPrice : fee;
+  const bump = (fee: BigNumber | undefined, currentFee: BigNumber) => {
+    const bumped = BigNumber.from(fee || 0)
+      .mul(REPLACEMENT_BUMP_PERCENT)
+      .div(100);
+    return cap(currentFee).gt(bumped) ? cap(currentFee) : bumped;
+  };
+  const checkMaxGasPrice = (fee: BigNumber) => {
+    if (maxGasPrice && fee.gt(maxGasPrice)) {
+      throw new Error(
+        `Replacing ${tx.hash} needs ${formatUnits(
+          fee,
+          "gwei"
+        )} gwei, above the max gas price of ${formatUnits(
+          maxGasPrice,
+          "gwei"
+        )} gwei: it stays pending`
+      );
+    }
+    return fee;
+  };
+
+  if (tx.type === 2) {
+    const currentFees = current && "maxFeePerGas" in current ? current : null;
+    const maxPriorityFeePerGas = bump(
+      tx.maxPriorityFeePerGas,
+      currentFees ? currentFees.maxPriorityFeePerGas : BigNumber.from(0)
+    );
+    const maxFeePerGas = bump(
+      tx.maxFeePerGas,
+      currentFees ? currentFees.maxFeePerGas : BigNumber.from(0)
+    );
+    return {
+      // The max fee covers at least the priority fee
+      maxFeePerGas: checkMaxGasPrice(
+        maxFeePerGas.gt(maxPriorityFeePerGas)
+          ? maxFeePerGas
+          : maxPriorityFeePerGas
+      ),
+      maxPriorityFeePerGas,
+    };
+  }
+
+  const currentPrice =
+    current && "gasPrice" in current ? current.gasPrice : BigNumber.from(0);
+  return { gasPrice: checkMaxGasPrice(bump(tx.gasPrice, currentPrice)) };
+}
+
+// The nonce is used when the transaction being replaced was mined
+function isNonceUsedError(e: { code?: string; message?: string }) {
+  return (
+    e.code === ethers.errors.NONCE_EXPIRED ||
+    NONCE_USED_ERROR.test(e.message || "")
+  );
+}
+
+// Max fee per gas of the EIP-1559 transactions, gas price of the legacy ones
+function getTransactionGasPrice(tx: ethers.providers.TransactionResponse) {
+  return BigNumber.from(tx.maxFeePerGas || tx.gasPrice || 0);
+}
+
+function sleep(ms: number) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
@@ -9,6 +9,7 @@ module.exports = {
 async function updateDeployedAddresses(network, contractName, address) {
   if (network.includes("-fork")) {
     // Don't update the deployments file if it's just a ganache fork
+    console.log(`Not recording ${contractName} at ${address} on ${network}`);
     return;
   }
 
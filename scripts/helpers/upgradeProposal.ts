@@ -0,0 +1,316 @@
+import { ethers } from "ethers";
+import { linkLibraries } from "./localStack";
+import {
+  Networks,
+  getAccounts,
+  getDeployments,
+  getExternalAddresses,
+} from "./networks";
+import { SafeBatch, buildSafeBatch, buildSafeTransaction } from "./safeBatch";
+import { TransactionManager } from "./transactions";
+import {
+  StorageChange,
+  UpgradeSimulation,
+  getLibraryDeployments,
+} from "./upgrades";
+
+const { readArtifact } = require("./artifacts");
+const { ADMIN_SLOT, IMPLEMENTATION_SLOT } = require("./storageLayout");
+const { getVaultDeployment, getVaultManifest } = require("./vaultManifest");
+const {
+  checkDeployment,
+  describeDeployment,
+  getLatestDeployments,
+  readJournal,
+  recordDeployment,
+} = require("./deploymentJournal");
+
+/**
+ * Implementation a vault proxy is upgraded to, as the manifest deploys it
+ */
+export interface VaultImplementation {
+  vault: string;
+  proxy: string;
+  contract: string;
+  // Deployment name of the implementation, e.g. RibbonETHCoveredCallLogic
+  logicName: string;
+  constructorArgs: unknown[];
+  libraries: Record<string, string>;
+  // `unchanged` when the latest journaled logic deploys the same code, it is reused
+  status: "new" | "unchanged" | "changed";
+  address: string | null;
+}
+
+export interface ConstructorArgument {
+  name: string;
+  type: string;
+  value: string;
+  // Argument of the current implementation, when its journal entry has another one
+  previous?: string;
+}
+
+export interface UpgradeDiff {
+  network: Networks;
+  vault: string;
+  proxy: string;
+  admin: string;
+  oldImplementation: string;
+  newImplementation: string;
+  // Journal entry of the current implementation, null when it predates the journal
+  oldDeployment: { name: string; txHash: string; blockNumber: number } | null;
+  constructorArgs: ConstructorArgument[];
+  libraries: Record<string, string>;
+  // Method the proxy calls on the new implementation with upgradeToAndCall
+  call: { method: string; data: string } | null;
+  layoutChanges: StorageChange[];
+  simulation: UpgradeSimulation;
+}
+
+/**
+ * Resolves the implementation a vault of constants/vaults.json is upgraded to: the
+ * contract and constructor arguments of the manifest and the `<library>Lib` deployments
+ * it links, and whether the network's journal already holds a deployment of it
+ * @param network is the network of the vault
+ * @param vaultName is the vault name in constants/vaults.json
+ * @param provider reads the code of the journaled deployments
+ */
+export async function getVaultImplementation(
+  network: Networks,
+  vaultName: string,
+  provider: ethers.providers.Provider
+): Promise<VaultImplementation> {
+  const vault = getVaultManifest(network).find(
+    ({ name }: { name: string }) => name === vaultName
+  );
+  if (!vault) {
+    throw new Error(`${vaultName} is not a vault of ${network} in vaults.json`);
+  }
+  const deployments = getDeployments(network);
+  if (!deployments[vaultName]) {
+    throw new Error(`${vaultName} is not deployed on ${network}`);
+  }
+
+  const { contract, logicName, constructorArgs } = getVaultDeployment(vault, {
+    externalAddresses: getExternalAddresses(network),
+    deployments,
+    accounts: getAccounts(network),
+  });
+  const artifact = await readArtifact(contract);
+  const libraries = getLibraryDeployments(network, artifact);
+  // Throws when a library is not deployed on the network
+  linkLibraries(artifact, libraries);
+
+  const entry = getLatestDeployments(network)[logicName];
+  const status = await checkDeployment(
+    entry,
+    describeDeployment({
+      bytecode: artifact.bytecode,
+      args: constructorArgs,
+      libraries,
+    }),
+    (address: string) => provider.getCode(address)
+  );
+  if (status === "drifted") {
+    throw new Error(
+      `The code at ${entry.address} is not the ${logicName} of the ${network} journal`
+    );
+  }
+
+  return {
+    vault: vaultName,
+    proxy: deployments[vaultName],
+    contract,
+    logicName,
+    constructorArgs,
+    libraries,
+    status,
+    address: status === "unchanged" ? entry.address : null,
+  };
+}
+
+/**
+ * Deploys a vault implementation and appends it to the network's journal
+ * @param network is the network of the vault
+ * @param implementation is the implementation of `getVaultImplementation`
+ * @param manager sends the deployment
+ * @returns the address of the implementation
+ */
+export async function deployVaultImplementation(
+  network: Networks,
+  implementation: VaultImplementation,
+  manager: TransactionManager
+): Promise<string> {
+  const { contract, constructorArgs, libraries } = implementation;
+  const artifact = await readArtifact(contract);
+  const factory = new ethers.ContractFactory(
+    artifact.abi,
+    linkLibraries(artifact, libraries)
+  );
+
+  const { receipt } = await manager.send(
+    factory.getDeployTransaction(...constructorArgs),
+    { label: `deploy ${implementation.logicName}` }
+  );
+  await recordDeployment(network, {
+    name: implementation.logicName,
+    contract,
+    address: receipt.contractAddress,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    deployer: ethers.utils.getAddress(receipt.from),
+    ...describeDeployment({
+      bytecode: artifact.bytecode,
+      args: constructorArgs,
+      libraries,
+    }),
+    codeHash: ethers.utils.keccak256(
+      await manager.provider.getCode(receipt.contractAddress)
+    ),
+  });
+  return receipt.contractAddress;
+}
+
+/**
+ * Reads the admin and the implementation of a proxy from their EIP-1967 slots
+ * @param provider reads the proxy's storage
+ * @param proxy is the proxy address
+ */
+export async function readProxySlots(
+  provider: ethers.providers.Provider,
+  proxy: string
+) {
+  const readSlot = async (slot: string) =>
+    ethers.utils.getAddress(
+      ethers.utils.hexDataSlice(await provider.getStorageAt(proxy, slot), 12)
+    );
+  return {
+    admin: await readSlot(ADMIN_SLOT),
+    implementation: await readSlot(IMPLEMENTATION_SLOT),
+  };
+}
+
+/**
+ * Names the constructor arguments of an implementation and compares them with the
+ * journal entry of the implementation it replaces
+ * @param network is the network of the journal
+ * @param implementation is the implementation of `getVaultImplementation`
+ * @param oldImplementation is the address of the current implementation
+ */
+export async function getConstructorDiff(
+  network: Networks,
+  implementation: VaultImplementation,
+  oldImplementation: string
+) {
+  const artifact = await readArtifact(implementation.contract);
+  const { inputs } = new ethers.utils.Interface(artifact.abi).deploy;
+  const oldDeployment = readJournal(network).find(
+    (entry: { address: string }) =>
+      entry.address.toLowerCase() === oldImplementation.toLowerCase()
+  );
+  // The journal stores the arguments as strings with checksummed addresses
+  const format = (value: unknown) =>
+    ethers.utils.isAddress(String(value))
+      ? ethers.utils.getAddress(String(value))
+      : String(value);
+
+  const constructorArgs: ConstructorArgument[] = inputs.map((input, i) => {
+    const argument = {
+      name: input.name,
+      type: input.type,
+      value: format(implementation.constructorArgs[i]),
+    };
+    const previous = oldDeployment
+      ? format(oldDeployment.constructorArgs[i])
+      : argument.value;
+    return previous === argument.value ? argument : { ...argument, previous };
+  });
+
+  return {
+    oldDeployment: oldDeployment
+      ? {
+          name: oldDeployment.name,
+          txHash: oldDeployment.txHash,
+          blockNumber: oldDeployment.blockNumber,
+        }
+      : null,
+    constructorArgs,
+  };
+}
+
+/**
+ * Builds the batch of the Safe administering a proxy, calling upgradeTo or, with
+ * calldata, upgradeToAndCall
+ * @param params is the proxy, its admin Safe and the new implementation
+ */
+export async function buildUpgradeBatch(params: {
+  chainId: number;
+  proxy: string;
+  admin: string;
+  implementation: string;
+  callData?: string;
+  name: string;
+  description: string;
+}): Promise<SafeBatch> {
+  const proxyArtifact = await readArtifact("AdminUpgradeabilityProxy");
+
+  return buildSafeBatch({
+    chainId: params.chainId,
+    safeAddress: params.admin,
+    name: params.name,
+    description: params.description,
+    transactions: [
+      buildSafeTransaction({
+        to: params.proxy,
+        abi: proxyArtifact.abi,
+        method: params.callData ? "upgradeToAndCall" : "upgradeTo",
+        args: params.callData
+          ? [params.implementation, params.callData]
+          : [params.implementation],
+      }),
+    ],
+  });
+}
+
+/**
+ * Describes an upgrade for the signers of the admin Safe: the implementations, the
+ * constructor arguments which changed, the storage layout changes and the fork check
+ * @param diff is the upgrade
+ */
+export function describeUpgrade(diff: UpgradeDiff) {
+  const { simulation } = diff;
+  const lines = [
+    `Upgrade of ${diff.vault} (${diff.proxy}) on ${diff.network}`,
+    `Admin: ${diff.admin}`,
+    `Implementation: ${diff.oldImplementation} -> ${diff.newImplementation}`,
+    diff.oldDeployment
+      ? `Current implementation: ${diff.oldDeployment.name} deployed in ${diff.oldDeployment.txHash}`
+      : "Current implementation: not in the journal, its arguments are not compared",
+    ...(diff.call ? [`Call: ${diff.call.method} (${diff.call.data})`] : []),
+    "",
+    "Constructor arguments:",
+    ...diff.constructorArgs.map(
+      (argument) =>
+        `  ${argument.name}: ${
+          typeof argument.previous === "string"
+            ? `${argument.previous} -> ${argument.value}`
+            : argument.value
+        }`
+    ),
+    ...Object.entries(diff.libraries).map(
+      ([name, address]) => `  library ${name}: ${address}`
+    ),
+    "",
+    `Storage layout: ${
+      diff.layoutChanges.length
+        ? `${diff.layoutChanges.length} changes`
+        : "unchanged"
+    }`,
+    ...diff.layoutChanges.map((change) =>
+      change.kind === "renamed" && change.new
+        ? `  ${change.kind} ${change.key} -> ${change.new.key}`
+        : `  ${change.kind} ${change.key}`
+    ),
+    `Fork check at block ${simulation.forkBlock}: ${simulation.upgrade.label} ${simulation.upgrade.status}, ${simulation.after.length} variables read, ${simulation.mismatches.length} read differently`,
+  ];
+  return lines.join("\n");
+}
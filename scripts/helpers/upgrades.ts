@@ -0,0 +1,205 @@
+import { ethers } from "ethers";
+import hre from "hardhat";
+import "@nomiclabs/hardhat-ethers";
+import { Artifact } from "hardhat/types";
+import { linkLibraries } from "./localStack";
+import { Networks, getDeployments } from "./networks";
+import { StepResult, executeRehearsal, forkNetwork } from "./rehearsal";
+
+const {
+  IMPLEMENTATION_SLOT,
+  compareSnapshots,
+  snapshotStorage,
+} = require("./storageLayout");
+
+export interface StorageVariable {
+  key: string;
+  label: string;
+  slot: number;
+  offset: number;
+  numberOfBytes: number;
+  type: string;
+}
+
+export interface StorageChange {
+  kind: "removed" | "moved" | "retyped" | "renamed" | "resized" | "added";
+  key: string;
+  old?: StorageVariable;
+  new?: StorageVariable;
+}
+
+export interface StorageEntry {
+  label: string;
+  slot: string;
+  value: string;
+}
+
+export interface StorageDifference {
+  label: string;
+  before: string | null;
+  after: string | null;
+}
+
+export interface UpgradeSimulation {
+  network: Networks;
+  proxy: string;
+  forkBlock: number;
+  oldImplementation: string;
+  newImplementation: string;
+  upgrade: StepResult;
+  before: StorageEntry[];
+  after: StorageEntry[];
+  // Variables the new implementation reads differently, without the implementation slot
+  mismatches: StorageDifference[];
+  success: boolean;
+}
+
+/**
+ * Implementation deployed on the fork before the upgrade, its libraries are linked
+ * to the `<library>Lib` deployments of the network
+ */
+export interface ImplementationDeployment {
+  contract: string;
+  args: unknown[];
+}
+
+/**
+ * Forks a network at its latest block, snapshots a proxy's storage with the layout of
+ * its current implementation, upgrades it as the admin of accounts.json, with
+ * upgradeToAndCall when given calldata, then snapshots it again with the layout of the
+ * new implementation. Every variable must read the same before and after the upgrade,
+ * variables are matched by name.
+ * @param params is the proxy, the new implementation and the storage layouts
+ */
+export async function simulateUpgrade(params: {
+  network: Networks;
+  proxyAddress: string;
+  rpcUrl?: string;
+  // Deployed implementation, or one to deploy on the fork
+  implementation: string | ImplementationDeployment;
+  // Calldata the proxy calls on the new implementation with upgradeToAndCall
+  callData?: string;
+  oldLayout: unknown;
+  newLayout: unknown;
+  // Keys of the address mappings to snapshot, e.g. depositors
+  accounts: string[];
+}): Promise<UpgradeSimulation> {
+  const { network, proxyAddress, oldLayout, newLayout, accounts } = params;
+  const forkBlock = await forkNetwork(network, params.rpcUrl);
+  const provider = hre.ethers.provider;
+
+  const before: StorageEntry[] = await snapshotStorage(
+    provider,
+    proxyAddress,
+    oldLayout,
+    accounts
+  );
+
+  const newImplementation =
+    typeof params.implementation === "string"
+      ? params.implementation
+      : await deployImplementation(network, params.implementation);
+  const proxyArtifact = await hre.artifacts.readArtifact(
+    "AdminUpgradeabilityProxy"
+  );
+  const method = params.callData ? "upgradeToAndCall" : "upgradeTo";
+  const args = params.callData
+    ? [newImplementation, params.callData]
+    : [newImplementation];
+  const [upgrade] = await executeRehearsal({
+    network,
+    steps: [
+      {
+        label: method,
+        role: "admin",
+        to: proxyAddress,
+        data: new ethers.utils.Interface(proxyArtifact.abi).encodeFunctionData(
+          method,
+          args
+        ),
+      },
+    ],
+  });
+
+  const after: StorageEntry[] = await snapshotStorage(
+    provider,
+    proxyAddress,
+    newLayout,
+    accounts
+  );
+  const mismatches = (
+    compareSnapshots(before, after) as StorageDifference[]
+  ).filter(
+    (difference) =>
+      difference.label !== "EIP1967.implementation" &&
+      // Variables added or removed by the new implementation are fine when empty
+      !(difference.before === null && isZero(difference.after)) &&
+      !(difference.after === null && isZero(difference.before))
+  );
+
+  const implementationAt = (snapshot: StorageEntry[]) =>
+    ethers.utils.getAddress(
+      ethers.utils.hexDataSlice(
+        (
+          snapshot.find(
+            ({ slot }) => slot === IMPLEMENTATION_SLOT
+          ) as StorageEntry
+        ).value,
+        12
+      )
+    );
+
+  return {
+    network,
+    proxy: proxyAddress,
+    forkBlock,
+    oldImplementation: implementationAt(before),
+    newImplementation,
+    upgrade,
+    before,
+    after,
+    mismatches,
+    success:
+      upgrade.status === "success" &&
+      implementationAt(after) === ethers.utils.getAddress(newImplementation) &&
+      mismatches.length === 0,
+  };
+}
+
+/**
+ * Finds the libraries a contract links among the `<library>Lib` deployments of a network
+ * @param network is the network of the deployments
+ * @param artifact is the artifact of the contract
+ * @returns the address of each library deployed on the network, by name
+ */
+export function getLibraryDeployments(network: Networks, artifact: Artifact) {
+  const deployments = getDeployments(network);
+  const libraries: Record<string, string> = {};
+  Object.values(artifact.linkReferences).forEach((fileReferences) =>
+    Object.keys(fileReferences)
+      .filter((name) => deployments[`${name}Lib`])
+      .forEach((name) => {
+        libraries[name] = deployments[`${name}Lib`];
+      })
+  );
+  return libraries;
+}
+
+async function deployImplementation(
+  network: Networks,
+  deployment: ImplementationDeployment
+) {
+  const artifact = await hre.artifacts.readArtifact(deployment.contract);
+  const factory = new ethers.ContractFactory(
+    artifact.abi,
+    linkLibraries(artifact, getLibraryDeployments(network, artifact)),
+    hre.ethers.provider.getSigner(0)
+  );
+  const implementation = await factory.deploy(...deployment.args);
+  await implementation.deployed();
+  return implementation.address;
+}
+
+function isZero(value: string | null) {
+  return value !== null && value.slice(2).replace(/0/g, "") === "";
+}
@@ -0,0 +1,102 @@
+const { ethers } = require("ethers");
+const VAULTS = require("../../constants/vaults.json");
+
+const INITIALIZE_FRAGMENT =
+  "function initialize(address,address,uint256,string,string)";
+
+module.exports = { getVaultManifest, getVaultDeployment };
+
+/**
+ * Lists the vaults of constants/vaults.json, in the order they are deployed
+ * @param {string} [network] is the network the vaults are launched on, defaults to all the vaults
+ * @returns {Object[]} the name and manifest entry of each vault
+ */
+function getVaultManifest(network) {
+  return Object.entries(VAULTS)
+    .map(([name, vault]) => ({ name, ...vault }))
+    .filter((vault) => !network || vault.networks.includes(network));
+}
+
+/**
+ * Resolves the constructor arguments and the initialize call of a vault on a network.
+ * The vault's asset and collateral token are keys of the network's assets, its cap is
+ * in units of the vault's shares and its minimum supply in their smallest unit.
+ * @param {Object} vault is an entry of `getVaultManifest`
+ * @param {Object} addresses
+ * @param {Object} addresses.externalAddresses is the network's entry of externalAddresses.json
+ * @param {Object} addresses.deployments is the network's entry of deployments.json
+ * @param {Object} addresses.accounts is the network's entry of accounts.json
+ * @returns {Object} the contract, the deployment names of the logic and the proxy, the
+ * logic's constructor arguments and the proxy's initialize call
+ */
+function getVaultDeployment(
+  vault,
+  { externalAddresses, deployments, accounts }
+) {
+  const { assets } = externalAddresses;
+  const lookup = (name, address) => {
+    if (!address) {
+      throw new Error(`${vault.name} needs ${name} on the network`);
+    }
+    return address;
+  };
+
+  const asset = lookup(`assets.${vault.asset}`, assets[vault.asset]);
+  const factory = lookup("RibbonFactory", deployments.RibbonFactory);
+  const weth = lookup("assets.weth", assets.weth);
+  const usdc = lookup("assets.usdc", assets.usdc);
+  const swap = lookup("airswapSwap", externalAddresses.airswapSwap);
+  const shareParams = [vault.decimals, vault.minimumSupply, vault.isPut];
+
+  let constructorArgs;
+  if (vault.contract === "RibbonThetaVaultYearn") {
+    const collateralToken = lookup(
+      `assets.${vault.collateralToken}`,
+      assets[vault.collateralToken]
+    );
+    constructorArgs = [
+      asset,
+      factory,
+      weth,
+      usdc,
+      collateralToken,
+      swap,
+      ...shareParams,
+    ];
+  } else if (vault.contract === "RibbonThetaVault") {
+    // The registry of the older networks is not a deployment of theirs
+    const registry = lookup(
+      "VaultRegistry",
+      deployments.VaultRegistry || externalAddresses.thetaRegistry
+    );
+    constructorArgs = [
+      asset,
+      factory,
+      registry,
+      weth,
+      usdc,
+      swap,
+      ...shareParams,
+    ];
+  } else {
+    throw new Error(`${vault.name} has an unknown contract ${vault.contract}`);
+  }
+
+  // The owner also receives the fees
+  const initializeArgs = [
+    accounts.owner,
+    accounts.owner,
+    ethers.utils.parseUnits(vault.cap, vault.decimals).toString(),
+    vault.tokenName,
+    vault.tokenSymbol,
+  ];
+  const initialize = new ethers.utils.Interface([INITIALIZE_FRAGMENT]);
+
+  return {
+    contract: vault.contract,
+    logicName: `${vault.name}Logic`,
+    proxyName: vault.name,
+    constructorArgs,
+    initializeData: initialize.encodeFunctionData("initialize", initializeArgs),
+  };
+}
@@ -0,0 +1,273 @@
+import { BigNumber, ethers } from "ethers";
+import hre from "hardhat";
+import { Networks, getDeployments } from "./networks";
+
+const { getVaultManifest } = require("./vaultManifest");
+
+export type VaultContract = "RibbonThetaVault" | "RibbonThetaVaultYearn";
+
+export interface VaultDeployment {
+  name: string;
+  address: string;
+  // Contract of the vault in constants/vaults.json, RibbonThetaVault for the vaults
+  // missing from it
+  contract: VaultContract;
+}
+
+/**
+ * State of the Yearn vault token a RibbonThetaVaultYearn holds its collateral in
+ */
+export interface YearnStatus {
+  // Yearn vault token, e.g. yvUSDC
+  collateralToken: string;
+  collateralSymbol: string;
+  // Yearn vault tokens held by the vault, including the ones locked in the short
+  yearnTokenBalance: string;
+  // Asset amount per Yearn vault token
+  pricePerYearnShare: string;
+}
+
+/**
+ * State of a theta vault. Amounts are in asset units and the vault shares
+ * have the decimals of the asset.
+ */
+export interface VaultStatus {
+  name: string;
+  address: string;
+  contract: VaultContract;
+  asset: string;
+  assetSymbol: string;
+  totalBalance: string;
+  assetBalance: string;
+  lockedAmount: string;
+  cap: string;
+  totalSupply: string;
+  // Asset amount per share, null before the first deposit
+  pricePerShare: string | null;
+  // Shares withdrawable by all depositors, null when the vault is empty
+  maxWithdrawableShares: string | null;
+  currentOption: string | null;
+  currentOptionExpiry: number | null;
+  nextOption: string | null;
+  nextOptionReadyAt: number | null;
+  manager: string;
+  feeRecipient: string;
+  // Instant withdrawal fee in percent
+  withdrawalFee: number;
+  // Null for the vaults which are not RibbonThetaVaultYearn
+  yearn: YearnStatus | null;
+}
+
+// Proxies recorded in deployments.json which are not theta vaults
+const NON_VAULT_PROXIES = ["RibbonFactory"];
+
+/**
+ * Returns every theta vault proxy deployed on a network.
+ * A vault is a deployment which has a matching `<name>Logic` implementation.
+ * @param network is the network the vaults are deployed on
+ */
+export function getVaultDeployments(network: Networks): VaultDeployment[] {
+  const networkDeployments = getDeployments(network);
+
+  return Object.keys(networkDeployments)
+    .filter(
+      (name) =>
+        `${name}Logic` in networkDeployments &&
+        !NON_VAULT_PROXIES.includes(name)
+    )
+    .map((name) => ({
+      name,
+      address: networkDeployments[name],
+      contract: getVaultContract(name),
+    }));
+}
+
+/**
+ * Finds vaults by their deployment name or address. Returns all the vaults if no filter is passed.
+ * @param network is the network the vaults are deployed on
+ * @param nameOrAddress is the deployment name (e.g. RibbonETHCoveredCall) or the vault address
+ */
+export function findVaults(
+  network: Networks,
+  nameOrAddress?: string
+): VaultDeployment[] {
+  const vaults = getVaultDeployments(network);
+  if (!nameOrAddress) {
+    return vaults;
+  }
+
+  const matches = vaults.filter(
+    (vault) =>
+      vault.name === nameOrAddress ||
+      vault.address.toLowerCase() === nameOrAddress.toLowerCase()
+  );
+  if (matches.length === 0 && ethers.utils.isAddress(nameOrAddress)) {
+    return [
+      {
+        name: nameOrAddress,
+        address: nameOrAddress,
+        contract: "RibbonThetaVault",
+      },
+    ];
+  }
+  if (matches.length === 0) {
+    throw new Error(`No vault named ${nameOrAddress} on ${network}`);
+  }
+  return matches;
+}
+
+/**
+ * Reads the state of a theta vault with the ABI of its contract. The Yearn vaults lock
+ * Yearn vault tokens in the short, their locked amount is converted to asset units.
+ * @param vault is the vault deployment
+ * @param provider is the provider to read the vault with
+ */
+export async function getVaultStatus(
+  { name, address, contract }: VaultDeployment,
+  provider: ethers.providers.Provider
+): Promise<VaultStatus> {
+  const vaultArtifact = await hre.artifacts.readArtifact(contract);
+  const erc20Artifact = await hre.artifacts.readArtifact("IERC20Detailed");
+  const vault = new ethers.Contract(address, vaultArtifact.abi, provider);
+
+  const asset: string = await vault.asset();
+  const assetToken = new ethers.Contract(asset, erc20Artifact.abi, provider);
+  const decimals: number = await vault.decimals();
+  const format = (amount: BigNumber) =>
+    ethers.utils.formatUnits(amount, decimals);
+
+  const totalBalance: BigNumber = await vault.totalBalance();
+  const totalSupply: BigNumber = await vault.totalSupply();
+  const currentOption: string = await vault.currentOption();
+  const nextOption: string = await vault.nextOption();
+  let lockedAmount: BigNumber = await vault.lockedAmount();
+  let yearn: YearnStatus | null = null;
+  if (contract === "RibbonThetaVaultYearn") {
+    const yearnToken = new ethers.Contract(
+      await vault.collateralToken(),
+      [
+        ...erc20Artifact.abi,
+        "function pricePerShare() external view returns (uint256)",
+      ],
+      provider
+    );
+    const yearnDecimals: number = await yearnToken.decimals();
+    const pricePerYearnShare: BigNumber = await yearnToken.pricePerShare();
+    lockedAmount = lockedAmount
+      .mul(pricePerYearnShare)
+      .div(BigNumber.from(10).pow(yearnDecimals));
+    yearn = {
+      collateralToken: yearnToken.address,
+      collateralSymbol: await yearnToken.symbol(),
+      yearnTokenBalance: ethers.utils.formatUnits(
+        await vault.yearnTokenBalance(),
+        yearnDecimals
+      ),
+      pricePerYearnShare: ethers.utils.formatUnits(
+        pricePerYearnShare,
+        yearnDecimals
+      ),
+    };
+  }
+
+  let maxWithdrawableShares: BigNumber | null = null;
+  try {
+    maxWithdrawableShares = await vault.maxWithdrawableShares();
+  } catch (e) {
+    // Reverts when the vault holds less than the minimum supply
+  }
+
+  return {
+    name,
+    address,
+    contract,
+    asset,
+    assetSymbol: await assetToken.symbol(),
+    totalBalance: format(totalBalance),
+    assetBalance: format(await vault.assetBalance()),
+    lockedAmount: format(lockedAmount),
+    cap: format(await vault.cap()),
+    totalSupply: format(totalSupply),
+    pricePerShare: totalSupply.isZero()
+      ? null
+      : format(
+          totalBalance.mul(BigNumber.from(10).pow(decimals)).div(totalSupply)
+        ),
+    maxWithdrawableShares: maxWithdrawableShares
+      ? format(maxWithdrawableShares)
+      : null,
+    currentOption: isSet(currentOption) ? currentOption : null,
+    currentOptionExpiry: isSet(currentOption)
+      ? (await vault.currentOptionExpiry()).toNumber()
+      : null,
+    nextOption: isSet(nextOption) ? nextOption : null,
+    nextOptionReadyAt: isSet(nextOption)
+      ? (await vault.nextOptionReadyAt()).toNumber()
+      : null,
+    manager: await vault.manager(),
+    feeRecipient: await vault.feeRecipient(),
+    withdrawalFee: parseFloat(
+      ethers.utils.formatUnits(await vault.instantWithdrawalFee(), 16)
+    ),
+    yearn,
+  };
+}
+
+/**
+ * Converts a cap in asset units, e.g. 1000, to the vault's asset decimals
+ * @param vault is the vault contract
+ * @param amount is the cap in asset units
+ */
+export async function parseCap(
+  vault: ethers.Contract,
+  amount: string
+): Promise<BigNumber> {
+  const erc20Artifact = await hre.artifacts.readArtifact("IERC20Detailed");
+  const asset = new ethers.Contract(
+    await vault.asset(),
+    erc20Artifact.abi,
+    vault.provider
+  );
+  return ethers.utils.parseUnits(amount, await asset.decimals());
+}
+
+/**
+ * Converts an instant withdrawal fee in percent, e.g. 0.5, to the fraction scaled
+ * by 10**18 which the vault takes. The vault takes any fee below 30%, so a fee above
+ * the current one is only accepted once confirmed, e.g. with --raise-fee.
+ * @param percentage is the fee in percent
+ * @param currentFee is the vault's current fee, scaled by 10**18
+ * @param raiseFee confirms a fee above the current one
+ */
+export function parseWithdrawalFee(
+  percentage: string,
+  currentFee: BigNumber,
+  raiseFee = false
+): BigNumber {
+  const fee = parseFloat(percentage);
+  // The vault rejects fees of 30% and above
+  if (!(fee > 0 && fee < 30)) {
+    throw new Error("The withdrawal fee must be above 0% and below 30%");
+  }
+  const parsed = ethers.utils.parseUnits(percentage, 16);
+  if (parsed.gt(currentFee) && !raiseFee) {
+    throw new Error(
+      `${percentage}% is above the current withdrawal fee of ${ethers.utils.formatUnits(
+        currentFee,
+        16
+      )}%, pass --raise-fee to raise it`
+    );
+  }
+  return parsed;
+}
+
+function getVaultContract(name: string): VaultContract {
+  const vault = getVaultManifest().find(
+    (entry: { name: string }) => entry.name === name
+  );
+  return vault ? vault.contract : "RibbonThetaVault";
+}
+
+function isSet(address: string) {
+  return address !== ethers.constants.AddressZero;
+}
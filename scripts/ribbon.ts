@@ -0,0 +1,41 @@
+import commander from "commander";
+import { addGlobalOptions, run } from "./helpers/cli";
+import { registerAbiCommands } from "./commands/abi";
+import { registerBacktestCommands } from "./commands/backtest";
+import { registerDeployCommands } from "./commands/deploy";
+import { registerEventCommands } from "./commands/events";
+import { registerOrderCommands } from "./commands/order";
+import { registerOtokenCommands } from "./commands/otoken";
+import { registerRehearseCommands } from "./commands/rehearse";
+import { registerReportCommands } from "./commands/report";
+import { registerStorageCommands } from "./commands/storage";
+import { registerTradeCommands } from "./commands/trade";
+import { registerTxCommands } from "./commands/tx";
+import { registerUpgradeCommands } from "./commands/upgrade";
+import { registerVaultCommands } from "./commands/vault";
+
+require("dotenv").config();
+
+const program = new commander.Command();
+program.name("ribbon").version("0.0.1");
+// commander copies the exit override to the subcommands when they are added, so it is
+// set first for their usage errors to exit with ExitCode.InvalidUsage too
+program.exitOverride();
+
+addGlobalOptions(program);
+
+registerOtokenCommands(program);
+registerVaultCommands(program);
+registerTradeCommands(program);
+registerOrderCommands(program);
+registerAbiCommands(program);
+registerTxCommands(program);
+registerEventCommands(program);
+registerReportCommands(program);
+registerBacktestCommands(program);
+registerDeployCommands(program);
+registerRehearseCommands(program);
+registerStorageCommands(program);
+registerUpgradeCommands(program);
+
+run(program);
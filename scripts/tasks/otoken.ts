@@ -0,0 +1,62 @@
+import { task } from "hardhat/config";
+import {
+  getTaskNetwork,
+  getTaskProvider,
+  getTaskTransactionManager,
+  taskError,
+} from "../helpers/tasks";
+
+task(
+  "otoken:deploy",
+  "Deploy an oToken with the oToken factory and encode commitAndClose for it"
+)
+  .addOptionalParam("underlying", "Underlying, defaults to WETH")
+  .addOptionalParam("strikeAsset", "Strike asset, defaults to USDC")
+  .addOptionalParam("collateralAsset", "Collateral asset, defaults to WETH")
+  .addParam("strikePrice", "Strike price, scaled by 10**8")
+  .addParam("expiry", "Expiry")
+  .addFlag("isPut", "Is put")
+  .setAction(
+    async (
+      taskArgs: {
+        underlying?: string;
+        strikeAsset?: string;
+        collateralAsset?: string;
+        strikePrice: string;
+        expiry: string;
+        isPut: boolean;
+      },
+      hre
+    ) => {
+      const { createOtoken, findOtoken, getOtokenInfo, getOtokenParams } =
+        await import("../helpers/otokens");
+      const { encodeCommitAndClose, renderCommitAndClose } = await import(
+        "../helpers/encodeCommitAndClose"
+      );
+      const { renderOtokenInfo } = await import("../commands/otoken");
+
+      const network = getTaskNetwork(hre);
+      const provider = getTaskProvider(hre);
+      const params = getOtokenParams(network, taskArgs);
+
+      const existing = await findOtoken(network, params, provider);
+      if (existing) {
+        throw taskError(`The oToken is already deployed at ${existing}`);
+      }
+
+      const sent = await createOtoken(
+        network,
+        params,
+        await getTaskTransactionManager(hre)
+      );
+
+      console.log(
+        [
+          renderOtokenInfo(await getOtokenInfo(sent.otokenAddress, provider)),
+          renderCommitAndClose(
+            await encodeCommitAndClose(network, sent.otokenAddress, provider)
+          ),
+        ].join("\n")
+      );
+    }
+  );
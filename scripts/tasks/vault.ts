@@ -0,0 +1,278 @@
+import fs from "fs";
+import { task } from "hardhat/config";
+import type { HardhatRuntimeEnvironment } from "hardhat/types";
+import {
+  VaultRole,
+  addVaultCallParams,
+  getTaskJournalPath,
+  getTaskNetwork,
+  getTaskProvider,
+  getTaskSigner,
+  getTaskVault,
+  getTaskVaults,
+  getVaultTransactionManager,
+  renderSentTransaction,
+  taskError,
+} from "../helpers/tasks";
+
+interface VaultCallArgs {
+  vault: string;
+  impersonate: boolean;
+}
+
+task("vault:status", "Print the balances, options and settings of each vault")
+  .addOptionalParam("vault", "Vault deployment name or address")
+  .setAction(async (taskArgs: { vault?: string }, hre) => {
+    const { getVaultStatus } = await import("../helpers/vaults");
+    const { renderVaultStatus } = await import("../commands/vault");
+
+    const provider = getTaskProvider(hre);
+    const statuses = [];
+    for (const vault of await getTaskVaults(hre, taskArgs.vault)) {
+      statuses.push(await getVaultStatus(vault, provider));
+    }
+    console.log(statuses.map(renderVaultStatus).join("\n\n"));
+  });
+
+addVaultCallParams(
+  task("vault:set-cap", "Set the deposit cap of a vault, as its manager")
+)
+  .addParam("cap", "Cap in asset units, e.g. 1000")
+  .setAction(async (taskArgs: VaultCallArgs & { cap: string }, hre) => {
+    const { parseCap } = await import("../helpers/vaults");
+
+    const vault = await getTaskVault(hre, taskArgs.vault);
+    const cap = await parseCap(vault.contract, taskArgs.cap);
+    await callVault(hre, taskArgs, "manager", "setCap", [cap]);
+  });
+
+addVaultCallParams(
+  task(
+    "vault:set-fee",
+    "Set the instant withdrawal fee of a vault, as its manager"
+  )
+)
+  .addParam("fee", "Fee in percent, e.g. 0.5")
+  .addFlag("raiseFee", "Confirm a fee above the vault's current fee")
+  .setAction(
+    async (
+      taskArgs: VaultCallArgs & { fee: string; raiseFee: boolean },
+      hre
+    ) => {
+      const { parseWithdrawalFee } = await import("../helpers/vaults");
+
+      const vault = await getTaskVault(hre, taskArgs.vault);
+      let fee;
+      try {
+        fee = parseWithdrawalFee(
+          taskArgs.fee,
+          await vault.contract.instantWithdrawalFee(),
+          taskArgs.raiseFee
+        );
+      } catch (e) {
+        throw taskError(e.message);
+      }
+      await callVault(hre, taskArgs, "manager", "setWithdrawalFee", [fee]);
+    }
+  );
+
+addVaultCallParams(
+  task("vault:set-manager", "Set the manager of a vault, as its owner")
+)
+  .addParam("manager", "Address of the new manager")
+  .setAction(async (taskArgs: VaultCallArgs & { manager: string }, hre) => {
+    if (!hre.ethers.utils.isAddress(taskArgs.manager)) {
+      throw taskError(`Invalid manager address ${taskArgs.manager}`);
+    }
+    await callVault(hre, taskArgs, "owner", "setManager", [taskArgs.manager]);
+  });
+
+addVaultCallParams(
+  task(
+    "vault:commit",
+    "Commit a vault to the oToken it shorts next, as its manager"
+  )
+)
+  .addParam("otoken", "oToken address")
+  .setAction(async (taskArgs: VaultCallArgs & { otoken: string }, hre) => {
+    const { encodeCommitAndClose } = await import(
+      "../helpers/encodeCommitAndClose"
+    );
+    const { verifyOtokenForVault } = await import("../helpers/otokens");
+
+    const network = getTaskNetwork(hre);
+    const provider = getTaskProvider(hre);
+    const vault = await getTaskVault(hre, taskArgs.vault);
+
+    const verification = await verifyOtokenForVault(
+      vault.address,
+      taskArgs.otoken,
+      provider
+    );
+    if (!verification.valid) {
+      const failed = (
+        [
+          "collateralAsset",
+          "underlyingAsset",
+          "strikeAsset",
+          "optionType",
+          "expiry",
+        ] as const
+      ).filter((check) => !verification[check].valid);
+      throw taskError(
+        `oToken ${taskArgs.otoken} fails the ${failed.join(", ")} checks of ${
+          vault.name
+        }`
+      );
+    }
+    const { optionTerms } = await encodeCommitAndClose(
+      network,
+      taskArgs.otoken,
+      provider
+    );
+    await callVault(hre, taskArgs, "manager", "commitAndClose", [optionTerms]);
+  });
+
+addVaultCallParams(
+  task(
+    "vault:emergency-withdraw",
+    "Close a vault's short before expiry and return the collateral, as its manager"
+  )
+).setAction(async (taskArgs: VaultCallArgs, hre) => {
+  await callVault(hre, taskArgs, "manager", "emergencyWithdrawFromShort", []);
+});
+
+task(
+  "vault:roll",
+  "Run the weekly roll of a vault: deploy the oToken, commitAndClose, rollToNextOption then sellOptions. " +
+    "Progress is saved after each step so the roll resumes where it stopped."
+)
+  .addParam("vault", "Vault deployment name or address")
+  .addOptionalParam(
+    "strikePrice",
+    "Strike price of the oToken to deploy, scaled by 10**8"
+  )
+  .addOptionalParam("expiry", "Expiry of the oToken to deploy")
+  .addOptionalParam("otoken", "Use an already deployed oToken")
+  .addOptionalParam("order", "Signed AirSwap order JSON file")
+  .addOptionalParam("stateDir", "Directory of the roll state files", ".roll")
+  .addOptionalParam(
+    "minYield",
+    "Minimum annualized yield of the order's premium, in percent",
+    "5"
+  )
+  .addFlag("dryRun", "Impersonate the manager on a hardhat fork")
+  .addFlag("wait", "Wait for the delay instead of stopping")
+  .addFlag("reset", "Discard the saved progress of the vault")
+  .setAction(rollVault);
+
+async function rollVault(
+  taskArgs: {
+    vault: string;
+    strikePrice?: string;
+    expiry?: string;
+    otoken?: string;
+    order?: string;
+    stateDir: string;
+    minYield: string;
+    dryRun: boolean;
+    wait: boolean;
+    reset: boolean;
+  },
+  hre: HardhatRuntimeEnvironment
+) {
+  const {
+    RollPreconditionError,
+    getRollStatePath,
+    isRollComplete,
+    loadCurrentRollState,
+    loadRollState,
+    runRoll,
+  } = await import("../helpers/roll");
+  const { renderRollState } = await import("../commands/vault");
+  const { getDefaultGasStrategy } = await import("../helpers/gasStrategies");
+
+  const network = getTaskNetwork(hre);
+  const { name, address } = await getTaskVault(hre, taskArgs.vault);
+
+  // The state files are kept per hardhat network, so a fork does not resume a mainnet roll
+  const statePath = getRollStatePath(
+    taskArgs.stateDir,
+    hre.network.name,
+    name,
+    taskArgs.dryRun
+  );
+  if (taskArgs.reset && fs.existsSync(statePath)) {
+    fs.unlinkSync(statePath);
+  }
+  const provider = getTaskProvider(hre);
+  const savedState = await loadCurrentRollState(
+    statePath,
+    hre.network.name,
+    address,
+    taskArgs.dryRun,
+    provider
+  );
+  if (isRollComplete(savedState)) {
+    console.log(renderRollState(savedState));
+    return;
+  }
+
+  try {
+    const state = await runRoll({
+      network,
+      vaultAddress: address,
+      provider,
+      ...(taskArgs.dryRun
+        ? {}
+        : {
+            signer: await getTaskSigner(hre),
+            gasStrategy: getDefaultGasStrategy(network, provider),
+          }),
+      journalPath: getTaskJournalPath(hre, taskArgs.dryRun),
+      statePath,
+      strikePrice: taskArgs.strikePrice,
+      expiry: taskArgs.expiry,
+      otoken: taskArgs.otoken,
+      ...(taskArgs.order
+        ? { order: JSON.parse(fs.readFileSync(taskArgs.order).toString()) }
+        : {}),
+      minYield: parseFloat(taskArgs.minYield) / 100,
+      dryRun: taskArgs.dryRun,
+      wait: taskArgs.wait,
+    });
+    console.log(renderRollState(state));
+  } catch (e) {
+    if (e instanceof RollPreconditionError) {
+      console.log(
+        renderRollState(
+          loadRollState(statePath, hre.network.name, address, taskArgs.dryRun)
+        )
+      );
+      throw taskError(e.message);
+    }
+    throw e;
+  }
+}
+
+// Calls a vault method as the vault's manager or owner and prints the mined transaction
+async function callVault(
+  hre: HardhatRuntimeEnvironment,
+  taskArgs: VaultCallArgs,
+  role: VaultRole,
+  method: string,
+  args: unknown[]
+) {
+  const vault = await getTaskVault(hre, taskArgs.vault);
+  const txManager = await getVaultTransactionManager(
+    hre,
+    vault,
+    role,
+    taskArgs.impersonate
+  );
+
+  const sent = await txManager.call(vault.contract, method, args, {
+    label: method,
+  });
+  console.log(renderSentTransaction(sent));
+}
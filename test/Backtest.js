@@ -0,0 +1,201 @@
+const { assert } = require("chai");
+
+const {
+  LOCKED_RATIO,
+  ROLL_DELAY,
+  parsePriceHistory,
+  runBacktest,
+  validateStrategyConfig,
+} = require("../scripts/helpers/backtest");
+const { SECONDS_PER_YEAR } = require("../scripts/helpers/math");
+const { getAPY } = require("../scripts/helpers/performance");
+const { blackScholes } = require("../scripts/helpers/pricing");
+
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+const DAY = 24 * 60 * 60;
+const WEEK = 7 * DAY;
+const START = FRIDAY_EXPIRY - WEEK;
+
+// Prices at the opening of the first round, its expiry and the end of the second round
+function priceHistory(open, expiry, end = expiry) {
+  return [
+    { timestamp: START, price: open, iv: null },
+    { timestamp: FRIDAY_EXPIRY, price: expiry, iv: null },
+    { timestamp: FRIDAY_EXPIRY + WEEK, price: end, iv: null },
+  ];
+}
+
+function strategy(config) {
+  return {
+    name: "10% OTM",
+    optionType: "CALL",
+    otmPercentage: 10,
+    iv: 0.9,
+    initialDeposit: 100,
+    ...config,
+  };
+}
+
+describe("Backtest", () => {
+  describe("#runBacktest", () => {
+    it("loses the intrinsic value of a call expiring in the money", () => {
+      const { rounds, summary } = runBacktest(
+        priceHistory(2000, 2500),
+        strategy()
+      );
+      const [itm, otm] = rounds;
+
+      const lockedAmount = 100 * LOCKED_RATIO;
+      const premium =
+        (lockedAmount *
+          blackScholes(2000, 2200, 0.9, WEEK / SECONDS_PER_YEAR, false).price) /
+        2000;
+      // Cash settled in the underlying at the expiry price
+      const loss = (lockedAmount * (2500 - 2200)) / 2500;
+      assert.equal(itm.strike, 2200);
+      assert.equal(itm.lockedAmount, lockedAmount);
+      assert.equal(itm.options, lockedAmount);
+      assert.approximately(itm.premium, premium, 1e-12);
+      assert.isTrue(itm.itm);
+      assert.approximately(itm.loss, loss, 1e-12);
+      assert.approximately(itm.totalBalance, 100 + premium - loss, 1e-12);
+      assert.approximately(
+        itm.pricePerShare,
+        (100 + premium - loss) / 100,
+        1e-12
+      );
+      assert.approximately(itm.roundYield, itm.pricePerShare - 1, 1e-12);
+
+      // The next round opens after the roll delay at the expiry price
+      assert.equal(otm.openedAt, FRIDAY_EXPIRY + ROLL_DELAY);
+      assert.equal(otm.strike, 2750);
+      assert.isFalse(otm.itm);
+      assert.equal(otm.loss, 0);
+      assert.approximately(
+        otm.totalBalance,
+        itm.totalBalance + otm.premium,
+        1e-12
+      );
+      assert.approximately(otm.cumulativeReturn, otm.pricePerShare - 1, 1e-12);
+      assert.approximately(otm.drawdown, 1 - otm.pricePerShare, 1e-12);
+
+      assert.equal(summary.rounds, 2);
+      assert.equal(summary.itmRounds, 1);
+      assert.approximately(summary.totalPremium, premium + otm.premium, 1e-12);
+      assert.approximately(summary.totalLoss, loss, 1e-12);
+      assert.approximately(
+        summary.apy,
+        getAPY(otm.pricePerShare - 1, FRIDAY_EXPIRY + WEEK - START),
+        1e-12
+      );
+      assert.approximately(
+        summary.totalBalanceAfterFee,
+        otm.totalBalance * 0.995,
+        1e-12
+      );
+    });
+
+    it("collateralizes puts with the strike", () => {
+      const { rounds } = runBacktest(
+        priceHistory(2000, 1500),
+        strategy({ optionType: "PUT", initialDeposit: 10000 })
+      );
+      const [itm] = rounds;
+
+      const premium =
+        5 * blackScholes(2000, 1800, 0.9, WEEK / SECONDS_PER_YEAR, true).price;
+      assert.equal(itm.strike, 1800);
+      assert.equal(itm.options, 5);
+      assert.approximately(itm.premium, premium, 1e-9);
+      assert.equal(itm.loss, 5 * (1800 - 1500));
+      assert.approximately(itm.totalBalance, 10000 + premium - 1500, 1e-9);
+      assert.approximately(itm.usdPricePerShare, itm.pricePerShare, 1e-12);
+    });
+
+    it("limits withdrawals during a round to the unlocked balance", () => {
+      const { rounds, summary } = runBacktest(
+        priceHistory(2000, 2000),
+        strategy({
+          withdrawals: [{ date: START + DAY, fraction: 1 }],
+          deposits: [{ date: FRIDAY_EXPIRY + ROLL_DELAY / 2, amount: 50 }],
+        })
+      );
+      const [first, second] = rounds;
+
+      const unlocked = 100 * (1 - LOCKED_RATIO) + first.premium;
+      assert.approximately(first.withdrawn, unlocked * 0.995, 1e-12);
+      assert.approximately(first.fees, unlocked * 0.005, 1e-12);
+      assert.approximately(first.totalBalance, 100 * LOCKED_RATIO, 1e-12);
+      // Withdrawals leave the price per share of the remaining shares unchanged
+      assert.approximately(first.pricePerShare, 1 + first.premium / 100, 1e-12);
+
+      // Deposits between the expiry and the roll mint shares at the price per share of the expiry
+      assert.equal(second.deposited, 50);
+      assert.approximately(
+        second.shares,
+        first.shares + 50 / first.pricePerShare,
+        1e-9
+      );
+      assert.approximately(summary.totalFees, first.fees, 1e-12);
+    });
+
+    it("needs prices covering a round", () => {
+      assert.throws(
+        () =>
+          runBacktest(priceHistory(2000, 2000), strategy({ roundDays: 30 })),
+        /do not cover a single round/
+      );
+      assert.throws(
+        () =>
+          runBacktest(
+            priceHistory(2000, 2000),
+            strategy({ startDate: START - DAY })
+          ),
+        /outside of the price history/
+      );
+    });
+  });
+
+  describe("#parsePriceHistory", () => {
+    it("parses dates and timestamps in chain order", () => {
+      const prices = parsePriceHistory(
+        `timestamp,price,iv\n2021-04-30T08:00:00Z,2500,0.8\n${START},2000,\n`
+      );
+      assert.deepEqual(prices, [
+        { timestamp: START, price: 2000, iv: null },
+        { timestamp: FRIDAY_EXPIRY, price: 2500, iv: 0.8 },
+      ]);
+    });
+
+    it("rejects invalid prices", () => {
+      assert.throws(
+        () => parsePriceHistory(`timestamp,price\n${START},0\n${START},1\n`),
+        /Invalid price or iv on row 2/
+      );
+      assert.throws(
+        () => parsePriceHistory(`date,price\n${START},1\n${START},1\n`),
+        /timestamp and price columns/
+      );
+    });
+  });
+
+  describe("#validateStrategyConfig", () => {
+    it("needs exactly one strike target", () => {
+      assert.throws(
+        () => validateStrategyConfig(strategy({ delta: 0.1 })),
+        /either a delta or an otmPercentage/
+      );
+    });
+
+    it("rejects withdrawals of more than all the shares", () => {
+      assert.throws(
+        () =>
+          validateStrategyConfig(
+            strategy({ withdrawals: [{ date: START, fraction: 1.5 }] })
+          ),
+        /cannot exceed all the shares/
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  checkDeployment,
+  describeDeployment,
+} = require("../scripts/helpers/deploymentJournal");
+
+const CODE = "0x6080604052";
+const LIBRARY = "0x8464135c8f25da09e49bc8782676a84730c318bc";
+
+describe("Deployment journal", () => {
+  beforeEach(async function () {
+    const artifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+    this.bytecode = artifact.bytecode;
+    this.args = [LIBRARY, ethers.BigNumber.from(10).pow(10), 18, false];
+    this.description = describeDeployment({
+      bytecode: this.bytecode,
+      args: this.args,
+      libraries: { ProtocolAdapter: LIBRARY },
+    });
+    this.entry = {
+      name: "RibbonETHCoveredCallLogic",
+      address: ethers.constants.AddressZero,
+      ...this.description,
+      codeHash: ethers.utils.keccak256(CODE),
+    };
+    this.getCode = async () => CODE;
+  });
+
+  describe("#describeDeployment", () => {
+    it("stores the arguments and libraries alike whatever their type", function () {
+      assert.deepEqual(
+        describeDeployment({
+          bytecode: this.bytecode,
+          args: [
+            LIBRARY.toUpperCase().replace("0X", "0x"),
+            "10000000000",
+            "18",
+            "false",
+          ],
+          libraries: { ProtocolAdapter: ethers.utils.getAddress(LIBRARY) },
+        }),
+        this.description
+      );
+    });
+  });
+
+  describe("#checkDeployment", () => {
+    it("deploys names missing from the journal", async function () {
+      assert.equal(
+        await checkDeployment(null, this.description, this.getCode),
+        "new"
+      );
+    });
+
+    it("does not deploy names of deployments.json missing from the journal", async function () {
+      assert.equal(
+        await checkDeployment(null, this.description, this.getCode, LIBRARY),
+        "untracked"
+      );
+    });
+
+    it("reuses an unchanged deployment", async function () {
+      assert.equal(
+        await checkDeployment(this.entry, this.description, this.getCode),
+        "unchanged"
+      );
+    });
+
+    it("redeploys when the arguments or libraries change", async function () {
+      const args = describeDeployment({
+        bytecode: this.bytecode,
+        args: [...this.args.slice(0, 3), true],
+        libraries: { ProtocolAdapter: LIBRARY },
+      });
+      const libraries = describeDeployment({
+        bytecode: this.bytecode,
+        args: this.args,
+        libraries: { ProtocolAdapter: ethers.constants.AddressZero },
+      });
+
+      assert.equal(
+        await checkDeployment(this.entry, args, this.getCode),
+        "changed"
+      );
+      assert.equal(
+        await checkDeployment(this.entry, libraries, this.getCode),
+        "changed"
+      );
+    });
+
+    it("detects code which drifted from the journal", async function () {
+      assert.equal(
+        await checkDeployment(this.entry, this.description, async () => "0x"),
+        "drifted"
+      );
+      assert.equal(
+        await checkDeployment(
+          this.entry,
+          this.description,
+          async () => CODE + "00"
+        ),
+        "drifted"
+      );
+    });
+  });
+});
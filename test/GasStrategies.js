@@ -0,0 +1,150 @@
+const { assert } = require("chai");
+const { BigNumber, ethers } = require("ethers");
+
+const {
+  feeHistoryGasPrice,
+  fixedGasPrice,
+  getGasOverrides,
+  parseGwei,
+  withFallbacks,
+  withMaxFee,
+} = require("../scripts/helpers/gasStrategies");
+
+function gwei(fee) {
+  return ethers.utils.formatUnits(fee, "gwei");
+}
+
+// Provider whose latest block has the given base fee, none before London
+function blockProvider(baseFeePerGas) {
+  return {
+    getBlock: async () => ({ number: 1, baseFeePerGas }),
+  };
+}
+
+// Provider answering eth_feeHistory with a base fee and a reward per block
+function feeHistoryProvider(baseFees, rewards) {
+  return {
+    send: async (method) => {
+      assert.equal(method, "eth_feeHistory");
+      return {
+        baseFeePerGas: baseFees.map((fee) => parseGwei(fee).toHexString()),
+        reward: rewards.map((reward) => [parseGwei(reward).toHexString()]),
+      };
+    },
+  };
+}
+
+function failingStrategy(name) {
+  return {
+    name,
+    getFees: async () => {
+      throw new Error(`${name} is down`);
+    },
+  };
+}
+
+describe("Gas strategies", () => {
+  describe("#feeHistoryGasPrice", () => {
+    it("prices the next base fee and the median reward", async () => {
+      const strategy = feeHistoryGasPrice(
+        feeHistoryProvider(["90", "100"], ["3", "1", "2"])
+      );
+      const fees = await strategy.getFees();
+
+      assert.equal(gwei(fees.maxPriorityFeePerGas), "2.0");
+      assert.equal(gwei(fees.maxFeePerGas), "202.0");
+      assert.equal(gwei(fees.gasPrice), "102.0");
+      assert.equal(fees.source, "eth_feeHistory");
+    });
+
+    it("fails without a fee history", async () => {
+      const strategy = feeHistoryGasPrice({ send: async () => ({}) });
+      let error;
+      try {
+        await strategy.getFees();
+      } catch (e) {
+        error = e;
+      }
+      assert.match(error.message, /no fee history/);
+    });
+  });
+
+  describe("#withFallbacks", () => {
+    it("uses the first strategy which prices the fees", async () => {
+      const strategy = withFallbacks([
+        failingStrategy("eth_feeHistory"),
+        fixedGasPrice(parseGwei("50")),
+      ]);
+      const fees = await strategy.getFees();
+
+      assert.equal(strategy.name, "eth_feeHistory > fixed");
+      assert.equal(gwei(fees.gasPrice), "50.0");
+      assert.equal(fees.source, "fixed");
+    });
+
+    it("fails when every strategy fails", async () => {
+      const strategy = withFallbacks([
+        failingStrategy("eth_feeHistory"),
+        failingStrategy("eth_gasPrice"),
+      ]);
+      let error;
+      try {
+        await strategy.getFees();
+      } catch (e) {
+        error = e;
+      }
+      assert.match(error.message, /eth_feeHistory is down/);
+      assert.match(error.message, /eth_gasPrice is down/);
+    });
+  });
+
+  describe("#withMaxFee", () => {
+    it("caps the gas price and the EIP-1559 fees", async () => {
+      const strategy = withMaxFee(
+        feeHistoryGasPrice(feeHistoryProvider(["100"], ["2"])),
+        parseGwei("150")
+      );
+      const fees = await strategy.getFees();
+
+      assert.equal(gwei(fees.gasPrice), "102.0");
+      assert.equal(gwei(fees.maxFeePerGas), "150.0");
+      assert.equal(gwei(fees.maxPriorityFeePerGas), "2.0");
+    });
+  });
+
+  describe("#getGasOverrides", () => {
+    const feeHistory = feeHistoryGasPrice(feeHistoryProvider(["100"], ["2"]));
+
+    it("returns EIP-1559 fees when the block has a base fee", async () => {
+      const overrides = await getGasOverrides(
+        feeHistory,
+        blockProvider(parseGwei("100"))
+      );
+
+      assert.deepEqual(Object.keys(overrides).sort(), [
+        "maxFeePerGas",
+        "maxPriorityFeePerGas",
+      ]);
+      assert.equal(gwei(overrides.maxFeePerGas), "202.0");
+      assert.equal(gwei(overrides.maxPriorityFeePerGas), "2.0");
+    });
+
+    it("pays a gas price as both fees when the strategy has no EIP-1559 fees", async () => {
+      const overrides = await getGasOverrides(
+        fixedGasPrice(parseGwei("50")),
+        blockProvider(parseGwei("40"))
+      );
+
+      assert.equal(gwei(overrides.maxFeePerGas), "50.0");
+      assert.equal(gwei(overrides.maxPriorityFeePerGas), "50.0");
+    });
+
+    it("returns a gas price when the block has no base fee", async () => {
+      const overrides = await getGasOverrides(feeHistory, blockProvider(null));
+
+      assert.deepEqual(Object.keys(overrides), ["gasPrice"]);
+      assert.isTrue(BigNumber.isBigNumber(overrides.gasPrice));
+      assert.equal(gwei(overrides.gasPrice), "102.0");
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { assert } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const deployments = require("../constants/deployments.json");
+const {
+  LOCAL_NETWORK,
+  deployLocalStack,
+  getLocalStackMismatches,
+} = require("../scripts/helpers/localStack");
+
+describe("Local stack", () => {
+  before(async function () {
+    // The stack gets the local addresses from the fresh accounts of an empty network
+    await network.provider.request({ method: "hardhat_reset", params: [] });
+
+    const [, owner, admin] = await ethers.getSigners();
+    this.stack = await deployLocalStack({
+      admin,
+      owner,
+      manager: owner.address,
+    });
+  });
+
+  describe("#deployLocalStack", () => {
+    it("deploys the mocks and accounts of the local constants", function () {
+      assert.deepEqual(getLocalStackMismatches(this.stack), []);
+    });
+
+    it("deploys the contracts at the local deployments", function () {
+      assert.deepEqual(this.stack.deployments, deployments[LOCAL_NETWORK]);
+    });
+
+    it("rejects accounts which already sent transactions", async () => {
+      const [, owner, admin] = await ethers.getSigners();
+
+      let error;
+      try {
+        await deployLocalStack({ admin, owner, manager: owner.address });
+      } catch (e) {
+        error = e;
+      }
+      assert.match(error.message, /already sent transactions/);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+const { signOrder } = require("@airswap/utils");
+
+const { callProvider, getInterface } = require("./helpers/contracts");
+const { SECONDS_PER_YEAR } = require("../scripts/helpers/math");
+const { getExternalAddresses } = require("../scripts/helpers/networks");
+const {
+  recoverOrderSignatory,
+  verifyOrder,
+} = require("../scripts/helpers/orders");
+const {
+  buildOrderForSwap,
+  signOrderForSwap,
+} = require("../scripts/helpers/swapOrders");
+
+const { parseEther, parseUnits } = ethers.utils;
+const VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
+const OTOKEN = "0x1000000000000000000000000000000000000001";
+const OTHER_OTOKEN = "0x1000000000000000000000000000000000000002";
+const { airswapSwap, assets } = getExternalAddresses("mainnet");
+// Hardhat's second default account
+const COUNTERPARTY = new ethers.Wallet(
+  "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d"
+);
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+const WEEK = 7 * 24 * 60 * 60;
+const NOW = FRIDAY_EXPIRY - WEEK;
+
+// 90 WETH locked in 90 oTokens, sold for a premium of 1 WETH
+const LOCKED_AMOUNT = parseEther("90");
+const OTOKEN_BALANCE = parseUnits("90", 8);
+const PREMIUM = parseEther("1");
+
+function orderParams(fields = {}) {
+  return {
+    counterpartyAddress: COUNTERPARTY.address,
+    vaultAddress: VAULT,
+    sellToken: OTOKEN,
+    buyToken: assets.weth,
+    sellAmount: OTOKEN_BALANCE.toString(),
+    buyAmount: PREMIUM.toString(),
+    expiry: (NOW + 60 * 60).toString(),
+    nonce: "1",
+    ...fields,
+  };
+}
+
+function signOrderParams(fields) {
+  return signOrderForSwap({
+    ...orderParams(fields),
+    signerPrivateKey: COUNTERPARTY.privateKey,
+  });
+}
+
+// Vault with 90 WETH locked in `currentOption` until the Friday expiry
+async function vaultProvider(currentOption) {
+  const erc20 = await getInterface("IERC20Detailed");
+  return callProvider({
+    [VAULT]: {
+      iface: await getInterface("RibbonThetaVault"),
+      calls: {
+        currentOption: () => currentOption,
+        asset: () => assets.weth,
+        lockedAmount: () => LOCKED_AMOUNT,
+        currentOptionExpiry: () =>
+          currentOption === ethers.constants.AddressZero ? 0 : FRIDAY_EXPIRY,
+      },
+    },
+    [OTOKEN]: {
+      iface: erc20,
+      calls: { balanceOf: () => OTOKEN_BALANCE },
+    },
+    [assets.weth]: {
+      iface: erc20,
+      calls: { decimals: () => 18 },
+    },
+  });
+}
+
+async function verify(order, { currentOption = OTOKEN, minYield } = {}) {
+  return verifyOrder(order, {
+    network: "mainnet",
+    vaultAddress: VAULT,
+    provider: await vaultProvider(currentOption),
+    minYield,
+    now: NOW,
+  });
+}
+
+function failedChecks(verification) {
+  return verification.checks
+    .filter((orderCheck) => !orderCheck.valid)
+    .map((orderCheck) => orderCheck.name);
+}
+
+describe("Vault orders", () => {
+  describe("#recoverOrderSignatory", () => {
+    it("recovers the signer of an EIP-712 order", async () => {
+      const order = await signOrderParams();
+      assert.notEqual(order.signature.version, "0x45");
+
+      assert.equal(
+        recoverOrderSignatory(order, airswapSwap),
+        COUNTERPARTY.address
+      );
+    });
+
+    it("recovers the signer of a personal_sign order", async () => {
+      const order = await signOrder(
+        buildOrderForSwap(orderParams()),
+        COUNTERPARTY,
+        airswapSwap
+      );
+      assert.equal(order.signature.version, "0x45");
+
+      assert.equal(
+        recoverOrderSignatory(order, airswapSwap),
+        COUNTERPARTY.address
+      );
+    });
+
+    it("recovers another address for another swap contract", async () => {
+      const order = await signOrderParams();
+
+      assert.notEqual(
+        recoverOrderSignatory(order, VAULT),
+        COUNTERPARTY.address
+      );
+    });
+  });
+
+  describe("#verifyOrder", () => {
+    it("accepts an order buying the vault's whole currentOption", async () => {
+      const verification = await verify(await signOrderParams(), {
+        minYield: 0.5,
+      });
+
+      assert.isTrue(verification.valid);
+      assert.deepEqual(failedChecks(verification), []);
+      assert.equal(verification.otoken, OTOKEN);
+      assert.equal(verification.premium, "1.0");
+      assert.approximately(
+        verification.annualizedYield,
+        (1 / 90) * (SECONDS_PER_YEAR / WEEK),
+        1e-9
+      );
+    });
+
+    it("accepts a personal_sign order", async () => {
+      const order = await signOrder(
+        buildOrderForSwap(orderParams()),
+        COUNTERPARTY,
+        airswapSwap
+      );
+
+      assert.isTrue((await verify(order)).valid);
+    });
+
+    it("rejects an order sold by another wallet than the vault", async () => {
+      const order = await signOrderParams({
+        vaultAddress: COUNTERPARTY.address,
+      });
+
+      const verification = await verify(order);
+      assert.isFalse(verification.valid);
+      assert.deepEqual(failedChecks(verification), ["senderWallet"]);
+    });
+
+    it("rejects an order selling another oToken", async () => {
+      const order = await signOrderParams({ sellToken: OTHER_OTOKEN });
+
+      assert.deepEqual(failedChecks(await verify(order)), ["senderToken"]);
+    });
+
+    it("rejects an order paying the premium in another token", async () => {
+      const order = await signOrderParams({ buyToken: assets.usdc });
+
+      assert.deepEqual(failedChecks(await verify(order)), ["signerToken"]);
+    });
+
+    it("rejects an order selling part of the vault's oTokens", async () => {
+      const order = await signOrderParams({
+        sellAmount: OTOKEN_BALANCE.div(2).toString(),
+      });
+
+      const verification = await verify(order);
+      assert.deepEqual(failedChecks(verification), ["senderAmount"]);
+      // The premium pays for half of the locked collateral
+      assert.approximately(
+        verification.annualizedYield,
+        (1 / 45) * (SECONDS_PER_YEAR / WEEK),
+        1e-9
+      );
+    });
+
+    it("rejects an expired order", async () => {
+      const order = await signOrderParams({ expiry: NOW.toString() });
+
+      const verification = await verify(order);
+      assert.deepEqual(failedChecks(verification), ["expiry"]);
+      assert.equal(
+        verification.checks.find((orderCheck) => orderCheck.name === "expiry")
+          .message,
+        `order expired at ${NOW}`
+      );
+    });
+
+    it("rejects an order signed by another wallet than its signatory", async () => {
+      const order = await signOrderParams();
+      order.signature.signatory = VAULT;
+
+      assert.deepEqual(failedChecks(await verify(order)), ["signatory"]);
+    });
+
+    it("rejects an order changed after it was signed", async () => {
+      const order = await signOrderParams();
+      order.signer.amount = PREMIUM.div(2).toString();
+
+      assert.deepEqual(failedChecks(await verify(order)), ["signatory"]);
+    });
+
+    it("rejects an order signed for another swap contract", async () => {
+      const order = await signOrderParams();
+      order.signature.validator = VAULT;
+
+      const verification = await verify(order);
+      assert.deepEqual(failedChecks(verification), ["signatureValidator"]);
+    });
+
+    it("rejects a premium below the minimum yield", async () => {
+      const verification = await verify(await signOrderParams(), {
+        minYield: 1,
+      });
+
+      assert.deepEqual(failedChecks(verification), ["minYield"]);
+      assert.match(
+        verification.checks.find((orderCheck) => orderCheck.name === "minYield")
+          .message,
+        /^annualized yield 57\.\d\d% is below the minimum 100\.00%$/
+      );
+    });
+
+    it("has no yield when the vault has no currentOption", async () => {
+      const verification = await verify(await signOrderParams(), {
+        currentOption: ethers.constants.AddressZero,
+      });
+
+      assert.isNull(verification.annualizedYield);
+      assert.deepEqual(failedChecks(verification), [
+        "senderToken",
+        "senderAmount",
+        "minYield",
+      ]);
+    });
+  });
+});
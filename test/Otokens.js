@@ -0,0 +1,42 @@
+const { assert } = require("chai");
+
+const { getExpiryError } = require("../scripts/helpers/otokens");
+
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+const DAY = 24 * 60 * 60;
+
+describe("oToken expiry", () => {
+  it("accepts a Friday 08:00 UTC within a week of the latest block", () => {
+    assert.isNull(getExpiryError(FRIDAY_EXPIRY, FRIDAY_EXPIRY - 6 * DAY));
+    assert.isNull(getExpiryError(FRIDAY_EXPIRY, FRIDAY_EXPIRY - 1));
+  });
+
+  it("rejects an expired oToken", () => {
+    assert.equal(getExpiryError(FRIDAY_EXPIRY, FRIDAY_EXPIRY), "expired");
+    assert.equal(getExpiryError(FRIDAY_EXPIRY, FRIDAY_EXPIRY + DAY), "expired");
+  });
+
+  it("rejects an expiry a week or more away", () => {
+    assert.equal(
+      getExpiryError(FRIDAY_EXPIRY, FRIDAY_EXPIRY - 7 * DAY),
+      "more than a week away"
+    );
+  });
+
+  it("rejects an expiry which is not Friday 08:00 UTC", () => {
+    const now = FRIDAY_EXPIRY - 6 * DAY;
+    assert.equal(
+      getExpiryError(FRIDAY_EXPIRY - DAY, now),
+      "not a Friday 08:00 UTC"
+    );
+    assert.equal(
+      getExpiryError(FRIDAY_EXPIRY + 3600, now),
+      "not a Friday 08:00 UTC"
+    );
+    assert.equal(
+      getExpiryError(FRIDAY_EXPIRY + 1, now),
+      "not a Friday 08:00 UTC"
+    );
+  });
+});
@@ -0,0 +1,195 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { callProvider, getInterface } = require("./helpers/contracts");
+const { openEventDatabase } = require("../scripts/helpers/events");
+const { SECONDS_PER_YEAR } = require("../scripts/helpers/math");
+const { getExternalAddresses } = require("../scripts/helpers/networks");
+const { getAPY, getRoundRecords } = require("../scripts/helpers/performance");
+
+const { parseEther, parseUnits } = ethers.utils;
+const VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
+const ORACLE = "0x789cD7AB3742e23Ce0952F6Bc3Eb3A73A0E08833";
+const OTOKENS = [
+  "0x1000000000000000000000000000000000000001",
+  "0x1000000000000000000000000000000000000002",
+  "0x1000000000000000000000000000000000000003",
+];
+const { assets, gammaController } = getExternalAddresses("mainnet");
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+const WEEK = 7 * 24 * 60 * 60;
+
+// Total balance and supply of the vault by block, a price per share of 1 at block 100
+const VAULT_BALANCES = {
+  100: ["100", "100"],
+  200: ["101", "100"],
+  300: ["101", "100"],
+  400: ["99", "100"],
+  500: ["99", "100"],
+};
+// Settlement prices by expiry, the last oToken is not settled yet
+const EXPIRY_PRICES = {
+  [FRIDAY_EXPIRY]: "2000",
+  [FRIDAY_EXPIRY + WEEK]: "2600",
+  [FRIDAY_EXPIRY + 2 * WEEK]: "0",
+};
+
+const SYMBOL_FRAGMENT = "function symbol() view returns (string)";
+
+// Weekly call struck at 2500 USD expiring a week after the previous one
+async function otokenContract(i) {
+  return {
+    iface: await getInterface("OtokenInterface", [SYMBOL_FRAGMENT]),
+    calls: {
+      symbol: () => `oWETHUSDC-${i}`,
+      strikePrice: () => parseUnits("2500", 8),
+      underlyingAsset: () => assets.weth,
+      strikeAsset: () => assets.usdc,
+      collateralAsset: () => assets.weth,
+      expiryTimestamp: () => FRIDAY_EXPIRY + i * WEEK,
+      isPut: () => false,
+    },
+  };
+}
+
+describe("Vault performance", () => {
+  let dbPath;
+  let db;
+
+  function storeEvent(blockNumber, event, args) {
+    db.prepare("INSERT INTO events VALUES (?, ?, ?, ?, ?, ?, ?, ?)").run(
+      VAULT,
+      blockNumber,
+      ethers.utils.id(`block ${blockNumber}`),
+      // A block every 6048 seconds so that rounds of 100 blocks last a week
+      FRIDAY_EXPIRY - WEEK + blockNumber * (WEEK / 100),
+      ethers.utils.id(`${event} ${blockNumber}`),
+      0,
+      event,
+      JSON.stringify(args)
+    );
+  }
+
+  beforeEach(async () => {
+    dbPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "performance-")),
+      "test.sqlite"
+    );
+    db = openEventDatabase(dbPath);
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  describe("#getAPY", () => {
+    it("compounds the yield of a round over a year", () => {
+      assert.approximately(getAPY(0.01, SECONDS_PER_YEAR), 0.01, 1e-12);
+      assert.approximately(
+        getAPY(0.01, SECONDS_PER_YEAR / 2),
+        1.01 ** 2 - 1,
+        1e-12
+      );
+    });
+
+    it("is null for a round without duration", () => {
+      assert.isNull(getAPY(0.01, 0));
+    });
+  });
+
+  describe("#getRoundRecords", () => {
+    it("computes the profit and loss of each round", async () => {
+      [
+        [100, 200, "90", "90"],
+        [300, 400, "90.9", "88.9"],
+        [500, null, "89.1", null],
+      ].forEach(([openBlock, closeBlock, locked, returned], i) => {
+        storeEvent(openBlock, "OpenShort", {
+          options: OTOKENS[i],
+          depositAmount: parseEther(locked).toString(),
+        });
+        storeEvent(openBlock + 10, "Swap", {
+          senderWallet: VAULT,
+          senderToken: OTOKENS[i],
+          signerAmount: parseEther("1").toString(),
+        });
+        if (closeBlock) {
+          storeEvent(closeBlock, "CloseShort", {
+            options: OTOKENS[i],
+            withdrawAmount: parseEther(returned).toString(),
+          });
+        }
+      });
+
+      const contracts = {
+        [VAULT]: {
+          iface: await getInterface("RibbonThetaVault"),
+          calls: {
+            decimals: () => 18,
+            totalBalance: (args, blockTag) =>
+              parseEther(VAULT_BALANCES[blockTag][0]),
+            totalSupply: (args, blockTag) =>
+              parseEther(VAULT_BALANCES[blockTag][1]),
+          },
+        },
+        [gammaController]: {
+          iface: await getInterface("IController"),
+          calls: { oracle: () => ORACLE },
+        },
+        [ORACLE]: {
+          iface: await getInterface("OracleInterface"),
+          calls: {
+            getExpiryPrice: ([, expiry]) => [
+              parseUnits(EXPIRY_PRICES[expiry.toNumber()], 8),
+              true,
+            ],
+          },
+        },
+      };
+      for (let i = 0; i < OTOKENS.length; i++) {
+        contracts[OTOKENS[i]] = await otokenContract(i);
+      }
+
+      const [otm, itm, open] = await getRoundRecords({
+        network: "mainnet",
+        db,
+        vaultAddress: VAULT,
+        provider: callProvider(contracts),
+      });
+
+      assert.equal(otm.strikePrice, "2500.0");
+      assert.equal(otm.lockedAmount, "90.0");
+      assert.equal(otm.premium, "1.0");
+      assert.equal(otm.returnedAmount, "90.0");
+      assert.equal(otm.loss, "0.0");
+      assert.equal(otm.expiryPrice, "2000.0");
+      assert.isFalse(otm.itm);
+      assert.approximately(otm.weeklyYield, 0.01, 1e-9);
+      assert.approximately(otm.apy, getAPY(0.01, WEEK), 1e-9);
+      assert.approximately(otm.cumulativeReturn, 0.01, 1e-9);
+
+      assert.equal(itm.returnedAmount, "88.9");
+      assert.equal(itm.loss, "2.0");
+      assert.equal(itm.expiryPrice, "2600.0");
+      assert.isTrue(itm.itm);
+      assert.approximately(itm.weeklyYield, 0.99 / 1.01 - 1, 1e-9);
+      assert.approximately(itm.cumulativeReturn, -0.01, 1e-9);
+
+      assert.equal(open.round, 3);
+      assert.equal(open.premium, "1.0");
+      assert.isNull(open.closeBlock);
+      assert.isNull(open.returnedAmount);
+      assert.isNull(open.loss);
+      assert.isNull(open.expiryPrice);
+      assert.isNull(open.itm);
+      assert.isNull(open.weeklyYield);
+      assert.isNull(open.apy);
+      assert.isNull(open.cumulativeReturn);
+    });
+  });
+});
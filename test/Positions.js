@@ -0,0 +1,181 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BigNumber, ethers } = require("ethers");
+
+const { callProvider, getInterface } = require("./helpers/contracts");
+const { openEventDatabase } = require("../scripts/helpers/events");
+const { getAccountPosition } = require("../scripts/helpers/positions");
+
+const { parseEther } = ethers.utils;
+const { AddressZero } = ethers.constants;
+const VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
+const ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const OTHER = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+// Price per share of the blocks with share transfers
+const PRICES_PER_SHARE = { 300: "1.2", 500: "1.3" };
+
+describe("Account position", () => {
+  let dbPath;
+  let db;
+  let logIndex;
+
+  function storeEvent(blockNumber, event, args) {
+    db.prepare("INSERT INTO events VALUES (?, ?, ?, ?, ?, ?, ?, ?)").run(
+      VAULT,
+      blockNumber,
+      ethers.utils.id(`block ${blockNumber}`),
+      1619769600 + blockNumber,
+      ethers.utils.id(`transaction ${blockNumber}`),
+      logIndex++,
+      event,
+      JSON.stringify(
+        Object.fromEntries(
+          Object.entries(args).map(([name, value]) => [
+            name,
+            BigNumber.isBigNumber(value) ? value.toString() : value,
+          ])
+        )
+      )
+    );
+  }
+
+  async function vaultProvider(balance) {
+    return callProvider({
+      [VAULT]: {
+        iface: await getInterface("RibbonThetaVault"),
+        calls: {
+          decimals: () => 18,
+          totalBalance: (args, blockTag) =>
+            parseEther(PRICES_PER_SHARE[blockTag]).mul(100),
+          totalSupply: () => parseEther("100"),
+          balanceOf: () => parseEther(balance),
+          accountVaultBalance: () => parseEther("12.6"),
+          instantWithdrawalFee: () => parseEther("0.005"),
+          maxWithdrawAmount: () => parseEther("5"),
+        },
+      },
+    });
+  }
+
+  beforeEach(() => {
+    dbPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "positions-")),
+      "test.sqlite"
+    );
+    db = openEventDatabase(dbPath);
+    logIndex = 0;
+
+    storeEvent(100, "Transfer", {
+      from: AddressZero,
+      to: ACCOUNT,
+      value: parseEther("10"),
+    });
+    storeEvent(100, "Deposit", {
+      account: ACCOUNT,
+      amount: parseEther("10"),
+      share: parseEther("10"),
+    });
+    storeEvent(200, "Deposit", {
+      account: ACCOUNT,
+      amount: parseEther("11"),
+      share: parseEther("10"),
+    });
+    storeEvent(250, "Deposit", {
+      account: OTHER,
+      amount: parseEther("50"),
+      share: parseEther("50"),
+    });
+    storeEvent(300, "Transfer", {
+      from: OTHER,
+      to: ACCOUNT,
+      value: parseEther("5"),
+    });
+    storeEvent(400, "Withdraw", {
+      account: ACCOUNT,
+      amount: parseEther("14.4"),
+      share: parseEther("12"),
+      fee: parseEther("0.1"),
+    });
+    storeEvent(400, "Transfer", {
+      from: ACCOUNT,
+      to: AddressZero,
+      value: parseEther("12"),
+    });
+    storeEvent(500, "Transfer", {
+      from: ACCOUNT,
+      to: OTHER,
+      value: parseEther("4"),
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  describe("#getAccountPosition", () => {
+    it("removes shares first in first out", async () => {
+      const position = await getAccountPosition({
+        db,
+        vaultAddress: VAULT,
+        account: ACCOUNT.toLowerCase(),
+        provider: await vaultProvider("9"),
+      });
+
+      assert.deepEqual(
+        position.history.map((event) => [
+          event.type,
+          event.shares,
+          event.amount,
+          event.realizedPnl,
+        ]),
+        [
+          ["Deposit", "10.0", "10.0", "0.0"],
+          ["Deposit", "10.0", "11.0", "0.0"],
+          // Transfers are valued at the price per share of their block
+          ["TransferIn", "5.0", "6.0", "0.0"],
+          // The first lot and 2 shares of the second cost 10 + 2.2
+          ["Withdraw", "12.0", "14.4", "2.2"],
+          // 4 more shares of the second lot cost 4.4
+          ["TransferOut", "4.0", "5.2", "0.8"],
+        ]
+      );
+      assert.deepEqual(
+        position.lots.map((lot) => [lot.blockNumber, lot.shares, lot.cost]),
+        [
+          [200, "4.0", "4.4"],
+          [300, "5.0", "6.0"],
+        ]
+      );
+      assert.equal(position.history[3].fee, "0.1");
+      assert.equal(position.shares, "9.0");
+      assert.equal(position.costBasis, "10.4");
+      assert.equal(position.realizedPnl, "3.0");
+      assert.equal(position.withdrawalFee, "0.063");
+      assert.equal(position.currentValueAfterFee, "12.537");
+      assert.equal(position.unrealizedPnl, "2.137");
+      assert.equal(position.withdrawable, "5.0");
+    });
+
+    it("rejects events which do not add up to the balance", async () => {
+      let error;
+      try {
+        await getAccountPosition({
+          db,
+          vaultAddress: VAULT,
+          account: ACCOUNT,
+          provider: await vaultProvider("8"),
+        });
+      } catch (e) {
+        error = e;
+      }
+      assert.match(
+        error.message,
+        /Indexed shares 9.0 do not match the balance 8.0/
+      );
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  OptionType,
+  blackScholes,
+  parseOtokenStrike,
+  priceOptionTerms,
+} = require("../scripts/helpers/pricing");
+
+const WETH = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const PAYMENT_TOKEN = USDC;
+// Friday 30 April 2021 08:00 UTC
+const EXPIRY = 1619769600;
+const DAY = 24 * 60 * 60;
+
+function optionTerms(collateral, strike, optionType) {
+  return [
+    WETH,
+    USDC,
+    collateral,
+    EXPIRY,
+    ethers.utils.parseEther(strike).toString(),
+    optionType,
+    PAYMENT_TOKEN,
+  ];
+}
+
+describe("Black-Scholes", () => {
+  // Spot and strike of 100, 20% volatility, one year and a 5% rate
+  const call = blackScholes(100, 100, 0.2, 1, false, 0.05);
+  const put = blackScholes(100, 100, 0.2, 1, true, 0.05);
+
+  it("prices calls and puts", () => {
+    assert.approximately(call.price, 10.450584, 1e-5);
+    assert.approximately(put.price, 5.573526, 1e-5);
+    // Hull's textbook example: six months to expiry, spot of 42 and strike of 40
+    assert.approximately(
+      blackScholes(42, 40, 0.2, 0.5, false, 0.1).price,
+      4.759422,
+      1e-5
+    );
+    assert.approximately(
+      blackScholes(42, 40, 0.2, 0.5, true, 0.1).price,
+      0.808599,
+      1e-5
+    );
+  });
+
+  it("satisfies the put-call parity", () => {
+    assert.approximately(
+      call.price - put.price,
+      100 - 100 * Math.exp(-0.05),
+      1e-6
+    );
+  });
+
+  it("returns the greeks", () => {
+    assert.approximately(call.delta, 0.636831, 1e-6);
+    assert.approximately(put.delta, -0.363169, 1e-6);
+    assert.approximately(call.gamma, 0.018762, 1e-6);
+    assert.approximately(put.gamma, call.gamma, 1e-12);
+    // Per volatility point
+    assert.approximately(call.vega, 0.37524, 1e-5);
+    assert.approximately(put.vega, call.vega, 1e-12);
+    // Per day
+    assert.approximately(call.theta, -0.0175727, 1e-6);
+    assert.approximately(put.theta, -0.0045421, 1e-6);
+  });
+
+  it("returns the intrinsic value at expiry", () => {
+    assert.deepEqual(blackScholes(110, 100, 0.9, 0, false), {
+      price: 10,
+      delta: 1,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+    });
+    assert.equal(blackScholes(110, 100, 0.9, 0, true).price, 0);
+    assert.equal(blackScholes(110, 100, 0.9, 0, true).delta, 0);
+    assert.equal(blackScholes(90, 100, 0.9, 0, true).delta, -1);
+  });
+});
+
+describe("Option terms pricing", () => {
+  const params = { spot: 2000, iv: 0.9, now: EXPIRY - 7 * DAY };
+
+  it("prices a covered call in the underlying", () => {
+    const price = priceOptionTerms(
+      optionTerms(WETH, "2400", OptionType.Call),
+      params
+    );
+    const expected = blackScholes(2000, 2400, 0.9, 7 / 365, false);
+
+    assert.equal(price.terms.strike, 2400);
+    assert.isFalse(price.terms.isPut);
+    assert.approximately(price.timeToExpiry, 7 / 365, 1e-12);
+    assert.equal(price.collateralPrice, 2000);
+    assert.approximately(price.usd.price, expected.price, 1e-9);
+    assert.approximately(price.collateral.price, expected.price / 2000, 1e-12);
+    assert.equal(price.collateral.delta, expected.delta);
+  });
+
+  it("prices a put collateralized in the strike asset", () => {
+    const price = priceOptionTerms(
+      optionTerms(USDC, "1600", OptionType.Put),
+      params
+    );
+
+    assert.isTrue(price.terms.isPut);
+    assert.equal(price.collateralPrice, 1);
+    assert.equal(price.collateral.price, price.usd.price);
+  });
+
+  it("needs the price of another collateral", () => {
+    const terms = optionTerms(
+      ethers.constants.AddressZero,
+      "1600",
+      OptionType.Put
+    );
+
+    assert.throws(() => priceOptionTerms(terms, params), /collateral price/);
+    assert.equal(
+      priceOptionTerms(terms, { ...params, collateralPrice: 2 })
+        .collateralPrice,
+      2
+    );
+  });
+
+  it("rejects an invalid option type", () => {
+    assert.throws(
+      () =>
+        priceOptionTerms(optionTerms(WETH, "2400", OptionType.Invalid), params),
+      /Invalid option type/
+    );
+  });
+
+  it("parses the 8 decimals of oToken strikes", () => {
+    assert.equal(parseOtokenStrike("200050000000"), 2000.5);
+  });
+});
@@ -4,7 +4,6 @@ const { parseUnits } = require("ethers/lib/utils");
 const { ethers } = require("hardhat");
 const { provider, getContractAt } = ethers;
 const { parseEther } = ethers.utils;
-const { createOrder, signTypedDataOrder } = require("@airswap/utils");
 
 const time = require("./helpers/time");
 const {
@@ -17,6 +16,12 @@ const {
   parseLog,
   mintToken,
 } = require("./helpers/utils");
+const {
+  describeWithFixtures,
+  getFixtureAddresses,
+  resetNetwork,
+} = require("./helpers/fixtures");
+const { signOrderForSwap } = require("../scripts/helpers/swapOrders");
 const moment = require("moment-timezone");
 moment.tz.setDefault("UTC");
 
@@ -28,21 +33,20 @@ let adminSigner,
   counterpartySigner,
   feeRecipientSigner;
 
-const WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
-const WBTC_ADDRESS = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
-const USDC_ADDRESS = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const {
+  weth: WETH_ADDRESS,
+  wbtc: WBTC_ADDRESS,
+  usdc: USDC_ADDRESS,
+  oTokenFactory: OTOKEN_FACTORY,
+  marginPool: MARGIN_POOL,
+  swap: SWAP_ADDRESS,
+} = getFixtureAddresses();
 const WBTC_OWNER_ADDRESS = "0xCA06411bd7a7296d7dbdd0050DFc846E95fEBEB7";
 const USDC_OWNER_ADDRESS = "0x47ac0fb4f2d84898e4d9e7b4dab3c24507a6d503";
 
 const CHAINLINK_WETH_PRICER = "0xAC05f5147566Cc949b73F0A776944E7011FabC50";
 const CHAINLINK_WBTC_PRICER = "0x5faCA6DF39c897802d752DfCb8c02Ea6959245Fc";
 
-const OTOKEN_FACTORY = "0x7C06792Af1632E77cb27a558Dc0885338F4Bdf8E";
-const MARGIN_POOL = "0x5934807cC0654d46755eBd2848840b616256C6Ef";
-const SWAP_ADDRESS = "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA";
-const SWAP_CONTRACT = "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA";
-const TRADER_AFFILIATE = "0xFf98F0052BdA391F8FaD266685609ffb192Bef25";
-
 const OPTION_DELAY = 60 * 60; // 1 hour
 const LOCKED_RATIO = parseEther("0.9");
 const WITHDRAWAL_BUFFER = parseEther("1").sub(LOCKED_RATIO);
@@ -52,7 +56,7 @@ const gasPrice = parseUnits("1", "gwei");
 const PUT_OPTION_TYPE = 1;
 const CALL_OPTION_TYPE = 2;
 
-describe("RibbonThetaVault", () => {
+describeWithFixtures("RibbonThetaVault", () => {
   behavesLikeRibbonOptionsVault({
     name: `Ribbon WBTC Theta Vault (Call)`,
     tokenName: "Ribbon BTC Theta Vault",
@@ -179,17 +183,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
     before(async function () {
       // Reset block
-      await network.provider.request({
-        method: "hardhat_reset",
-        params: [
-          {
-            forking: {
-              jsonRpcUrl: process.env.TEST_URI,
-              blockNumber: 12238727,
-            },
-          },
-        ],
-      });
+      await resetNetwork(12238727);
 
       initSnapshotId = await time.takeSnapshot();
 
@@ -330,7 +324,13 @@ function behavesLikeRibbonOptionsVault(params) {
         params.isPut
       );
       let receipt = await res.wait();
-      let events = await parseLog("IOtokenFactory", receipt.logs[1]);
+      // OtokenCreated is the only log of the factory
+      const findOtokenCreated = (logs) =>
+        logs.find((log) => log.address === OTOKEN_FACTORY);
+      let events = await parseLog(
+        "IOtokenFactory",
+        findOtokenCreated(receipt.logs)
+      );
 
       firstOption = {
         address: events.args.tokenAddress,
@@ -349,7 +349,10 @@ function behavesLikeRibbonOptionsVault(params) {
         params.isPut
       );
       receipt = await res.wait();
-      events = await parseLog("IOtokenFactory", receipt.logs[1]);
+      events = await parseLog(
+        "IOtokenFactory",
+        findOtokenCreated(receipt.logs)
+      );
 
       secondOption = {
         address: events.args.tokenAddress,
@@ -1049,6 +1052,7 @@ function behavesLikeRibbonOptionsVault(params) {
         const sellAmount = BigNumber.from("100000000");
 
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -1659,6 +1663,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
         // Perform the swap to deposit premiums and remove otokens
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -1788,6 +1793,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
         // Perform the swap to deposit premiums and remove otokens
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -1997,6 +2003,7 @@ function behavesLikeRibbonOptionsVault(params) {
         );
 
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2035,6 +2042,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when not selling option token", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2051,6 +2059,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when not buying asset token", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2067,6 +2076,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when sender.wallet is not vault", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: constants.AddressZero,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -3061,39 +3071,6 @@ function behavesLikeRibbonOptionsVault(params) {
   });
 }
 
-async function signOrderForSwap({
-  counterpartyAddress,
-  vaultAddress,
-  sellToken,
-  buyToken,
-  sellAmount,
-  buyAmount,
-  signerPrivateKey,
-}) {
-  let order = createOrder({
-    signer: {
-      wallet: counterpartyAddress,
-      token: buyToken,
-      amount: buyAmount,
-    },
-    sender: {
-      wallet: vaultAddress,
-      token: sellToken,
-      amount: sellAmount,
-    },
-    affiliate: {
-      wallet: TRADER_AFFILIATE,
-    },
-  });
-
-  const signedOrder = await signTypedDataOrder(
-    order,
-    signerPrivateKey,
-    SWAP_CONTRACT
-  );
-  return signedOrder;
-}
-
 async function depositIntoVault(asset, vault, amount) {
   if (asset === WETH_ADDRESS) {
     await vault.depositETH({ value: amount });
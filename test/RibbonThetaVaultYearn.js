@@ -4,9 +4,13 @@ const { parseUnits } = require("ethers/lib/utils");
 const { ethers } = require("hardhat");
 const { provider, getContractAt } = ethers;
 const { parseEther } = ethers.utils;
-const { createOrder, signTypedDataOrder } = require("@airswap/utils");
 
 const time = require("./helpers/time");
+const {
+  describeWithFixtures,
+  getFixtureAddresses,
+  resetNetwork,
+} = require("./helpers/fixtures");
 const {
   deployProxy,
   getDefaultArgs,
@@ -20,6 +24,7 @@ const {
   setAssetPricer,
   getAssetPricer,
 } = require("./helpers/utils");
+const { signOrderForSwap } = require("../scripts/helpers/swapOrders");
 const moment = require("moment-timezone");
 moment.tz.setDefault("UTC");
 
@@ -31,24 +36,23 @@ let adminSigner,
   counterpartySigner,
   feeRecipientSigner;
 
-const WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
-const WBTC_ADDRESS = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
+const {
+  weth: WETH_ADDRESS,
+  wbtc: WBTC_ADDRESS,
+  usdc: USDC_ADDRESS,
+  yvUsdc: Y_USDC_ADDRESS,
+  yearnUsdcPricer: YEARN_USDC_PRICER,
+  oTokenFactory: OTOKEN_FACTORY,
+  marginPool: MARGIN_POOL,
+  swap: SWAP_ADDRESS,
+} = getFixtureAddresses();
 // const Y_WBTC_ADDRESS = "0xA696a63cc78DfFa1a63E9E50587C197387FF6C7E";
-const USDC_ADDRESS = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
-const Y_USDC_ADDRESS = "0x5f18C75AbDAe578b483E5F43f12a39cF75b973a9";
 
 //const WBTC_OWNER_ADDRESS = "0xCA06411bd7a7296d7dbdd0050DFc846E95fEBEB7";
 const USDC_OWNER_ADDRESS = "0x47ac0fb4f2d84898e4d9e7b4dab3c24507a6d503";
 
-const YEARN_USDC_PRICER = "0xa35Be7F2130AE7B941a8698043bfbB9e21618049";
 const CHAINLINK_WETH_PRICER = "0xAC05f5147566Cc949b73F0A776944E7011FabC50";
 
-const OTOKEN_FACTORY = "0x7C06792Af1632E77cb27a558Dc0885338F4Bdf8E";
-const MARGIN_POOL = "0x5934807cC0654d46755eBd2848840b616256C6Ef";
-const SWAP_ADDRESS = "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA";
-const SWAP_CONTRACT = "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA";
-const TRADER_AFFILIATE = "0xFf98F0052BdA391F8FaD266685609ffb192Bef25";
-
 const OPTION_DELAY = 60 * 60; // 1 hour
 const LOCKED_RATIO = parseEther("0.9");
 const WITHDRAWAL_BUFFER = parseEther("1").sub(LOCKED_RATIO);
@@ -57,7 +61,7 @@ const gasPrice = parseUnits("1", "gwei");
 const PUT_OPTION_TYPE = 1;
 const CALL_OPTION_TYPE = 2;
 
-describe("RibbonThetaVaultYearn", () => {
+describeWithFixtures("RibbonThetaVaultYearn", () => {
   behavesLikeRibbonOptionsVault({
     name: `Ribbon ETH Yearn Theta Vault (Put) `,
     tokenName: "Ribbon ETH Yearn Theta Vault (Put)",
@@ -121,18 +125,9 @@ function behavesLikeRibbonOptionsVault(params) {
 
     before(async function () {
       // Reset block
-      await network.provider.request({
-        method: "hardhat_reset",
-        params: [
-          {
-            forking: {
-              jsonRpcUrl: process.env.TEST_URI,
-              blockNumber:
-                params.depositAsset == WETH_ADDRESS ? 12474917 : 12655142,
-            },
-          },
-        ],
-      });
+      await resetNetwork(
+        params.depositAsset == WETH_ADDRESS ? 12474917 : 12655142
+      );
 
       initSnapshotId = await time.takeSnapshot();
 
@@ -254,7 +249,13 @@ function behavesLikeRibbonOptionsVault(params) {
         params.isPut
       );
       let receipt = await res.wait();
-      let events = await parseLog("IOtokenFactory", receipt.logs[1]);
+      // OtokenCreated is the only log of the factory
+      const findOtokenCreated = (logs) =>
+        logs.find((log) => log.address === OTOKEN_FACTORY);
+      let events = await parseLog(
+        "IOtokenFactory",
+        findOtokenCreated(receipt.logs)
+      );
 
       firstOption = {
         address: events.args.tokenAddress,
@@ -273,7 +274,10 @@ function behavesLikeRibbonOptionsVault(params) {
         params.isPut
       );
       receipt = await res.wait();
-      events = await parseLog("IOtokenFactory", receipt.logs[1]);
+      events = await parseLog(
+        "IOtokenFactory",
+        findOtokenCreated(receipt.logs)
+      );
 
       secondOption = {
         address: events.args.tokenAddress,
@@ -1239,6 +1243,7 @@ function behavesLikeRibbonOptionsVault(params) {
         const sellAmount = BigNumber.from("100000000");
 
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -1933,6 +1938,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
         // Perform the swap to deposit premiums and remove otokens
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2100,6 +2106,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
         // Perform the swap to deposit premiums and remove otokens
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2334,6 +2341,7 @@ function behavesLikeRibbonOptionsVault(params) {
         );
 
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2372,6 +2380,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when not selling option token", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2388,6 +2397,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when not buying asset token", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: this.vault.address,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -2404,6 +2414,7 @@ function behavesLikeRibbonOptionsVault(params) {
 
       it("reverts when sender.wallet is not vault", async function () {
         const signedOrder = await signOrderForSwap({
+          swapContract: SWAP_ADDRESS,
           vaultAddress: constants.AddressZero,
           counterpartyAddress: counterparty,
           signerPrivateKey: this.counterpartyWallet.privateKey,
@@ -3523,39 +3534,6 @@ function behavesLikeRibbonOptionsVault(params) {
   });
 }
 
-async function signOrderForSwap({
-  counterpartyAddress,
-  vaultAddress,
-  sellToken,
-  buyToken,
-  sellAmount,
-  buyAmount,
-  signerPrivateKey,
-}) {
-  let order = createOrder({
-    signer: {
-      wallet: counterpartyAddress,
-      token: buyToken,
-      amount: buyAmount,
-    },
-    sender: {
-      wallet: vaultAddress,
-      token: sellToken,
-      amount: sellAmount,
-    },
-    affiliate: {
-      wallet: TRADER_AFFILIATE,
-    },
-  });
-
-  const signedOrder = await signTypedDataOrder(
-    order,
-    signerPrivateKey,
-    SWAP_CONTRACT
-  );
-  return signedOrder;
-}
-
 async function depositIntoVault(asset, vault, amount) {
   if (asset === WETH_ADDRESS) {
     await vault.depositETH({ value: amount });
@@ -0,0 +1,108 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { callProvider, getInterface } = require("./helpers/contracts");
+const {
+  ROLL_STEPS,
+  loadCurrentRollState,
+  saveRollState,
+} = require("../scripts/helpers/roll");
+
+const VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
+const OTOKEN = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const OTHER_OTOKEN = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+
+describe("Weekly roll", () => {
+  let statePath;
+
+  function completeRoll() {
+    const steps = {};
+    ROLL_STEPS.forEach((step) => {
+      steps[step] = { completedAt: FRIDAY_EXPIRY - 7 * 24 * 60 * 60 };
+    });
+    return {
+      network: "mainnet",
+      vault: VAULT,
+      dryRun: false,
+      otoken: OTOKEN,
+      steps,
+      updatedAt: FRIDAY_EXPIRY - 7 * 24 * 60 * 60,
+    };
+  }
+
+  // Vault rolled into `currentOption`, at a block mined at `timestamp`
+  async function vaultProvider(currentOption, timestamp) {
+    return {
+      ...callProvider({
+        [VAULT]: {
+          iface: await getInterface("RibbonThetaVault"),
+          calls: { currentOption: () => currentOption },
+        },
+        [currentOption]: {
+          iface: await getInterface("OtokenInterface"),
+          calls: { expiryTimestamp: () => FRIDAY_EXPIRY },
+        },
+      }),
+      getBlock: async () => ({ timestamp }),
+    };
+  }
+
+  async function loadState(provider) {
+    return loadCurrentRollState(statePath, "mainnet", VAULT, false, provider);
+  }
+
+  beforeEach(() => {
+    statePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "roll-")),
+      "RibbonETHCoveredCall.json"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+  });
+
+  describe("#loadCurrentRollState", () => {
+    it("keeps a complete roll until its option expires", async () => {
+      saveRollState(statePath, completeRoll());
+
+      const state = await loadState(
+        await vaultProvider(OTOKEN, FRIDAY_EXPIRY - 1)
+      );
+      assert.equal(state.otoken, OTOKEN);
+      assert.deepEqual(Object.keys(state.steps), [...ROLL_STEPS]);
+    });
+
+    it("starts a new roll once the option expired", async () => {
+      saveRollState(statePath, completeRoll());
+
+      const state = await loadState(await vaultProvider(OTOKEN, FRIDAY_EXPIRY));
+      assert.notProperty(state, "otoken");
+      assert.deepEqual(state.steps, {});
+      assert.isFalse(fs.existsSync(statePath));
+    });
+
+    it("starts a new roll once the vault rolled into another option", async () => {
+      saveRollState(statePath, completeRoll());
+
+      const state = await loadState(
+        await vaultProvider(OTHER_OTOKEN, FRIDAY_EXPIRY - 1)
+      );
+      assert.deepEqual(state.steps, {});
+    });
+
+    it("resumes an incomplete roll", async () => {
+      const roll = completeRoll();
+      delete roll.steps.sellOptions;
+      saveRollState(statePath, roll);
+
+      const state = await loadState(await vaultProvider(OTOKEN, FRIDAY_EXPIRY));
+      assert.deepEqual(Object.keys(state.steps), ROLL_STEPS.slice(0, 3));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { assert } = require("chai");
+
+const {
+  buildSafeBatch,
+  buildSafeTransaction,
+  calculateChecksum,
+  validateVaultCalls,
+} = require("../scripts/helpers/safeBatch");
+
+// Batch with the checksum of the Safe transaction builder
+const TX_BUILDER_BATCH = require("./fixtures/SafeBatch.json");
+
+const VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
+const SAFE = "0x77DA011d5314D80BE59e939c2f7EC2F702E1DCC4";
+const MANAGER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+const VAULT_ABI = [
+  {
+    type: "function",
+    name: "setCap",
+    inputs: [{ internalType: "uint256", name: "newCap", type: "uint256" }],
+    outputs: [],
+    stateMutability: "nonpayable",
+  },
+  {
+    type: "function",
+    name: "setManager",
+    inputs: [{ internalType: "address", name: "newManager", type: "address" }],
+    outputs: [],
+    stateMutability: "nonpayable",
+  },
+];
+
+function vaultTransaction(method, args) {
+  return buildSafeTransaction({ to: VAULT, abi: VAULT_ABI, method, args });
+}
+
+describe("Safe batches", () => {
+  describe("#calculateChecksum", () => {
+    it("matches the checksum of the transaction builder", () => {
+      assert.equal(
+        calculateChecksum(TX_BUILDER_BATCH),
+        TX_BUILDER_BATCH.meta.checksum
+      );
+    });
+
+    it("ignores the batch name", () => {
+      const renamed = {
+        ...TX_BUILDER_BATCH,
+        meta: { ...TX_BUILDER_BATCH.meta, name: "Renamed" },
+      };
+      assert.equal(calculateChecksum(renamed), TX_BUILDER_BATCH.meta.checksum);
+    });
+
+    it("changes with the transactions", () => {
+      const [setCap, setManager] = TX_BUILDER_BATCH.transactions;
+      const tampered = {
+        ...TX_BUILDER_BATCH,
+        transactions: [
+          { ...setCap, contractInputsValues: { newCap: "1" } },
+          setManager,
+        ],
+      };
+      assert.notEqual(
+        calculateChecksum(tampered),
+        TX_BUILDER_BATCH.meta.checksum
+      );
+    });
+  });
+
+  describe("#buildSafeBatch", () => {
+    it("builds the batch the transaction builder imports", () => {
+      const batch = buildSafeBatch({
+        chainId: 1,
+        safeAddress: SAFE.toLowerCase(),
+        name: "Raise the cap",
+        description: "Raises the cap and hands over the vault",
+        transactions: [
+          vaultTransaction("setCap", ["1000000000000000000000"]),
+          vaultTransaction("setManager", [MANAGER.toLowerCase()]),
+        ],
+        createdAt: 1619769600000,
+      });
+
+      assert.deepEqual(batch, TX_BUILDER_BATCH);
+    });
+  });
+
+  describe("#buildSafeTransaction", () => {
+    it("rejects a method missing from the ABI", () => {
+      assert.throws(
+        () => vaultTransaction("setFee", [1]),
+        /ABI has no function setFee/
+      );
+    });
+  });
+
+  describe("#validateVaultCalls", () => {
+    it("returns the role calling the methods", () => {
+      assert.equal(
+        validateVaultCalls(["setCap", "setWithdrawalFee"]),
+        "manager"
+      );
+      assert.equal(validateVaultCalls(["setManager"]), "owner");
+    });
+
+    it("rejects methods of different roles", () => {
+      assert.throws(
+        () => validateVaultCalls(["setCap", "setManager"]),
+        /different roles/
+      );
+    });
+
+    it("rejects a roll in the transaction committing the option", () => {
+      assert.throws(
+        () => validateVaultCalls(["commitAndClose", "rollToNextOption"]),
+        /waits for a delay/
+      );
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { assert } = require("chai");
+const http = require("http");
+const querystring = require("querystring");
+const { ethers } = require("ethers");
+
+const {
+  buildVerificationRequest,
+  verifySource,
+} = require("../scripts/helpers/sourceVerification");
+
+const LIBRARY = "0x8464135c8F25Da09e49BC8782676a84730C318bC";
+const VAULT_ARGS = [
+  "0x663F3ad617193148711d28f5334eE4Ed07016602",
+  "0xf764adBB39386BC744d533649D1EE3c86b0D6fD1",
+  "0x8464135c8F25Da09e49BC8782676a84730C318bC",
+  "0x663F3ad617193148711d28f5334eE4Ed07016602",
+  "0x2E983A1Ba5e8b38AAAeC4B440B9dDcFBf72E15d1",
+  "0xa513E6E4b8f2a923D98304ec87F64353C4D5C853",
+  "18",
+  "10000000000",
+  "false",
+];
+
+// Stands in for the Etherscan verification API, answering each check with the
+// next of `statuses`
+function startExplorer(statuses) {
+  const explorer = { submissions: [], checks: 0 };
+  explorer.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      let response;
+      if (req.method === "POST") {
+        explorer.submissions.push(querystring.parse(body));
+        response = { status: "1", message: "OK", result: "guid" };
+      } else {
+        const [status, result] = statuses[explorer.checks++];
+        response = { status, message: status === "1" ? "OK" : "NOTOK", result };
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve) => {
+    explorer.server.listen(0, "127.0.0.1", () => {
+      explorer.apiUrl = `http://127.0.0.1:${
+        explorer.server.address().port
+      }/api`;
+      resolve(explorer);
+    });
+  });
+}
+
+describe("Source verification", () => {
+  beforeEach(function () {
+    this.entry = {
+      name: "RibbonETHCoveredCallLogic",
+      contract: "RibbonThetaVault",
+      address: "0x9726Fc549AcaA0791d8c170843a031ec1D2f8a68",
+      constructorArgs: VAULT_ARGS,
+      libraries: { ProtocolAdapter: LIBRARY },
+    };
+  });
+
+  afterEach(function () {
+    if (this.explorer) {
+      this.explorer.server.close();
+    }
+  });
+
+  describe("#buildVerificationRequest", () => {
+    it("flattens the sources with the compiler settings", async function () {
+      const request = await buildVerificationRequest(this.entry);
+
+      assert.equal(request.contractaddress, this.entry.address);
+      assert.equal(request.contractname, "RibbonThetaVault");
+      assert.equal(request.codeformat, "solidity-single-file");
+      const artifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+      const buildInfo = await hre.artifacts.getBuildInfo(
+        `${artifact.sourceName}:RibbonThetaVault`
+      );
+      assert.equal(request.compilerversion, `v${buildInfo.solcLongVersion}`);
+      assert.equal(buildInfo.solcVersion, "0.7.2");
+      assert.equal(request.optimizationUsed, 1);
+      assert.equal(request.runs, 200);
+      assert.include(request.sourceCode, "contract RibbonThetaVault is");
+      assert.include(request.sourceCode, "library ProtocolAdapter");
+      assert.notInclude(request.sourceCode, "\nimport ");
+    });
+
+    it("encodes the constructor arguments and the libraries", async function () {
+      const request = await buildVerificationRequest(this.entry);
+      const artifact = await hre.artifacts.readArtifact("RibbonThetaVault");
+      const deployData = new ethers.utils.Interface(artifact.abi).encodeDeploy([
+        ...VAULT_ARGS.slice(0, 8),
+        false,
+      ]);
+
+      assert.equal(request.constructorArguements, deployData.slice(2));
+      assert.equal(request.libraryname1, "ProtocolAdapter");
+      assert.equal(request.libraryaddress1, LIBRARY);
+    });
+  });
+
+  describe("#verifySource", () => {
+    it("submits the sources and waits for the verification", async function () {
+      this.explorer = await startExplorer([
+        ["0", "Pending in queue"],
+        ["1", "Pass - Verified"],
+      ]);
+
+      const result = await verifySource(this.entry, {
+        apiUrl: this.explorer.apiUrl,
+        apiKey: "key",
+        pollInterval: 1,
+      });
+
+      assert.deepEqual(result, {
+        status: "verified",
+        message: "Pass - Verified",
+      });
+      assert.equal(this.explorer.submissions.length, 1);
+      assert.equal(this.explorer.submissions[0].apikey, "key");
+      assert.equal(this.explorer.submissions[0].action, "verifysourcecode");
+      assert.equal(this.explorer.checks, 2);
+    });
+
+    it("reports the sources the explorer rejects", async function () {
+      this.explorer = await startExplorer([["0", "Fail - Unable to verify"]]);
+
+      const result = await verifySource(this.entry, {
+        apiUrl: this.explorer.apiUrl,
+        apiKey: "key",
+        pollInterval: 1,
+      });
+
+      assert.deepEqual(result, {
+        status: "failed",
+        message: "Fail - Unable to verify",
+      });
+    });
+  });
+});
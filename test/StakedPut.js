@@ -7,6 +7,7 @@ const { getDefaultArgs } = require("./helpers/utils");
 const { parseEther } = ethers.utils;
 
 const time = require("./helpers/time");
+const { describeOnFork } = require("./helpers/fixtures");
 const { deployProxy } = require("./helpers/utils");
 
 let user;
@@ -26,7 +27,7 @@ const WBTC_OPTIONS_ADDRESS = "0x3961245db602ed7c03eeccda33ea3846bd8723bd";
 
 const gasPrice = parseUnits("1", "gwei");
 
-describe("StakedPut", () => {
+describeOnFork("StakedPut", () => {
   before(async function () {
     await network.provider.request({
       method: "hardhat_reset",
@@ -0,0 +1,155 @@
+const { assert } = require("chai");
+
+const {
+  getDelta,
+  getNextFriday,
+  getStrikeForDelta,
+  getStrikeStep,
+  roundToStrikeGrid,
+  selectStrike,
+} = require("../scripts/helpers/strikeSelection");
+
+// Friday 30 April 2021 08:00 UTC
+const FRIDAY_EXPIRY = 1619769600;
+const DAY = 24 * 60 * 60;
+const HOUR = 60 * 60;
+
+describe("Strike selection", () => {
+  describe("#getNextFriday", () => {
+    it("returns the coming Friday 08:00 UTC", () => {
+      assert.equal(getNextFriday(FRIDAY_EXPIRY - 4 * DAY), FRIDAY_EXPIRY);
+      assert.equal(getNextFriday(FRIDAY_EXPIRY - 2 * HOUR), FRIDAY_EXPIRY);
+    });
+
+    it("skips a Friday too close for the vault delay", () => {
+      assert.equal(
+        getNextFriday(FRIDAY_EXPIRY - HOUR + 1),
+        FRIDAY_EXPIRY + 7 * DAY
+      );
+      assert.equal(
+        getNextFriday(FRIDAY_EXPIRY + HOUR),
+        FRIDAY_EXPIRY + 7 * DAY
+      );
+    });
+  });
+
+  describe("#getStrikeStep", () => {
+    it("is half of the second most significant digit", () => {
+      assert.equal(getStrikeStep(2500), 50);
+      assert.equal(getStrikeStep(55000), 500);
+      assert.equal(getStrikeStep(950), 5);
+    });
+  });
+
+  describe("#roundToStrikeGrid", () => {
+    it("rounds calls up and puts down", () => {
+      assert.equal(roundToStrikeGrid(2410, 50, false), 2450);
+      assert.equal(roundToStrikeGrid(2410, 50, true), 2400);
+    });
+
+    it("keeps a strike already on the grid", () => {
+      assert.equal(roundToStrikeGrid(2400, 50, false), 2400);
+      assert.equal(roundToStrikeGrid(2400, 50, true), 2400);
+      // 0.3 / 0.1 is 2.9999999999999996 in floating point
+      assert.equal(roundToStrikeGrid(0.3, 0.1, false), 0.3);
+      assert.equal(roundToStrikeGrid(0.3, 0.1, true), 0.3);
+    });
+  });
+
+  describe("#getStrikeForDelta", () => {
+    it("inverts the delta", () => {
+      const timeToExpiry = 7 / 365;
+      [false, true].forEach((isPut) => {
+        const strike = getStrikeForDelta(2000, 0.1, 0.9, timeToExpiry, isPut);
+        assert.approximately(
+          getDelta(2000, strike, 0.9, timeToExpiry, isPut),
+          0.1,
+          1e-6
+        );
+      });
+    });
+
+    it("rejects a delta outside of 0 and 1", () => {
+      assert.throws(() => getStrikeForDelta(2000, 1, 0.9, 0.1, false), /Delta/);
+      assert.throws(() => getStrikeForDelta(2000, 0, 0.9, 0.1, true), /Delta/);
+    });
+  });
+
+  describe("#selectStrike", () => {
+    const now = FRIDAY_EXPIRY - 7 * DAY;
+
+    it("selects an OTM percentage strike on the grid", () => {
+      const call = selectStrike({
+        spot: 2010,
+        iv: 0.9,
+        isPut: false,
+        otmPercentage: 10,
+        now,
+      });
+      assert.equal(call.expiry, FRIDAY_EXPIRY);
+      assert.approximately(call.targetStrike, 2211, 1e-9);
+      assert.equal(call.strikeStep, 50);
+      assert.equal(call.strike, 2250);
+      assert.equal(call.strikePrice, "225000000000");
+
+      const put = selectStrike({
+        spot: 2010,
+        iv: 0.9,
+        isPut: true,
+        otmPercentage: 10,
+        now,
+      });
+      assert.equal(put.strike, 1800);
+      assert.equal(put.strikePrice, "180000000000");
+    });
+
+    it("selects a delta strike no closer to the money than targeted", () => {
+      const call = selectStrike({
+        spot: 2000,
+        iv: 0.9,
+        isPut: false,
+        delta: 0.1,
+        now,
+      });
+      assert.isAtLeast(call.strike, call.targetStrike);
+      assert.isAtMost(call.delta, 0.1);
+      assert.equal(call.strike % call.strikeStep, 0);
+    });
+
+    it("uses the given strike step", () => {
+      const selection = selectStrike({
+        spot: 2010,
+        iv: 0.9,
+        isPut: false,
+        otmPercentage: 10,
+        strikeStep: 100,
+        now,
+      });
+      assert.equal(selection.strike, 2300);
+    });
+
+    it("needs exactly one target", () => {
+      const params = { spot: 2000, iv: 0.9, isPut: false, now };
+      assert.throws(() => selectStrike(params), /Either a delta/);
+      assert.throws(
+        () => selectStrike({ ...params, delta: 0.1, otmPercentage: 10 }),
+        /Either a delta/
+      );
+    });
+
+    it("rejects a strike rounded to zero", () => {
+      assert.throws(
+        () =>
+          selectStrike({
+            spot: 2000,
+            iv: 0.9,
+            isPut: true,
+            otmPercentage: 99,
+            strikeStep: 50,
+            now,
+          }),
+        /rounds to 0/
+      );
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BigNumber, ethers } = require("ethers");
+
+const {
+  TransactionManager,
+  getReplacementFees,
+  readJournal,
+} = require("../scripts/helpers/transactions");
+
+const { parseUnits } = ethers.utils;
+const FROM = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const TO = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BLOCK_HASH = ethers.utils.id("block");
+
+function gwei(amount) {
+  return parseUnits(amount, "gwei");
+}
+
+function transaction(hash, fields) {
+  return {
+    hash,
+    nonce: 5,
+    from: FROM,
+    to: TO,
+    data: "0x",
+    value: BigNumber.from(0),
+    gasLimit: BigNumber.from(21000),
+    ...fields,
+  };
+}
+
+function receipt(hash) {
+  return {
+    transactionHash: hash,
+    blockNumber: 10,
+    blockHash: BLOCK_HASH,
+    from: FROM,
+    status: 1,
+    gasUsed: BigNumber.from(21000),
+    logs: [],
+  };
+}
+
+// Node on which the given transactions are mined at block 10
+function stubProvider(mined) {
+  return {
+    getBlockNumber: async () => 10,
+    getTransaction: async (hash) => transaction(hash, { gasPrice: gwei("10") }),
+    getTransactionReceipt: async (hash) =>
+      mined.includes(hash) ? receipt(hash) : null,
+  };
+}
+
+describe("Transaction manager", () => {
+  let journalPath;
+
+  beforeEach(() => {
+    journalPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "transactions-")),
+      "test.jsonl"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(journalPath), { recursive: true, force: true });
+  });
+
+  describe("#getReplacementFees", () => {
+    it("bumps the gas price of a legacy transaction by 10%", () => {
+      const fees = getReplacementFees(
+        transaction("0x1", { type: 0, gasPrice: gwei("100") }),
+        null
+      );
+      assert.deepEqual(Object.keys(fees), ["gasPrice"]);
+      assert.equal(fees.gasPrice.toString(), gwei("110").toString());
+    });
+
+    it("bumps both fees of an EIP-1559 transaction by 10%", () => {
+      const fees = getReplacementFees(
+        transaction("0x1", {
+          type: 2,
+          maxFeePerGas: gwei("200"),
+          maxPriorityFeePerGas: gwei("2"),
+        }),
+        null
+      );
+      assert.equal(fees.maxFeePerGas.toString(), gwei("220").toString());
+      assert.equal(
+        fees.maxPriorityFeePerGas.toString(),
+        gwei("2.2").toString()
+      );
+      assert.notProperty(fees, "gasPrice");
+    });
+
+    it("pays the current fees when they rose more than the bump", () => {
+      const legacy = getReplacementFees(
+        transaction("0x1", { type: 0, gasPrice: gwei("100") }),
+        { gasPrice: gwei("150") }
+      );
+      assert.equal(legacy.gasPrice.toString(), gwei("150").toString());
+
+      const eip1559 = getReplacementFees(
+        transaction("0x1", {
+          type: 2,
+          maxFeePerGas: gwei("200"),
+          maxPriorityFeePerGas: gwei("2"),
+        }),
+        { maxFeePerGas: gwei("300"), maxPriorityFeePerGas: gwei("1") }
+      );
+      assert.equal(eip1559.maxFeePerGas.toString(), gwei("300").toString());
+      assert.equal(
+        eip1559.maxPriorityFeePerGas.toString(),
+        gwei("2.2").toString()
+      );
+    });
+
+    it("keeps the max fee above the priority fee", () => {
+      const fees = getReplacementFees(
+        transaction("0x1", {
+          type: 2,
+          maxFeePerGas: gwei("10"),
+          maxPriorityFeePerGas: gwei("2"),
+        }),
+        { maxFeePerGas: gwei("10"), maxPriorityFeePerGas: gwei("20") }
+      );
+      assert.equal(fees.maxFeePerGas.toString(), gwei("20").toString());
+      assert.equal(fees.maxPriorityFeePerGas.toString(), gwei("20").toString());
+    });
+
+    it("pays the current fees up to the max gas price", () => {
+      const legacy = getReplacementFees(
+        transaction("0x1", { type: 0, gasPrice: gwei("100") }),
+        { gasPrice: gwei("150") },
+        gwei("120")
+      );
+      assert.equal(legacy.gasPrice.toString(), gwei("120").toString());
+
+      const eip1559 = getReplacementFees(
+        transaction("0x1", {
+          type: 2,
+          maxFeePerGas: gwei("100"),
+          maxPriorityFeePerGas: gwei("2"),
+        }),
+        { maxFeePerGas: gwei("300"), maxPriorityFeePerGas: gwei("3") },
+        gwei("120")
+      );
+      assert.equal(eip1559.maxFeePerGas.toString(), gwei("120").toString());
+      assert.equal(
+        eip1559.maxPriorityFeePerGas.toString(),
+        gwei("3").toString()
+      );
+    });
+
+    it("rejects a bump above the max gas price", () => {
+      assert.throws(
+        () =>
+          getReplacementFees(
+            transaction("0x1", { type: 0, gasPrice: gwei("100") }),
+            null,
+            gwei("105")
+          ),
+        /needs 110.0 gwei, above the max gas price of 105.0 gwei/
+      );
+    });
+  });
+
+  it("reads the pending nonce again after a failed send", async () => {
+    const sentNonces = [];
+    let pendingCount = 0;
+    const provider = stubProvider(["0x2"]);
+    const signer = {
+      provider,
+      getAddress: async () => FROM,
+      getTransactionCount: async (blockTag) => {
+        assert.equal(blockTag, "pending");
+        pendingCount++;
+        return 5;
+      },
+      sendTransaction: async (request) => {
+        sentNonces.push(request.nonce);
+        if (sentNonces.length === 1) {
+          throw new Error("insufficient funds");
+        }
+        return transaction("0x2", { gasPrice: gwei("10") });
+      },
+    };
+    const manager = new TransactionManager({
+      network: "test",
+      signer,
+      journalPath,
+    });
+    const request = { to: TO, value: 1, gasLimit: 21000 };
+
+    let error;
+    try {
+      await manager.send(request, { label: "first" });
+    } catch (e) {
+      error = e;
+    }
+    assert.equal(error.message, "insufficient funds");
+
+    const sent = await manager.send(request, { label: "second" });
+    assert.equal(sent.hash, "0x2");
+    assert.deepEqual(sentNonces, [5, 5]);
+    assert.equal(pendingCount, 2);
+  });
+
+  it("waits for the transaction again when it is reorged out", async () => {
+    // Mined in block 10, then in block 11 once block 10 is reorged out
+    const receipts = [
+      receipt("0x2"),
+      { ...receipt("0x2"), blockNumber: 11, blockHash: ethers.utils.id("11") },
+    ];
+    let receiptCalls = 0;
+    const provider = {
+      getBlockNumber: async () => 13,
+      getTransactionReceipt: async () =>
+        receipts[Math.min(receiptCalls++, receipts.length - 1)],
+    };
+    const signer = {
+      provider,
+      getAddress: async () => FROM,
+      getTransactionCount: async () => 5,
+      sendTransaction: async () => transaction("0x2", { gasPrice: gwei("10") }),
+    };
+    const manager = new TransactionManager({
+      network: "mainnet",
+      signer,
+      journalPath,
+    });
+    assert.equal(manager.options.confirmations, 3);
+
+    const sent = await manager.send(
+      { to: TO, value: 1, gasLimit: 21000 },
+      { label: "reorged" }
+    );
+    assert.equal(sent.receipt.blockNumber, 11);
+    assert.deepEqual(
+      readJournal(journalPath).map((entry) => entry.status),
+      ["sent", "reorged", "mined"]
+    );
+  });
+
+  it("confirms the original when it is mined while it is replaced", async () => {
+    const mined = [];
+    const provider = stubProvider(mined);
+    const signer = {
+      provider,
+      getAddress: async () => FROM,
+      sendTransaction: async () => {
+        // The pending transaction lands before its replacement is sent
+        mined.push("0x1");
+        const error = new Error("nonce too low");
+        error.code = ethers.errors.NONCE_EXPIRED;
+        throw error;
+      },
+    };
+    const manager = new TransactionManager({
+      network: "test",
+      signer,
+      journalPath,
+    });
+
+    const sent = await manager.speedUp("0x1");
+    assert.equal(sent.hash, "0x1");
+    assert.equal(sent.receipt.blockNumber, 10);
+
+    const journal = readJournal(journalPath);
+    assert.deepEqual(
+      journal.map((entry) => [entry.hash, entry.status]),
+      [["0x1", "mined"]]
+    );
+  });
+});
@@ -0,0 +1,57 @@
+const { assert } = require("chai");
+const { ethers } = require("ethers");
+
+const {
+  getVaultDeployment,
+  getVaultManifest,
+} = require("../scripts/helpers/vaultManifest");
+const ACCOUNTS = require("../constants/accounts.json");
+const DEPLOYMENTS = require("../constants/deployments.json");
+const EXTERNAL_ADDRESSES = require("../constants/externalAddresses.json");
+
+describe("Vault manifest", () => {
+  getVaultManifest().forEach((vault) => {
+    describe(vault.name, () => {
+      vault.networks.forEach((network) => {
+        it(`encodes the deployment on ${network}`, async function () {
+          const deployment = getVaultDeployment(vault, {
+            externalAddresses: EXTERNAL_ADDRESSES[network],
+            deployments: DEPLOYMENTS[network],
+            accounts: ACCOUNTS[network],
+          });
+          const artifact = await hre.artifacts.readArtifact(vault.contract);
+          const vaultInterface = new ethers.utils.Interface(artifact.abi);
+
+          assert.equal(deployment.logicName, `${vault.name}Logic`);
+          // Throws when the arguments do not match the constructor
+          vaultInterface.encodeDeploy(deployment.constructorArgs);
+
+          const initializeArgs = vaultInterface.decodeFunctionData(
+            "initialize",
+            deployment.initializeData
+          );
+          assert.deepEqual(initializeArgs.map(String), [
+            ACCOUNTS[network].owner,
+            ACCOUNTS[network].owner,
+            ethers.utils.parseUnits(vault.cap, vault.decimals).toString(),
+            vault.tokenName,
+            vault.tokenSymbol,
+          ]);
+        });
+      });
+    });
+  });
+
+  it("resolves the Yearn vault the collateral is deposited into", () => {
+    const [vault] = getVaultManifest("kovan").filter(
+      ({ name }) => name === "RibbonETHYearnCoveredCall"
+    );
+    const { constructorArgs } = getVaultDeployment(vault, {
+      externalAddresses: EXTERNAL_ADDRESSES.kovan,
+      deployments: DEPLOYMENTS.kovan,
+      accounts: ACCOUNTS.kovan,
+    });
+
+    assert.equal(constructorArgs[4], EXTERNAL_ADDRESSES.kovan.assets.yvweth);
+  });
+});
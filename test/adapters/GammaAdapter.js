@@ -4,6 +4,7 @@ const { provider, BigNumber, constants } = ethers;
 const { parseEther } = ethers.utils;
 
 const time = require("../helpers/time.js");
+const { describeOnFork } = require("../helpers/fixtures");
 const ZERO_EX_API_RESPONSES = require("../fixtures/GammaAdapter.json");
 const {
   wmul,
@@ -32,7 +33,7 @@ let ownerSigner, userSigner, recipientSigner;
 const PUT_OPTION_TYPE = 1;
 const CALL_OPTION_TYPE = 2;
 
-describe("GammaAdapter", () => {
+describeOnFork("GammaAdapter", () => {
   let initSnapshotId;
 
   before(async function () {
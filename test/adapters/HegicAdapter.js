@@ -3,6 +3,7 @@ const { ethers } = require("hardhat");
 const { constants, provider, BigNumber } = ethers;
 const { parseEther } = ethers.utils;
 const time = require("../helpers/time");
+const { describeOnFork } = require("../helpers/fixtures");
 const { parseLog } = require("../helpers/utils");
 
 const HEGIC_ETH_OPTIONS = "0xEfC0eEAdC1132A12c9487d800112693bf49EcfA2";
@@ -15,7 +16,7 @@ let user, recipient;
 const PUT_OPTION_TYPE = 1;
 const CALL_OPTION_TYPE = 2;
 
-describe("HegicAdapter", () => {
+describeOnFork("HegicAdapter", () => {
   let initSnapshotId, snapshotId;
   const gasPrice = ethers.utils.parseUnits("1", "gwei");
 
@@ -0,0 +1,33 @@
+const { artifacts } = require("hardhat");
+const { ethers } = require("ethers");
+
+module.exports = {
+  callProvider,
+  getInterface,
+};
+
+/**
+ * Provider answering the calls of stubbed contracts
+ * @param contracts is the interface and the method handlers of each contract by address,
+ * a handler receives the call arguments and block tag and returns the call results
+ */
+function callProvider(contracts) {
+  return {
+    _isProvider: true,
+    resolveName: async (name) => name,
+    call: async (tx, blockTag) => {
+      const { iface, calls } = contracts[ethers.utils.getAddress(tx.to)];
+      const call = iface.parseTransaction({ data: tx.data });
+      const result = calls[call.name](call.args, blockTag);
+      return iface.encodeFunctionResult(
+        call.name,
+        Array.isArray(result) ? result : [result]
+      );
+    },
+  };
+}
+
+async function getInterface(contract, fragments = []) {
+  const artifact = await artifacts.readArtifact(contract);
+  return new ethers.utils.Interface([...artifact.abi, ...fragments]);
+}
@@ -0,0 +1,214 @@
+const { ethers, network } = require("hardhat");
+const { getContractAddress } = ethers.utils;
+
+module.exports = {
+  isOffline,
+  describeOnFork,
+  describeWithFixtures,
+  getFixtureAddresses,
+  resetNetwork,
+};
+
+// Set TEST_OFFLINE=true to run the suites against locally deployed mocks
+// instead of a mainnet fork, so no archive node is needed
+const OFFLINE = process.env.TEST_OFFLINE === "true";
+
+const MAINNET_ADDRESSES = {
+  weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+  wbtc: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599",
+  usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+  oTokenFactory: "0x7C06792Af1632E77cb27a558Dc0885338F4Bdf8E",
+  gammaController: "0x4ccc2339F87F6c59c6893E1A678c2266cA58dC72",
+  marginPool: "0x5934807cC0654d46755eBd2848840b616256C6Ef",
+  gammaOracle: "0xc497f40D1B7db6FA5017373f1a0Ec6d53126Da23",
+  gammaWhitelist: "0xa5EA18ac6865f315ff5dD9f1a7fb1d41A30a6779",
+  swap: "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA",
+  yearnRegistry: "0x50c1a2eA0a861A967D9d0FFE2AE4012c2E053804",
+  yvUsdc: "0x5f18C75AbDAe578b483E5F43f12a39cF75b973a9",
+  yearnUsdcPricer: "0xa35Be7F2130AE7B941a8698043bfbB9e21618049",
+};
+
+// yvUSDC share price at the block the Yearn suite forks, so both runs wrap the same amounts
+const YV_USDC_SHARE_PRICE = "1060633673145000000";
+
+// The mocks are deployed from the last hardhat account, which the suites never use,
+// so their addresses only depend on the deployer nonce and are known before deploying
+const MOCK_DEPLOYER_PATH = "m/44'/60'/0'/0/19";
+
+// Transactions deploying the mocks, in nonce order
+const MOCK_DEPLOYMENTS = [
+  { name: "weth", contract: "MockWETH", args: () => [] },
+  {
+    name: "usdc",
+    contract: "MockERC20",
+    args: () => ["USD Coin", "USDC", 0],
+    decimals: 6,
+  },
+  {
+    name: "wbtc",
+    contract: "MockERC20",
+    args: () => ["Wrapped BTC", "WBTC", 0],
+    decimals: 8,
+  },
+  { name: "gammaOracle", contract: "MockGammaOracle", args: () => [] },
+  { name: "gammaWhitelist", contract: "MockGammaWhitelist", args: () => [] },
+  {
+    name: "gammaController",
+    contract: "MockGammaVaultController",
+    args: (addresses) => [addresses.gammaOracle],
+  },
+  {
+    name: "oTokenFactory",
+    contract: "MockOtokenFactory",
+    args: (addresses) => [addresses.gammaController, addresses.gammaWhitelist],
+  },
+  { name: "swap", contract: "MockSwap", args: () => [] },
+  { name: "yearnRegistry", contract: "MockYearnRegistry", args: () => [] },
+  {
+    name: "yvUsdc",
+    contract: "MockYearnVault",
+    args: (addresses) => [
+      "USDC yVault",
+      "yvUSDC",
+      addresses.usdc,
+      YV_USDC_SHARE_PRICE,
+    ],
+  },
+  {
+    name: "yearnUsdcPricer",
+    contract: "MockYearnPricer",
+    args: (addresses) => [addresses.yvUsdc, addresses.gammaOracle],
+  },
+];
+
+let mockAddresses;
+
+function isOffline() {
+  return OFFLINE;
+}
+
+/**
+ * Defines a suite which needs mainnet state. It has no mock fixtures, so it is skipped
+ * with a visible reason when running offline or without a fork URL.
+ */
+function describeOnFork(title, fn) {
+  let reason = null;
+  if (OFFLINE) {
+    reason = "needs a mainnet fork, TEST_OFFLINE is set";
+  } else if (!process.env.TEST_URI) {
+    reason = "needs a mainnet fork, TEST_URI is not set";
+  }
+
+  if (reason) {
+    console.warn(`Skipping ${title}: ${reason}`);
+    return describe.skip(`${title} (skipped: ${reason})`, fn);
+  }
+  return describe(title, fn);
+}
+
+/**
+ * Defines a suite which runs on a mainnet fork or offline against the mocks. It is skipped
+ * with a visible reason when there is neither a fork URL nor TEST_OFFLINE.
+ */
+function describeWithFixtures(title, fn) {
+  if (!OFFLINE && !process.env.TEST_URI) {
+    const reason = "needs TEST_URI for a mainnet fork or TEST_OFFLINE=true";
+    console.warn(`Skipping ${title}: ${reason}`);
+    return describe.skip(`${title} (skipped: ${reason})`, fn);
+  }
+  return describe(title, fn);
+}
+
+/**
+ * Returns the addresses of the tokens and of the Gamma, AirSwap and Yearn contracts,
+ * the mainnet ones on a fork and the mocks offline
+ */
+function getFixtureAddresses() {
+  return OFFLINE ? getMockAddresses() : MAINNET_ADDRESSES;
+}
+
+/**
+ * Resets the network to a mainnet fork at `blockNumber`, or offline to an empty
+ * network with the mocks deployed
+ * @param {number} blockNumber - Block of the mainnet fork
+ */
+async function resetNetwork(blockNumber) {
+  if (!OFFLINE) {
+    if (!process.env.TEST_URI) {
+      throw new Error(
+        "Cannot fork mainnet: set TEST_URI to an archive node, or TEST_OFFLINE=true to use the mocks"
+      );
+    }
+    await network.provider.request({
+      method: "hardhat_reset",
+      params: [
+        {
+          forking: {
+            jsonRpcUrl: process.env.TEST_URI,
+            blockNumber,
+          },
+        },
+      ],
+    });
+    return;
+  }
+
+  await network.provider.request({ method: "hardhat_reset", params: [] });
+  await deployMocks();
+}
+
+async function deployMocks() {
+  const deployer = ethers.Wallet.fromMnemonic(
+    process.env.TEST_MNEMONIC,
+    MOCK_DEPLOYER_PATH
+  ).connect(ethers.provider);
+  const addresses = getMockAddresses();
+
+  for (const { name, contract, args, decimals } of MOCK_DEPLOYMENTS) {
+    const factory = await ethers.getContractFactory(contract, deployer);
+    const mock = await factory.deploy(...args(addresses));
+    if (mock.address !== addresses[name]) {
+      throw new Error(
+        `${name} deployed at ${mock.address} instead of ${addresses[name]}`
+      );
+    }
+    if (decimals) {
+      await mock.setDecimals(decimals);
+    }
+  }
+
+  const oracle = await ethers.getContractAt(
+    "MockGammaOracle",
+    addresses.gammaOracle,
+    deployer
+  );
+  await oracle.setStablePrice(addresses.usdc, "100000000");
+
+  const registry = await ethers.getContractAt(
+    "MockYearnRegistry",
+    addresses.yearnRegistry,
+    deployer
+  );
+  await registry.setVault(addresses.usdc, addresses.yvUsdc);
+}
+
+function getMockAddresses() {
+  if (mockAddresses) {
+    return mockAddresses;
+  }
+  const from = ethers.Wallet.fromMnemonic(
+    process.env.TEST_MNEMONIC,
+    MOCK_DEPLOYER_PATH
+  ).address;
+
+  let nonce = 0;
+  mockAddresses = {};
+  for (const { name, decimals } of MOCK_DEPLOYMENTS) {
+    mockAddresses[name] = getContractAddress({ from, nonce });
+    // setDecimals is sent right after the deployment
+    nonce += decimals ? 2 : 1;
+  }
+  // The controller is also the margin pool holding the collateral
+  mockAddresses.marginPool = mockAddresses.gammaController;
+  return mockAddresses;
+}
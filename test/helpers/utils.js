@@ -3,6 +3,12 @@ const { ethers, artifacts } = require("hardhat");
 const { provider, BigNumber, constants } = ethers;
 const { parseEther } = ethers.utils;
 const time = require("./time");
+const { getFixtureAddresses, isOffline } = require("./fixtures");
+const {
+  impersonate,
+  stopImpersonating,
+  forceSend,
+} = require("../../scripts/helpers/impersonation");
 
 const wbtcAbi = require("../../constants/abis/WBTC.json");
 const ORACLE_ABI = require("../../constants/abis/OpynOracle.json");
@@ -54,24 +60,25 @@ const ORACLE_DISPUTE_PERIOD = 7200;
 const ORACLE_LOCKING_PERIOD = 300;
 
 const ORACLE_OWNER = "0x638E5DA0EEbbA58c67567bcEb4Ab2dc8D34853FB";
-const USDC_ADDRESS = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const {
+  usdc: USDC_ADDRESS,
+  wbtc: WBTC_ADDRESS,
+  weth: WETH_ADDRESS,
+  marginPool: MARGIN_POOL,
+  gammaController: GAMMA_CONTROLLER,
+  gammaOracle: GAMMA_ORACLE,
+  gammaWhitelist: GAMMA_WHITELIST,
+  oTokenFactory: OTOKEN_FACTORY,
+} = getFixtureAddresses();
+// const GAMMA_ORACLE_V2 = "0x55a50c75c7f82943dc4755b2964f4f3f6ab5d5af";
 const HEGIC_ETH_OPTIONS = "0xEfC0eEAdC1132A12c9487d800112693bf49EcfA2";
 const HEGIC_WBTC_OPTIONS = "0x3961245DB602eD7c03eECcda33eA3846bD8723BD";
-const WBTC_ADDRESS = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
 const ETH_ADDRESS = constants.AddressZero;
 const ETH_WBTC_PAIR_ADDRESS = "0xbb2b8038a1640196fbe3e38816f3e67cba72d940";
 
 const USDCETH_PRICE_FEED = "0x986b5E1e1755e3C2440e960477f25201B0a8bbD4";
 const ZERO_EX_EXCHANGE_V3 = "0xDef1C0ded9bec7F1a1670819833240f027b25EfF";
-const MARGIN_POOL = "0x5934807cC0654d46755eBd2848840b616256C6Ef";
-const GAMMA_CONTROLLER = "0x4ccc2339F87F6c59c6893E1A678c2266cA58dC72";
-
-const GAMMA_ORACLE = "0xc497f40D1B7db6FA5017373f1a0Ec6d53126Da23";
-// const GAMMA_ORACLE_V2 = "0x55a50c75c7f82943dc4755b2964f4f3f6ab5d5af";
-const GAMMA_WHITELIST = "0xa5EA18ac6865f315ff5dD9f1a7fb1d41A30a6779";
-const OTOKEN_FACTORY = "0x7C06792Af1632E77cb27a558Dc0885338F4Bdf8E";
 const UNISWAP_ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
-const WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
 
 const CHARM_OPTION_VIEWS = "0x3cb5d4aeb622A72CF971D4F308e767C53be4E815";
 const CHARM_OPTION_REGISTRY = "0x574467e54F1E145d0d1a9a96560a7704fEdAd1CD";
@@ -224,19 +231,17 @@ async function parseLog(contractName, log) {
 }
 
 async function mintAndApprove(tokenAddress, userSigner, spender, amount) {
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: ["0xca06411bd7a7296d7dbdd0050dfc846e95febeb7"],
-  });
-  const wbtcMinter = await ethers.provider.getSigner(
+  const [adminSigner] = await ethers.getSigners();
+  const wbtcMinter = await impersonate(
+    provider,
     "0xca06411bd7a7296d7dbdd0050dfc846e95febeb7"
   );
-  const forceSendContract = await ethers.getContractFactory("ForceSend");
-  const forceSend = await forceSendContract.deploy(); // force Send is a contract that forces the sending of Ether to WBTC minter (which is a contract with no receive() function)
-  await forceSend.deployed();
-  await forceSend.go("0xca06411bd7a7296d7dbdd0050dfc846e95febeb7", {
-    value: parseEther("1"),
-  });
+  // The WBTC minter is a contract with no receive() function
+  await forceSend(
+    adminSigner,
+    "0xca06411bd7a7296d7dbdd0050dfc846e95febeb7",
+    parseEther("1")
+  );
 
   const WBTCToken = await ethers.getContractAt(wbtcAbi, tokenAddress);
   await WBTCToken.connect(wbtcMinter).mint(userSigner.address, amount);
@@ -251,18 +256,16 @@ async function mintAndApprove(tokenAddress, userSigner, spender, amount) {
 }
 
 async function getAssetPricer(pricer, signer) {
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [pricer],
-  });
+  // Anyone can push the expiry price of the mock pricers
+  if (isOffline()) {
+    return await ethers.getContractAt("MockYearnPricer", pricer, signer);
+  }
 
-  const ownerSigner = await provider.getSigner(pricer);
+  const ownerSigner = await impersonate(provider, pricer);
 
   const pricerContract = await ethers.getContractAt("IYearnPricer", pricer);
 
-  const forceSendContract = await ethers.getContractFactory("ForceSend");
-  const forceSend = await forceSendContract.deploy(); // force Send is a contract that forces the sending of Ether to WBTC minter (which is a contract with no receive() function)
-  await forceSend.connect(signer).go(pricer, { value: parseEther("0.5") });
+  await forceSend(signer, pricer, parseEther("0.5"));
 
   // await signer.sendTransaction({
   //   to: pricer,
@@ -273,12 +276,12 @@ async function getAssetPricer(pricer, signer) {
 }
 
 async function setAssetPricer(asset, pricer) {
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [ORACLE_OWNER],
-  });
+  // The mock oracle takes expiry prices from any pricer
+  if (isOffline()) {
+    return;
+  }
 
-  const ownerSigner = await provider.getSigner(ORACLE_OWNER);
+  const ownerSigner = await impersonate(provider, ORACLE_OWNER);
 
   const oracle = await ethers.getContractAt("IOracle", GAMMA_ORACLE);
 
@@ -288,12 +291,18 @@ async function setAssetPricer(asset, pricer) {
 async function whitelistProduct(underlying, strike, collateral, isPut) {
   const [adminSigner] = await ethers.getSigners();
 
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [ORACLE_OWNER],
-  });
+  if (isOffline()) {
+    const whitelist = await ethers.getContractAt(
+      "MockGammaWhitelist",
+      GAMMA_WHITELIST,
+      adminSigner
+    );
+    await whitelist.whitelistCollateral(collateral);
+    await whitelist.whitelistProduct(underlying, strike, collateral, isPut);
+    return;
+  }
 
-  const ownerSigner = await provider.getSigner(ORACLE_OWNER);
+  const ownerSigner = await impersonate(provider, ORACLE_OWNER);
 
   const whitelist = await ethers.getContractAt(
     "IGammaWhitelist",
@@ -313,23 +322,18 @@ async function whitelistProduct(underlying, strike, collateral, isPut) {
 }
 
 async function setupOracle(pricerOwner, signer) {
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [pricerOwner],
-  });
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [ORACLE_OWNER],
-  });
-  const pricerSigner = await provider.getSigner(pricerOwner);
+  // The mock oracle lets anyone set prices, and prices USDC at $1 once deployed
+  if (isOffline()) {
+    return await ethers.getContractAt("MockGammaOracle", GAMMA_ORACLE, signer);
+  }
 
-  const forceSendContract = await ethers.getContractFactory("ForceSend");
-  const forceSend = await forceSendContract.deploy(); // force Send is a contract that forces the sending of Ether to WBTC minter (which is a contract with no receive() function)
-  await forceSend.connect(signer).go(pricerOwner, { value: parseEther("0.5") });
+  const pricerSigner = await impersonate(provider, pricerOwner);
+  const oracleOwnerSigner = await impersonate(provider, ORACLE_OWNER);
 
-  const oracle = new ethers.Contract(GAMMA_ORACLE, ORACLE_ABI, pricerSigner);
+  // The pricer owner is a contract with no receive() function
+  await forceSend(signer, pricerOwner, parseEther("0.5"));
 
-  const oracleOwnerSigner = await provider.getSigner(ORACLE_OWNER);
+  const oracle = new ethers.Contract(GAMMA_ORACLE, ORACLE_ABI, pricerSigner);
 
   await signer.sendTransaction({
     to: ORACLE_OWNER,
@@ -377,19 +381,18 @@ async function setOpynOracleExpiryPriceYearn(
 }
 
 async function mintToken(contract, contractOwner, recipient, spender, amount) {
-  const tokenOwnerSigner = await ethers.provider.getSigner(contractOwner);
+  if (isOffline()) {
+    const mock = await ethers.getContractAt("MockERC20", contract.address);
+    await mock.mintTo(recipient.address, amount);
+    await contract.connect(recipient).approve(spender, amount);
+    return;
+  }
 
-  await hre.network.provider.request({
-    method: "hardhat_impersonateAccount",
-    params: [contractOwner],
-  });
+  const [adminSigner] = await ethers.getSigners();
+  const tokenOwnerSigner = await impersonate(provider, contractOwner);
 
-  const forceSendContract = await ethers.getContractFactory("ForceSend");
-  const forceSend = await forceSendContract.deploy(); // Some contract do not have receive(), so we force send
-  await forceSend.deployed();
-  await forceSend.go(contractOwner, {
-    value: parseEther("0.5"),
-  });
+  // Some contract do not have receive(), so we force send
+  await forceSend(adminSigner, contractOwner, parseEther("0.5"));
 
   if (contract.address == USDC_ADDRESS) {
     await contract
@@ -401,8 +404,5 @@ async function mintToken(contract, contractOwner, recipient, spender, amount) {
 
   await contract.connect(recipient).approve(spender, amount);
 
-  await hre.network.provider.request({
-    method: "hardhat_stopImpersonatingAccount",
-    params: [contractOwner],
-  });
+  await stopImpersonating(provider, contractOwner);
 }
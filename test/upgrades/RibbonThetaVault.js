@@ -1,9 +1,15 @@
 const { assert } = require("chai");
 const { ethers } = require("hardhat");
 const { BigNumber, provider, getContractAt } = ethers;
-const { parseEther, hexZeroPad, keccak256 } = ethers.utils;
+const { parseEther } = ethers.utils;
 
 const { getDefaultArgs, parseLog } = require("../helpers/utils");
+const { describeOnFork } = require("../helpers/fixtures");
+const {
+  ADMIN_SLOT,
+  IMPLEMENTATION_SLOT,
+  getMappingSlot,
+} = require("../../scripts/helpers/storageLayout");
 
 const FORK_BLOCK = 12262830;
 const UPGRADE_ADMIN = "0x223d59FA315D7693dF4238d1a5748c964E615923";
@@ -11,36 +17,19 @@ const THETA_VAULT = "0x0FABaF48Bbf864a3947bdd0Ba9d764791a60467A";
 const PROTOCOL_ADAPTER_LIB = "0x3fa76827575Bb99ba4e56Dc39562771921f11E16";
 const SWAP_ADDRESS = "0x4572f2554421Bd64Bef1c22c8a81840E8D496BeA";
 
-const ADMIN_SLOT =
-  "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
-const IMPLEMENTATION_SLOT =
-  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
-
 const RANDOM_USER_ADDRESS = "0xb8a1ef5584564b0fda3086cc715b76de71de21ed";
 
 // Used to query the user's balance
-const USER_BALANCE_KEY = keccak256(
-  "0x" +
-    hexZeroPad(RANDOM_USER_ADDRESS, 32).slice(2) +
-    hexZeroPad(BigNumber.from("151").toHexString(), 32).slice(2)
-);
+const USER_BALANCE_KEY = getMappingSlot(151, RANDOM_USER_ADDRESS);
 
 const OWNER_ADDRESS = "0xfce3a97b5f1d3403f481903da3679039f522089c";
 const SPENDER_ADDRESS = "0x7a250d5630b4cf539739df2c5dacb4c659f2488d";
 
-const ALLOWANCE_KEY = keccak256(
-  "0x" +
-    hexZeroPad(SPENDER_ADDRESS, 32).slice(2) +
-    keccak256(
-      "0x" +
-        hexZeroPad(OWNER_ADDRESS, 32).slice(2) +
-        hexZeroPad(BigNumber.from("152").toHexString(), 32).slice(2)
-    ).slice(2)
-);
+const ALLOWANCE_KEY = getMappingSlot(152, OWNER_ADDRESS, SPENDER_ADDRESS);
 
 let userSigner;
 
-describe("RibbonOptionsVault Upgrade", () => {
+describeOnFork("RibbonOptionsVault Upgrade", () => {
   describe("Upgrade from 4ee578b96aefa663458ec8f871732fb21fa0ceb9", () => {
     before(async function () {
       // We need to checkpoint the contract on mainnet to a past block before the upgrade happens
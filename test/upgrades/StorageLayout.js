@@ -0,0 +1,76 @@
+const { assert } = require("chai");
+
+const {
+  diffStorageLayouts,
+  getStorageLayout,
+  getStorageVariables,
+} = require("../../scripts/helpers/storageLayout");
+
+// Slots of the vaults deployed on mainnet
+const MAINNET_SLOTS = {
+  _balances: 151,
+  _allowances: 152,
+  _totalSupply: 153,
+  _oldAsset: 201,
+  manager: 202,
+  feeRecipient: 209,
+};
+
+describe("Storage layout", () => {
+  before(async function () {
+    this.storageLayout = await getStorageLayout("OptionsVaultStorage");
+  });
+
+  ["RibbonThetaVault", "RibbonThetaVaultYearn"].forEach((contract) => {
+    describe(contract, () => {
+      it("keeps the layout of OptionsVaultStorage", async function () {
+        const diff = diffStorageLayouts(
+          this.storageLayout,
+          await getStorageLayout(contract)
+        );
+
+        assert.isTrue(diff.compatible);
+        assert.deepEqual(diff.changes, []);
+      });
+
+      it("keeps the mainnet slots", async function () {
+        const variables = getStorageVariables(await getStorageLayout(contract));
+
+        Object.entries(MAINNET_SLOTS).forEach(([label, slot]) => {
+          assert.equal(variables.find((v) => v.label === label).slot, slot);
+        });
+      });
+    });
+  });
+
+  describe("#diffStorageLayouts", () => {
+    it("flags moved, retyped and removed variables", async function () {
+      const storage = this.storageLayout.storage.map((entry) => ({
+        ...entry,
+      }));
+      const find = (label) => storage.find((entry) => entry.label === label);
+      [find("manager").slot, find("nextOption").slot] = [
+        find("nextOption").slot,
+        find("manager").slot,
+      ];
+      find("cap").type = find("manager").type;
+      storage.splice(storage.indexOf(find("feeRecipient")), 1);
+
+      const diff = diffStorageLayouts(this.storageLayout, {
+        ...this.storageLayout,
+        storage,
+      });
+
+      assert.isFalse(diff.compatible);
+      assert.deepEqual(
+        diff.changes.map(({ kind, key }) => `${kind} ${key}`),
+        [
+          "moved manager",
+          "moved nextOption",
+          "retyped cap",
+          "removed feeRecipient",
+        ]
+      );
+    });
+  });
+});